@@ -3,6 +3,20 @@ const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const http = require('http');
+const detection = loadDetection();
+
+/**
+ * Shared detection package: the copy packaged with the extension
+ * (scripts/copy-detection.js), or the repo's own when run from a checkout
+ */
+function loadDetection() {
+    try {
+        return require('./detection/index.cjs');
+    } catch (error) {
+        if (error.code !== 'MODULE_NOT_FOUND') throw error;
+        return require('../src/detection/index.cjs');
+    }
+}
 
 let statusBarItem;
 let outputChannel;
@@ -552,23 +566,12 @@ function updateStatus(mode, state) {
 }
 
 /**
- * Detect action in Claude Code output
+ * Detect action in Claude Code output (shared taxonomy from @edge-autopilot/detection)
  */
 function detectAction(text) {
-    const patterns = {
-        file_create: /Creating file|Write to file/i,
-        file_edit: /Editing file|Modifying/i,
-        file_delete: /Deleting file|Removing file/i,
-        terminal_command: /Running command|Execute:/i,
-        git_push: /git push/i,
-        approval_prompt: /Do you want to proceed|Continue\?/i
-    };
-    
-    for (const [action, pattern] of Object.entries(patterns)) {
-        if (pattern.test(text)) {
-            handleAction(action, text);
-            break;
-        }
+    const action = detection.detectAction(text);
+    if (action) {
+        handleAction(action.type, text);
     }
 }
 
@@ -577,10 +580,10 @@ function detectAction(text) {
  */
 function handleAction(action, text) {
     const config = vscode.workspace.getConfiguration('edgeAutopilot');
-    const autoAccept = config.get('autoAccept', []);
-    const requireApproval = config.get('requireApproval', []);
+    const listed = (setting) => config.get(setting, [])
+        .some(type => detection.normalizeActionType(type) === action);
     
-    if (isPaused || requireApproval.includes(action)) {
+    if (isPaused || listed('requireApproval')) {
         vscode.window.showWarningMessage(
             `Action requires approval: ${action}`,
             'Approve', 'Deny'
@@ -591,7 +594,7 @@ function handleAction(action, text) {
                 activeSession.stdin.write('n\n');
             }
         });
-    } else if (autoAccept.includes(action)) {
+    } else if (listed('autoAccept')) {
         outputChannel.appendLine(`[Auto-accepted] ${action}`);
     }
 }
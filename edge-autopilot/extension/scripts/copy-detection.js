@@ -0,0 +1,19 @@
+/**
+ * Copy the shared detection package into the extension before packaging.
+ * vsce only packages files inside this folder, so the CommonJS files of
+ * ../src/detection go to ./detection, which extension.js requires.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const source = path.join(__dirname, '..', '..', 'src', 'detection');
+const target = path.join(__dirname, '..', 'detection');
+
+fs.rmSync(target, { recursive: true, force: true });
+fs.mkdirSync(target);
+
+for (const file of fs.readdirSync(source).filter(name => name.endsWith('.cjs'))) {
+    fs.copyFileSync(path.join(source, file), path.join(target, file));
+}
+
+console.log(`Copied detection from ${source} to ${target}`);
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * Rebuild the detection golden corpus from session logs
+ *
+ * Every distinct line in logs/*.log, then every line of
+ * src/detection/corpus.examples.txt (whole commands from the task queues,
+ * which the logs cut short), is classified with the shared Detector and
+ * written with its expected action to src/detection/corpus.golden.json.
+ * src/detection/corpus.test.js fails when detection output drifts from it:
+ * after an intended change to patterns or risk factors, rerun this script
+ * and review the diff.
+ *
+ * Usage: npm run detection:corpus
+ */
+
+import { readdirSync, readFileSync, writeFileSync } from 'fs';
+import { join, dirname, basename } from 'path';
+import { fileURLToPath } from 'url';
+import { Detector } from '../src/detection/index.js';
+import { corpusEntry } from '../src/detection/corpus.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const LOGS_DIR = join(ROOT, 'logs');
+const EXAMPLES_FILE = join(ROOT, 'src/detection/corpus.examples.txt');
+const CORPUS_FILE = join(ROOT, 'src/detection/corpus.golden.json');
+
+// "[2026-01-02T14:45:21.123Z] [INFO] " prefix of logger lines
+const LOG_PREFIX = /^\[[^\]]+\] \[[A-Z]+\] /;
+
+// The legacy supervisor logs output and prompts as "Running: <first 100 chars>..."
+const RUNNING_WRAPPER = /^Running: (.*?)(?:\.\.\.)?$/;
+
+// Session banner lines carry no agent output
+const BANNER = /^(?:[═║╔╗╚╝─\s]+|EDGE AUTOPILOT SESSION LOG|Started: .*|Session: .*|\.\.\.)$/;
+
+// The production risk factor reads NODE_ENV; the corpus is built without it
+delete process.env.NODE_ENV;
+
+const detector = new Detector();
+const seen = new Set();
+const entries = [];
+
+const add = (source, text) => {
+  if (!text || seen.has(text)) return;
+  seen.add(text);
+  entries.push({ source, ...corpusEntry(detector, text) });
+};
+
+for (const file of readdirSync(LOGS_DIR).filter(f => f.endsWith('.log')).sort()) {
+  for (const line of readFileSync(join(LOGS_DIR, file), 'utf-8').split('\n')) {
+    const text = line.replace(LOG_PREFIX, '').replace(RUNNING_WRAPPER, '$1').trim();
+    if (!BANNER.test(text)) add(file, text);
+  }
+}
+
+for (const line of readFileSync(EXAMPLES_FILE, 'utf-8').split('\n')) {
+  if (!line.startsWith('#')) add(basename(EXAMPLES_FILE), line.trim());
+}
+
+writeFileSync(CORPUS_FILE, JSON.stringify(entries, null, 2) + '\n');
+
+const detected = entries.filter(e => e.expected).length;
+console.log(`Wrote ${entries.length} lines (${detected} with an action) to ${CORPUS_FILE}`);
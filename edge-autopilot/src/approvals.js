@@ -0,0 +1,105 @@
+import { EventEmitter } from 'events';
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+const DECISIONS = ['approve', 'deny'];
+
+/**
+ * ApprovalBroker - Blocks an action until someone approves or denies it
+ *
+ * Requests can be answered from any channel (dashboard, Slack button,
+ * email link, copilot prompt); the first answer wins. Unanswered requests
+ * fall back to the default decision after the timeout. Every decision is
+ * kept with who made it and through which channel.
+ *
+ * Events:
+ * - requested ({ id, action, requestedAt, expiresAt, defaultDecision })
+ * - decided (decision record)
+ */
+export class ApprovalBroker extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.timeoutMs = (options.timeoutMinutes ?? 60) * 60 * 1000;
+    this.defaultDecision = DECISIONS.includes(options.defaultDecision) ? options.defaultDecision : 'deny';
+
+    // Signs email approval links; links stop working when the session ends
+    this.secret = options.secret || randomBytes(32).toString('hex');
+
+    this.pending = new Map();
+    this.decisions = [];
+    this.count = 0;
+  }
+
+  /**
+   * Request approval for an action
+   * @param {object} options - Per-request timeoutMs / defaultDecision overrides
+   * @returns {{ id: string, decided: Promise<{ id, action, decision, by, channel, requestedAt, decidedAt }> }}
+   */
+  request(action, options = {}) {
+    const id = `approval-${Date.now().toString(36)}-${++this.count}`;
+    const timeoutMs = options.timeoutMs ?? this.timeoutMs;
+    const defaultDecision = options.defaultDecision ?? this.defaultDecision;
+    const requestedAt = new Date().toISOString();
+    const expiresAt = timeoutMs > 0 ? new Date(Date.now() + timeoutMs).toISOString() : null;
+
+    const decided = new Promise((resolve) => {
+      const timer = timeoutMs > 0
+        ? setTimeout(() => this.decide(id, defaultDecision, { by: 'default', channel: 'timeout' }), timeoutMs)
+        : null;
+
+      this.pending.set(id, { id, action, requestedAt, expiresAt, defaultDecision, timer, resolve });
+    });
+
+    this.emit('requested', { id, action, requestedAt, expiresAt, defaultDecision });
+    return { id, decided };
+  }
+
+  /**
+   * Answer a pending request. Returns the decision record, or null if the
+   * request is unknown or was already decided.
+   */
+  decide(id, decision, { by = 'unknown', channel = 'unknown' } = {}) {
+    const pending = this.pending.get(id);
+    if (!pending || !DECISIONS.includes(decision)) return null;
+
+    clearTimeout(pending.timer);
+    this.pending.delete(id);
+
+    const record = {
+      id,
+      action: { type: pending.action.type, target: pending.action.target, reason: pending.action.reason },
+      decision,
+      by,
+      channel,
+      requestedAt: pending.requestedAt,
+      decidedAt: new Date().toISOString()
+    };
+
+    this.decisions.push(record);
+    this.emit('decided', record);
+    pending.resolve(record);
+    return record;
+  }
+
+  /**
+   * Pending requests, oldest first
+   */
+  list() {
+    return [...this.pending.values()].map(({ id, action, requestedAt, expiresAt, defaultDecision }) => ({ id, action, requestedAt, expiresAt, defaultDecision }));
+  }
+
+  /**
+   * Token for a signed approval link (email)
+   */
+  sign(id, decision, by = '') {
+    return createHmac('sha256', this.secret).update(`${id}:${decision}:${by}`).digest('hex');
+  }
+
+  /**
+   * Check a signed approval link token
+   */
+  verify(id, decision, by, token) {
+    const expected = Buffer.from(this.sign(id, decision, by));
+    const actual = Buffer.from(String(token || ''));
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+  }
+}
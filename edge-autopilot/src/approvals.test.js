@@ -0,0 +1,140 @@
+/**
+ * Tests for the approval broker and the dashboard's approval channels
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { createHmac } from 'crypto';
+import { ApprovalBroker } from './approvals.js';
+import { Dashboard } from './dashboard.js';
+
+function freePort() {
+  const server = createServer();
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  }));
+}
+
+describe('ApprovalBroker', () => {
+  it('resolves with the first decision and ignores later ones', async () => {
+    const broker = new ApprovalBroker();
+    const decided = [];
+    broker.on('decided', record => decided.push(record));
+
+    const { id, decided: decision } = broker.request({ type: 'git_push', target: 'origin main', reason: 'Pushes code' });
+    assert.deepEqual(broker.list().map(r => [r.id, r.action.type, r.defaultDecision]), [[id, 'git_push', 'deny']]);
+
+    assert.equal(broker.decide(id, 'maybe', { by: 'ana' }), null);
+    broker.decide(id, 'approve', { by: 'ana', channel: 'slack' });
+    assert.equal(broker.decide(id, 'deny', { by: 'bo', channel: 'dashboard' }), null);
+
+    const record = await decision;
+    assert.equal(record.decision, 'approve');
+    assert.equal(record.by, 'ana');
+    assert.equal(record.channel, 'slack');
+    assert.deepEqual(record.action, { type: 'git_push', target: 'origin main', reason: 'Pushes code' });
+    assert.deepEqual(decided, [record]);
+    assert.deepEqual(broker.list(), []);
+  });
+
+  it('falls back to the default decision when a request expires', async () => {
+    const broker = new ApprovalBroker({ timeoutMinutes: 0.0002, defaultDecision: 'approve' });
+    const { decided } = broker.request({ type: 'file_delete' });
+    const record = await decided;
+    assert.equal(record.decision, 'approve');
+    assert.equal(record.by, 'default');
+    assert.equal(record.channel, 'timeout');
+
+    // An unknown default is treated as deny, and a request can override the timeout
+    const strict = new ApprovalBroker({ defaultDecision: 'yes' });
+    assert.equal((await strict.request({ type: 'file_delete' }, { timeoutMs: 5 }).decided).decision, 'deny');
+  });
+
+  it('signs approval links for one request, decision and person', () => {
+    const broker = new ApprovalBroker({ secret: 'test-secret' });
+    const token = broker.sign('approval-1', 'approve', 'ana@example.com');
+
+    assert.equal(broker.verify('approval-1', 'approve', 'ana@example.com', token), true);
+    assert.equal(broker.verify('approval-1', 'deny', 'ana@example.com', token), false);
+    assert.equal(broker.verify('approval-2', 'approve', 'ana@example.com', token), false);
+    assert.equal(broker.verify('approval-1', 'approve', 'bo@example.com', token), false);
+    assert.equal(broker.verify('approval-1', 'approve', 'ana@example.com', undefined), false);
+
+    // Links from an earlier session (another secret) stop working
+    assert.equal(new ApprovalBroker().verify('approval-1', 'approve', 'ana@example.com', token), false);
+  });
+});
+
+describe('Dashboard approval channels', () => {
+  const secret = 'slack-signing-secret';
+  let broker;
+  let dashboard;
+  let base;
+
+  before(async () => {
+    mock.method(console, 'log', () => {});
+    broker = new ApprovalBroker({ timeoutMinutes: 0 });
+    dashboard = new Dashboard({ port: await freePort(), approvals: broker, slackSigningSecret: secret });
+    await dashboard.start();
+    base = `http://127.0.0.1:${dashboard.port}`;
+  });
+
+  after(async () => {
+    await dashboard.stop();
+    mock.restoreAll();
+  });
+
+  const slackRequest = (approvalId, { timestamp = Math.floor(Date.now() / 1000), signWith = secret } = {}) => {
+    const payload = {
+      user: { id: 'U1', username: 'ana' },
+      actions: [{ action_id: 'approve_action', value: JSON.stringify({ approvalId }) }]
+    };
+    const body = new URLSearchParams({ payload: JSON.stringify(payload) }).toString();
+    const signature = `v0=${createHmac('sha256', signWith).update(`v0:${timestamp}:${body}`).digest('hex')}`;
+    return fetch(`${base}/api/slack/actions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Slack-Request-Timestamp': String(timestamp), 'X-Slack-Signature': signature },
+      body
+    });
+  };
+
+  it('listens on localhost unless given a host', () => {
+    assert.equal(dashboard.server.address().address, '127.0.0.1');
+  });
+
+  it('accepts Slack button clicks only with a valid, recent signature', async () => {
+    const { id, decided } = broker.request({ type: 'git_push' });
+
+    assert.equal((await slackRequest(id, { signWith: 'wrong-secret' })).status, 401);
+    assert.equal((await slackRequest(id, { timestamp: Math.floor(Date.now() / 1000) - 600 })).status, 401);
+    assert.equal((await fetch(`${base}/api/slack/actions`, { method: 'POST', body: 'payload={}' })).status, 401);
+    assert.deepEqual(broker.list().map(r => r.id), [id]);
+
+    assert.equal((await slackRequest(id)).status, 200);
+    const record = await decided;
+    assert.equal(record.decision, 'approve');
+    assert.equal(record.by, 'ana');
+    assert.equal(record.channel, 'slack');
+  });
+
+  it('records email link decisions on POST, with a valid token only', async () => {
+    const { id, decided } = broker.request({ type: 'file_delete' });
+    const link = (decision, token) => `${base}/api/approvals/${id}/${decision}?by=ana%40example.com&token=${token}`;
+    const token = broker.sign(id, 'deny', 'ana@example.com');
+
+    assert.equal((await fetch(link('approve', token), { method: 'POST' })).status, 403);
+
+    // GET only shows a confirmation form, so link scanners can't decide
+    const page = await fetch(link('deny', token));
+    assert.match(await page.text(), /<form method="POST">/);
+    assert.equal(broker.list().length, 1);
+
+    assert.match(await (await fetch(link('deny', token), { method: 'POST' })).text(), /Recorded: deny/);
+    const record = await decided;
+    assert.equal(record.by, 'ana@example.com');
+    assert.equal(record.channel, 'email');
+    assert.match(await (await fetch(link('deny', token), { method: 'POST' })).text(), /already decided/);
+  });
+});
@@ -0,0 +1,58 @@
+import { copyFile, unlink } from 'fs/promises';
+import { existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import { git } from './worktrees.js';
+
+const STATUS_KEYS = { A: 'added', M: 'modified', D: 'deleted', T: 'modified' };
+
+/**
+ * Record the whole working tree (tracked and untracked files, minus ignored ones)
+ * as a git tree object. A temporary index is used so the project's staging
+ * area is left alone. Resolves with null when dir is not a git repository.
+ */
+export async function snapshotTree(dir) {
+  let indexPath;
+  try {
+    indexPath = resolve(dir, await git(['rev-parse', '--git-path', 'index'], dir));
+  } catch {
+    return null;
+  }
+
+  const tempIndex = join(tmpdir(), `edge-autopilot-index-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2)}`);
+  const env = { GIT_INDEX_FILE: tempIndex };
+
+  try {
+    // Starting from the real index lets git skip rehashing files that haven't changed
+    if (existsSync(indexPath)) {
+      await copyFile(indexPath, tempIndex);
+    }
+    await git(['add', '-A'], dir, env);
+    return await git(['write-tree'], dir, env);
+  } finally {
+    await unlink(tempIndex).catch(() => {});
+  }
+}
+
+/**
+ * Count the files added, modified and deleted between two snapshots
+ * @returns {{ changed: number, added: number, modified: number, deleted: number, files: string[] }}
+ */
+export async function diffTrees(dir, before, after) {
+  const counts = { changed: 0, added: 0, modified: 0, deleted: 0, files: [] };
+  if (before === after) return counts;
+
+  const output = await git(['diff-tree', '-r', '--no-renames', '--name-status', before, after], dir);
+
+  for (const line of output.split('\n').filter(Boolean)) {
+    const [status, file] = line.split('\t');
+    const key = STATUS_KEYS[status[0]];
+    if (!key) continue;
+
+    counts[key]++;
+    counts.changed++;
+    counts.files.push(file);
+  }
+
+  return counts;
+}
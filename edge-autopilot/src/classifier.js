@@ -1,123 +1,16 @@
+import { matchesPathPattern } from './safety.js';
+import { Detector, DANGEROUS_PATTERNS, commandSegments } from './detection/index.js';
+
 /**
  * ActionClassifier - Detects and classifies actions in Claude Code output
  * 
  * Claude Code has specific patterns when it asks for approval.
- * This classifier recognizes those patterns and categorizes them.
+ * This classifier recognizes those patterns and categorizes them, using the
+ * shared action taxonomy in src/detection.
  */
 export class ActionClassifier {
   constructor() {
-    // Patterns that indicate Claude Code is requesting approval
-    this.patterns = [
-      {
-        type: 'file_create',
-        patterns: [
-          /Create(?:ing)?\s+(?:new\s+)?file[:\s]+(.+)/i,
-          /Write(?:ing)?\s+(?:to\s+)?file[:\s]+(.+)/i,
-          /Creating\s+(.+\.(?:js|ts|tsx|jsx|json|yaml|yml|md|css|html))/i
-        ],
-        extract: (match) => ({ file: match[1]?.trim() })
-      },
-      {
-        type: 'file_edit',
-        patterns: [
-          /Edit(?:ing)?\s+file[:\s]+(.+)/i,
-          /Modify(?:ing)?\s+(.+)/i,
-          /Update(?:ing)?\s+(.+\.(?:js|ts|tsx|jsx|json|yaml|yml|md|css|html))/i,
-          /str_replace.*in\s+(.+)/i
-        ],
-        extract: (match) => ({ file: match[1]?.trim() })
-      },
-      {
-        type: 'file_delete',
-        patterns: [
-          /Delete(?:ing)?\s+file[:\s]+(.+)/i,
-          /Remove(?:ing)?\s+file[:\s]+(.+)/i,
-          /rm\s+(?:-rf?\s+)?(.+)/i
-        ],
-        extract: (match) => ({ file: match[1]?.trim() })
-      },
-      {
-        type: 'terminal_command',
-        patterns: [
-          /Run(?:ning)?\s+command[:\s]+(.+)/i,
-          /Execute(?:ing)?[:\s]+(.+)/i,
-          /\$\s+(.+)/,
-          /bash[:\s]+(.+)/i
-        ],
-        extract: (match) => ({ command: match[1]?.trim() })
-      },
-      {
-        type: 'npm_install',
-        patterns: [
-          /npm\s+install\s+(.+)/i,
-          /npm\s+i\s+(.+)/i,
-          /yarn\s+add\s+(.+)/i,
-          /pnpm\s+add\s+(.+)/i
-        ],
-        extract: (match) => ({ packages: match[1]?.trim() })
-      },
-      {
-        type: 'package_removal',
-        patterns: [
-          /npm\s+uninstall\s+(.+)/i,
-          /npm\s+remove\s+(.+)/i,
-          /yarn\s+remove\s+(.+)/i
-        ],
-        extract: (match) => ({ packages: match[1]?.trim() })
-      },
-      {
-        type: 'git_add',
-        patterns: [
-          /git\s+add\s+(.+)/i,
-          /Stage(?:ing)?\s+files?/i
-        ],
-        extract: (match) => ({ files: match[1]?.trim() })
-      },
-      {
-        type: 'git_commit',
-        patterns: [
-          /git\s+commit\s+(?:-m\s+)?['""]?(.+)['""]?/i,
-          /Commit(?:ting)?[:\s]+(.+)/i
-        ],
-        extract: (match) => ({ message: match[1]?.trim() })
-      },
-      {
-        type: 'git_push',
-        patterns: [
-          /git\s+push/i,
-          /Push(?:ing)?\s+to\s+(?:remote|origin)/i
-        ],
-        extract: () => ({})
-      },
-      {
-        type: 'database_migration',
-        patterns: [
-          /(?:run(?:ning)?|execute(?:ing)?)\s+migration/i,
-          /migrate(?:ing)?\s+database/i,
-          /npx\s+prisma\s+migrate/i,
-          /supabase\s+(?:db\s+)?(?:push|migrate)/i
-        ],
-        extract: () => ({})
-      },
-      {
-        type: 'env_modification',
-        patterns: [
-          /(?:edit|modify|update|create)(?:ing)?\s+\.env/i,
-          /environment\s+variable/i
-        ],
-        extract: () => ({})
-      },
-      {
-        type: 'approval_prompt',
-        patterns: [
-          /Do you want to proceed\?/i,
-          /Continue\?\s*\[Y\/n\]/i,
-          /Press\s+(?:y|enter)\s+to\s+continue/i,
-          /Approve\?/i
-        ],
-        extract: () => ({})
-      }
-    ];
+    this.detector = new Detector();
   }
 
   /**
@@ -126,40 +19,35 @@ export class ActionClassifier {
    * @returns {object|null} - Detected action or null
    */
   detect(text) {
-    for (const actionDef of this.patterns) {
-      for (const pattern of actionDef.patterns) {
-        const match = text.match(pattern);
-        if (match) {
-          return {
-            type: actionDef.type,
-            details: actionDef.extract(match),
-            raw: match[0],
-            timestamp: new Date().toISOString()
-          };
-        }
-      }
-    }
-    return null;
+    const action = this.detector.detect(text);
+    if (!action) return null;
+
+    return {
+      type: action.type,
+      details: { target: action.target, riskScore: action.riskScore, riskLevel: action.riskLevel },
+      raw: action.raw,
+      timestamp: action.timestamp
+    };
   }
 
   /**
-   * Check if text contains any dangerous patterns
+   * Check if text contains any dangerous patterns. Each part of a command
+   * line is checked on its own (most deeply nested first) so the warning
+   * names the part that matched; the whole text is checked last.
    * @param {string} text - Text to check
-   * @returns {object|null} - Warning info or null
+   * @returns {object|null} - Warning info ({ dangerous, reason, severity, match, segment }) or null
    */
   checkDangerous(text) {
-    const dangerousPatterns = [
-      { pattern: /rm\s+-rf\s+\/(?!\s|$)/i, reason: 'Dangerous rm command' },
-      { pattern: /DROP\s+(?:TABLE|DATABASE)/i, reason: 'SQL DROP command' },
-      { pattern: /DELETE\s+FROM\s+\w+(?!\s+WHERE)/i, reason: 'DELETE without WHERE' },
-      { pattern: /chmod\s+777/i, reason: 'Insecure permissions' },
-      { pattern: /curl.*\|\s*(?:bash|sh)/i, reason: 'Pipe to shell' },
-      { pattern: /eval\s*\(/i, reason: 'Eval usage' }
-    ];
+    const parts = commandSegments(text)
+      .sort((a, b) => b.depth - a.depth)
+      .map(segment => segment.text);
 
-    for (const { pattern, reason } of dangerousPatterns) {
-      if (pattern.test(text)) {
-        return { dangerous: true, reason, match: text.match(pattern)?.[0] };
+    for (const part of [...parts, text]) {
+      for (const { pattern, severity, reason } of DANGEROUS_PATTERNS) {
+        const match = part.match(pattern);
+        if (match) {
+          return { dangerous: true, reason, severity, match: match[0], segment: part };
+        }
       }
     }
 
@@ -173,12 +61,6 @@ export class ActionClassifier {
    * @returns {boolean}
    */
   isProtectedPath(filePath, protectedPaths = []) {
-    return protectedPaths.some(protected => {
-      if (protected.includes('*')) {
-        const regex = new RegExp(protected.replace(/\*/g, '.*'));
-        return regex.test(filePath);
-      }
-      return filePath.includes(protected);
-    });
+    return protectedPaths.some(pattern => matchesPathPattern(filePath, pattern));
   }
 }
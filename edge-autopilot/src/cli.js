@@ -3,10 +3,15 @@
 import 'dotenv/config';
 import { Command } from 'commander';
 import chalk from 'chalk';
+import { createWriteStream } from 'fs';
 import { Supervisor } from './supervisor-v2.js';
-import { loadConfig } from './config.js';
+import { loadConfig, loadConfigLayers, validateConfigFile, formatIssue } from './config.js';
 import { TaskQueue } from './tasks.js';
-import { getProviderInfo, createProvider, resolveModel, PROVIDERS } from './providers/index.js';
+import { RunJournal } from './journal.js';
+import { LearningStore } from './learning.js';
+import { UsageLedger } from './usage-ledger.js';
+import { getProviderInfo, resolveModel, providerModels, PROVIDERS, LocalProvider } from './providers/index.js';
+import { formatTokens, tokensIn } from './providers/usage.js';
 
 const program = new Command();
 
@@ -28,16 +33,29 @@ program
   .option('-t, --tasks <file>', 'Task file', './tasks/example-queue.yaml')
   .option('-c, --config <file>', 'Config file', './config.yaml')
   .option('-d, --dir <path>', 'Working directory (target project)')
-  .option('-p, --provider <provider>', 'AI provider (claude, openai)', '')
-  .option('-m, --model <model>', 'AI model (opus/sonnet/haiku for Claude, gpt-4o/gpt-4-turbo/gpt-3.5-turbo for OpenAI)', '')
+  .option('-p, --provider <provider>', 'AI provider (claude, anthropic, openai, local, mock)', '')
+  .option('-m, --model <model>', 'AI model (opus/sonnet/haiku for Claude, gpt-4o/gpt-4-turbo/gpt-3.5-turbo for OpenAI, auto to route per task)', '')
+  .option('--profile <name>', 'Config profile to apply (from `profiles:`)')
   .option('--no-dashboard', 'Disable the web dashboard')
+  .option('--write-back', 'Write task status back to the task file(s)')
+  .option('--dry-run', 'Run tasks in throwaway copies and report what would change')
+  .option('--record', 'Record each provider run as a transcript in <logs>/transcripts (replay with --provider mock)')
+  .option('--events-fd <fd>', 'Also write structured events (task transitions, tool calls) as JSON lines to this file descriptor')
   .action(async (options) => {
     console.log(chalk.cyan(banner));
     console.log(chalk.yellow('🤖 Starting AUTOPILOT mode...\n'));
 
-    const config = await loadConfig(options.config);
+    const config = await loadCliConfig(options, options.tasks);
     config.mode = 'autopilot';
-    config.dashboard = options.dashboard !== false;
+    if (options.dashboard === false) config.dashboard = false;
+
+    if (options.dryRun) {
+      config.safety = { ...config.safety, dry_run: true };
+    }
+
+    if (options.record) {
+      config.logging = { ...config.logging, record_transcripts: true };
+    }
 
     if (options.dir) {
       config.workingDirectory = options.dir;
@@ -55,14 +73,108 @@ program
     }
 
     const workDir = config.workingDirectory || process.cwd();
-    const providerInfo = getProviderInfo(config.provider, config.model);
+    const providerInfo = getProviderInfo(config.provider, config.model, config);
 
     console.log(chalk.gray(`📁 Working directory: ${workDir}`));
     console.log(chalk.gray(`🤖 Provider: ${providerInfo.provider}`));
     console.log(chalk.gray(`🧠 Model: ${providerInfo.model}\n`));
+    if (config.safety?.dry_run) {
+      console.log(chalk.cyan('🧪 Dry run: changes will be reported, not applied\n'));
+    }
+
+    // Load up front so dependency errors are reported before the session starts
+    const queue = new TaskQueue(options.tasks, {
+      writeBack: options.writeBack || config.tasks?.write_back
+    });
+    try {
+      await queue.load();
+    } catch (error) {
+      console.log(chalk.red(`✗ Invalid task queue: ${error.message}`));
+      process.exit(1);
+    }
+
+    const supervisor = new Supervisor(config);
+    streamEvents(supervisor, options.eventsFd);
+    await supervisor.runQueue(queue);
+  });
+
+program
+  .command('resume <runId>')
+  .description('Resume an interrupted autopilot run from its journal')
+  .option('-c, --config <file>', 'Config file', './config.yaml')
+  .option('-d, --dir <path>', 'Working directory (target project)')
+  .option('-p, --provider <provider>', 'AI provider (claude, anthropic, openai, local, mock)', '')
+  .option('-m, --model <model>', 'AI model', '')
+  .option('--profile <name>', 'Config profile to apply (defaults to the original run\'s profile)')
+  .option('--no-dashboard', 'Disable the web dashboard')
+  .option('--write-back', 'Write task status back to the task file(s)')
+  .option('--dry-run', 'Run tasks in throwaway copies and report what would change')
+  .option('--record', 'Record each provider run as a transcript in <logs>/transcripts (replay with --provider mock)')
+  .option('--events-fd <fd>', 'Also write structured events (task transitions, tool calls) as JSON lines to this file descriptor')
+  .action(async (runId, options) => {
+    console.log(chalk.cyan(banner));
+
+    let config = await loadCliConfig(options);
+
+    let journal;
+    try {
+      journal = await RunJournal.open(config.logging?.directory, runId);
+    } catch (error) {
+      console.log(chalk.red(`✗ ${error.message}`));
+      process.exit(1);
+    }
+
+    // Run options: CLI flag > journal (original run) > config file > default
+    const { source, tasks: journalTasks, options: runOptions = {} } = journal.meta;
+    config = await loadCliConfig({
+      ...options,
+      dir: options.dir || runOptions.workingDirectory,
+      profile: options.profile || runOptions.profile
+    }, source);
+    config.mode = 'autopilot';
+    if (options.dashboard === false) config.dashboard = false;
+    config.workingDirectory = options.dir || runOptions.workingDirectory || config.workingDirectory;
+    config.provider = options.provider || runOptions.provider || config.provider || 'claude';
+    config.model = options.model || runOptions.model || config.model;
+    if (options.dryRun || runOptions.dryRun) {
+      config.safety = { ...config.safety, dry_run: true };
+    }
+    if (options.record) {
+      config.logging = { ...config.logging, record_transcripts: true };
+    }
+
+    const queue = new TaskQueue(source, {
+      journal,
+      writeBack: options.writeBack || config.tasks?.write_back
+    });
+    try {
+      await queue.load();
+    } catch (error) {
+      console.log(chalk.red(`✗ Invalid task queue: ${error.message}`));
+      process.exit(1);
+    }
+
+    const currentIds = queue.tasks.map(t => t.id);
+    if (journalTasks && currentIds.join('\n') !== journalTasks.join('\n')) {
+      console.log(chalk.yellow(`⚠ Tasks in ${source} changed since run ${runId} started`));
+    }
+
+    queue.restore(journal.events);
+    const remaining = await queue.getTasks();
+    if (remaining.length === 0) {
+      console.log(chalk.green(`✓ Run ${runId} has no unfinished tasks`));
+      return;
+    }
+
+    const providerInfo = getProviderInfo(config.provider, config.model, config);
+    console.log(chalk.yellow(`🔁 Resuming ${runId} at ${remaining[0].id} (${remaining.length} tasks left)\n`));
+    console.log(chalk.gray(`📁 Working directory: ${config.workingDirectory || process.cwd()}`));
+    console.log(chalk.gray(`🤖 Provider: ${providerInfo.provider}`));
+    console.log(chalk.gray(`🧠 Model: ${providerInfo.model}\n`));
 
+    await journal.append('run_resumed');
     const supervisor = new Supervisor(config);
-    const queue = new TaskQueue(options.tasks);
+    streamEvents(supervisor, options.eventsFd);
     await supervisor.runQueue(queue);
   });
 
@@ -71,13 +183,14 @@ program
   .description('Run in assisted mode')
   .option('-c, --config <file>', 'Config file', './config.yaml')
   .option('-d, --dir <path>', 'Working directory (target project)')
-  .option('-p, --provider <provider>', 'AI provider (claude, openai)', '')
+  .option('-p, --provider <provider>', 'AI provider (claude, anthropic, openai, local, mock)', '')
   .option('-m, --model <model>', 'AI model', '')
+  .option('--profile <name>', 'Config profile to apply (from `profiles:`)')
   .action(async (options) => {
     console.log(chalk.cyan(banner));
     console.log(chalk.green('👥 Starting COPILOT mode...\n'));
 
-    const config = await loadConfig(options.config);
+    const config = await loadCliConfig(options);
     config.mode = 'copilot';
 
     if (options.dir) {
@@ -94,7 +207,7 @@ program
     }
 
     const workDir = config.workingDirectory || process.cwd();
-    const providerInfo = getProviderInfo(config.provider, config.model);
+    const providerInfo = getProviderInfo(config.provider, config.model, config);
 
     console.log(chalk.gray(`📁 Working directory: ${workDir}`));
     console.log(chalk.gray(`🤖 Provider: ${providerInfo.provider}`));
@@ -109,20 +222,26 @@ program
   .description('Run a single task immediately')
   .option('-c, --config <file>', 'Config file', './config.yaml')
   .option('-d, --dir <path>', 'Working directory')
-  .option('-p, --provider <provider>', 'AI provider (claude, openai)', '')
+  .option('-p, --provider <provider>', 'AI provider (claude, anthropic, openai, local, mock)', '')
   .option('-m, --model <model>', 'AI model to use', '')
+  .option('--profile <name>', 'Config profile to apply (from `profiles:`)')
+  .option('--record', 'Record each provider run as a transcript in <logs>/transcripts (replay with --provider mock)')
   .action(async (promptParts, options) => {
     console.log(chalk.cyan(banner));
 
     const prompt = promptParts.join(' ');
     console.log(chalk.green(`\n📋 Task: ${prompt}\n`));
 
-    const config = await loadConfig(options.config);
+    const config = await loadCliConfig(options);
 
     if (options.dir) {
       config.workingDirectory = options.dir;
     }
 
+    if (options.record) {
+      config.logging = { ...config.logging, record_transcripts: true };
+    }
+
     // Provider priority: CLI flag > config file > default (claude)
     if (options.provider) {
       config.provider = options.provider;
@@ -135,20 +254,24 @@ program
     }
 
     const workDir = config.workingDirectory || process.cwd();
-    const providerInfo = getProviderInfo(config.provider, config.model);
+    const providerInfo = getProviderInfo(config.provider, config.model, config);
 
     console.log(chalk.gray(`📁 Working directory: ${workDir}`));
     console.log(chalk.gray(`🤖 Provider: ${providerInfo.provider}`));
     console.log(chalk.gray(`🧠 Model: ${providerInfo.model}\n`));
 
-    const provider = createProvider(config.provider, config);
-    const resolvedModel = resolveModel(config.provider, config.model);
+    // Tool calls are scored and gated like a queued task's; with no dashboard
+    // or copilot prompt, approvals fall back to approvals.default_decision
+    const supervisor = new Supervisor({ ...config, dashboard: false });
+    await supervisor.initLearning();
 
     try {
-      const result = await provider.runTask(prompt, {
-        model: resolvedModel,
-        workDir
-      });
+      const result = await supervisor.runSingle(prompt);
+      await supervisor.detector.learning?.save();
+
+      if (result.costUsd || result.usage) {
+        console.log(chalk.gray(`\nCost: $${(result.costUsd || 0).toFixed(4)} (${formatTokens(tokensIn(result.usage))} tokens in, ${formatTokens(result.usage?.outputTokens)} out)`));
+      }
 
       if (result.code === 0) {
         console.log(chalk.green('\n✓ Task completed'));
@@ -167,28 +290,43 @@ program
   .description('Show configuration and environment info')
   .option('-c, --config <file>', 'Config file', './config.yaml')
   .option('-d, --dir <path>', 'Working directory (target project)')
+  .option('-t, --tasks <file>', 'Task file whose `config:` block should be applied')
+  .option('--profile <name>', 'Config profile to apply (from `profiles:`)')
   .action(async (options) => {
     console.log(chalk.cyan(banner));
 
-    const config = await loadConfig(options.config);
+    let layered;
+    try {
+      layered = await loadConfigLayers(options.config, {
+        dir: options.dir,
+        profile: options.profile,
+        taskFile: options.tasks
+      });
+    } catch (error) {
+      console.log(chalk.red(`✗ ${error.message}`));
+      process.exit(1);
+    }
+
+    const { config, sources, layers } = layered;
     const effectiveWorkDir = options.dir || config.workingDirectory || process.cwd();
     const provider = config.provider || 'claude';
-    const providerInfo = getProviderInfo(provider, config.model);
+    const providerInfo = getProviderInfo(provider, config.model, config);
 
     console.log(chalk.bold('Edge Autopilot Status'));
     console.log(chalk.gray('Node:'), process.version);
     console.log(chalk.gray('Config file:'), options.config);
+    console.log(chalk.gray('Profile:'), config.profile || '(none)');
     console.log(chalk.gray('Config workingDirectory:'), config.workingDirectory || '(not set)');
     console.log(chalk.gray('Effective workingDirectory:'), effectiveWorkDir);
-    console.log(chalk.gray('Dashboard enabled:'), Boolean(config.dashboard));
+    console.log(chalk.gray('Dashboard enabled:'), config.dashboard !== false && config.dashboard?.enabled !== false);
     console.log(chalk.gray('Mode:'), config.mode || '(not set)');
     console.log(chalk.gray('Provider:'), providerInfo.provider);
     console.log(chalk.gray('Model:'), providerInfo.model);
 
     // Show available providers
     console.log(chalk.bold('\nAvailable Providers:'));
-    for (const [key, prov] of Object.entries(PROVIDERS)) {
-      const models = Object.keys(prov.models).filter(m => !['default', 'fast', 'best'].includes(m));
+    for (const key of Object.keys(PROVIDERS)) {
+      const models = Object.keys(providerModels(key, config)).filter(m => !['default', 'fast', 'best'].includes(m));
       console.log(chalk.gray(`  ${key}:`), models.join(', '));
     }
 
@@ -196,6 +334,174 @@ program
     console.log(chalk.bold('\nAPI Keys:'));
     console.log(chalk.gray('  ANTHROPIC_API_KEY:'), process.env.ANTHROPIC_API_KEY ? '✓ set' : '✗ not set');
     console.log(chalk.gray('  OPENAI_API_KEY:'), process.env.OPENAI_API_KEY ? '✓ set' : '✗ not set');
+
+    // Check the local model server
+    if (provider === 'local' || config.providers?.local) {
+      const endpoint = await new LocalProvider(config).checkEndpoint();
+      console.log(chalk.bold('\nLocal Endpoint:'));
+      console.log(chalk.gray('  URL:'), endpoint.baseUrl);
+      console.log(chalk.gray('  Models:'), ['default', 'fast', 'best'].map(alias => `${alias}=${resolveModel('local', alias, config)}`).join(', '));
+      if (endpoint.ok) {
+        console.log(chalk.gray('  Reachable:'), chalk.green(`✓ yes (${endpoint.models.length} models served)`));
+        // Models the config points at that the server does not list
+        const configured = new Set(['default', 'fast', 'best'].map(alias => resolveModel('local', alias, config)));
+        if (provider === 'local') configured.add(providerInfo.model);
+        const missing = [...configured].filter(model => !endpoint.models.includes(model));
+        if (endpoint.models.length > 0 && missing.length > 0) {
+          console.log(chalk.gray('  Not served:'), chalk.yellow(missing.join(', ')));
+        }
+      } else {
+        console.log(chalk.gray('  Reachable:'), chalk.red(`✗ no (${endpoint.error})`));
+      }
+    }
+
+    // What sessions in this project have cost so far
+    const projectUsage = (await UsageLedger.open(config.logging?.directory)).project(effectiveWorkDir);
+    const budget = config.budget || {};
+    console.log(chalk.bold('\nUsage:'));
+    if (projectUsage) {
+      console.log(chalk.gray('  Project total:'), `$${projectUsage.costUsd.toFixed(2)} over ${projectUsage.sessions} sessions (${formatTokens(tokensIn(projectUsage.usage))} tokens in, ${formatTokens(projectUsage.usage.outputTokens)} out)`);
+      console.log(chalk.gray('  Last session:'), projectUsage.lastSession);
+    } else {
+      console.log(chalk.gray('  Project total:'), 'no sessions recorded');
+    }
+    console.log(chalk.gray('  Budget:'), `${budget.max_usd_per_session ? `$${budget.max_usd_per_session} per session` : 'no session limit'}, ${budget.max_usd_per_task ? `$${budget.max_usd_per_task} per task` : 'no task limit'}`);
+
+    // Show config layers, lowest precedence first
+    console.log(chalk.bold('\nConfig Layers:'));
+    for (const layer of layers) {
+      console.log(chalk.gray(`  ${layer.name.padEnd(16)}`), layer.file || '');
+    }
+
+    console.log(chalk.bold('\nEffective Config:'));
+    for (const [path, source] of [...sources].sort(([a], [b]) => a.localeCompare(b))) {
+      if (path.startsWith('profiles.')) continue;
+      const value = path.split('.').reduce((obj, key) => obj?.[key], config);
+      console.log(`  ${path} = ${formatConfigValue(path, value)}`, chalk.gray(`(${source})`));
+    }
+  });
+
+/**
+ * Write supervisor events as JSON lines to a file descriptor (for the Commander)
+ */
+function streamEvents(supervisor, fd) {
+  if (fd === undefined) return;
+
+  const out = createWriteStream(null, { fd: Number(fd) });
+  out.on('error', () => {});
+  supervisor.on('event', (event) => out.write(JSON.stringify(event) + '\n'));
+}
+
+/**
+ * Load the layered config for a command, exiting on an unknown profile
+ */
+async function loadCliConfig(options, taskFile) {
+  try {
+    return await loadConfig(options.config, {
+      dir: options.dir,
+      profile: options.profile,
+      taskFile
+    });
+  } catch (error) {
+    console.log(chalk.red(`✗ ${error.message}`));
+    process.exit(1);
+  }
+}
+
+/**
+ * Format a config value for display, hiding secrets and shortening long text
+ */
+function formatConfigValue(path, value) {
+  if (value && /(pass|password|token|secret|webhook_url)$/i.test(path)) {
+    return '********';
+  }
+
+  const text = JSON.stringify(value) ?? 'undefined';
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+const configCommand = program
+  .command('config')
+  .description('Inspect and validate configuration');
+
+configCommand
+  .command('validate')
+  .description('Check the config file for unknown keys, wrong types, invalid values and unset variables')
+  .option('-c, --config <file>', 'Config file', './config.yaml')
+  .action(async (options) => {
+    const { issues } = await validateConfigFile(options.config);
+    const errors = issues.filter(i => i.severity === 'error');
+    const warnings = issues.filter(i => i.severity === 'warning');
+
+    for (const issue of issues) {
+      const color = issue.severity === 'error' ? chalk.red : chalk.yellow;
+      console.log(color(formatIssue(issue)));
+    }
+
+    if (errors.length > 0) {
+      console.log(chalk.red(`\n✗ ${errors.length} error(s), ${warnings.length} warning(s) in ${options.config}`));
+      process.exit(1);
+    }
+
+    console.log(chalk.green(`${issues.length > 0 ? '\n' : ''}✓ ${options.config} is valid${warnings.length ? ` (${warnings.length} warning(s))` : ''}`));
+  });
+
+const detectorCommand = program
+  .command('detector')
+  .description('Inspect or clear what the detector has learned for a project');
+
+detectorCommand
+  .command('stats')
+  .description('Show learned command, path and package stats')
+  .option('-c, --config <file>', 'Config file', './config.yaml')
+  .option('-d, --dir <path>', 'Project directory')
+  .option('-n, --limit <n>', 'Entries per list', '10')
+  .action(async (options) => {
+    const config = await loadCliConfig(options);
+    const projectDir = options.dir || config.workingDirectory || process.cwd();
+    const store = await LearningStore.open(projectDir, { trustAfter: config.detection?.trust_after });
+    const stats = store.stats(parseInt(options.limit, 10));
+
+    console.log(chalk.cyan('\n═══ Detector Learning ═══\n'));
+    console.log(`Project: ${stats.project}`);
+    console.log(`Store: ${stats.file}${stats.updatedAt ? chalk.gray(` (updated ${stats.updatedAt})`) : chalk.gray(' (empty)')}`);
+    console.log(`Learning: ${config.detection?.enable_learning ? chalk.green('enabled') : chalk.yellow('disabled (detection.enable_learning)')}`);
+    console.log(`Actions recorded: ${stats.actions}`);
+    console.log(`Known: ${stats.counts.commands} commands, ${stats.counts.paths} paths, ${stats.counts.packages} packages`);
+
+    const list = (title, entries, format) => {
+      if (entries.length === 0) return;
+      console.log(chalk.cyan(`\n${title}:`));
+      for (const [key, entry] of entries) {
+        console.log(`  ${key.slice(0, 70).padEnd(70)} ${chalk.gray(format(entry))}`);
+      }
+    };
+
+    list('By action type', Object.entries(stats.types).sort((a, b) => b[1] - a[1]).map(([type, n]) => [type, n]), n => `${n}`);
+    list('Most seen commands', stats.mostSeenCommands, e => `${e.seen} seen, ${e.approved} approved, ${e.denied} denied`);
+    list('Most edited paths', stats.mostEditedPaths, e => `${e.edits} edits`);
+    list('Most approved', stats.mostApproved, e => `${e.approved} approved`);
+    list('Most denied (riskier)', stats.mostDenied, e => `${e.denied} denied`);
+
+    if (stats.trusted.length > 0) {
+      console.log(chalk.cyan(`\nTrusted (auto-accepted after ${store.trustAfter} approvals):`));
+      stats.trusted.forEach(key => console.log(`  ${chalk.green(key)}`));
+    }
+    console.log('');
+  });
+
+detectorCommand
+  .command('reset')
+  .description('Forget everything learned for a project')
+  .option('-c, --config <file>', 'Config file', './config.yaml')
+  .option('-d, --dir <path>', 'Project directory')
+  .action(async (options) => {
+    const config = await loadCliConfig(options);
+    const projectDir = options.dir || config.workingDirectory || process.cwd();
+    const store = await LearningStore.open(projectDir);
+
+    await store.reset();
+    console.log(chalk.green(`✓ Cleared learned detector stats for ${store.data.project}`));
   });
 
 program.parse();
@@ -0,0 +1,58 @@
+/**
+ * Tests for the `autopilot run` command, driven by the mock provider
+ *
+ * The CLI runs as its own process in a temp project whose config.yaml
+ * points the mock provider at src/fixtures/transcripts.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+const CLI = fileURLToPath(new URL('./cli.js', import.meta.url));
+const FIXTURES = fileURLToPath(new URL('./fixtures/transcripts', import.meta.url));
+
+const CONFIG = `provider: mock
+providers:
+  mock:
+    fixtures: ${JSON.stringify(FIXTURES)}
+    speed: 0
+logging:
+  directory: ./logs
+copilot:
+  auto_accept: [file_create, file_edit, terminal_command]
+  require_approval: [git_push]
+`;
+
+describe('autopilot run', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'cli-test-'));
+  const project = join(dir, 'project');
+  mkdirSync(project);
+  mkdirSync(join(dir, 'home'));
+  writeFileSync(join(project, 'config.yaml'), CONFIG);
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  // A home of its own keeps the user's config and learning store out of the run
+  const run = (...args) => new Promise((resolve) => {
+    execFile(process.execPath, [CLI, 'run', ...args], {
+      cwd: project,
+      env: { ...process.env, HOME: join(dir, 'home'), FORCE_COLOR: '0' },
+      timeout: 60_000
+    }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, output: stdout + stderr }));
+  });
+
+  it('runs a prompt through the approval gate', async () => {
+    const done = await run('Add', 'docs/usage.md');
+    assert.equal(done.code, 0, done.output);
+    assert.match(done.output, /Task completed/);
+
+    // With no dashboard and no copilot prompt, git push is denied
+    const push = await run('-m', 'push-release', 'Tag', 'and', 'push', 'v1.2.0');
+    assert.equal(push.code, 1, push.output);
+    assert.match(push.output, /Task failed: Action denied: git_push/);
+  });
+});
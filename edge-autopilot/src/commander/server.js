@@ -4,6 +4,7 @@ import { spawn } from 'child_process';
 import { writeFileSync, mkdirSync, readdirSync, statSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { detectAction } from '../detection/index.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -227,11 +228,13 @@ async function runAutopilot(ws, tasks, projectPath, sessionId) {
     }
   }));
 
-  // Spawn the autopilot CLI with --no-dashboard since Commander has its own UI
+  // Spawn the autopilot CLI with --no-dashboard since Commander has its own UI.
+  // Structured events (task transitions, tool calls, assistant text) arrive as
+  // JSON lines on fd 3; stdout is only forwarded as log lines.
   const cliPath = join(dirname(__dirname), 'cli.js');
-  const autopilot = spawn('node', [cliPath, 'autopilot', '-t', taskFile, '--no-dashboard'], {
+  const autopilot = spawn('node', [cliPath, 'autopilot', '-t', taskFile, '--no-dashboard', '--events-fd', '3'], {
     cwd: projectPath,
-    stdio: ['ignore', 'pipe', 'pipe'],  // Explicitly pipe stdout/stderr
+    stdio: ['ignore', 'pipe', 'pipe', 'pipe'],
     env: { ...process.env, FORCE_COLOR: '0' },
   });
 
@@ -239,21 +242,26 @@ async function runAutopilot(ws, tasks, projectPath, sessionId) {
 
   activeSessions.set(sessionId, { process: autopilot, ws });
 
-  let currentTaskIndex = 0;
-  let taskStarted = false;
-  let currentTaskOutput = [];  // Collect output for current task
-  let taskStartTime = Date.now();
+  // Task ID -> { output, startedAt } for tasks that are running
+  const runningTasks = new Map();
+  const taskDescriptions = new Map(tasks.map(t => [t.id, t.description]));
 
-  // Send initial task as running
-  if (tasks.length > 0) {
-    ws.send(JSON.stringify({
-      type: 'taskUpdate',
-      taskId: tasks[0].id,
-      status: 'running',
-    }));
-    taskStarted = true;
-    taskStartTime = Date.now();
-  }
+  let eventBuffer = '';
+  autopilot.stdio[3].setEncoding('utf8');
+  autopilot.stdio[3].on('data', (data) => {
+    eventBuffer += data;
+    const lines = eventBuffer.split('\n');
+    eventBuffer = lines.pop();
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        handleAutopilotEvent(ws, JSON.parse(line), runningTasks, taskDescriptions);
+      } catch (error) {
+        console.error('[Commander] Bad event line:', error.message);
+      }
+    }
+  });
 
   // Set encoding for proper string handling
   autopilot.stdout.setEncoding('utf8');
@@ -261,132 +269,14 @@ async function runAutopilot(ws, tasks, projectPath, sessionId) {
 
   autopilot.stdout.on('data', (data) => {
     const output = data.toString();
-
-    // Collect output for current task (skip banner/boilerplate)
-    if (taskStarted && !output.includes('╔═') && !output.includes('╚═') && !output.includes('║')) {
-      currentTaskOutput.push(output);
-    }
-
     const lines = output.split('\n').filter(l => l.trim());
 
     for (const line of lines) {
       // Normalize line for comparison (strip ANSI codes)
       const cleanLine = line.replace(/\x1b\[[0-9;]*m/g, '').trim();
 
-      // Parse task progress - multiple patterns for "Running" detection
-      const isRunningLine = cleanLine.includes('Running:') ||
-                            cleanLine.match(/^Running\s/i) ||
-                            cleanLine.match(/Task\s+\d+.*running/i);
-
-      if (isRunningLine && !taskStarted) {
-        if (currentTaskIndex < tasks.length) {
-          ws.send(JSON.stringify({
-            type: 'taskUpdate',
-            taskId: tasks[currentTaskIndex].id,
-            status: 'running',
-          }));
-          taskStarted = true;
-          taskStartTime = Date.now();
-          currentTaskOutput = [];
-        }
-      }
-
-      // Match task completion - multiple patterns
-      const isCompletedLine = cleanLine.includes('Task completed') ||
-                              cleanLine.match(/completed.*successfully/i) ||
-                              cleanLine.match(/^✓\s/) ||
-                              (cleanLine.includes('✓') && !cleanLine.includes('Running') && cleanLine.match(/task|complete|done|success/i));
-
-      if (isCompletedLine && currentTaskIndex < tasks.length && taskStarted) {
-        const taskDuration = Date.now() - taskStartTime;
-        const fullOutput = currentTaskOutput.join('').trim();
-
-        // Send task result with full output
-        ws.send(JSON.stringify({
-          type: 'taskResult',
-          taskId: tasks[currentTaskIndex].id,
-          description: tasks[currentTaskIndex].description,
-          status: 'complete',
-          output: fullOutput,
-          completedAt: new Date().toISOString(),
-          duration: taskDuration,
-        }));
-
-        ws.send(JSON.stringify({
-          type: 'taskUpdate',
-          taskId: tasks[currentTaskIndex].id,
-          status: 'complete',
-          completedAt: new Date().toISOString(),
-          output: fullOutput,
-        }));
-
-        currentTaskIndex++;
-        taskStarted = false;
-        currentTaskOutput = [];
-
-        // Start next task if available
-        if (currentTaskIndex < tasks.length) {
-          ws.send(JSON.stringify({
-            type: 'taskUpdate',
-            taskId: tasks[currentTaskIndex].id,
-            status: 'running',
-          }));
-          taskStarted = true;
-          taskStartTime = Date.now();
-        }
-      }
-
-      // Match task failures - multiple patterns
-      const isFailedLine = cleanLine.includes('Task failed') ||
-                           cleanLine.match(/^✗\s/) ||
-                           cleanLine.match(/failed.*with.*code/i) ||
-                           cleanLine.match(/^Error:/i) ||
-                           (cleanLine.includes('✗') && cleanLine.match(/task|fail|error/i));
-
-      // Avoid false positives for "error handling" discussions
-      const isFalsePositive = cleanLine.match(/error\s*handling/i) ||
-                              cleanLine.match(/catch.*error/i) ||
-                              cleanLine.match(/handle.*error/i);
-
-      if (isFailedLine && !isFalsePositive && currentTaskIndex < tasks.length && taskStarted) {
-        const taskDuration = Date.now() - taskStartTime;
-        const fullOutput = currentTaskOutput.join('').trim();
-
-        // Send task result with full output
-        ws.send(JSON.stringify({
-          type: 'taskResult',
-          taskId: tasks[currentTaskIndex].id,
-          description: tasks[currentTaskIndex].description,
-          status: 'failed',
-          output: fullOutput,
-          error: line,
-          completedAt: new Date().toISOString(),
-          duration: taskDuration,
-        }));
-
-        ws.send(JSON.stringify({
-          type: 'taskUpdate',
-          taskId: tasks[currentTaskIndex].id,
-          status: 'failed',
-          error: line,
-          output: fullOutput,
-        }));
-
-        currentTaskIndex++;
-        taskStarted = false;
-        currentTaskOutput = [];
-
-        // Start next task if available
-        if (currentTaskIndex < tasks.length) {
-          ws.send(JSON.stringify({
-            type: 'taskUpdate',
-            taskId: tasks[currentTaskIndex].id,
-            status: 'running',
-          }));
-          taskStarted = true;
-          taskStartTime = Date.now();
-        }
-      }
+      // Tool calls ("→ Bash: ...") are logged from the event stream
+      if (cleanLine.startsWith('→ ')) continue;
 
       // Determine log entry type
       let logType = 'info';
@@ -394,7 +284,7 @@ async function runAutopilot(ws, tasks, projectPath, sessionId) {
         logType = 'error';
       } else if (cleanLine.includes('✓') || cleanLine.match(/completed|success/i)) {
         logType = 'success';
-      } else if (cleanLine.match(/Modified:|Created:|Wrote:|Deleted:/i)) {
+      } else if (detectAction(cleanLine)?.type.startsWith('file_')) {
         logType = 'file-change';
       } else if (cleanLine.match(/warning/i)) {
         logType = 'warning';
@@ -451,6 +341,67 @@ async function runAutopilot(ws, tasks, projectPath, sessionId) {
   });
 }
 
+// Task transitions that end a task, and the status the UI shows for them
+const FINISHED_EVENTS = {
+  task_completed: 'complete',
+  task_needs_review: 'complete',
+  task_failed: 'failed',
+  task_timed_out: 'failed',
+  task_safety_violation: 'failed',
+  task_blocked: 'failed',
+};
+
+/**
+ * Turn a structured autopilot event into UI updates
+ */
+function handleAutopilotEvent(ws, event, runningTasks, taskDescriptions) {
+  const send = (message) => ws.send(JSON.stringify(message));
+
+  if (event.type === 'task_started') {
+    runningTasks.set(event.taskId, { output: [], startedAt: Date.now() });
+    send({ type: 'taskUpdate', taskId: event.taskId, status: 'running' });
+    return;
+  }
+
+  if (FINISHED_EVENTS[event.type]) {
+    const status = FINISHED_EVENTS[event.type];
+    const running = runningTasks.get(event.taskId);
+    const output = running ? running.output.join('\n').trim() : '';
+    const error = event.error || event.reason;
+    runningTasks.delete(event.taskId);
+
+    send({
+      type: 'taskResult',
+      taskId: event.taskId,
+      description: taskDescriptions.get(event.taskId),
+      status,
+      output,
+      error,
+      completedAt: event.timestamp,
+      duration: running ? Date.now() - running.startedAt : 0,
+    });
+    send({ type: 'taskUpdate', taskId: event.taskId, status, error, output, completedAt: event.timestamp });
+    return;
+  }
+
+  const running = runningTasks.get(event.taskId);
+
+  if (event.type === 'text' && running) {
+    running.output.push(event.text);
+  } else if (event.type === 'tool_use') {
+    const input = event.input || {};
+    const isFileChange = ['Write', 'Edit', 'MultiEdit', 'NotebookEdit'].includes(event.name);
+    send({
+      type: 'log',
+      entry: {
+        type: isFileChange ? 'file-change' : 'info',
+        message: `${event.name}: ${input.file_path || input.command || input.pattern || ''}`.trim(),
+        timestamp: event.timestamp,
+      }
+    });
+  }
+}
+
 function generateYaml(tasks) {
   const lines = ['tasks:'];
 
@@ -0,0 +1,145 @@
+/**
+ * End-to-end test for the Commander server, driven by the mock provider
+ *
+ * The server runs as its own process on a free port, with a temp projects
+ * root. Starting a session over the WebSocket spawns the autopilot CLI in
+ * the project, which replays transcripts from src/fixtures/transcripts.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import { createServer } from 'http';
+import { once } from 'events';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+
+const SERVER = fileURLToPath(new URL('./server.js', import.meta.url));
+const FIXTURES = fileURLToPath(new URL('../fixtures/transcripts', import.meta.url));
+const TEMP_DIR = fileURLToPath(new URL('../../temp', import.meta.url));
+
+const CONFIG = `provider: mock
+model: sonnet
+providers:
+  mock:
+    fixtures: ${JSON.stringify(FIXTURES)}
+    speed: 0
+logging:
+  directory: ./logs
+  level: error
+autopilot:
+  auto_accept: [file_create, file_edit, terminal_command]
+  require_approval: [git_push]
+tasks:
+  retry:
+    delay_seconds: 0
+`;
+
+function freePort() {
+  const server = createServer();
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  }));
+}
+
+describe('Commander server', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'commander-test-'));
+  const project = join(dir, 'projects', 'demo');
+  const sessionId = `test-${process.pid}`;
+  let server;
+  let base;
+
+  before(async () => {
+    mkdirSync(join(project, 'tasks'), { recursive: true });
+    writeFileSync(join(project, 'package.json'), '{ "name": "demo" }\n');
+    writeFileSync(join(project, 'config.yaml'), CONFIG);
+    writeFileSync(join(project, 'tasks', 'release.yaml'), 'tasks:\n  - id: add-docs\n');
+    mkdirSync(join(dir, 'home'));
+
+    const port = await freePort();
+    base = `http://127.0.0.1:${port}`;
+    // A home of its own keeps the user's config and learning store out of the run
+    server = spawn(process.execPath, [SERVER], {
+      env: { ...process.env, COMMANDER_PORT: String(port), PROJECTS_ROOT: join(dir, 'projects'), HOME: join(dir, 'home') },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    let output = '';
+    server.stdout.setEncoding('utf8');
+    server.stderr.resume();
+    await new Promise((resolve, reject) => {
+      server.stdout.on('data', (chunk) => {
+        output += chunk;
+        if (output.includes('WebSocket server ready')) resolve();
+      });
+      server.on('exit', code => reject(new Error(`Commander server exited with code ${code}:\n${output}`)));
+    });
+  });
+
+  after(async () => {
+    if (server.exitCode === null) {
+      server.kill();
+      await once(server, 'exit');
+    }
+    rmSync(dir, { recursive: true, force: true });
+    rmSync(join(TEMP_DIR, `commander-${sessionId}.yaml`), { force: true });
+  });
+
+  it('lists projects and their task files', async () => {
+    const projects = await (await fetch(`${base}/api/projects`)).json();
+    assert.deepEqual(projects, [{ name: 'demo', path: project, hasPackageJson: true, hasTasks: true }]);
+
+    const tasks = await (await fetch(`${base}/api/projects/demo/tasks`)).json();
+    assert.deepEqual(tasks, [{ name: 'release.yaml', path: join(project, 'tasks', 'release.yaml') }]);
+
+    assert.equal((await fetch(`${base}/api/stop/nothing`, { method: 'POST' })).status, 404);
+  });
+
+  it('runs a session and streams task updates, tool calls and the exit', async () => {
+    const ws = new WebSocket(base.replace('http', 'ws'));
+    await once(ws, 'open');
+
+    const messages = [];
+    const complete = new Promise((resolve) => {
+      ws.on('message', (data) => {
+        const message = JSON.parse(data.toString());
+        messages.push(message);
+        if (message.type === 'complete') resolve(message);
+      });
+    });
+
+    ws.send(JSON.stringify({
+      type: 'start',
+      sessionId,
+      projectPath: project,
+      tasks: [
+        { id: 'add-docs', description: 'Add "usage" docs', prompt: 'Add docs/usage.md\nKeep it short' },
+        { id: 'push-release', description: 'Push the release', prompt: 'Tag and push v1.2.0' }
+      ]
+    }));
+
+    const done = await complete;
+    ws.close();
+    assert.equal(done.sessionId, sessionId);
+
+    const updates = messages.filter(m => m.type === 'taskUpdate').map(m => [m.taskId, m.status]);
+    assert.deepEqual(updates, [
+      ['add-docs', 'running'], ['add-docs', 'complete'],
+      ['push-release', 'running'], ['push-release', 'failed']
+    ]);
+
+    const results = Object.fromEntries(messages.filter(m => m.type === 'taskResult').map(m => [m.taskId, m]));
+    assert.equal(results['add-docs'].description, 'Add "usage" docs');
+    assert.equal(results['add-docs'].output, 'Added docs/usage.md');
+    // With no dashboard and no one at a terminal, git push is denied
+    assert.match(results['push-release'].error, /Action denied: git_push/);
+
+    const logs = messages.filter(m => m.type === 'log').map(m => m.entry);
+    assert.ok(logs.some(e => e.type === 'file-change' && e.message === 'Write: docs/usage.md'));
+    assert.ok(logs.some(e => e.message === 'Bash: git push origin main --tags'));
+  });
+});
@@ -0,0 +1,370 @@
+import { PROVIDERS } from './providers/index.js';
+
+/**
+ * Schema for config.yaml
+ *
+ * Each node has a `type` (or list of allowed types), plus:
+ * - properties: known keys of an object
+ * - additionalProperties: true to allow keys that are not listed, or a schema for them
+ * - items: schema for array elements
+ * - enum: allowed values
+ * - format: 'regex' for strings that are compiled as regular expressions
+ * - prefixEnum: allowed values of the part of a string before the first ':'
+ */
+
+const str = { type: 'string' };
+const num = { type: 'number' };
+const bool = { type: 'boolean' };
+const strList = { type: 'array', items: str };
+const optionalStr = { type: ['string', 'null'] };
+const regex = { type: 'string', format: 'regex' };
+
+// USD per million tokens of each kind, by model ID or alias
+const prices = {
+  type: 'object',
+  properties: {},
+  additionalProperties: {
+    type: 'object',
+    properties: { input: num, output: num, cache_read: num, cache_write: num }
+  }
+};
+const priced = { type: 'object', properties: { prices } };
+
+const modeActions = {
+  type: 'object',
+  properties: {
+    auto_accept: strList,
+    quick_confirm: strList,
+    require_approval: strList,
+    timeout_seconds: num,
+    stop_on: {
+      type: 'object',
+      properties: {
+        error_count: num,
+        unknown_action: bool,
+        max_risk_score: num
+      }
+    },
+    notify: {
+      type: 'object',
+      properties: {
+        on_complete: bool,
+        on_error: bool,
+        method: str
+      }
+    }
+  }
+};
+
+export const CONFIG_SCHEMA = {
+  type: 'object',
+  properties: {
+    profile: str,
+    mode: { type: 'string', enum: ['autopilot', 'copilot'] },
+    provider: { type: 'string', enum: Object.keys(PROVIDERS) },
+    model: str,
+    // provider or provider:model entries, tried in order
+    provider_chain: { type: 'array', items: { type: 'string', prefixEnum: Object.keys(PROVIDERS) } },
+    workingDirectory: optionalStr,
+    dashboardPort: num,
+
+    providers: {
+      type: 'object',
+      properties: {
+        claude: priced,
+        anthropic: priced,
+        openai: priced,
+        local: {
+          type: 'object',
+          properties: {
+            base_url: str,
+            api_key: optionalStr,
+            max_tokens: num,
+            models: { type: 'object', properties: {}, additionalProperties: str },
+            prices
+          }
+        },
+        mock: {
+          type: 'object',
+          properties: {
+            fixtures: str,
+            speed: num
+          }
+        }
+      }
+    },
+
+    // Tiers for `model: auto` (see routing.js)
+    routing: {
+      type: 'object',
+      properties: {
+        thresholds: { type: 'object', properties: { fast: num, best: num } },
+        kinds: { type: 'object', properties: {}, additionalProperties: num }
+      }
+    },
+
+    // Spending limits in USD (0 = no limit)
+    budget: {
+      type: 'object',
+      properties: {
+        max_usd_per_session: num,
+        max_usd_per_task: num
+      }
+    },
+
+    autopilot: modeActions,
+    copilot: modeActions,
+
+    detection: {
+      type: 'object',
+      properties: {
+        risk_thresholds: {
+          type: 'object',
+          properties: {
+            auto_deny: { type: ['number', 'null'] },
+            require_approval: num,
+            warn: num
+          }
+        },
+        enable_learning: bool,
+        trust_after: num,
+        custom_dangerous_patterns: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              pattern: regex,
+              severity: { type: 'string', enum: ['critical', 'high', 'medium', 'low'] },
+              reason: str
+            }
+          }
+        },
+        // New action types, or extra patterns/risk factors for built-in ones
+        action_types: {
+          type: 'object',
+          properties: {},
+          additionalProperties: {
+            type: 'object',
+            properties: {
+              base_risk: num,
+              patterns: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    regex,
+                    confidence: num
+                  }
+                }
+              },
+              risk_factors: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    name: str,
+                    match: regex,
+                    target: regex,
+                    risk: num
+                  }
+                }
+              }
+            }
+          }
+        },
+        // Package names (or `*` globs) that installs may always / never add
+        packages: {
+          type: 'object',
+          properties: {
+            allow: strList,
+            deny: strList
+          }
+        }
+      }
+    },
+
+    notifications: {
+      type: 'object',
+      properties: {
+        system: {
+          type: 'object',
+          properties: {
+            enabled: bool,
+            on_complete: bool,
+            on_error: bool,
+            on_approval_needed: bool
+          }
+        },
+        slack: {
+          type: 'object',
+          properties: {
+            enabled: bool,
+            webhook_url: str,
+            channel: str,
+            bot_name: str,
+            bot_emoji: str,
+            notify_on: strList,
+            mention_on_critical: str,
+            signing_secret: str
+          }
+        },
+        email: {
+          type: 'object',
+          properties: {
+            enabled: bool,
+            smtp: {
+              type: 'object',
+              properties: {
+                host: str,
+                port: num,
+                secure: bool,
+                user: str,
+                pass: str
+              }
+            },
+            from: str,
+            to: { type: ['string', 'array'] },
+            send_on: strList,
+            daily_digest_time: str
+          }
+        }
+      }
+    },
+
+    integrations: {
+      type: 'object',
+      properties: {
+        github: {
+          type: 'object',
+          properties: {
+            enabled: bool,
+            token: str,
+            owner: str,
+            repo: str,
+            webhook_secret: str,
+            create_issues_on_failure: bool,
+            issue_labels: strList,
+            comment_on_prs: bool,
+            workflows: {
+              type: 'object',
+              properties: {
+                on_session_complete: optionalStr,
+                on_task_failed: optionalStr,
+                on_critical_action: optionalStr
+              }
+            }
+          }
+        }
+      }
+    },
+
+    dashboard: {
+      type: 'object',
+      properties: {
+        enabled: bool,
+        port: num,
+        host: str,
+        auto_open: bool,
+        auth: {
+          type: 'object',
+          properties: {
+            enabled: bool,
+            password: str
+          }
+        }
+      }
+    },
+
+    tasks: {
+      type: 'object',
+      properties: {
+        source: str,
+        on_complete: { type: 'string', enum: ['next', 'pause', 'notify'] },
+        timeout: num,
+        max_turns: num,
+        escalate_on_failure: bool,
+        concurrency: num,
+        worktree_dir: str,
+        write_back: bool,
+        retry: {
+          type: 'object',
+          properties: {
+            enabled: bool,
+            max_attempts: num,
+            delay_seconds: num
+          }
+        }
+      }
+    },
+
+    context: {
+      type: 'object',
+      properties: {
+        project_standards: str,
+        current_focus: str,
+        error_handling: str,
+        // Repo map, git history and task files in prompts (see project-context.js)
+        auto_inject: {
+          type: 'object',
+          properties: {
+            enabled: bool,
+            max_tokens: num,
+            repo_map: bool,
+            git_log: num,
+            git_diff: bool
+          }
+        }
+      }
+    },
+
+    logging: {
+      type: 'object',
+      properties: {
+        directory: str,
+        level: { type: 'string', enum: ['debug', 'info', 'warn', 'error'] },
+        include_prompts: bool,
+        include_responses: bool,
+        include_actions: bool,
+        record_transcripts: bool,
+        daily_summary: bool,
+        rotation: {
+          type: 'object',
+          properties: {
+            max_files: num,
+            max_size_mb: num
+          }
+        }
+      }
+    },
+
+    safety: {
+      type: 'object',
+      properties: {
+        protected_paths: strList,
+        sensitive_paths: strList,
+        max_changes_per_session: num,
+        max_deletes_per_session: num,
+        max_autonomous_hours: num,
+        on_limit: { type: 'string', enum: ['stop', 'pause'] },
+        dry_run: bool,
+        sandbox: bool
+      }
+    },
+
+    approvals: {
+      type: 'object',
+      properties: {
+        timeout_minutes: num,
+        default_decision: { type: 'string', enum: ['approve', 'deny'] },
+        base_url: optionalStr
+      }
+    }
+  }
+};
+
+// Each profile is a partial config applied on top of the other layers
+CONFIG_SCHEMA.properties.profiles = {
+  type: 'object',
+  properties: {},
+  additionalProperties: CONFIG_SCHEMA
+};
@@ -1,70 +1,352 @@
 import { readFile } from 'fs/promises';
-import { parse } from 'yaml';
+import { parseDocument, LineCounter } from 'yaml';
 import { existsSync } from 'fs';
+import { homedir } from 'os';
+import { join } from 'path';
+import { CONFIG_SCHEMA } from './config-schema.js';
+
+/** User-level config shared by every project */
+export const USER_CONFIG_PATH = join(homedir(), '.config', 'edge-autopilot', 'config.yaml');
+
+/** Project-local config looked up in the target working directory */
+export const PROJECT_CONFIG_FILE = '.autopilot.yaml';
+
+// ${VAR} or ${VAR:-default}
+const ENV_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+const DEFAULT_CONFIG = {
+  mode: 'copilot',
+  autopilot: {
+    auto_accept: ['file_create', 'file_edit', 'terminal_command'],
+    require_approval: ['file_delete', 'git_push', 'database_operation'],
+    stop_on: {
+      error_count: 3,
+      unknown_action: true
+    },
+    notify: {
+      on_complete: true,
+      on_error: true,
+      method: 'system'
+    }
+  },
+  copilot: {
+    auto_accept: ['file_create', 'file_edit'],
+    quick_confirm: ['terminal_command', 'npm_install'],
+    require_approval: ['file_delete', 'git_push']
+  },
+  tasks: {
+    source: './tasks/',
+    on_complete: 'next',
+    timeout: 30,
+    write_back: false,
+    retry: {
+      enabled: false,
+      max_attempts: 1,
+      delay_seconds: 5
+    }
+  },
+  context: {
+    project_standards: '',
+    current_focus: '',
+    error_handling: ''
+  },
+  logging: {
+    directory: './logs/',
+    level: 'info',
+    include_prompts: true,
+    include_responses: true
+  },
+  safety: {
+    protected_paths: ['.env', '.env.*', 'secrets/'],
+    sensitive_paths: [],
+    max_changes_per_session: 50,
+    max_autonomous_hours: 8,
+    on_limit: 'stop',
+    dry_run: false
+  },
+  approvals: {
+    timeout_minutes: 60,
+    default_decision: 'deny',
+    base_url: null
+  }
+};
 
 /**
  * Load and validate configuration
+ * @param {string} configPath - The --config file
+ * @param {object} options - Extra layers, see loadConfigLayers
  */
-export async function loadConfig(configPath) {
-  const defaultConfig = {
-    mode: 'copilot',
-    autopilot: {
-      auto_accept: ['file_create', 'file_edit', 'terminal_command'],
-      require_approval: ['file_delete', 'git_push', 'database_migration'],
-      stop_on: {
-        error_count: 3,
-        unknown_action: true
-      },
-      notify: {
-        on_complete: true,
-        on_error: true,
-        method: 'system'
+export async function loadConfig(configPath, options = {}) {
+  const { config } = await loadConfigLayers(configPath, options);
+  return config;
+}
+
+/**
+ * Load configuration by merging layers, lowest precedence first:
+ * defaults, user config, the --config file, the project's .autopilot.yaml,
+ * a named profile, and the `config:` block of the task file.
+ *
+ * @param {string} configPath - The --config file
+ * @param {object} options
+ * @param {string} options.dir - Target working directory (where .autopilot.yaml is looked up)
+ * @param {string} options.profile - Profile name from a `profiles:` map (defaults to the `profile:` key)
+ * @param {string} options.taskFile - Task file whose top-level `config:` block is applied last
+ * @param {string} options.userConfigPath - Override the user-level config location
+ * @returns {{ config: object, sources: Map<string, string>, layers: object[] }}
+ *   sources maps each dotted config path to the name of the layer that set it
+ */
+export async function loadConfigLayers(configPath, options = {}) {
+  const { dir, profile, taskFile, userConfigPath = USER_CONFIG_PATH } = options;
+  const layers = [{ name: 'defaults', config: structuredClone(DEFAULT_CONFIG) }];
+
+  const addFile = async (name, file, root) => {
+    if (!file || !existsSync(file)) return false;
+
+    try {
+      const content = await readFile(file, 'utf-8');
+      const { config, issues } = validateConfig(content, file, { root });
+
+      // Unset variables are expected for disabled integrations; run `config validate` to see them
+      for (const issue of issues.filter(i => i.severity === 'error')) {
+        console.warn(`Config: ${formatIssue(issue)}`);
       }
-    },
-    copilot: {
-      auto_accept: ['file_create', 'file_edit'],
-      quick_confirm: ['terminal_command', 'npm_install'],
-      require_approval: ['file_delete', 'git_push']
-    },
-    tasks: {
-      source: './tasks/',
-      on_complete: 'next',
-      timeout: 30
-    },
-    context: {
-      project_standards: '',
-      current_focus: '',
-      error_handling: ''
-    },
-    logging: {
-      directory: './logs/',
-      level: 'info',
-      include_prompts: true,
-      include_responses: true
-    },
-    safety: {
-      protected_paths: ['.env', '.env.*', 'secrets/'],
-      max_changes_per_session: 50,
-      max_autonomous_hours: 8,
-      dry_run: false
+
+      if (config) {
+        layers.push({ name, file, config });
+      }
+    } catch (error) {
+      console.error(`Error loading config ${file}: ${error.message}`);
     }
+    return true;
   };
 
-  if (!existsSync(configPath)) {
+  await addFile('user', userConfigPath);
+
+  if (!(await addFile('config', configPath))) {
     console.log(`Config not found at ${configPath}, using defaults`);
-    return defaultConfig;
   }
 
-  try {
-    const content = await readFile(configPath, 'utf-8');
-    const userConfig = parse(content);
-    
-    // Deep merge with defaults
-    return deepMerge(defaultConfig, userConfig);
-  } catch (error) {
-    console.error(`Error loading config: ${error.message}`);
-    return defaultConfig;
+  const workDir = dir || mergeLayers(layers).config.workingDirectory || process.cwd();
+  await addFile('project', join(workDir, PROJECT_CONFIG_FILE));
+
+  const base = mergeLayers(layers).config;
+  const profileName = profile || base.profile;
+  if (profileName) {
+    const profiles = base.profiles || {};
+    if (!profiles[profileName]) {
+      const available = Object.keys(profiles).join(', ') || 'none defined';
+      throw new Error(`Unknown config profile "${profileName}" (available: ${available})`);
+    }
+    layers.push({ name: `profile:${profileName}`, config: { ...profiles[profileName], profile: profileName } });
+  }
+
+  if (taskFile && /\.(ya?ml|json)$/i.test(taskFile)) {
+    await addFile('task file', taskFile, ['config']);
   }
+
+  return { ...mergeLayers(layers), layers };
+}
+
+/**
+ * Merge config layers in order, tracking which layer set each value
+ */
+function mergeLayers(layers) {
+  let config = {};
+  const sources = new Map();
+
+  for (const layer of layers) {
+    config = deepMerge(config, layer.config);
+    recordSources(layer.config, layer.name, [], sources);
+  }
+
+  return { config, sources };
+}
+
+/**
+ * Record the layer name for every leaf value in a config object
+ */
+function recordSources(value, name, path, sources) {
+  if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
+    for (const [key, item] of Object.entries(value)) {
+      recordSources(item, name, [...path, key], sources);
+    }
+    return;
+  }
+
+  const key = path.join('.');
+  // A leaf replaces anything a lower layer set beneath it
+  for (const existing of sources.keys()) {
+    if (existing.startsWith(`${key}.`)) sources.delete(existing);
+  }
+  sources.set(key, name);
+}
+
+/**
+ * Read a config file and check it against the schema
+ */
+export async function validateConfigFile(configPath, options = {}) {
+  if (!existsSync(configPath)) {
+    return {
+      config: null,
+      issues: [{ file: configPath, severity: 'error', message: 'Config file not found' }]
+    };
+  }
+
+  const content = await readFile(configPath, 'utf-8');
+  return validateConfig(content, configPath, options);
+}
+
+/**
+ * Parse config YAML, interpolate environment variables and validate against CONFIG_SCHEMA.
+ * Returns the interpolated config (null on YAML syntax errors) and a list of issues
+ * with file, line and column.
+ * @param {object} options.env - Variables for interpolation (defaults to process.env)
+ * @param {Array} options.root - Path of the config block inside the document (e.g. ['config'] in a task file)
+ */
+export function validateConfig(content, file = 'config.yaml', options = {}) {
+  const { env = process.env, root = [] } = options;
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(content, { lineCounter });
+  const issues = [];
+
+  if (doc.errors.length > 0) {
+    for (const error of doc.errors) {
+      const [pos] = error.linePos || [];
+      issues.push({ file, line: pos?.line, column: pos?.col, severity: 'error', message: error.message.split('\n')[0] });
+    }
+    return { config: null, issues };
+  }
+
+  const report = (path, message, severity = 'error', { key = false } = {}) => {
+    const pos = locate(doc, lineCounter, [...root, ...path], key);
+    issues.push({ file, line: pos?.line, column: pos?.col, path: path.join('.'), severity, message });
+  };
+
+  const block = root.reduce((value, key) => value?.[key], doc.toJS());
+  if (root.length > 0 && block === undefined) {
+    return { config: null, issues };
+  }
+
+  const unset = [];
+  const config = interpolateEnv(block || {}, env, [], unset);
+
+  for (const { path, name } of unset) {
+    report(path, `Environment variable ${name} is not set`, 'warning');
+  }
+
+  checkSchema(config, CONFIG_SCHEMA, [], report);
+
+  issues.sort((a, b) => (a.line || 0) - (b.line || 0));
+  return { config, issues };
+}
+
+/**
+ * Format a validation issue as file:line:column: severity: message
+ */
+export function formatIssue(issue) {
+  const location = [issue.file, issue.line, issue.column].filter(v => v !== undefined).join(':');
+  return `${location}: ${issue.severity}: ${issue.message}`;
+}
+
+/**
+ * Replace ${VAR} and ${VAR:-default} in every string value.
+ * A value that is exactly one placeholder keeps number/boolean types (e.g. `port: ${SMTP_PORT:-587}`).
+ * Variables with no value and no default become '' and are collected in `unset`.
+ */
+export function interpolateEnv(value, env = process.env, path = [], unset = []) {
+  if (Array.isArray(value)) {
+    return value.map((item, i) => interpolateEnv(item, env, [...path, i], unset));
+  }
+
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = interpolateEnv(item, env, [...path, key], unset);
+    }
+    return result;
+  }
+
+  if (typeof value !== 'string' || !value.includes('${')) {
+    return value;
+  }
+
+  const result = value.replace(ENV_PATTERN, (_, name, fallback) => {
+    if (env[name] !== undefined && env[name] !== '') return env[name];
+    if (fallback !== undefined) return fallback;
+    unset.push({ path, name });
+    return '';
+  });
+
+  const wholeValue = new RegExp(`^${ENV_PATTERN.source}$`).test(value);
+  if (wholeValue && /^-?\d+(\.\d+)?$/.test(result)) return Number(result);
+  if (wholeValue && /^(true|false)$/.test(result)) return result === 'true';
+  return result;
+}
+
+/**
+ * Check a value against a schema node, reporting problems by path
+ */
+function checkSchema(value, schema, path, report) {
+  if (value === undefined) return;
+
+  const allowed = [].concat(schema.type);
+  const actual = value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value;
+  const name = path.join('.') || 'config';
+
+  if (!allowed.includes(actual)) {
+    report(path, `${name} should be ${allowed.join(' or ')}, got ${actual}`);
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    report(path, `${name} has invalid value "${value}" (expected one of: ${schema.enum.join(', ')})`);
+    return;
+  }
+
+  if (schema.prefixEnum && actual === 'string' && !schema.prefixEnum.includes(value.split(':')[0])) {
+    report(path, `${name} has invalid value "${value}" (expected one of: ${schema.prefixEnum.join(', ')}, optionally followed by :<model>)`);
+    return;
+  }
+
+  if (schema.format === 'regex' && actual === 'string') {
+    try {
+      new RegExp(value, 'i');
+    } catch (error) {
+      report(path, `${name} is not a valid regular expression: ${error.message}`);
+    }
+  }
+
+  if (actual === 'object' && schema.properties) {
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.properties[key]) {
+        checkSchema(item, schema.properties[key], [...path, key], report);
+      } else if (typeof schema.additionalProperties === 'object') {
+        checkSchema(item, schema.additionalProperties, [...path, key], report);
+      } else if (!schema.additionalProperties) {
+        report([...path, key], `Unknown key ${[...path, key].join('.')}`, 'error', { key: true });
+      }
+    }
+  }
+
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => checkSchema(item, schema.items, [...path, i], report));
+  }
+}
+
+/**
+ * Find the line/column of a path in the YAML document (the key itself when `key` is set)
+ */
+function locate(doc, lineCounter, path, key = false) {
+  let node;
+
+  if (key && path.length > 0) {
+    const parent = path.length > 1 ? doc.getIn(path.slice(0, -1), true) : doc.contents;
+    node = parent?.items?.find(pair => pair.key?.value === path[path.length - 1])?.key;
+  } else {
+    node = path.length > 0 ? doc.getIn(path, true) : doc.contents;
+  }
+
+  return node?.range ? lineCounter.linePos(node.range[0]) : null;
 }
 
 /**
@@ -0,0 +1,164 @@
+/**
+ * Tests for config loading and validation
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { validateConfig, interpolateEnv, formatIssue, loadConfigLayers, PROJECT_CONFIG_FILE } from './config.js';
+
+describe('interpolateEnv', () => {
+  const env = { HOME_DIR: '/home/dev', PORT: '2525', VERBOSE: 'true', EMPTY: '' };
+
+  it('replaces ${VAR} and ${VAR:-default} in nested strings', () => {
+    const config = interpolateEnv({
+      logging: { directory: '${HOME_DIR}/logs' },
+      hosts: ['${MISSING:-localhost}', 'api.${MISSING:-example.com}'],
+      note: 'no placeholders'
+    }, env);
+    assert.deepEqual(config, {
+      logging: { directory: '/home/dev/logs' },
+      hosts: ['localhost', 'api.example.com'],
+      note: 'no placeholders'
+    });
+  });
+
+  it('keeps numbers and booleans for a value that is one placeholder', () => {
+    assert.equal(interpolateEnv('${PORT:-587}', env), 2525);
+    assert.equal(interpolateEnv('${SMTP_PORT:-587}', env), 587);
+    assert.equal(interpolateEnv('${VERBOSE}', env), true);
+    assert.equal(interpolateEnv('port ${PORT}', env), 'port 2525');
+  });
+
+  it('falls back to the default for empty variables and collects unset ones', () => {
+    const unset = [];
+    const config = interpolateEnv({ a: '${EMPTY:-fallback}', slack: { token: '${SLACK_TOKEN}' } }, env, [], unset);
+    assert.deepEqual(config, { a: 'fallback', slack: { token: '' } });
+    assert.deepEqual(unset, [{ path: ['slack', 'token'], name: 'SLACK_TOKEN' }]);
+  });
+});
+
+describe('validateConfig', () => {
+  it('accepts a valid config and interpolates it', () => {
+    const { config, issues } = validateConfig([
+      'mode: autopilot',
+      'tasks:',
+      '  timeout: ${TASK_TIMEOUT:-45}',
+      'logging:',
+      '  directory: ${LOG_DIR}'
+    ].join('\n'), 'config.yaml', { env: { LOG_DIR: '/var/log/autopilot' } });
+
+    assert.deepEqual(issues, []);
+    assert.equal(config.mode, 'autopilot');
+    assert.equal(config.tasks.timeout, 45);
+    assert.equal(config.logging.directory, '/var/log/autopilot');
+  });
+
+  it('reports schema problems with their line and column', () => {
+    const { issues } = validateConfig([
+      'mode: cruise',
+      'tasks:',
+      '  timeout: soon',
+      '  retyr: {}',
+      'safety:',
+      '  protected_paths: .env'
+    ].join('\n'), 'config.yaml', { env: {} });
+
+    assert.deepEqual(issues.map(formatIssue), [
+      'config.yaml:1:7: error: mode has invalid value "cruise" (expected one of: autopilot, copilot)',
+      'config.yaml:3:12: error: tasks.timeout should be number, got string',
+      'config.yaml:4:3: error: Unknown key tasks.retyr',
+      'config.yaml:6:20: error: safety.protected_paths should be array, got string'
+    ]);
+  });
+
+  it('warns about unset variables where they are used', () => {
+    const { issues } = validateConfig('notifications:\n  slack:\n    webhook_url: ${SLACK_WEBHOOK_URL}\n', 'config.yaml', { env: {} });
+    assert.deepEqual(issues.map(formatIssue), [
+      'config.yaml:3:18: warning: Environment variable SLACK_WEBHOOK_URL is not set'
+    ]);
+  });
+
+  it('reports YAML syntax errors without a config', () => {
+    const { config, issues } = validateConfig('mode: autopilot\n  tasks: [\n', 'broken.yaml', { env: {} });
+    assert.equal(config, null);
+    assert.ok(issues.length > 0);
+    assert.equal(issues[0].file, 'broken.yaml');
+    assert.equal(issues[0].severity, 'error');
+    assert.equal(typeof issues[0].line, 'number');
+  });
+
+  it('checks the config: block of a task file at its own lines', () => {
+    const content = 'name: release\nconfig:\n  mode: nope\ntasks:\n  - id: a\n';
+    const { config, issues } = validateConfig(content, 'queue.yaml', { env: {}, root: ['config'] });
+    assert.deepEqual(config, { mode: 'nope' });
+    assert.deepEqual(issues.map(formatIssue), [
+      'queue.yaml:3:9: error: mode has invalid value "nope" (expected one of: autopilot, copilot)'
+    ]);
+    assert.equal(validateConfig('tasks: []\n', 'queue.yaml', { root: ['config'] }).config, null);
+  });
+});
+
+describe('loadConfigLayers', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'config-test-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const project = join(dir, 'project');
+  mkdirSync(project);
+  const userConfigPath = join(dir, 'user.yaml');
+  const configPath = join(dir, 'config.yaml');
+  const taskFile = join(dir, 'queue.yaml');
+
+  writeFileSync(userConfigPath, 'mode: autopilot\ntasks:\n  timeout: 10\n  write_back: true\n');
+  writeFileSync(configPath, [
+    'tasks:',
+    '  timeout: 20',
+    '  retry:',
+    '    enabled: true',
+    'profiles:',
+    '  night:',
+    '    tasks:',
+    '      timeout: 120',
+    '    safety:',
+    '      max_autonomous_hours: 10'
+  ].join('\n'));
+  writeFileSync(join(project, PROJECT_CONFIG_FILE), 'tasks:\n  timeout: 30\nsafety:\n  max_autonomous_hours: 2\n');
+  writeFileSync(taskFile, 'name: release\nconfig:\n  safety:\n    max_autonomous_hours: 1\ntasks:\n  - id: a\n');
+
+  it('applies defaults, user, --config and project layers in that order', async () => {
+    const { config, sources } = await loadConfigLayers(configPath, { dir: project, userConfigPath });
+
+    assert.equal(config.mode, 'autopilot');
+    assert.equal(config.tasks.timeout, 30);
+    assert.equal(config.tasks.write_back, true);
+    assert.equal(config.tasks.retry.enabled, true);
+    assert.equal(config.tasks.retry.max_attempts, 1);
+    assert.equal(config.safety.max_autonomous_hours, 2);
+
+    assert.equal(sources.get('mode'), 'user');
+    assert.equal(sources.get('tasks.timeout'), 'project');
+    assert.equal(sources.get('tasks.write_back'), 'user');
+    assert.equal(sources.get('tasks.retry.enabled'), 'config');
+    assert.equal(sources.get('tasks.retry.max_attempts'), 'defaults');
+  });
+
+  it('applies a profile over the project, and the task file\'s config: block last', async () => {
+    const { config, sources, layers } = await loadConfigLayers(configPath, { dir: project, userConfigPath, profile: 'night', taskFile });
+
+    assert.deepEqual(layers.map(l => l.name), ['defaults', 'user', 'config', 'project', 'profile:night', 'task file']);
+    assert.equal(config.profile, 'night');
+    assert.equal(config.tasks.timeout, 120);
+    assert.equal(sources.get('tasks.timeout'), 'profile:night');
+    assert.equal(config.safety.max_autonomous_hours, 1);
+    assert.equal(sources.get('safety.max_autonomous_hours'), 'task file');
+  });
+
+  it('rejects an unknown profile', async () => {
+    await assert.rejects(
+      loadConfigLayers(configPath, { dir: project, userConfigPath, profile: 'weekend' }),
+      /Unknown config profile "weekend" \(available: night\)/
+    );
+  });
+});
@@ -1,5 +1,6 @@
 import { createServer } from 'http';
 import { EventEmitter } from 'events';
+import { createHmac, timingSafeEqual } from 'crypto';
 import { WebSocketServer } from 'ws';
 
 /**
@@ -9,12 +10,17 @@ import { WebSocketServer } from 'ws';
  * - HTTP server serving HTML dashboard
  * - WebSocket for real-time updates
  * - Event emission for approve/deny/pause/resume actions
+ * - Approval endpoints for email links and Slack buttons (when given an ApprovalBroker)
  */
 export class Dashboard extends EventEmitter {
   constructor(config = {}) {
     super();
     this.port = config.port || 3847;
+    // Anyone who can reach the dashboard can approve actions, so keep it local
+    this.host = config.host || '127.0.0.1';
     this.logsDir = config.logsDir || './logs';
+    this.approvals = config.approvals || null;
+    this.slackSigningSecret = config.slackSigningSecret || null;
 
     this.server = null;
     this.wss = null;
@@ -33,7 +39,8 @@ export class Dashboard extends EventEmitter {
         actionsApproved: 0,
         actionsDenied: 0,
         errors: 0,
-        filesChanged: 0
+        filesChanged: 0,
+        costUsd: 0
       },
       insights: null,
       sessionComplete: false
@@ -51,8 +58,9 @@ export class Dashboard extends EventEmitter {
 
       this.wss = new WebSocketServer({ server: this.server });
 
-      this.wss.on('connection', (ws) => {
+      this.wss.on('connection', (ws, req) => {
         this.clients.add(ws);
+        const client = `dashboard (${req.socket.remoteAddress})`;
 
         // Send current state to new client
         ws.send(JSON.stringify({ type: 'state', data: this.state }));
@@ -60,7 +68,7 @@ export class Dashboard extends EventEmitter {
         ws.on('message', (message) => {
           try {
             const data = JSON.parse(message.toString());
-            this.handleClientMessage(data);
+            this.handleClientMessage(data, client);
           } catch (e) {
             // Ignore invalid messages
           }
@@ -75,14 +83,14 @@ export class Dashboard extends EventEmitter {
         if (err.code === 'EADDRINUSE') {
           console.log(`Dashboard port ${this.port} in use, trying ${this.port + 1}`);
           this.port++;
-          this.server.listen(this.port);
+          this.server.listen(this.port, this.host);
         } else {
           reject(err);
         }
       });
 
-      this.server.listen(this.port, () => {
-        console.log(`Dashboard running at http://localhost:${this.port}`);
+      this.server.listen(this.port, this.host, () => {
+        console.log(`Dashboard running at http://${this.host}:${this.port}`);
         resolve();
       });
     });
@@ -114,7 +122,17 @@ export class Dashboard extends EventEmitter {
    * Handle HTTP requests
    */
   handleRequest(req, res) {
-    if (req.url === '/' || req.url === '/index.html') {
+    const url = new URL(req.url, 'http://localhost');
+    const approvalLink = url.pathname.match(/^\/api\/approvals\/([\w-]+)\/(approve|deny)$/);
+
+    if (approvalLink && this.approvals) {
+      this.handleApprovalLink(req, res, approvalLink[1], approvalLink[2], url.searchParams);
+    } else if (url.pathname === '/api/approvals' && this.approvals) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ pending: this.approvals.list(), decisions: this.approvals.decisions }));
+    } else if (url.pathname === '/api/slack/actions' && req.method === 'POST' && this.approvals) {
+      this.handleSlackAction(req, res);
+    } else if (req.url === '/' || req.url === '/index.html') {
       res.writeHead(200, { 'Content-Type': 'text/html' });
       res.end(this.getHtml());
     } else if (req.url === '/api/state') {
@@ -126,16 +144,85 @@ export class Dashboard extends EventEmitter {
     }
   }
 
+  /**
+   * Signed approve/deny link from an email.
+   * GET shows a confirmation page (so link scanners can't decide); POST records the decision.
+   */
+  handleApprovalLink(req, res, id, decision, params) {
+    const by = params.get('by') || '';
+    if (!this.approvals.verify(id, decision, by, params.get('token'))) {
+      res.writeHead(403, { 'Content-Type': 'text/plain' });
+      res.end('Invalid or expired approval link');
+      return;
+    }
+
+    if (req.method === 'POST') {
+      const record = this.approvals.decide(id, decision, { by: by || 'email recipient', channel: 'email' });
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(`<p>${record ? `Recorded: ${decision}` : 'This request was already decided or has expired.'}</p>`);
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(`<form method="POST"><p>${decision === 'approve' ? 'Approve' : 'Deny'} request ${id}?</p><button type="submit">Confirm</button></form>`);
+  }
+
+  /**
+   * Slack interactivity request (Approve/Deny buttons), verified with the app's signing secret
+   */
+  handleSlackAction(req, res) {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      if (!this.verifySlackSignature(req.headers, body)) {
+        res.writeHead(401);
+        res.end('Invalid signature');
+        return;
+      }
+
+      try {
+        const payload = JSON.parse(new URLSearchParams(body).get('payload'));
+        const button = payload.actions?.[0];
+        const { approvalId } = JSON.parse(button?.value || '{}');
+        const decision = { approve_action: 'approve', deny_action: 'deny' }[button?.action_id];
+
+        if (approvalId && decision) {
+          const user = payload.user || {};
+          this.approvals.decide(approvalId, decision, { by: user.username || user.name || user.id, channel: 'slack' });
+        }
+      } catch {
+        // Malformed payloads are acknowledged and ignored
+      }
+
+      res.writeHead(200);
+      res.end();
+    });
+  }
+
+  /**
+   * Check X-Slack-Signature (v0 HMAC of timestamp and body, at most 5 minutes old)
+   */
+  verifySlackSignature(headers, body) {
+    const timestamp = headers['x-slack-request-timestamp'];
+    const signature = headers['x-slack-signature'];
+    if (!this.slackSigningSecret || !timestamp || !signature) return false;
+    if (Math.abs(Date.now() / 1000 - Number(timestamp)) > 300) return false;
+
+    const expected = Buffer.from(`v0=${createHmac('sha256', this.slackSigningSecret).update(`v0:${timestamp}:${body}`).digest('hex')}`);
+    const actual = Buffer.from(String(signature));
+    return expected.length === actual.length && timingSafeEqual(expected, actual);
+  }
+
   /**
    * Handle WebSocket messages from clients
    */
-  handleClientMessage(data) {
+  handleClientMessage(data, client = 'dashboard') {
     switch (data.type) {
       case 'approve':
-        this.emit('approve', data.actionId);
-        break;
       case 'deny':
-        this.emit('deny', data.actionId);
+        this.approvals?.decide(data.actionId, data.type, { by: client, channel: 'dashboard' });
+        this.emit(data.type, data.actionId);
         break;
       case 'pause':
         this.emit('pause');
@@ -198,6 +285,18 @@ export class Dashboard extends EventEmitter {
     this.broadcast('action', actionWithTimestamp);
   }
 
+  /**
+   * Record the decision on an action that was waiting for approval
+   */
+  resolveAction(approvalId, decision, by = null) {
+    const action = this.state.actions.find(a => a.approvalId === approvalId);
+    if (action) {
+      action.status = decision;
+      action.decidedBy = by;
+    }
+    this.broadcast('actionResolved', { approvalId, status: decision, decidedBy: by });
+  }
+
   /**
    * Update session statistics
    */
@@ -390,7 +489,7 @@ export class Dashboard extends EventEmitter {
 
     .stats-grid {
       display: grid;
-      grid-template-columns: repeat(4, 1fr);
+      grid-template-columns: repeat(6, 1fr);
       gap: 16px;
     }
 
@@ -504,12 +603,29 @@ export class Dashboard extends EventEmitter {
       word-break: break-all;
     }
 
+    .action-reason {
+      font-size: 12px;
+      color: #d29922;
+      margin-top: 2px;
+    }
+
     .action-time {
       font-size: 11px;
       color: #484f58;
       margin-top: 4px;
     }
 
+    .action-approval {
+      display: flex;
+      gap: 6px;
+      margin-top: 8px;
+    }
+
+    .action-approval .btn {
+      padding: 4px 10px;
+      font-size: 12px;
+    }
+
     .action-risk {
       font-size: 11px;
       padding: 2px 8px;
@@ -746,6 +862,14 @@ export class Dashboard extends EventEmitter {
           <div class="stat-value warning" id="stat-denied">0</div>
           <div class="stat-label">Denied</div>
         </div>
+        <div class="stat-item">
+          <div class="stat-value" id="stat-cost">$0.00</div>
+          <div class="stat-label">Cost</div>
+        </div>
+        <div class="stat-item">
+          <div class="stat-value" id="stat-tokens">0</div>
+          <div class="stat-label">Tokens</div>
+        </div>
       </div>
     </div>
 
@@ -885,6 +1009,12 @@ export class Dashboard extends EventEmitter {
           if (state.actions.length > 100) state.actions = state.actions.slice(0, 100);
           updateActions();
           break;
+        case 'actionResolved':
+          state.actions
+            .filter(a => a.approvalId === message.data.approvalId)
+            .forEach(a => { a.status = message.data.status; a.decidedBy = message.data.decidedBy; });
+          updateActions();
+          break;
         case 'stats':
           state.stats = message.data;
           updateStats();
@@ -966,6 +1096,8 @@ export class Dashboard extends EventEmitter {
           <div class="task-label">Running</div>
           <div class="task-description">\${escapeHtml(state.currentTask.description || state.currentTask.prompt || 'Task in progress')}</div>
           \${state.currentTask.id ? '<div class="task-id">ID: ' + escapeHtml(state.currentTask.id) + '</div>' : ''}
+          \${state.currentTask.branch ? '<div class="task-id">Branch: ' + escapeHtml(state.currentTask.branch) + '</div>' : ''}
+          \${state.currentTask.provider ? '<div class="task-id">Provider: ' + escapeHtml(state.currentTask.provider) + '</div>' : ''}
         \`;
       } else {
         container.innerHTML = '<div class="no-task">No task running</div>';
@@ -1022,8 +1154,17 @@ export class Dashboard extends EventEmitter {
             <div class="action-icon \${iconClass}">\${getActionIcon(action.type)}</div>
             <div class="action-content">
               <div class="action-type">\${escapeHtml(action.type || 'unknown')}</div>
-              <div class="action-target">\${escapeHtml(action.target || action.path || action.command || '')}</div>
-              <div class="action-time">\${time}</div>
+              <div class="action-target">\${escapeHtml(action.target || action.path || action.command || '')}\${action.branch ? ' · ' + escapeHtml(action.branch) : ''}</div>
+              \${action.reason ? '<div class="action-reason">' + escapeHtml(action.reason) + '</div>' : ''}
+              \${action.providers ? '<div class="action-reason">Providers: ' + escapeHtml(action.providers) + '</div>' : ''}
+              <div class="action-time">\${time}\${action.approvalId && action.status !== 'pending' ? ' · ' + escapeHtml(action.status) + (action.decidedBy ? ' by ' + escapeHtml(action.decidedBy) : '') : ''}</div>
+              \${action.approvalId && action.afterTheFact ? '<div class="action-reason">The claude CLI has already run this; denying stops the task but does not undo it</div>' : ''}
+              \${action.approvalId && action.status === 'pending' ? \`
+                <div class="action-approval">
+                  <button class="btn btn-primary" onclick="decide('approve', '\${escapeHtml(action.approvalId)}')">Approve</button>
+                  <button class="btn btn-danger" onclick="decide('deny', '\${escapeHtml(action.approvalId)}')">Deny</button>
+                </div>
+              \` : ''}
             </div>
             \${action.riskLevel ? '<span class="action-risk ' + riskClass + '">' + action.riskLevel + '</span>' : ''}
           </div>
@@ -1036,6 +1177,13 @@ export class Dashboard extends EventEmitter {
       document.getElementById('stat-failed').textContent = state.stats.tasksFailed || 0;
       document.getElementById('stat-approved').textContent = state.stats.actionsApproved || 0;
       document.getElementById('stat-denied').textContent = state.stats.actionsDenied || 0;
+      document.getElementById('stat-cost').textContent = '$' + (state.stats.costUsd || 0).toFixed(2);
+
+      const usage = state.stats.usage || {};
+      const tokensIn = (usage.inputTokens || 0) + (usage.cacheReadTokens || 0) + (usage.cacheCreationTokens || 0);
+      const tokensOut = usage.outputTokens || 0;
+      document.getElementById('stat-tokens').textContent = formatTokens(tokensIn + tokensOut);
+      document.getElementById('stat-tokens').title = formatTokens(tokensIn) + ' in, ' + formatTokens(tokensOut) + ' out';
 
       if (state.stats.started) {
         sessionStartTime = new Date(state.stats.started).getTime();
@@ -1081,6 +1229,15 @@ export class Dashboard extends EventEmitter {
       }
     }
 
+    function decide(type, actionId) {
+      if (!ws || ws.readyState !== WebSocket.OPEN) {
+        console.warn('WebSocket not connected');
+        return;
+      }
+
+      ws.send(JSON.stringify({ type, actionId }));
+    }
+
     function getActionIconClass(type) {
       if (!type) return 'file';
       if (type.includes('file') || type.includes('read') || type.includes('write') || type.includes('edit')) return 'file';
@@ -1114,6 +1271,12 @@ export class Dashboard extends EventEmitter {
       return date.toLocaleTimeString();
     }
 
+    function formatTokens(count) {
+      if (count >= 1000000) return (count / 1000000).toFixed(1) + 'M';
+      if (count >= 1000) return (count / 1000).toFixed(1) + 'k';
+      return String(count);
+    }
+
     function escapeHtml(str) {
       if (!str) return '';
       return String(str)
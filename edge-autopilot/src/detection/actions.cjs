@@ -0,0 +1,259 @@
+'use strict';
+
+/**
+ * Action taxonomy, detection patterns and risk factors
+ *
+ * The single source of truth for what an action is: the supervisor's
+ * SmartDetector, the legacy ActionClassifier, the VS Code extension and
+ * Commander all classify with these definitions.
+ *
+ * Each action type has:
+ * - description: what it means (for config docs and UIs)
+ * - patterns: regexes with a confidence; the first capture group is the target
+ * - baseRisk: starting risk score (0-1)
+ * - riskFactors: functions (target, text, fileStats) returning risk to add
+ */
+const ACTION_TYPES = {
+  file_create: {
+    description: 'Create a new file',
+    patterns: [
+      { regex: /(?:Creating|Writing|Generating)\s+(?:new\s+)?file[:\s]+['"]?([^\s'"]+)/i, confidence: 0.95 },
+      { regex: /touch\s+([^\s;|&]+)/i, confidence: 0.9 },
+      // A redirect after a command word: not a quote or npm banner line ("> pkg@1.0.0 build"), -> or =>
+      { regex: /[^\s<>=-][ \t]*>>?[ \t]*([^\s;|&<>]+\.[a-z]\w*)/i, confidence: 0.7 },
+      { regex: /fs\.writeFile(?:Sync)?\s*\(\s*['"]([^'"]+)/i, confidence: 0.95 },
+      { regex: /echo\s+.*>\s*([^\s;|&]+)/i, confidence: 0.8 }
+    ],
+    baseRisk: 0.2,
+    riskFactors: {
+      path_depth: (path) => path.split('/').length > 5 ? 0.1 : 0,
+      extension: (path) => {
+        const dangerous = ['.sh', '.bash', '.env', '.pem', '.key'];
+        return dangerous.some(ext => path.endsWith(ext)) ? 0.4 : 0;
+      },
+      system_path: (path) => path.startsWith('/etc') || path.startsWith('/usr') ? 0.5 : 0
+    }
+  },
+
+  file_edit: {
+    description: 'Change an existing file',
+    patterns: [
+      // The target has to look like a path, so "stats not updating at /Users/..." is not an edit
+      { regex: /(?:Editing|Modifying|Updating)\s+(?:file\s+)?['"]?([\w@~-]*[./][^\s'"]*)/i, confidence: 0.95 },
+      { regex: /str_replace.*?(?:in|path)[:\s]+['"]?([^\s'"]+)/i, confidence: 0.95 },
+      { regex: /sed\s+-i.*?\s+([^\s;|&]+)/i, confidence: 0.9 },
+      { regex: /\bpatch\s+([^\s;|&]+)/i, confidence: 0.85 }
+    ],
+    baseRisk: 0.3,
+    riskFactors: {
+      config_file: (path) => /\.(json|yaml|yml|toml|ini|conf)$/.test(path) ? 0.2 : 0,
+      sensitive_file: (path) => /\.(env|pem|key|secret)/.test(path) ? 0.5 : 0,
+      frequency: (path, _, stats) => {
+        const edits = stats?.get(path)?.edits || 0;
+        return edits > 5 ? 0.3 : 0; // Suspicious if editing same file repeatedly
+      }
+    }
+  },
+
+  file_delete: {
+    description: 'Delete a file or directory',
+    patterns: [
+      { regex: /(?:Deleting|Removing)\s+(?:file\s+)?['"]?([\w@~-]*[./][^\s'"]*)/i, confidence: 0.95 },
+      { regex: /\brm\s+(?:-[rf]+\s+)?([^\s;|&]+)/i, confidence: 0.9 },
+      { regex: /unlink\s*\(\s*['"]([^'"]+)/i, confidence: 0.9 },
+      { regex: /fs\.(?:unlink|rm)(?:Sync)?\s*\(\s*['"]([^'"]+)/i, confidence: 0.95 }
+    ],
+    baseRisk: 0.7,
+    riskFactors: {
+      recursive: (_, text) => /rm\s+-r/.test(text) ? 0.3 : 0,
+      force: (_, text) => /rm\s+.*-f/.test(text) ? 0.2 : 0,
+      glob_pattern: (path) => /[*?]/.test(path) ? 0.4 : 0,
+      important_file: (path) => {
+        const important = ['package.json', 'tsconfig.json', '.gitignore', 'Dockerfile'];
+        return important.some(f => path.endsWith(f)) ? 0.3 : 0;
+      }
+    }
+  },
+
+  terminal_command: {
+    description: 'Run a shell command',
+    patterns: [
+      { regex: /(?:Running|Executing)\s+(?:command)?[:\s]+['"]?(.+?)['"]?\s*$/i, confidence: 0.9 },
+      { regex: /\bRun:\s+(.+?)\s*$/, confidence: 0.85 },
+      { regex: /\$\s+(.+)/m, confidence: 0.7 },
+      { regex: /bash[:\s]+(.+)/i, confidence: 0.85 },
+      { regex: /exec(?:Sync)?\s*\(\s*['"]([^'"]+)/i, confidence: 0.9 }
+    ],
+    baseRisk: 0.4,
+    riskFactors: {
+      sudo: (cmd) => /\bsudo\b/.test(cmd) ? 0.5 : 0,
+      pipe_to_shell: (cmd) => /\|\s*(?:bash|sh|zsh)/.test(cmd) ? 0.6 : 0,
+      curl_pipe: (cmd) => /curl.*\|/.test(cmd) ? 0.5 : 0,
+      network: (cmd) => /\b(?:curl|wget|nc|netcat)\b/.test(cmd) ? 0.3 : 0,
+      destructive: (cmd) => /\b(?:rm|kill|pkill|shutdown|reboot)\b/.test(cmd) ? 0.4 : 0
+    }
+  },
+
+  npm_install: {
+    description: 'Install packages (npm, yarn, pnpm)',
+    patterns: [
+      // The target is the first package, after any flags such as -D
+      { regex: /npm\s+(?:install|i|add)\s+(?:-\S+\s+)*([^\s;|&-][^\s;|&]*)/i, confidence: 0.95 },
+      { regex: /yarn\s+add\s+(?:-\S+\s+)*([^\s;|&-][^\s;|&]*)/i, confidence: 0.95 },
+      { regex: /pnpm\s+(?:add|install)\s+(?:-\S+\s+)*([^\s;|&-][^\s;|&]*)/i, confidence: 0.95 }
+    ],
+    baseRisk: 0.3,
+    riskFactors: {
+      global: (_, text) => /\s(?:-g|--global)\b/.test(text) ? 0.3 : 0,
+      dev_only: (_, text) => /\s(?:-D|--save-dev)\b/.test(text) ? -0.1 : 0
+    }
+  },
+
+  package_removal: {
+    description: 'Remove packages (npm, yarn, pnpm)',
+    patterns: [
+      { regex: /npm\s+(?:uninstall|remove|rm|un)\s+([^\s;|&]+)/i, confidence: 0.95 },
+      { regex: /(?:yarn|pnpm)\s+remove\s+([^\s;|&]+)/i, confidence: 0.95 }
+    ],
+    baseRisk: 0.4
+  },
+
+  git_add: {
+    description: 'Stage files for commit',
+    patterns: [
+      { regex: /git\s+add\s+([^\s;|&]+)/i, confidence: 0.95 },
+      { regex: /Stag(?:e|ing)\s+files?/i, confidence: 0.8 }
+    ],
+    baseRisk: 0.1
+  },
+
+  git_commit: {
+    description: 'Create a commit',
+    patterns: [
+      { regex: /git\s+commit\s+(?:-[am]+\s+)?['"]?([^'"]+)/i, confidence: 0.95 },
+      { regex: /Commit(?:ting)?[:\s]+['"]?([^'"]+)/i, confidence: 0.8 }
+    ],
+    baseRisk: 0.2,
+    riskFactors: {
+      empty_message: (msg) => !msg || msg.length < 5 ? 0.2 : 0,
+      amend: (_, text) => /--amend/.test(text) ? 0.3 : 0
+    }
+  },
+
+  git_push: {
+    description: 'Push commits to a remote',
+    patterns: [
+      { regex: /git\s+push(?:\s+([^\s;|&]+))?/i, confidence: 0.95 },
+      { regex: /Push(?:ing)?\s+to\s+(\w+)/i, confidence: 0.85 }
+    ],
+    baseRisk: 0.6,
+    riskFactors: {
+      force: (_, text) => /-f|--force/.test(text) ? 0.4 : 0,
+      // The target is the remote; the branch comes after it
+      main_branch: (_, text) => /git\s+push\b.*\s(?:main|master|prod)(?:\s|$)/.test(text) ? 0.3 : 0,
+      all: (_, text) => /--all/.test(text) ? 0.2 : 0
+    }
+  },
+
+  database_operation: {
+    description: 'Run migrations or destructive SQL',
+    patterns: [
+      { regex: /(?:migrate|migration)\s+(?:run|up|down)/i, confidence: 0.95 },
+      { regex: /prisma\s+(?:migrate|db\s+push)/i, confidence: 0.95 },
+      { regex: /supabase\s+(?:db|migration)/i, confidence: 0.95 },
+      { regex: /DROP\s+(?:TABLE|DATABASE|INDEX)/i, confidence: 0.99 },
+      { regex: /TRUNCATE\s+/i, confidence: 0.95 },
+      { regex: /DELETE\s+FROM\s+\w+\b(?!\s+WHERE)/i, confidence: 0.9 }
+    ],
+    baseRisk: 0.8,
+    riskFactors: {
+      drop: (_, text) => /DROP/.test(text) ? 0.5 : 0,
+      truncate: (_, text) => /TRUNCATE/.test(text) ? 0.4 : 0,
+      production: () => process.env.NODE_ENV === 'production' ? 0.5 : 0
+    }
+  },
+
+  env_modification: {
+    description: 'Change environment variables or .env files',
+    patterns: [
+      { regex: /(?:edit|modify|create|update).*\.env/i, confidence: 0.95 },
+      { regex: /export\s+(\w+)=/i, confidence: 0.7 },
+      { regex: /process\.env\.(\w+)\s*=/i, confidence: 0.9 }
+    ],
+    baseRisk: 0.7,
+    riskFactors: {
+      secret_key: (_, text) => /(?:SECRET|KEY|TOKEN|PASSWORD|CREDENTIAL)/i.test(text) ? 0.3 : 0,
+      api_key: (_, text) => /API[_-]?KEY/i.test(text) ? 0.2 : 0
+    }
+  },
+
+  approval_prompt: {
+    description: 'The agent is asking for confirmation',
+    patterns: [
+      { regex: /Do you want to (?:proceed|continue)\??/i, confidence: 0.95 },
+      { regex: /Continue\?\s*\[Y\/n\]/i, confidence: 0.95 },
+      { regex: /\[Y\/n\]/i, confidence: 0.9 },
+      { regex: /Press (?:y|enter) to continue/i, confidence: 0.9 },
+      { regex: /Approve\?/i, confidence: 0.95 },
+      { regex: /Are you sure\?/i, confidence: 0.85 }
+    ],
+    baseRisk: 0.5
+  }
+};
+
+/**
+ * Old action type names still accepted in config (mode action lists)
+ */
+const ACTION_ALIASES = {
+  database_migration: 'database_operation'
+};
+
+/**
+ * Patterns that always flag, whatever action they appear in. Detected as
+ * `dangerous_command` actions scored by severity.
+ */
+const DANGEROUS_PATTERNS = [
+  { pattern: /rm\s+-rf\s+\/(?!\s|$)/i, severity: 'critical', reason: 'Recursive delete from root' },
+  { pattern: />\s*\/dev\/sd[a-z]/i, severity: 'critical', reason: 'Direct disk write' },
+  { pattern: /mkfs\./i, severity: 'critical', reason: 'Filesystem format' },
+  { pattern: /dd\s+.*of=\/dev/i, severity: 'critical', reason: 'Direct disk write' },
+  { pattern: /:\(\)\s*\{\s*:\s*\|\s*:\s*&\s*\}\s*;\s*:/, severity: 'critical', reason: 'Fork bomb' },
+  { pattern: /chmod\s+777\s+\//i, severity: 'high', reason: 'Insecure root permissions' },
+  { pattern: /curl.*\|\s*sudo/i, severity: 'high', reason: 'Piping to sudo' },
+  { pattern: /(?:curl|wget)\b.*\|\s*(?:bash|sh|zsh)\b/i, severity: 'high', reason: 'Pipe to shell' },
+  { pattern: /eval\s*\(\s*\$\{?[A-Z_]+/i, severity: 'high', reason: 'Eval with env variable' },
+  { pattern: /base64\s+-d.*\|\s*(?:bash|sh)/i, severity: 'high', reason: 'Base64 decode to shell' },
+  { pattern: /DROP\s+(?:TABLE|DATABASE)/i, severity: 'high', reason: 'SQL DROP command' },
+  { pattern: /DELETE\s+FROM\s+\w+\b(?!\s+WHERE)/i, severity: 'medium', reason: 'DELETE without WHERE' },
+  { pattern: /chmod\s+777/i, severity: 'medium', reason: 'Insecure permissions' }
+];
+
+// Risk score of a dangerous pattern match by severity
+const SEVERITY_SCORES = { critical: 1.0, high: 0.9, medium: 0.6, low: 0.3 };
+
+/**
+ * Canonical name of an action type (resolves old aliases)
+ */
+function normalizeActionType(type) {
+  return ACTION_ALIASES[type] || type;
+}
+
+/**
+ * Convert a risk score to a level
+ */
+function riskLevel(score) {
+  if (score >= 0.8) return 'critical';
+  if (score >= 0.6) return 'high';
+  if (score >= 0.4) return 'medium';
+  if (score >= 0.2) return 'low';
+  return 'minimal';
+}
+
+module.exports = {
+  ACTION_TYPES,
+  ACTION_ALIASES,
+  DANGEROUS_PATTERNS,
+  SEVERITY_SCORES,
+  normalizeActionType,
+  riskLevel
+};
@@ -0,0 +1,24 @@
+/**
+ * Golden corpus entries: a log line and the action detected in it
+ *
+ * Shared by scripts/build-detection-corpus.js, which writes the corpus, and
+ * corpus.test.js, which checks detection still agrees with it.
+ */
+
+/**
+ * The stable fields of the action a detector finds in a line (null when none)
+ */
+export function corpusEntry(detector, text) {
+  const action = detector.detect(text);
+  if (!action) return { text, expected: null };
+
+  const expected = {
+    type: action.type,
+    target: action.target,
+    riskScore: Math.round(action.riskScore * 1000) / 1000,
+    riskLevel: action.riskLevel
+  };
+  if (action.severity) expected.severity = action.severity;
+
+  return { text, expected };
+}
@@ -0,0 +1,39 @@
+/**
+ * Golden-file tests for action detection
+ *
+ * corpus.golden.json holds every distinct line of the session logs in logs/
+ * and of corpus.examples.txt with the action detected in it. A failure here means a change to the
+ * taxonomy, patterns or risk factors changed how real output is classified;
+ * if that was intended, rebuild the corpus (npm run detection:corpus) and
+ * review the diff.
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import { Detector } from './index.js';
+import { corpusEntry } from './corpus.js';
+
+const corpus = JSON.parse(readFileSync(new URL('./corpus.golden.json', import.meta.url), 'utf-8'));
+
+describe('detection golden corpus', () => {
+  const nodeEnv = process.env.NODE_ENV;
+  before(() => { delete process.env.NODE_ENV; });
+  after(() => { if (nodeEnv !== undefined) process.env.NODE_ENV = nodeEnv; });
+
+  it('covers real session output', () => {
+    assert.ok(corpus.length > 0);
+    assert.ok(corpus.some(entry => entry.expected), 'no line in the corpus has an action');
+  });
+
+  it('classifies every line as recorded', () => {
+    const detector = new Detector();
+    const drift = corpus
+      .map(entry => ({ entry, actual: corpusEntry(detector, entry.text).expected }))
+      .filter(({ entry, actual }) => JSON.stringify(actual) !== JSON.stringify(entry.expected))
+      .map(({ entry, actual }) => `${entry.source}: ${JSON.stringify(entry.text)}\n` +
+        `  expected ${JSON.stringify(entry.expected)}\n  actual   ${JSON.stringify(actual)}`);
+
+    assert.equal(drift.length, 0, `${drift.length} lines classified differently:\n${drift.slice(0, 10).join('\n')}`);
+  });
+});
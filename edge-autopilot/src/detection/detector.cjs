@@ -0,0 +1,305 @@
+'use strict';
+
+const { existsSync } = require('fs');
+const { resolve } = require('path');
+const { ACTION_TYPES, DANGEROUS_PATTERNS, SEVERITY_SCORES, riskLevel } = require('./actions.cjs');
+const { commandSegments } = require('./shell-parser.cjs');
+
+// Provider tools that change files; read-only tools (Read, Grep, Glob...) are not classified
+const FILE_WRITE_TOOLS = new Set(['Write']);
+const FILE_EDIT_TOOLS = new Set(['Edit', 'MultiEdit', 'NotebookEdit']);
+const SHELL_TOOLS = new Set(['Bash']);
+
+// Commands that only move around the shell; not scored as parts of a longer command line
+const NAVIGATION_COMMANDS = new Set(['cd', 'pushd', 'popd', 'pwd', 'true', 'false', ':']);
+
+/**
+ * Compile a pattern from config (case-insensitive), naming the setting it came from on error
+ */
+function compilePattern(source, setting) {
+  try {
+    return new RegExp(source, 'i');
+  } catch (error) {
+    throw new Error(`Invalid pattern in ${setting}: ${error.message}`);
+  }
+}
+
+/**
+ * Detector - Classifies text, shell commands and tool calls into scored actions
+ *
+ * Stateless apart from per-file edit counts (used by the file_edit frequency
+ * factor). Takes the `detection` config's custom_dangerous_patterns and
+ * action_types; thresholds, learning and package checks live in the
+ * supervisor's SmartDetector, which extends this class.
+ */
+class Detector {
+  constructor(options = {}) {
+    this.fileStats = new Map();
+
+    // Own copies, so config and subclasses can extend them per instance
+    this.actionDefs = {};
+    for (const [type, def] of Object.entries(ACTION_TYPES)) {
+      this.actionDefs[type] = { ...def, patterns: [...def.patterns], riskFactors: { ...def.riskFactors } };
+    }
+    this.dangerousPatterns = [...DANGEROUS_PATTERNS];
+
+    (options.custom_dangerous_patterns || []).forEach((custom, i) => {
+      this.dangerousPatterns.push({
+        pattern: compilePattern(custom.pattern, `detection.custom_dangerous_patterns[${i}]`),
+        severity: custom.severity || 'high',
+        reason: custom.reason || `Matched custom pattern "${custom.pattern}"`
+      });
+    });
+
+    for (const [type, custom] of Object.entries(options.action_types || {})) {
+      this.addActionType(type, custom);
+    }
+  }
+
+  /**
+   * Define an action type from config, or extend a built-in one with extra
+   * patterns and risk factors. Each risk factor adds `risk` when its `match`
+   * regex matches the text and/or its `target` regex matches the target.
+   */
+  addActionType(type, custom = {}) {
+    const def = this.actionDefs[type] || (this.actionDefs[type] = { patterns: [], baseRisk: 0.5 });
+    const setting = `detection.action_types.${type}`;
+
+    if (custom.base_risk !== undefined) {
+      def.baseRisk = custom.base_risk;
+    }
+
+    (custom.patterns || []).forEach((pattern, i) => {
+      def.patterns.push({
+        regex: compilePattern(pattern.regex, `${setting}.patterns[${i}]`),
+        confidence: pattern.confidence ?? 0.9
+      });
+    });
+
+    def.riskFactors = def.riskFactors || {};
+    (custom.risk_factors || []).forEach((factor, i) => {
+      const text = factor.match && compilePattern(factor.match, `${setting}.risk_factors[${i}].match`);
+      const target = factor.target && compilePattern(factor.target, `${setting}.risk_factors[${i}].target`);
+
+      def.riskFactors[factor.name || `custom_${i}`] = (actionTarget, actionText) => {
+        if (text && !text.test(actionText)) return 0;
+        if (target && !target.test(actionTarget)) return 0;
+        return factor.risk ?? 0;
+      };
+    });
+  }
+
+  /**
+   * Best matching action in a piece of text, or null
+   */
+  detect(text) {
+    const [best] = this.match(text);
+    return best || null;
+  }
+
+  /**
+   * Classify a provider tool call: a Claude Code tool_use, or a command/file
+   * block from an API provider. Returns null for read-only tools.
+   * @param {{ name: string, input: object }} toolUse
+   * @param {string} workDir - Used to tell new files from overwritten ones
+   */
+  classifyToolUse(toolUse, workDir = process.cwd()) {
+    const input = toolUse.input || {};
+    const path = input.file_path || input.notebook_path || input.path;
+    let action = null;
+
+    if (SHELL_TOOLS.has(toolUse.name) && input.command) {
+      action = this.classifyCommand(input.command, workDir);
+    } else if (FILE_WRITE_TOOLS.has(toolUse.name) && path) {
+      action = this.writeAction(path, workDir);
+    } else if (FILE_EDIT_TOOLS.has(toolUse.name) && path) {
+      action = this.buildAction('file_edit', path, path, 1.0, path);
+    }
+
+    if (!action) return null;
+
+    action.tool = toolUse.name;
+    if (SHELL_TOOLS.has(toolUse.name)) {
+      action.command = input.command;
+    }
+    return action;
+  }
+
+  /**
+   * Classify a shell command. Every part of it (each command of a `&&` / `;`
+   * list or pipeline, whole pipelines, files written by redirections, and
+   * subshell, `$(...)` and `bash -c` scripts) is scored on its own and the
+   * riskiest part wins. When there is more than one part, the winning one is
+   * kept as `segment` and named in the reason.
+   */
+  classifyCommand(command, workDir = process.cwd()) {
+    const segments = commandSegments(command);
+    const candidates = segments.flatMap((segment) => {
+      const action = this.classifySegment(segment, workDir);
+      return action ? [{ action, segment }] : [];
+    });
+
+    // Patterns spanning several parts (fork bombs) only match the whole line
+    if (!candidates.some(c => c.action.type === 'dangerous_command')) {
+      const [danger] = this.match(command).filter(a => a.type === 'dangerous_command');
+      if (danger) candidates.push({ action: danger, segment: { text: command, depth: -1 } });
+    }
+
+    if (candidates.length === 0) {
+      return this.buildAction('terminal_command', command, command, 1.0, command);
+    }
+
+    // Riskiest first; on a tie, dangerous patterns, then the most deeply nested part
+    candidates.sort((a, b) =>
+      b.action.riskScore - a.action.riskScore ||
+      (b.action.type === 'dangerous_command') - (a.action.type === 'dangerous_command') ||
+      b.segment.depth - a.segment.depth
+    );
+
+    const { action, segment } = candidates[0];
+    if (segments.length > 1 || segment.text !== command) {
+      action.segment = segment.text;
+      action.reason = action.reason
+        ? `${action.reason} in \`${segment.text}\``
+        : `Riskiest part: \`${segment.text}\` (${action.type}, risk ${action.riskScore.toFixed(2)})`;
+    }
+    return action;
+  }
+
+  /**
+   * Score one part of a command line; anything without a more specific match
+   * is a terminal_command
+   */
+  classifySegment(segment, workDir) {
+    if (segment.kind === 'write') {
+      return segment.append
+        ? this.buildAction('file_edit', segment.target, segment.text, 1.0, segment.text)
+        : this.writeAction(segment.target, workDir, segment.text);
+    }
+
+    if (segment.kind === 'command' && NAVIGATION_COMMANDS.has(segment.argv[0])) {
+      return null;
+    }
+
+    const [best] = this.match(segment.text);
+    return best || this.buildAction('terminal_command', segment.text, segment.text, 1.0, segment.text);
+  }
+
+  /**
+   * A file write: file_edit if the file exists, otherwise file_create
+   */
+  writeAction(path, workDir, text = path) {
+    const type = existsSync(resolve(workDir, path)) ? 'file_edit' : 'file_create';
+    return this.buildAction(type, path, text, 1.0, text);
+  }
+
+  /**
+   * All matching actions for a text (including dangerous patterns), best first
+   */
+  match(text) {
+    const results = [];
+
+    for (const [actionType, def] of Object.entries(this.actionDefs)) {
+      for (const patternDef of def.patterns) {
+        const match = text.match(patternDef.regex);
+        if (match) {
+          results.push(this.buildAction(actionType, match[1] || '', text, patternDef.confidence, match[0]));
+        }
+      }
+    }
+
+    // Check for dangerous patterns
+    const dangers = this.checkDangerous(text);
+    if (dangers.length > 0) {
+      results.push(...dangers.map(d => {
+        const riskScore = SEVERITY_SCORES[d.severity] ?? 0.9;
+        return {
+          type: 'dangerous_command',
+          target: d.match,
+          confidence: 1.0,
+          riskScore,
+          riskLevel: this.riskLevel(riskScore),
+          severity: d.severity,
+          reason: d.reason,
+          raw: d.match,
+          timestamp: new Date().toISOString()
+        };
+      }));
+    }
+
+    // Sort by confidence, best match first
+    results.sort((a, b) => b.confidence - a.confidence);
+    return results;
+  }
+
+  /**
+   * Build a scored action of a known type
+   */
+  buildAction(type, target, text, confidence, raw) {
+    const riskScore = this.calculateRisk(type, target, text, this.actionDefs[type]);
+    return {
+      type,
+      target,
+      confidence,
+      riskScore,
+      riskLevel: this.riskLevel(riskScore),
+      raw,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Calculate risk score for an action
+   */
+  calculateRisk(actionType, target, text, def) {
+    let risk = def.baseRisk || 0.5;
+
+    if (def.riskFactors) {
+      for (const factorFn of Object.values(def.riskFactors)) {
+        try {
+          risk += factorFn(target, text, this.fileStats);
+        } catch (e) {
+          // Skip failed risk factors
+        }
+      }
+    }
+
+    // Clamp to 0-1
+    return Math.max(0, Math.min(1, risk));
+  }
+
+  /**
+   * Convert risk score to level
+   */
+  riskLevel(score) {
+    return riskLevel(score);
+  }
+
+  /**
+   * Check for dangerous patterns
+   */
+  checkDangerous(text) {
+    const found = [];
+
+    for (const { pattern, severity, reason } of this.dangerousPatterns) {
+      const match = text.match(pattern);
+      if (match) {
+        found.push({ match: match[0], severity, reason });
+      }
+    }
+
+    return found;
+  }
+}
+
+let defaultDetector = null;
+
+/**
+ * Best matching action in a piece of text, using the built-in definitions
+ */
+function detectAction(text) {
+  if (!defaultDetector) defaultDetector = new Detector();
+  return defaultDetector.detect(text);
+}
+
+module.exports = { Detector, detectAction, compilePattern };
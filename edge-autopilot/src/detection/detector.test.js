@@ -0,0 +1,66 @@
+/**
+ * Tests for the shared Detector and its CommonJS entry point (used by the
+ * VS Code extension)
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRequire } from 'module';
+import { Detector, detectAction, normalizeActionType } from './index.js';
+
+const require = createRequire(import.meta.url);
+
+describe('detection package', () => {
+  it('exposes the same Detector to require and import', () => {
+    const detection = require('./index.cjs');
+    assert.equal(detection.Detector, Detector);
+    assert.equal(detection.detectAction('git push origin main').type, 'git_push');
+  });
+
+  it('resolves old action type names', () => {
+    assert.equal(normalizeActionType('database_migration'), 'database_operation');
+    assert.equal(normalizeActionType('file_edit'), 'file_edit');
+  });
+});
+
+describe('Detector', () => {
+  it('detects without keeping history', () => {
+    const detector = new Detector();
+    detector.detect('Editing file src/app.js');
+    assert.equal(detector.fileStats.size, 0);
+  });
+
+  it('does not read rm or patch inside other words', () => {
+    assert.equal(detectAction('Please confirm the plan'), null);
+    assert.equal(detectAction('dispatch events to handlers'), null);
+  });
+
+  it('does not read npm banners, prose or grep flags as actions', () => {
+    assert.equal(detectAction('> edge-autopilot@1.0.0 autopilot'), null);
+    assert.equal(detectAction('dashboard stats not updating at /Users/g/edge-autopilot/'), null);
+    assert.equal(detectAction('Removing unused imports'), null);
+    assert.equal(detectAction('Run: grep -r "firebase" src/ --include="*.js"').riskScore, 0.4);
+    assert.equal(detectAction('npm run build > build.log').target, 'build.log');
+  });
+
+  it('scores package installs and pushes by their flags and branch', () => {
+    const install = detectAction('npm install -D @types/react vite');
+    assert.equal(install.target, '@types/react');
+    assert.equal(install.riskLevel, 'minimal');
+    assert.equal(detectAction('git push origin main').riskLevel, 'critical');
+    assert.equal(detectAction('git push origin feature/docs').riskLevel, 'high');
+  });
+
+  it('scores the legacy classifier patterns', () => {
+    assert.equal(detectAction('DELETE FROM users;').reason, 'DELETE without WHERE');
+    assert.equal(detectAction('DELETE FROM users WHERE id = 1'), null);
+    assert.equal(detectAction('npm uninstall lodash').type, 'package_removal');
+    assert.equal(new Detector().classifyCommand('chmod 777 build').severity, 'medium');
+  });
+
+  it('keeps custom action types per instance', () => {
+    const custom = new Detector({ action_types: { terraform_apply: { patterns: [{ regex: 'terraform\\s+apply' }] } } });
+    assert.equal(custom.detect('terraform apply').type, 'terraform_apply');
+    assert.equal(detectAction('terraform apply'), null);
+  });
+});
@@ -0,0 +1,11 @@
+'use strict';
+
+/**
+ * Shared action detection: taxonomy, patterns, risk scoring and shell parsing.
+ * CommonJS so the VS Code extension can require it; ESM code imports ./index.js.
+ */
+module.exports = {
+  ...require('./actions.cjs'),
+  ...require('./shell-parser.cjs'),
+  ...require('./detector.cjs')
+};
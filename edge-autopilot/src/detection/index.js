@@ -0,0 +1,18 @@
+/**
+ * ESM entry point for the shared detection module (see index.cjs)
+ */
+import detection from './index.cjs';
+
+export const {
+  ACTION_TYPES,
+  ACTION_ALIASES,
+  DANGEROUS_PATTERNS,
+  SEVERITY_SCORES,
+  normalizeActionType,
+  riskLevel,
+  parseShell,
+  commandSegments,
+  Detector,
+  detectAction,
+  compilePattern
+} = detection;
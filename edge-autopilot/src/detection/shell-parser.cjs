@@ -0,0 +1,432 @@
+'use strict';
+
+/**
+ * Shell command parsing for risk scoring
+ *
+ * Splits a command line the way a POSIX shell reads it: `&&` / `||` / `;` / `&`
+ * lists of pipelines, pipelines of simple commands, redirections, and the
+ * scripts nested inside a command (subshells, `$(...)` and backtick
+ * substitutions, `bash -c "..."`, `eval`). This is not a full shell grammar;
+ * it only needs to find the parts of a command that can be scored on their own.
+ *
+ * Never throws: unterminated quotes and substitutions run to the end of the input.
+ */
+
+// `<shell> -c <script>` runs its argument as a command line
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh']);
+
+// Run the rest of their arguments as a command (`sudo bash -c ...`, `env X=1 sh -c ...`)
+const PREFIX_COMMANDS = new Set(['sudo', 'doas', 'env', 'nohup', 'nice', 'time', 'command', 'exec', 'timeout', 'xargs']);
+
+// Reserved words that start or end a compound command but are not commands themselves
+const LEADING_KEYWORDS = new Set(['if', 'then', 'else', 'elif', 'while', 'until', 'do', '!', '{']);
+const CLOSING_KEYWORDS = new Set(['fi', 'done', 'esac', '}']);
+const COMPOUND_HEADS = new Set(['for', 'select', 'case', 'function']);
+
+// Longest first, so `>>` is not read as `>`
+const REDIRECT_OPERATORS = ['<<<', '<<-', '&>>', '>>', '>|', '>&', '<&', '<<', '<>', '&>', '>', '<'];
+
+// Redirections that write to their target
+const WRITE_REDIRECTS = new Set(['>', '>>', '>|', '&>', '&>>', '<>']);
+
+// Redirection targets that are not files
+const NON_FILES = /^\/dev\/(?:null|stdout|stderr|tty|fd\/\d+)$/;
+
+/**
+ * Parse a command line
+ * @returns {{ pipelines: Array<{ text: string, operator: string|null, commands: object[] }> }}
+ *   `operator` is what joined the pipeline to the one before it (`&&`, `||`,
+ *   `;`, `&` or a newline). Each command has `text`, `argv`, `redirects`
+ *   ({ op, fd, target }) and any nested scripts: `subshell`, `substitutions`
+ *   and `inner` (the script run by `bash -c` / `eval`).
+ */
+function parseShell(source) {
+  return new Parser(String(source ?? '')).parseScript();
+}
+
+/**
+ * Every part of a command line that can be scored on its own, outermost first:
+ * - { kind: 'command', text, argv, depth } - a simple command
+ * - { kind: 'pipeline', text, depth } - a pipeline of two or more commands (`curl ... | sh`)
+ * - { kind: 'write', text, target, append, depth } - a file written through a redirection
+ *
+ * `depth` counts how deeply the part is nested in subshells, substitutions
+ * and `bash -c` scripts.
+ */
+function commandSegments(source) {
+  const segments = [];
+  collectSegments(parseShell(source), 0, segments);
+  return segments;
+}
+
+function collectSegments(script, depth, segments) {
+  for (const pipeline of script.pipelines) {
+    if (pipeline.commands.length > 1) {
+      segments.push({ kind: 'pipeline', text: pipeline.text, depth });
+    }
+
+    for (const command of pipeline.commands) {
+      if (command.argv.length > 0) {
+        segments.push({ kind: 'command', text: command.text, argv: command.argv, depth });
+      }
+
+      for (const redirect of command.redirects) {
+        if (WRITE_REDIRECTS.has(redirect.op) && redirect.target && !NON_FILES.test(redirect.target)) {
+          segments.push({ kind: 'write', text: command.text, target: redirect.target, append: redirect.op.endsWith('>>'), depth });
+        }
+      }
+
+      for (const nested of [command.subshell, command.inner, ...command.substitutions]) {
+        if (nested) collectSegments(nested, depth + 1, segments);
+      }
+    }
+  }
+}
+
+class Parser {
+  constructor(source) {
+    this.src = source;
+    this.pos = 0;
+  }
+
+  /**
+   * Parse pipelines up to the end of the input, or up to `closer` for
+   * subshells and `$(...)` (the closer is consumed)
+   */
+  parseScript(closer = null) {
+    const src = this.src;
+    const pipelines = [];
+    const heredocs = [];
+    let operator = null;
+    let pipeline = null;
+    let command = null;
+    let word = null;
+    let redirect = null;
+
+    const startCommand = (at) => {
+      if (!pipeline) pipeline = { start: at, end: at, operator, commands: [] };
+      if (!command) command = { start: at, end: at, words: [], redirects: [], substitutions: [], subshell: null };
+    };
+
+    const extend = (end) => {
+      command.end = end;
+      pipeline.end = end;
+    };
+
+    const startWord = (at) => {
+      startCommand(at);
+      if (!word) word = { value: '', start: at, end: at, quoted: false };
+    };
+
+    const endWord = () => {
+      if (!word) return;
+      if (redirect) {
+        command.redirects.push({ op: redirect.op, fd: redirect.fd, target: word.value });
+        if (redirect.op === '<<' || redirect.op === '<<-') {
+          heredocs.push({ delimiter: word.value, strip: redirect.op === '<<-' });
+        }
+        redirect = null;
+      } else {
+        command.words.push(word);
+      }
+      extend(word.end);
+      word = null;
+    };
+
+    const endCommand = () => {
+      endWord();
+      redirect = null;
+      if (command) {
+        pipeline.commands.push(this.finishCommand(command));
+        command = null;
+      }
+    };
+
+    const endPipeline = (next) => {
+      endCommand();
+      if (pipeline) {
+        pipelines.push({
+          text: src.slice(pipeline.start, pipeline.end).trim(),
+          operator: pipeline.operator,
+          commands: pipeline.commands
+        });
+        pipeline = null;
+      }
+      operator = next;
+    };
+
+    while (this.pos < src.length) {
+      const ch = src[this.pos];
+      const next = src[this.pos + 1];
+
+      if (ch === ')' && closer === ')') {
+        endPipeline(null);
+        this.pos++;
+        return { pipelines };
+      }
+
+      if (ch === ' ' || ch === '\t' || ch === '\r') {
+        endWord();
+        this.pos++;
+      } else if (ch === '\n') {
+        endWord();
+        this.pos++;
+        if (heredocs.length > 0) this.skipHeredocs(heredocs);
+        endPipeline('\n');
+      } else if (ch === '#' && !word) {
+        const end = src.indexOf('\n', this.pos);
+        this.pos = end === -1 ? src.length : end;
+      } else if (ch === '\\') {
+        if (next === '\n') {
+          this.pos += 2;
+          continue;
+        }
+        startWord(this.pos);
+        word.value += next ?? '';
+        this.pos = Math.min(this.pos + 2, src.length);
+        word.end = this.pos;
+      } else if (ch === "'") {
+        startWord(this.pos);
+        const close = src.indexOf("'", this.pos + 1);
+        const end = close === -1 ? src.length : close;
+        word.value += src.slice(this.pos + 1, end);
+        word.quoted = true;
+        this.pos = Math.min(end + 1, src.length);
+        word.end = this.pos;
+      } else if (ch === '"') {
+        startWord(this.pos);
+        this.readDoubleQuoted(word, command);
+      } else if (ch === '`') {
+        startWord(this.pos);
+        this.readBackticks(word, command);
+      } else if ((ch === '$' && next === '(') || ((ch === '<' || ch === '>') && next === '(' && !word)) {
+        // $(...) command substitution, $((...)) arithmetic, <(...) / >(...) process substitution
+        startWord(this.pos);
+        this.readSubstitution(word, command);
+      } else if (ch === '(' && !word && !(command?.words.length || command?.subshell)) {
+        startCommand(this.pos);
+        if (next === '(') {
+          // (( arithmetic )) - not a command
+          this.skipArithmetic(2);
+        } else {
+          this.pos++;
+          command.subshell = this.parseScript(')');
+        }
+        extend(this.pos);
+      } else if (ch === ')') {
+        // Ends a `case` pattern (`a) rm -rf x ;;`)
+        endPipeline(null);
+        this.pos++;
+      } else if (ch === '|') {
+        if (next === '|') {
+          endPipeline('||');
+          this.pos += 2;
+        } else {
+          endCommand();
+          this.pos += next === '&' ? 2 : 1;
+        }
+      } else if (ch === '&' && next !== '>') {
+        if (next === '&') {
+          endPipeline('&&');
+          this.pos += 2;
+        } else {
+          endPipeline('&');
+          this.pos++;
+        }
+      } else if (ch === ';') {
+        endPipeline(';');
+        this.pos += next === ';' ? 2 : 1;
+      } else if (ch === '<' || ch === '>' || ch === '&') {
+        // A word of digits right before the operator is its file descriptor (2>file)
+        let fd = null;
+        let start = this.pos;
+        if (word && !word.quoted && /^\d+$/.test(word.value) && word.end === this.pos) {
+          fd = Number(word.value);
+          start = word.start;
+          word = null;
+        } else {
+          endWord();
+        }
+
+        const op = REDIRECT_OPERATORS.find(o => src.startsWith(o, this.pos));
+        startCommand(start);
+        this.pos += op.length;
+        extend(this.pos);
+
+        if (op === '>&' || op === '<&') {
+          // Duplicating a descriptor (2>&1, >&-) writes no file; `>& file` is `&> file`
+          const dup = /^\s*(?:\d+|-)(?=$|[\s;&|)])/.exec(src.slice(this.pos));
+          if (dup) {
+            this.pos += dup[0].length;
+            extend(this.pos);
+          } else if (op === '>&') {
+            redirect = { op: '&>', fd };
+          }
+        } else {
+          redirect = { op, fd };
+        }
+      } else {
+        startWord(this.pos);
+        word.value += ch;
+        this.pos++;
+        word.end = this.pos;
+      }
+    }
+
+    endPipeline(null);
+    return { pipelines };
+  }
+
+  /**
+   * Strip reserved words, find the script run by `bash -c` / `eval`
+   */
+  finishCommand(command) {
+    let words = command.words;
+    let start = command.start;
+
+    while (words.length > 0 && LEADING_KEYWORDS.has(words[0].value) && !words[0].quoted) {
+      words = words.slice(1);
+      start = words[0]?.start ?? command.end;
+    }
+    if (words.length > 0 && COMPOUND_HEADS.has(words[0].value)) {
+      words = [];
+    }
+    if (words.every(w => CLOSING_KEYWORDS.has(w.value))) {
+      words = [];
+    }
+
+    const argv = words.map(w => w.value);
+    const script = innerScript(argv);
+
+    return {
+      text: this.src.slice(start, command.end).trim(),
+      argv,
+      redirects: command.redirects,
+      subshell: command.subshell,
+      substitutions: command.substitutions,
+      inner: script === null ? null : parseShell(script)
+    };
+  }
+
+  readDoubleQuoted(word, command) {
+    const src = this.src;
+    word.quoted = true;
+    this.pos++;
+
+    while (this.pos < src.length && src[this.pos] !== '"') {
+      const ch = src[this.pos];
+      const next = src[this.pos + 1];
+
+      if (ch === '\\' && next !== undefined) {
+        // Only these characters are escaped inside double quotes
+        if (next !== '\n') word.value += '$`"\\'.includes(next) ? next : ch + next;
+        this.pos += 2;
+      } else if (ch === '$' && next === '(') {
+        this.readSubstitution(word, command);
+      } else if (ch === '`') {
+        this.readBackticks(word, command);
+      } else {
+        word.value += ch;
+        this.pos++;
+      }
+    }
+
+    this.pos = Math.min(this.pos + 1, src.length);
+    word.end = this.pos;
+  }
+
+  readSubstitution(word, command) {
+    const start = this.pos;
+
+    if (this.src.startsWith('$((', start)) {
+      this.pos++;
+      this.skipArithmetic(2);
+    } else {
+      this.pos += 2;
+      command.substitutions.push(this.parseScript(')'));
+    }
+
+    word.value += this.src.slice(start, this.pos);
+    word.end = this.pos;
+  }
+
+  readBackticks(word, command) {
+    const src = this.src;
+    const start = this.pos;
+    let end = start + 1;
+    while (end < src.length && src[end] !== '`') {
+      end += src[end] === '\\' ? 2 : 1;
+    }
+    end = Math.min(end, src.length);
+
+    const inner = src.slice(start + 1, end).replace(/\\([`$\\])/g, '$1');
+    command.substitutions.push(parseShell(inner));
+
+    this.pos = Math.min(end + 1, src.length);
+    word.value += src.slice(start, this.pos);
+    word.end = this.pos;
+  }
+
+  /**
+   * Skip `opening` open parens and everything up to their matching close
+   */
+  skipArithmetic(opening) {
+    let depth = opening;
+    this.pos += opening;
+    while (this.pos < this.src.length && depth > 0) {
+      if (this.src[this.pos] === '(') depth++;
+      if (this.src[this.pos] === ')') depth--;
+      this.pos++;
+    }
+  }
+
+  /**
+   * Skip here-document bodies, which start on the line after their operator
+   */
+  skipHeredocs(heredocs) {
+    const src = this.src;
+
+    while (heredocs.length > 0) {
+      const { delimiter, strip } = heredocs.shift();
+      while (this.pos < src.length) {
+        const newline = src.indexOf('\n', this.pos);
+        const end = newline === -1 ? src.length : newline;
+        const line = src.slice(this.pos, end);
+        this.pos = Math.min(end + 1, src.length);
+        if ((strip ? line.replace(/^\t+/, '') : line) === delimiter) break;
+      }
+    }
+  }
+}
+
+/**
+ * The command line a command hands to another shell: `bash -c <script>`,
+ * `sudo sh -c <script>`, `eval <words>`. Null for anything else.
+ */
+function innerScript(argv) {
+  let i = 0;
+  while (i < argv.length && (
+    PREFIX_COMMANDS.has(commandName(argv[i])) ||
+    argv[i].startsWith('-') ||
+    /^\w+=/.test(argv[i]) ||
+    /^\d+[smhd]?$/.test(argv[i])
+  )) {
+    i++;
+  }
+
+  const name = commandName(argv[i] || '');
+  if (name === 'eval') {
+    return argv.slice(i + 1).join(' ');
+  }
+  if (SHELLS.has(name)) {
+    const flag = argv.findIndex((arg, j) => j > i && /^-[a-zA-Z]*c[a-zA-Z]*$/.test(arg));
+    if (flag !== -1 && flag + 1 < argv.length) return argv[flag + 1];
+  }
+  return null;
+}
+
+function commandName(word) {
+  return word.split('/').pop();
+}
+
+module.exports = { parseShell, commandSegments };
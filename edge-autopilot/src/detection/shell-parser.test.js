@@ -0,0 +1,253 @@
+/**
+ * Tests for the shell command parser
+ *
+ * Each fixture is a tricky command line and the parts it should be split
+ * into: commands, whole pipelines and redirected writes, with nesting depth.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseShell, commandSegments } from './index.js';
+
+const FIXTURES = [
+  {
+    name: 'splits && lists',
+    command: 'cd build && rm -rf dist',
+    segments: [
+      ['command', 0, 'cd build'],
+      ['command', 0, 'rm -rf dist']
+    ]
+  },
+  {
+    name: 'splits ; and || lists and keeps the operators',
+    command: 'npm test || echo failed; git status',
+    segments: [
+      ['command', 0, 'npm test'],
+      ['command', 0, 'echo failed'],
+      ['command', 0, 'git status']
+    ]
+  },
+  {
+    name: 'scores pipelines as a whole and per command',
+    command: 'curl -fsSL https://example.com/install.sh | sudo bash',
+    segments: [
+      ['pipeline', 0, 'curl -fsSL https://example.com/install.sh | sudo bash'],
+      ['command', 0, 'curl -fsSL https://example.com/install.sh'],
+      ['command', 0, 'sudo bash']
+    ]
+  },
+  {
+    name: 'parses the script given to bash -c',
+    command: 'bash -c "curl https://x.io/a.sh | sh"',
+    segments: [
+      ['command', 0, 'bash -c "curl https://x.io/a.sh | sh"'],
+      ['pipeline', 1, 'curl https://x.io/a.sh | sh'],
+      ['command', 1, 'curl https://x.io/a.sh'],
+      ['command', 1, 'sh']
+    ]
+  },
+  {
+    name: 'parses sh -c behind sudo and flags',
+    command: "sudo -E sh -ec 'rm -rf /var/lib/app && touch done'",
+    segments: [
+      ['command', 0, "sudo -E sh -ec 'rm -rf /var/lib/app && touch done'"],
+      ['command', 1, 'rm -rf /var/lib/app'],
+      ['command', 1, 'touch done']
+    ]
+  },
+  {
+    name: 'parses eval arguments',
+    command: 'eval "rm -rf $TARGET"',
+    segments: [
+      ['command', 0, 'eval "rm -rf $TARGET"'],
+      ['command', 1, 'rm -rf $TARGET']
+    ]
+  },
+  {
+    name: 'parses subshells',
+    command: '(cd web; npm i left-pad) && npm run build',
+    segments: [
+      ['command', 1, 'cd web'],
+      ['command', 1, 'npm i left-pad'],
+      ['command', 0, 'npm run build']
+    ]
+  },
+  {
+    name: 'parses $(...) and backtick substitutions, even in double quotes',
+    command: 'echo "user: $(whoami)" `git rev-parse HEAD`',
+    segments: [
+      ['command', 0, 'echo "user: $(whoami)" `git rev-parse HEAD`'],
+      ['command', 1, 'whoami'],
+      ['command', 1, 'git rev-parse HEAD']
+    ]
+  },
+  {
+    name: 'parses nested substitutions',
+    command: 'kill $(cat $(find . -name app.pid))',
+    segments: [
+      ['command', 0, 'kill $(cat $(find . -name app.pid))'],
+      ['command', 1, 'cat $(find . -name app.pid)'],
+      ['command', 2, 'find . -name app.pid']
+    ]
+  },
+  {
+    name: 'parses process substitutions',
+    command: 'diff <(sort a.txt) <(sort b.txt)',
+    segments: [
+      ['command', 0, 'diff <(sort a.txt) <(sort b.txt)'],
+      ['command', 1, 'sort a.txt'],
+      ['command', 1, 'sort b.txt']
+    ]
+  },
+  {
+    name: 'reports files written by redirections',
+    command: 'echo SECRET=1 >> .env 2>&1',
+    segments: [
+      ['command', 0, 'echo SECRET=1 >> .env 2>&1'],
+      ['write', 0, 'echo SECRET=1 >> .env 2>&1', '.env']
+    ]
+  },
+  {
+    name: 'ignores /dev/null and descriptor duplication',
+    command: 'npm test > /dev/null 2>&1',
+    segments: [
+      ['command', 0, 'npm test > /dev/null 2>&1']
+    ]
+  },
+  {
+    name: 'reads &> and fd-prefixed redirections as writes',
+    command: 'node build.js &> build.log 2>errors.log',
+    segments: [
+      ['command', 0, 'node build.js &> build.log 2>errors.log'],
+      ['write', 0, 'node build.js &> build.log 2>errors.log', 'build.log'],
+      ['write', 0, 'node build.js &> build.log 2>errors.log', 'errors.log']
+    ]
+  },
+  {
+    name: 'does not split on operators inside quotes',
+    command: `git commit -m "fix: a && b; c | d" && echo 'x > y'`,
+    segments: [
+      ['command', 0, 'git commit -m "fix: a && b; c | d"'],
+      ['command', 0, "echo 'x > y'"]
+    ]
+  },
+  {
+    name: 'handles escaped operators',
+    command: 'find . -name "*.tmp" -exec rm {} \\; && echo done',
+    segments: [
+      ['command', 0, 'find . -name "*.tmp" -exec rm {} \\;'],
+      ['command', 0, 'echo done']
+    ]
+  },
+  {
+    name: 'skips comments',
+    command: 'ls # && rm -rf /',
+    segments: [
+      ['command', 0, 'ls']
+    ]
+  },
+  {
+    name: 'skips here-document bodies',
+    command: "cat <<'EOF' > notes.md\nrm -rf /\nEOF\ngit push",
+    segments: [
+      ['command', 0, "cat <<'EOF' > notes.md"],
+      ['write', 0, "cat <<'EOF' > notes.md", 'notes.md'],
+      ['command', 0, 'git push']
+    ]
+  },
+  {
+    name: 'follows line continuations and newlines',
+    command: 'npm ci && \\\n  npm run build\nnpm publish',
+    segments: [
+      ['command', 0, 'npm ci'],
+      ['command', 0, 'npm run build'],
+      ['command', 0, 'npm publish']
+    ]
+  },
+  {
+    name: 'strips if/then/fi keywords',
+    command: 'if [ -d dist ]; then rm -rf dist; fi',
+    segments: [
+      ['command', 0, '[ -d dist ]'],
+      ['command', 0, 'rm -rf dist']
+    ]
+  },
+  {
+    name: 'parses loop bodies and skips loop heads',
+    command: 'for f in *.log; do rm "$f"; done',
+    segments: [
+      ['command', 0, 'rm "$f"']
+    ]
+  },
+  {
+    name: 'parses case branches',
+    command: 'case "$1" in clean) rm -rf build ;; esac',
+    segments: [
+      ['command', 0, 'rm -rf build']
+    ]
+  },
+  {
+    name: 'parses brace groups',
+    command: '{ echo start; git push --force; } > push.log',
+    segments: [
+      ['command', 0, 'echo start'],
+      ['command', 0, 'git push --force'],
+      ['write', 0, '} > push.log', 'push.log']
+    ]
+  },
+  {
+    name: 'skips arithmetic',
+    command: 'n=$((n + 1)); (( n > 3 )) && exit 1',
+    segments: [
+      ['command', 0, 'n=$((n + 1))'],
+      ['command', 0, 'exit 1']
+    ]
+  },
+  {
+    name: 'does not throw on unterminated quotes and substitutions',
+    command: 'echo "unterminated $(rm -rf x',
+    segments: [
+      ['command', 0, 'echo "unterminated $(rm -rf x'],
+      ['command', 1, 'rm -rf x']
+    ]
+  }
+];
+
+describe('commandSegments', () => {
+  for (const fixture of FIXTURES) {
+    it(fixture.name, () => {
+      const segments = commandSegments(fixture.command).map(segment =>
+        segment.kind === 'write'
+          ? [segment.kind, segment.depth, segment.text, segment.target]
+          : [segment.kind, segment.depth, segment.text]
+      );
+      assert.deepEqual(segments, fixture.segments);
+    });
+  }
+});
+
+describe('parseShell', () => {
+  it('records the operator joining each pipeline', () => {
+    const script = parseShell('a && b || c; d & e\nf');
+    assert.deepEqual(script.pipelines.map(p => p.operator), [null, '&&', '||', ';', '&', '\n']);
+  });
+
+  it('unquotes arguments', () => {
+    const [pipeline] = parseShell(`git commit -m "it's \\"done\\"" -m 'a b' c\\ d`).pipelines;
+    assert.deepEqual(pipeline.commands[0].argv, ['git', 'commit', '-m', 'it\'s "done"', '-m', 'a b', 'c d']);
+  });
+
+  it('keeps redirections with their descriptors', () => {
+    const [pipeline] = parseShell('cmd < in.txt 2> err.log >> out.log').pipelines;
+    assert.deepEqual(pipeline.commands[0].redirects, [
+      { op: '<', fd: null, target: 'in.txt' },
+      { op: '>', fd: 2, target: 'err.log' },
+      { op: '>>', fd: null, target: 'out.log' }
+    ]);
+  });
+
+  it('returns no pipelines for empty input', () => {
+    assert.deepEqual(parseShell('').pipelines, []);
+    assert.deepEqual(parseShell('   # comment only').pipelines, []);
+  });
+});
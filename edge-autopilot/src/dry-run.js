@@ -0,0 +1,161 @@
+import { cp, mkdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { git, WorktreeManager, AUTOPILOT_GIT_IDENTITY } from './worktrees.js';
+
+// Not copied into a sandbox when the project is not a git repository
+const SKIP_COPY = new Set(['.git', 'node_modules']);
+
+// Larger patches are cut off in the report
+const MAX_PATCH_BYTES = 200 * 1024;
+
+/**
+ * DryRunSandbox - Throwaway copies of the project for `autopilot --dry-run`
+ *
+ * Git projects get a throwaway worktree per task; anything else is copied to
+ * a temp directory with a baseline commit. Either way the task's changes can
+ * be captured as a diff and then thrown away.
+ */
+export class DryRunSandbox {
+  constructor(projectDir, options = {}) {
+    this.projectDir = projectDir;
+    this.baseDir = join(options.baseDir || join(tmpdir(), 'edge-autopilot-worktrees'), 'dry-run');
+    this.worktrees = null;
+  }
+
+  /**
+   * Decide between worktrees and plain copies
+   */
+  async init() {
+    const manager = new WorktreeManager(this.projectDir, { baseDir: this.baseDir, branchPrefix: 'autopilot-dry-run' });
+    try {
+      await manager.check();
+      this.worktrees = manager;
+    } catch {
+      this.worktrees = null;
+    }
+  }
+
+  /**
+   * Create a sandbox for a task and record its base commit
+   */
+  async create(taskId) {
+    let sandbox;
+
+    if (this.worktrees) {
+      sandbox = await this.worktrees.create(taskId);
+    } else {
+      const name = String(taskId).replace(/[^\w.-]+/g, '-');
+      const path = join(this.baseDir, `${name}-${Date.now().toString(36)}`);
+      await mkdir(dirname(path), { recursive: true });
+      await cp(this.projectDir, path, {
+        recursive: true,
+        filter: (src) => !SKIP_COPY.has(src.split(/[\\/]/).pop())
+      });
+      await git(['init', '-q'], path);
+      await commitAll(path, 'dry-run baseline');
+      sandbox = { taskId, path, copy: true };
+    }
+
+    sandbox.base = await git(['rev-parse', 'HEAD'], sandbox.path);
+    return sandbox;
+  }
+
+  /**
+   * Capture everything the task changed (including commits it made) as a diff
+   * @returns {{ files: Array<{ status: string, path: string }>, patch: string, truncated: boolean }}
+   */
+  async capture(sandbox) {
+    await git(['add', '-A'], sandbox.path);
+
+    const nameStatus = await git(['diff', '--cached', '--no-renames', '--name-status', sandbox.base], sandbox.path);
+    const files = nameStatus.split('\n').filter(Boolean).map((line) => {
+      const [status, path] = line.split('\t');
+      return { status, path };
+    });
+
+    if (files.length === 0) {
+      return { files, patch: '', truncated: false };
+    }
+
+    let patch = await git(['diff', '--cached', sandbox.base], sandbox.path);
+    const truncated = patch.length > MAX_PATCH_BYTES;
+    if (truncated) {
+      patch = patch.slice(0, MAX_PATCH_BYTES);
+    }
+
+    return { files, patch, truncated };
+  }
+
+  /**
+   * Throw a sandbox and its changes away
+   */
+  async remove(sandbox) {
+    if (sandbox.copy) {
+      await rm(sandbox.path, { recursive: true, force: true });
+    } else {
+      await this.worktrees.remove(sandbox);
+    }
+  }
+}
+
+/**
+ * Commit everything in a fresh sandbox repository
+ */
+async function commitAll(dir, message) {
+  await git(['add', '-A'], dir);
+  await git(['commit', '-q', '--allow-empty', '--no-verify', '-m', message], dir, AUTOPILOT_GIT_IDENTITY);
+}
+
+/**
+ * Render the per-task dry-run report as markdown
+ */
+export function renderDryRunReport(runId, entries) {
+  const lines = [`# Dry run ${runId}`, ''];
+
+  for (const entry of entries) {
+    lines.push(`## ${entry.taskId}: ${entry.description}`, '');
+    lines.push(`Status: ${entry.status}${entry.error ? ` (${entry.error})` : ''}`, '');
+
+    if (entry.files.length === 0 && !entry.planned?.files.length) {
+      lines.push('No changes.', '');
+    }
+
+    if (entry.files.length > 0) {
+      lines.push('Files that would change:', '');
+      for (const file of entry.files) {
+        lines.push(`- \`${file.status}\` ${file.path}`);
+      }
+      lines.push('', '```diff', entry.patch, '```', '');
+      if (entry.truncated) {
+        lines.push(`_Patch truncated at ${MAX_PATCH_BYTES / 1024} KB._`, '');
+      }
+    }
+
+    if (entry.sensitive?.length) {
+      lines.push(`Sensitive paths (would need approval): ${entry.sensitive.join(', ')}`, '');
+    }
+
+    if (entry.planned) {
+      lines.push('Commands that would run:', '');
+      lines.push(...(entry.planned.commands.length ? entry.planned.commands.map(c => `- \`${c}\``) : ['- (none)']), '');
+      // Sandboxed providers write their files, which show up in the diff above
+      if (entry.planned.files.length) {
+        lines.push('Files that would be written:', '');
+        lines.push(...entry.planned.files.map(f => `- ${f.path} (${f.bytes} bytes)`), '');
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Write the dry-run report to <logs>/dry-run/<runId>.md
+ */
+export async function writeDryRunReport(logsDir, runId, entries) {
+  const file = join(logsDir || './logs/', 'dry-run', `${runId}.md`);
+  await mkdir(dirname(file), { recursive: true });
+  await writeFile(file, renderDryRunReport(runId, entries));
+  return file;
+}
@@ -0,0 +1,104 @@
+/**
+ * Tests for dry-run sandboxes and their report
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { DryRunSandbox, renderDryRunReport } from './dry-run.js';
+import { git, AUTOPILOT_GIT_IDENTITY } from './worktrees.js';
+
+describe('DryRunSandbox', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'dry-run-test-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const writeProject = (path) => {
+    mkdirSync(join(path, 'node_modules', 'left-pad'), { recursive: true });
+    writeFileSync(join(path, 'node_modules', 'left-pad', 'index.js'), '');
+    writeFileSync(join(path, 'README.md'), 'Hello\n');
+    writeFileSync(join(path, 'old.txt'), 'old\n');
+  };
+
+  // What a task does in its sandbox: edit, add, delete and commit
+  const changeSandbox = async (path) => {
+    writeFileSync(join(path, 'README.md'), 'Hello, world\n');
+    writeFileSync(join(path, 'new.txt'), 'new\n');
+    await git(['add', '-A'], path);
+    await git(['commit', '-qm', 'Task commit'], path, AUTOPILOT_GIT_IDENTITY);
+    rmSync(join(path, 'old.txt'));
+  };
+
+  const expectedFiles = [
+    { status: 'M', path: 'README.md' },
+    { status: 'A', path: 'new.txt' },
+    { status: 'D', path: 'old.txt' }
+  ];
+
+  it('captures a task\'s changes in a worktree and leaves the project alone', async () => {
+    const project = join(dir, 'repo');
+    mkdirSync(project);
+    writeProject(project);
+    writeFileSync(join(project, '.gitignore'), 'node_modules/\n');
+    await git(['init', '-q', '-b', 'main'], project);
+    await git(['add', '-A'], project);
+    await git(['commit', '-qm', 'Initial commit'], project, AUTOPILOT_GIT_IDENTITY);
+
+    const sandboxes = new DryRunSandbox(project, { baseDir: join(dir, 'sandboxes') });
+    await sandboxes.init();
+    assert.ok(sandboxes.worktrees);
+
+    const sandbox = await sandboxes.create('docs');
+    await changeSandbox(sandbox.path);
+    const diff = await sandboxes.capture(sandbox);
+    assert.deepEqual(diff.files, expectedFiles);
+    assert.match(diff.patch, /-Hello\n\+Hello, world/);
+    assert.equal(diff.truncated, false);
+
+    await sandboxes.remove(sandbox);
+    assert.ok(!existsSync(sandbox.path));
+    assert.equal(readFileSync(join(project, 'README.md'), 'utf-8'), 'Hello\n');
+    assert.equal(await git(['log', '--format=%s'], project), 'Initial commit');
+  });
+
+  it('copies a project that is not a repository, without node_modules', async () => {
+    const project = join(dir, 'plain');
+    mkdirSync(project);
+    writeProject(project);
+
+    const sandboxes = new DryRunSandbox(project, { baseDir: join(dir, 'sandboxes') });
+    await sandboxes.init();
+    assert.equal(sandboxes.worktrees, null);
+
+    const sandbox = await sandboxes.create('docs');
+    assert.equal(sandbox.copy, true);
+    assert.ok(!existsSync(join(sandbox.path, 'node_modules')));
+    assert.deepEqual(await sandboxes.capture(sandbox), { files: [], patch: '', truncated: false });
+
+    await changeSandbox(sandbox.path);
+    assert.deepEqual((await sandboxes.capture(sandbox)).files, expectedFiles);
+
+    await sandboxes.remove(sandbox);
+    assert.ok(!existsSync(sandbox.path));
+    assert.ok(!existsSync(join(project, '.git')));
+  });
+});
+
+describe('renderDryRunReport', () => {
+  it('shows the diff, and planned commands without an empty file list', () => {
+    const report = renderDryRunReport('run-1', [
+      { taskId: 'docs', description: 'Add docs', status: 'ok', files: [{ status: 'A', path: 'docs.md' }], patch: '+# Docs', planned: { commands: ['npm test'], files: [] } },
+      { taskId: 'noop', description: 'Nothing', status: 'ok', files: [], patch: '', planned: { commands: [], files: [] } },
+      { taskId: 'plan', description: 'Planned writes', status: 'ok', files: [], patch: '', planned: { commands: [], files: [{ path: 'a.js', bytes: 3 }] } }
+    ]);
+
+    const [docs, noop, plan] = report.split(/\n(?=## )/).slice(1);
+    assert.match(docs, /Files that would change:\n\n- `A` docs\.md\n\n```diff\n\+# Docs\n```/);
+    assert.match(docs, /Commands that would run:\n\n- `npm test`\n/);
+    assert.doesNotMatch(docs, /No changes|Files that would be written/);
+    assert.match(noop, /No changes\.\n\nCommands that would run:\n\n- \(none\)\n/);
+    assert.match(plan, /Files that would be written:\n\n- a\.js \(3 bytes\)\n/);
+    assert.doesNotMatch(plan, /No changes/);
+  });
+});
@@ -1,4 +1,5 @@
 import nodemailer from 'nodemailer';
+import { formatTokens, tokensIn } from './providers/usage.js';
 
 /**
  * EmailNotifier - Email notifications and daily digest reports
@@ -95,8 +96,9 @@ export class EmailNotifier {
 
   /**
    * Send an approval request email
+   * @param {object} links - Signed { approve, deny } URLs served by the dashboard
    */
-  async sendApprovalRequest(action, details, approvalUrl) {
+  async sendApprovalRequest(action, details, links = {}) {
     if (!this.enabled) return;
     await this.init();
 
@@ -105,7 +107,7 @@ export class EmailNotifier {
     const html = this.renderTemplate('approval-request', {
       action,
       details,
-      approvalUrl,
+      links,
       timestamp: new Date().toISOString()
     });
 
@@ -121,6 +123,7 @@ export class EmailNotifier {
 
     const totalTasks = sessions.reduce((sum, s) => sum + (s.tasksCompleted || 0), 0);
     const totalErrors = sessions.reduce((sum, s) => sum + (s.errors || 0), 0);
+    const totalCost = sessions.reduce((sum, s) => sum + (s.costUsd || 0), 0);
     
     const subject = `📊 Autopilot Daily Digest - ${totalTasks} tasks, ${sessions.length} sessions`;
 
@@ -128,6 +131,7 @@ export class EmailNotifier {
       sessions,
       totalTasks,
       totalErrors,
+      totalCost,
       date: new Date().toLocaleDateString('en-US', { 
         weekday: 'long', 
         year: 'numeric', 
@@ -204,6 +208,16 @@ export class EmailNotifier {
             <div style="font-size: 11px; color: #94a3b8; text-transform: uppercase;">Errors</div>
           </td>
         </tr>
+        <tr>
+          <td colspan="2" style="padding: 12px; text-align: center; background: #334155; border-radius: 0 0 0 8px;">
+            <div style="font-size: 22px; font-weight: bold; color: #a855f7;">$${(d.stats.costUsd || 0).toFixed(2)}</div>
+            <div style="font-size: 11px; color: #94a3b8; text-transform: uppercase;">Cost</div>
+          </td>
+          <td colspan="2" style="padding: 12px; text-align: center; background: #334155; border-radius: 0 0 8px 0;">
+            <div style="font-size: 22px; font-weight: bold; color: #a855f7;">${formatTokens(tokensIn(d.stats.usage))} / ${formatTokens(d.stats.usage?.outputTokens)}</div>
+            <div style="font-size: 11px; color: #94a3b8; text-transform: uppercase;">Tokens In / Out</div>
+          </td>
+        </tr>
       </table>
       
       <!-- Success Rate Bar -->
@@ -295,10 +309,10 @@ export class EmailNotifier {
         <p style="margin: 0;"><strong>Risk Score:</strong> ${((d.details.risk || 0) * 100).toFixed(0)}%</p>
       </div>
       
-      ${d.approvalUrl ? `
+      ${d.links.approve ? `
       <div style="margin-top: 24px; text-align: center;">
-        <a href="${d.approvalUrl}" style="display: inline-block; padding: 12px 32px; background: #22c55e; color: #000; text-decoration: none; border-radius: 8px; font-weight: bold; margin-right: 8px;">✓ Approve</a>
-        <a href="${d.approvalUrl}?deny=1" style="display: inline-block; padding: 12px 32px; background: #ef4444; color: #fff; text-decoration: none; border-radius: 8px; font-weight: bold;">✗ Deny</a>
+        <a href="${d.links.approve}" style="display: inline-block; padding: 12px 32px; background: #22c55e; color: #000; text-decoration: none; border-radius: 8px; font-weight: bold; margin-right: 8px;">✓ Approve</a>
+        <a href="${d.links.deny}" style="display: inline-block; padding: 12px 32px; background: #ef4444; color: #fff; text-decoration: none; border-radius: 8px; font-weight: bold;">✗ Deny</a>
       </div>
       ` : ''}
     </div>
@@ -336,10 +350,14 @@ export class EmailNotifier {
             <div style="font-size: 32px; font-weight: bold; color: #3b82f6;">${d.sessions.length}</div>
             <div style="font-size: 11px; color: #94a3b8;">SESSIONS</div>
           </td>
-          <td style="padding: 16px; text-align: center; background: #334155; border-radius: 0 8px 8px 0;">
+          <td style="padding: 16px; text-align: center; background: #334155;">
             <div style="font-size: 32px; font-weight: bold; color: ${d.totalErrors > 0 ? '#ef4444' : '#22c55e'};">${d.totalErrors}</div>
             <div style="font-size: 11px; color: #94a3b8;">ERRORS</div>
           </td>
+          <td style="padding: 16px; text-align: center; background: #334155; border-radius: 0 8px 8px 0;">
+            <div style="font-size: 32px; font-weight: bold; color: #a855f7;">$${d.totalCost.toFixed(2)}</div>
+            <div style="font-size: 11px; color: #94a3b8;">COST</div>
+          </td>
         </tr>
       </table>
       
@@ -349,7 +367,7 @@ export class EmailNotifier {
         <div style="background: #334155; padding: 12px; border-radius: 8px; margin-bottom: 8px;">
           <div style="display: flex; justify-content: space-between; align-items: center;">
             <span style="font-size: 13px;">Session ${i + 1}</span>
-            <span style="font-size: 12px; color: #94a3b8;">${s.tasksCompleted || 0} tasks</span>
+            <span style="font-size: 12px; color: #94a3b8;">${s.tasksCompleted || 0} tasks, $${(s.costUsd || 0).toFixed(2)}</span>
           </div>
         </div>
       `).join('')}
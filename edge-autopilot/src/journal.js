@@ -0,0 +1,97 @@
+import { open, readFile, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * RunJournal - Append-only, crash-safe record of a queue run
+ *
+ * Every task state change is appended as one JSON line and synced to disk
+ * before the supervisor moves on, so a run can be rebuilt exactly with
+ * `autopilot resume <run-id>` after the process dies.
+ */
+export class RunJournal {
+  constructor(file, runId) {
+    this.file = file;
+    this.runId = runId;
+    this.events = [];
+
+    // Appends are serialized so events land in the order they happened
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Directory holding the journals for a logs directory
+   */
+  static directory(logsDir) {
+    return join(logsDir || './logs/', 'runs');
+  }
+
+  /**
+   * Start a new journal and record the run_started event
+   */
+  static async create(logsDir, meta = {}) {
+    const runId = `run-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    const dir = RunJournal.directory(logsDir);
+    await mkdir(dir, { recursive: true });
+
+    const journal = new RunJournal(join(dir, `${runId}.jsonl`), runId);
+    await journal.append('run_started', { runId, ...meta });
+    return journal;
+  }
+
+  /**
+   * Open an existing journal for resuming
+   */
+  static async open(logsDir, runId) {
+    const file = join(RunJournal.directory(logsDir), `${runId}.jsonl`);
+    if (!existsSync(file)) {
+      throw new Error(`No journal found for run ${runId} (looked in ${file})`);
+    }
+
+    const journal = new RunJournal(file, runId);
+    const content = await readFile(file, 'utf-8');
+
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        journal.events.push(JSON.parse(line));
+      } catch {
+        // A crash mid-write can leave a truncated last line; everything before it is intact
+      }
+    }
+
+    if (!journal.meta) {
+      throw new Error(`Journal for run ${runId} has no run_started event`);
+    }
+
+    return journal;
+  }
+
+  /**
+   * The run_started event (task source, task IDs and run options)
+   */
+  get meta() {
+    return this.events.find(e => e.type === 'run_started') || null;
+  }
+
+  /**
+   * Append an event and wait until it is flushed to disk
+   */
+  append(type, data = {}) {
+    const event = { type, timestamp: new Date().toISOString(), ...data };
+    this.events.push(event);
+
+    const write = this.writeChain.then(async () => {
+      const handle = await open(this.file, 'a');
+      try {
+        await handle.appendFile(JSON.stringify(event) + '\n');
+        await handle.datasync();
+      } finally {
+        await handle.close();
+      }
+    });
+
+    this.writeChain = write.catch(() => {});
+    return write.then(() => event);
+  }
+}
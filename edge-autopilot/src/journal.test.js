@@ -0,0 +1,46 @@
+/**
+ * Tests for the run journal
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, appendFileSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { RunJournal } from './journal.js';
+
+describe('RunJournal', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'journal-test-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('appends one JSON line per event, in order', async () => {
+    const journal = await RunJournal.create(dir, { source: 'tasks/' });
+    assert.match(journal.runId, /^run-\d{4}-/);
+    await Promise.all([
+      journal.append('task_started', { taskId: 'a' }),
+      journal.append('task_completed', { taskId: 'a' })
+    ]);
+
+    const lines = readFileSync(journal.file, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(e => e.type), ['run_started', 'task_started', 'task_completed']);
+    assert.equal(lines[0].source, 'tasks/');
+    assert.equal(journal.meta.runId, journal.runId);
+  });
+
+  it('reopens a journal whose last line was cut off by a crash', async () => {
+    const journal = await RunJournal.create(dir);
+    await journal.append('task_started', { taskId: 'a' });
+    appendFileSync(journal.file, '{"type":"task_completed","taskId":"a","timest');
+
+    const reopened = await RunJournal.open(dir, journal.runId);
+    assert.deepEqual(reopened.events.map(e => e.type), ['run_started', 'task_started']);
+  });
+
+  it('refuses a missing journal or one without run_started', async () => {
+    await assert.rejects(RunJournal.open(dir, 'run-missing'), /No journal found for run run-missing/);
+
+    mkdirSync(RunJournal.directory(dir), { recursive: true });
+    writeFileSync(join(RunJournal.directory(dir), 'run-headless.jsonl'), '{"type":"task_started","taskId":"a"}\n');
+    await assert.rejects(RunJournal.open(dir, 'run-headless'), /has no run_started event/);
+  });
+});
@@ -0,0 +1,211 @@
+import { readFile, writeFile, rename, mkdir, rm } from 'fs/promises';
+import { existsSync } from 'fs';
+import { createHash } from 'crypto';
+import { homedir } from 'os';
+import { join, resolve, basename, dirname } from 'path';
+
+/** Learned detector stats, one file per project */
+export const LEARNING_DIR = join(homedir(), '.config', 'edge-autopilot', 'learning');
+
+// Each denial raises risk for the same command/path/package, up to a cap
+const DENY_RISK = 0.2;
+const MAX_DENY_RISK = 0.5;
+
+// Each approval lowers it a little, up to a cap
+const APPROVE_RISK = -0.02;
+const MAX_APPROVE_RISK = -0.3;
+
+// Recent actions kept across sessions
+const MAX_HISTORY = 1000;
+
+/**
+ * LearningStore - SmartDetector stats that survive between sessions
+ * (`detection.enable_learning`)
+ *
+ * Tracks how often each command, path and package was seen, approved and
+ * denied in a project. Approvals slowly lower the risk of the same action,
+ * denials raise it, and an action approved `trustAfter` times with no
+ * denials is trusted enough to auto-accept.
+ */
+export class LearningStore {
+  constructor(file, options = {}) {
+    this.file = file;
+    this.trustAfter = options.trustAfter ?? 20;
+    this.data = emptyStore();
+
+    // Writes are serialized so a slow save never overwrites a newer one
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Store file for a project directory
+   */
+  static fileFor(projectDir, baseDir = LEARNING_DIR) {
+    const project = resolve(projectDir);
+    const hash = createHash('sha1').update(project).digest('hex').slice(0, 10);
+    return join(baseDir, `${basename(project) || 'root'}-${hash}.json`);
+  }
+
+  /**
+   * Open (or start) the store for a project
+   */
+  static async open(projectDir, options = {}) {
+    const store = new LearningStore(LearningStore.fileFor(projectDir, options.baseDir), options);
+    await store.load();
+    store.data.project = resolve(projectDir);
+    return store;
+  }
+
+  async load() {
+    if (!existsSync(this.file)) return;
+
+    try {
+      this.data = { ...emptyStore(), ...JSON.parse(await readFile(this.file, 'utf-8')) };
+    } catch (error) {
+      console.warn(`Ignoring unreadable learning store ${this.file}: ${error.message}`);
+      this.data = emptyStore();
+    }
+  }
+
+  /**
+   * Write the store (atomically, via a temp file)
+   */
+  save() {
+    this.data.updatedAt = new Date().toISOString();
+    const content = JSON.stringify(this.data, null, 2);
+
+    const write = this.writeChain.then(async () => {
+      await mkdir(dirname(this.file), { recursive: true });
+      await writeFile(`${this.file}.tmp`, content);
+      await rename(`${this.file}.tmp`, this.file);
+    });
+
+    this.writeChain = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * Delete everything learned for the project
+   */
+  async reset() {
+    this.data = { ...emptyStore(), project: this.data.project };
+    await this.writeChain;
+    await rm(this.file, { force: true });
+  }
+
+  /**
+   * Record that an action was detected
+   */
+  recordSeen(action) {
+    for (const entry of this.entriesFor(action, true)) {
+      entry.seen++;
+      entry.lastSeen = action.timestamp || new Date().toISOString();
+      if (action.type === 'file_create') entry.creates = (entry.creates || 0) + 1;
+      if (action.type === 'file_edit') entry.edits = (entry.edits || 0) + 1;
+      if (action.type === 'file_delete') entry.deletes = (entry.deletes || 0) + 1;
+    }
+
+    this.data.types[action.type] = (this.data.types[action.type] || 0) + 1;
+    this.data.history.push({ type: action.type, target: action.target, riskScore: action.riskScore, timestamp: action.timestamp });
+    if (this.data.history.length > MAX_HISTORY) {
+      this.data.history = this.data.history.slice(-MAX_HISTORY);
+    }
+  }
+
+  /**
+   * Record an approval or denial made by a person
+   */
+  recordDecision(action, decision) {
+    for (const entry of this.entriesFor(action, true)) {
+      if (decision === 'approve') entry.approved++;
+      if (decision === 'deny') entry.denied++;
+    }
+
+    const last = [...this.data.history].reverse().find(h => h.type === action.type && h.target === action.target);
+    if (last) last.decision = decision;
+  }
+
+  /**
+   * Risk change and trust for an action, from past decisions on the same
+   * command, path or package
+   * @returns {{ risk: number, trusted: boolean, approved: number, denied: number }}
+   */
+  assess(action) {
+    const entries = this.entriesFor(action, false);
+    const approved = entries.reduce((sum, e) => sum + e.approved, 0);
+    const denied = entries.reduce((sum, e) => sum + e.denied, 0);
+
+    const risk = Math.min(MAX_DENY_RISK, denied * DENY_RISK) + Math.max(MAX_APPROVE_RISK, approved * APPROVE_RISK);
+    return { risk, trusted: approved >= this.trustAfter && denied === 0, approved, denied };
+  }
+
+  /**
+   * Entries an action is learned under: its shell command, the file it
+   * touches and the package it installs
+   */
+  entriesFor(action, create) {
+    const keys = [];
+    if (action.command) keys.push(['commands', normalizeCommand(action.command)]);
+    if (action.type.startsWith('file_') && action.target) keys.push(['paths', action.target]);
+    if (action.type === 'npm_install') {
+      for (const name of action.packages?.map(p => p.name) || [action.target].filter(Boolean)) {
+        keys.push(['packages', name]);
+      }
+    }
+
+    return keys.flatMap(([kind, key]) => {
+      if (!this.data[kind][key] && create) {
+        this.data[kind][key] = { seen: 0, approved: 0, denied: 0 };
+      }
+      return this.data[kind][key] ? [this.data[kind][key]] : [];
+    });
+  }
+
+  /**
+   * Summary for `autopilot detector stats`
+   */
+  stats(limit = 10) {
+    const top = (kind, by) => Object.entries(this.data[kind])
+      .sort((a, b) => b[1][by] - a[1][by])
+      .filter(([, entry]) => entry[by] > 0)
+      .slice(0, limit);
+
+    return {
+      file: this.file,
+      project: this.data.project,
+      updatedAt: this.data.updatedAt,
+      actions: this.data.history.length,
+      types: this.data.types,
+      counts: {
+        commands: Object.keys(this.data.commands).length,
+        paths: Object.keys(this.data.paths).length,
+        packages: Object.keys(this.data.packages).length
+      },
+      mostSeenCommands: top('commands', 'seen'),
+      mostEditedPaths: top('paths', 'edits'),
+      mostApproved: [...top('commands', 'approved'), ...top('paths', 'approved'), ...top('packages', 'approved')]
+        .sort((a, b) => b[1].approved - a[1].approved).slice(0, limit),
+      mostDenied: [...top('commands', 'denied'), ...top('paths', 'denied'), ...top('packages', 'denied')]
+        .sort((a, b) => b[1].denied - a[1].denied).slice(0, limit),
+      trusted: ['commands', 'paths', 'packages'].flatMap(kind =>
+        Object.entries(this.data[kind]).filter(([, e]) => e.approved >= this.trustAfter && e.denied === 0).map(([key]) => key))
+    };
+  }
+}
+
+function emptyStore() {
+  return {
+    version: 1,
+    project: null,
+    updatedAt: null,
+    commands: {},
+    paths: {},
+    packages: {},
+    types: {},
+    history: []
+  };
+}
+
+function normalizeCommand(command) {
+  return command.trim().replace(/\s+/g, ' ');
+}
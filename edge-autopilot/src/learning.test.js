@@ -0,0 +1,109 @@
+/**
+ * Tests for the detector's learning store (detection.enable_learning)
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { LearningStore } from './learning.js';
+import { SmartDetector } from './smart-detector.js';
+
+describe('LearningStore', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'learning-test-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const push = { type: 'git_push', target: 'origin', command: 'git  push origin', riskScore: 0.6 };
+
+  it('lowers risk with approvals and trusts an action approved often enough', () => {
+    const store = new LearningStore(join(dir, 'approvals.json'), { trustAfter: 3 });
+    assert.deepEqual(store.assess(push), { risk: 0, trusted: false, approved: 0, denied: 0 });
+
+    for (let i = 0; i < 3; i++) {
+      store.recordSeen(push);
+      store.recordDecision(push, 'approve');
+    }
+
+    // Commands are matched with whitespace normalized
+    const assessed = store.assess({ ...push, command: 'git push origin' });
+    assert.equal(assessed.trusted, true);
+    assert.equal(assessed.approved, 3);
+    assert.equal(assessed.risk.toFixed(2), '-0.06');
+    assert.deepEqual(store.stats().trusted, ['git push origin']);
+  });
+
+  it('raises risk with denials, up to a cap, and a denial ends trust', () => {
+    const store = new LearningStore(join(dir, 'denials.json'), { trustAfter: 1 });
+    store.recordDecision(push, 'approve');
+    store.recordDecision(push, 'deny');
+    assert.equal(store.assess(push).trusted, false);
+
+    for (let i = 0; i < 5; i++) store.recordDecision(push, 'deny');
+    assert.equal(store.assess(push).risk.toFixed(2), '0.48');
+  });
+
+  it('learns file actions by path and installs by package', () => {
+    const store = new LearningStore(join(dir, 'kinds.json'));
+    store.recordSeen({ type: 'file_edit', target: 'src/app.js', riskScore: 0.3 });
+    store.recordSeen({ type: 'file_edit', target: 'src/app.js', riskScore: 0.3 });
+    store.recordDecision({ type: 'npm_install', target: 'lodash', packages: [{ name: 'lodash' }, { name: 'chalk' }] }, 'deny');
+
+    assert.equal(store.data.paths['src/app.js'].edits, 2);
+    assert.equal(store.assess({ type: 'npm_install', target: 'chalk' }).denied, 1);
+    assert.deepEqual(store.data.types, { file_edit: 2 });
+    assert.deepEqual(store.stats().mostEditedPaths.map(([path]) => path), ['src/app.js']);
+  });
+
+  it('persists per project and can be reset', async () => {
+    const project = join(dir, 'my-app');
+    const store = await LearningStore.open(project, { baseDir: dir });
+    assert.match(store.file, /my-app-[0-9a-f]{10}\.json$/);
+    store.recordSeen(push);
+    store.recordDecision(push, 'approve');
+    await store.save();
+
+    const reopened = await LearningStore.open(project, { baseDir: dir });
+    assert.equal(reopened.data.project, project);
+    assert.equal(reopened.assess(push).approved, 1);
+
+    await reopened.reset();
+    assert.ok(!existsSync(reopened.file));
+    assert.equal(reopened.assess(push).approved, 0);
+
+    // A corrupt store is ignored rather than failing the session
+    writeFileSync(reopened.file, '{ not json');
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      assert.deepEqual((await LearningStore.open(project, { baseDir: dir })).data.commands, {});
+    } finally {
+      console.warn = warn;
+    }
+  });
+
+  it('lets the detector auto-accept a trusted action, except one on the require_approval list', async () => {
+    const detector = new SmartDetector();
+    detector.learning = new LearningStore(join(dir, 'detector.json'), { trustAfter: 2 });
+    const config = { mode: 'copilot', copilot: { quick_confirm: ['terminal_command'], require_approval: ['git_commit'] } };
+    const classify = (command) => detector.classifyToolUse({ name: 'Bash', input: { command } }, dir);
+    const build = () => classify('npm run build');
+    const commit = () => classify('git commit -m "Update the changelog"');
+
+    assert.equal(detector.shouldAutoAccept(build(), config).accept, 'quick_confirm');
+    for (const action of [build(), build(), commit(), commit()]) {
+      detector.learning.recordDecision(action, 'approve');
+    }
+
+    const trusted = build();
+    assert.equal(trusted.learned.trusted, true);
+    assert.ok(trusted.riskScore < trusted.baseRiskScore);
+    assert.deepEqual(detector.shouldAutoAccept(trusted, config), { accept: true, reason: 'Approved 2 times before', confidence: 0.9 });
+
+    // Trust never overrides an explicit require_approval entry
+    const trustedCommit = commit();
+    assert.equal(trustedCommit.learned.trusted, true);
+    assert.equal(detector.shouldAutoAccept(trustedCommit, config).accept, false);
+    await detector.learning.writeChain;
+  });
+});
@@ -93,6 +93,39 @@ export class Logger {
   warn(message, data) { return this.log('warn', message, data); }
   error(message, data) { return this.log('error', message, data); }
 
+  /**
+   * Record a structured provider event (tool call, tool result, text, usage).
+   * Not echoed to the console - the provider already prints its own output.
+   * Assistant text and tool output are only kept with include_responses.
+   */
+  async event(event) {
+    await this.init();
+
+    const isResponse = event.type === 'text' || event.type === 'tool_result' || event.type === 'result';
+    const data = isResponse && !this.config.include_responses
+      ? { ...event, text: undefined, content: undefined }
+      : event;
+
+    const entry = { timestamp: new Date().toISOString(), level: 'event', message: event.type, data };
+    this.entries.push(entry);
+
+    await appendFile(this.logFile, `[${entry.timestamp}] [EVENT] ${event.type} | ${JSON.stringify(data)}\n`);
+  }
+
+  /**
+   * Record the prompt a task was sent, as assembled by buildPrompt
+   * (include_prompts). Not echoed to the console.
+   */
+  async prompt(taskId, text) {
+    if (!this.config.include_prompts) return;
+    await this.init();
+
+    const entry = { timestamp: new Date().toISOString(), level: 'prompt', message: taskId || 'prompt', data: { taskId, prompt: text } };
+    this.entries.push(entry);
+
+    await appendFile(this.logFile, `[${entry.timestamp}] [PROMPT] ${entry.message}\n${text}\n[${entry.timestamp}] [END PROMPT]\n`);
+  }
+
   /**
    * Save the complete JSON log for analysis
    */
@@ -102,8 +135,9 @@ export class Logger {
 
   /**
    * Generate a summary of the session
+   * @param {object} stats - Session stats, for its token usage and cost
    */
-  async generateSummary() {
+  async generateSummary(stats = null) {
     const summary = {
       sessionId: this.sessionId,
       startTime: this.entries[0]?.timestamp,
@@ -114,7 +148,12 @@ export class Logger {
         info: this.entries.filter(e => e.level === 'info').length,
         warn: this.entries.filter(e => e.level === 'warn').length,
         error: this.entries.filter(e => e.level === 'error').length
-      }
+      },
+      ...(stats && {
+        costUsd: stats.costUsd,
+        usage: stats.usage,
+        costByTask: stats.costByTask
+      })
     };
     
     const summaryFile = join(this.config.directory, `summary-${this.sessionId}.json`);
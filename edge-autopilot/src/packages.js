@@ -0,0 +1,277 @@
+import { readFile } from 'fs/promises';
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { commandSegments } from './detection/index.js';
+
+// Bundled offline list of widely used package names, for typosquat checks
+const POPULAR_FILE = new URL('./data/popular-packages.json', import.meta.url);
+
+// Install subcommands per package manager
+const INSTALL_COMMANDS = {
+  npm: new Set(['install', 'i', 'add', 'in', 'isntall']),
+  yarn: new Set(['add']),
+  pnpm: new Set(['add', 'install', 'i']),
+  bun: new Set(['add', 'install', 'i'])
+};
+
+// Install flags that take a value (`--registry <url>`), so the value is not a package
+const FLAGS_WITH_VALUE = new Set(['--registry', '--prefix', '--workspace', '-w', '--filter', '--tag', '--cache', '--save-prefix']);
+
+// Specs that are installed from somewhere other than the registry
+const NON_REGISTRY_SPEC = /^(?:git\+|git:|github:|gitlab:|bitbucket:|https?:|file:|link:|\.{0,2}\/|~\/)|\.tgz$|^[\w.-]+\/[\w.-]+(?:#.*)?$/;
+
+// Risk added by a package check (the riskiest package of an install counts)
+const PACKAGE_RISK = {
+  denied: 1.0,
+  typosquat: 0.5,
+  not_registry: 0.3,
+  unknown: 0.1,
+  popular: 0,
+  allowed: -0.2
+};
+
+let popularPackages = null;
+
+/**
+ * Package names from the bundled popular list
+ */
+export function loadPopularPackages() {
+  if (!popularPackages) {
+    popularPackages = new Set(JSON.parse(readFileSync(POPULAR_FILE, 'utf-8')));
+  }
+  return popularPackages;
+}
+
+/**
+ * Packages named by npm/yarn/pnpm/bun install commands in a command line
+ * @returns {Array<{ spec: string, name: string, registry: boolean }>}
+ */
+export function parseInstallCommand(command) {
+  const packages = [];
+
+  for (const segment of commandSegments(command)) {
+    if (segment.kind !== 'command') continue;
+
+    const [manager, subcommand, ...args] = segment.argv;
+    if (!INSTALL_COMMANDS[manager]?.has(subcommand)) continue;
+
+    for (let i = 0; i < args.length; i++) {
+      if (FLAGS_WITH_VALUE.has(args[i])) {
+        i++;
+      } else if (!args[i].startsWith('-')) {
+        packages.push(parsePackageSpec(args[i]));
+      }
+    }
+  }
+
+  return packages;
+}
+
+/**
+ * Split an install spec (`lodash@^4`, `@scope/pkg@1.2.0`, `alias@npm:real@2`) into its package name
+ */
+export function parsePackageSpec(spec) {
+  if (NON_REGISTRY_SPEC.test(spec)) {
+    return { spec, name: spec, registry: false };
+  }
+
+  const at = spec.indexOf('@', spec.startsWith('@') ? 1 : 0);
+  const name = at === -1 ? spec : spec.slice(0, at);
+  const version = at === -1 ? '' : spec.slice(at + 1);
+
+  if (version.startsWith('npm:')) {
+    return { ...parsePackageSpec(version.slice(4)), spec };
+  }
+  return { spec, name: name.toLowerCase(), registry: true };
+}
+
+/**
+ * PackageChecker - Reputation checks for packages an install adds
+ *
+ * Checks each package against the project's `detection.packages` allow and
+ * deny lists (exact names or `*` globs such as `@myorg/*`), and flags names
+ * one or two typos away from a popular package (`expresss`, `crossenv`).
+ */
+export class PackageChecker {
+  constructor(options = {}) {
+    this.allow = (options.allow || []).map(globToRegex);
+    this.deny = (options.deny || []).map(globToRegex);
+    this.popular = options.popular ? new Set(options.popular) : loadPopularPackages();
+  }
+
+  /**
+   * Check one package
+   * @returns {{ name: string, spec: string, status: string, risk: number, reason?: string, similarTo?: string }}
+   */
+  check(pkg) {
+    const { name, spec = name, registry = true } = typeof pkg === 'string' ? parsePackageSpec(pkg) : pkg;
+    const report = (status, extra = {}) => ({ name, spec, status, risk: PACKAGE_RISK[status], ...extra });
+
+    if (this.deny.some(re => re.test(name))) {
+      return report('denied', { reason: `${name} is on detection.packages.deny` });
+    }
+    if (this.allow.some(re => re.test(name))) {
+      return report('allowed');
+    }
+    if (!registry) {
+      return report('not_registry', { reason: `${spec} is not installed from the registry` });
+    }
+    if (this.popular.has(name)) {
+      return report('popular');
+    }
+
+    const similarTo = this.findSimilar(name);
+    if (similarTo) {
+      return report('typosquat', { similarTo, reason: `${name} looks like a typo of ${similarTo}` });
+    }
+    return report('unknown');
+  }
+
+  /**
+   * Check every package an install command names
+   */
+  checkCommand(command) {
+    return parseInstallCommand(command).map(pkg => this.check(pkg));
+  }
+
+  /**
+   * Risk added by the riskiest package of an install command
+   */
+  risk(command) {
+    const reports = this.checkCommand(command);
+    return reports.length > 0 ? Math.max(...reports.map(r => r.risk)) : 0;
+  }
+
+  /**
+   * A popular package the name is probably a typo of
+   */
+  findSimilar(name) {
+    const bare = name.replace(/[-_.]/g, '');
+
+    for (const popular of this.popular) {
+      // Separator tricks: crossenv, cross_env, cross.env for cross-env
+      if (bare === popular.replace(/[-_.]/g, '')) return popular;
+
+      // Short names are too close to each other to compare
+      if (popular.length < 4 || Math.abs(popular.length - name.length) > 2) continue;
+
+      const maxDistance = popular.length >= 8 ? 2 : 1;
+      if (editDistance(name, popular, maxDistance) <= maxDistance) return popular;
+    }
+    return null;
+  }
+}
+
+/**
+ * Installed packages recorded in a project's package-lock.json (v1-v3), and
+ * the direct dependencies from package.json. Null when there is no lockfile.
+ * @returns {Promise<{ packages: Map<string, object>, direct: Set<string> } | null>}
+ */
+export async function readLockfile(dir) {
+  const file = join(dir, 'package-lock.json');
+  if (!existsSync(file)) return null;
+
+  let lock;
+  try {
+    lock = JSON.parse(await readFile(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+
+  const packages = new Map();
+  const add = (name, entry) => {
+    if (!name || !entry?.version) return;
+    packages.set(`${name}@${entry.version}`, {
+      name,
+      version: entry.version,
+      hasInstallScript: Boolean(entry.hasInstallScript),
+      dev: Boolean(entry.dev)
+    });
+  };
+
+  if (lock.packages) {
+    for (const [path, entry] of Object.entries(lock.packages)) {
+      const at = path.lastIndexOf('node_modules/');
+      // Workspace folders (packages/foo) only say who they are with `name`
+      if (!path || (at === -1 && !entry.name)) continue;
+      add(entry.name || path.slice(at + 'node_modules/'.length), entry);
+    }
+  } else {
+    const walk = (deps = {}) => {
+      for (const [name, entry] of Object.entries(deps)) {
+        add(name, entry);
+        walk(entry.dependencies);
+      }
+    };
+    walk(lock.dependencies);
+  }
+
+  const direct = new Set();
+  try {
+    const manifest = JSON.parse(await readFile(join(dir, 'package.json'), 'utf-8'));
+    for (const field of ['dependencies', 'devDependencies', 'optionalDependencies', 'peerDependencies']) {
+      Object.keys(manifest[field] || {}).forEach(name => direct.add(name));
+    }
+  } catch {
+    // No package.json: nothing counts as direct
+  }
+
+  return { packages, direct };
+}
+
+/**
+ * Packages added to and removed from a lockfile
+ * @returns {{ added: object[], removed: object[], transitive: object[], installScripts: object[] }}
+ *   Added entries are marked `direct` when package.json lists them; the rest are transitive.
+ */
+export function diffLockfiles(before, after) {
+  const previous = before?.packages || new Map();
+  const current = after?.packages || new Map();
+
+  const added = [...current.entries()]
+    .filter(([key]) => !previous.has(key))
+    .map(([, entry]) => ({ ...entry, direct: Boolean(after?.direct.has(entry.name)) }));
+  const removed = [...previous.entries()]
+    .filter(([key]) => !current.has(key))
+    .map(([, entry]) => entry);
+
+  return {
+    added,
+    removed,
+    transitive: added.filter(p => !p.direct),
+    installScripts: added.filter(p => p.hasInstallScript)
+  };
+}
+
+function globToRegex(pattern) {
+  const source = String(pattern).toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Damerau-Levenshtein distance (adjacent swaps count as one edit), giving up
+ * once it is certainly above `max`
+ */
+function editDistance(a, b, max) {
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return rowMin;
+    prevPrev = prev;
+    prev = row;
+  }
+
+  return prev[b.length];
+}
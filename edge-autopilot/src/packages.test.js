@@ -0,0 +1,99 @@
+/**
+ * Tests for package reputation checks and lockfile diffs
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { PackageChecker, parseInstallCommand, readLockfile, diffLockfiles } from './packages.js';
+
+describe('parseInstallCommand', () => {
+  it('finds packages in npm, yarn and pnpm installs', () => {
+    const names = parseInstallCommand('npm i -D lodash@^4 @types/node && yarn add left-pad; pnpm add --filter web zod')
+      .map(p => p.name);
+    assert.deepEqual(names, ['lodash', '@types/node', 'left-pad', 'zod']);
+  });
+
+  it('resolves aliases and marks non-registry sources', () => {
+    const [alias, git, tarball] = parseInstallCommand('npm install my-lodash@npm:lodash@4 github:user/repo ./pkg.tgz');
+    assert.equal(alias.name, 'lodash');
+    assert.equal(git.registry, false);
+    assert.equal(tarball.registry, false);
+  });
+
+  it('ignores commands that are not installs', () => {
+    assert.deepEqual(parseInstallCommand('npm test && npm run install-deps'), []);
+  });
+});
+
+describe('PackageChecker', () => {
+  const checker = new PackageChecker({ allow: ['@myorg/*'], deny: ['event-stream'] });
+  const status = (name) => checker.check(name).status;
+
+  it('applies the allow and deny lists', () => {
+    assert.equal(status('event-stream'), 'denied');
+    assert.equal(status('@myorg/utils'), 'allowed');
+  });
+
+  it('flags likely typosquats of popular packages', () => {
+    assert.equal(status('expresss'), 'typosquat');
+    assert.equal(status('lodahs'), 'typosquat');
+    assert.equal(status('crossenv'), 'typosquat');
+    assert.equal(checker.check('reactt-dom').similarTo, 'react-dom');
+  });
+
+  it('does not flag popular or unrelated packages', () => {
+    assert.equal(status('react'), 'popular');
+    assert.equal(status('preact'), 'popular');
+    assert.equal(status('left-pad'), 'unknown');
+  });
+
+  it('scores an install by its riskiest package', () => {
+    assert.equal(checker.risk('npm i lodash expresss'), checker.check('expresss').risk);
+  });
+});
+
+describe('diffLockfiles', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'packages-test-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('reports new direct, transitive and install-script packages', async () => {
+    const writeLock = (packages) => writeFileSync(join(dir, 'package-lock.json'), JSON.stringify({ lockfileVersion: 3, packages: { '': {}, ...packages } }));
+
+    writeFileSync(join(dir, 'package.json'), JSON.stringify({ dependencies: { axios: '^1.0.0' } }));
+    writeLock({ 'node_modules/ms': { version: '2.1.3' } });
+    const before = await readLockfile(dir);
+
+    writeLock({
+      'node_modules/ms': { version: '2.1.3' },
+      'node_modules/axios': { version: '1.7.0' },
+      'node_modules/axios/node_modules/follow-redirects': { version: '1.15.6', hasInstallScript: true }
+    });
+    const diff = diffLockfiles(before, await readLockfile(dir));
+
+    assert.deepEqual(diff.added.map(p => [p.name, p.direct]), [['axios', true], ['follow-redirects', false]]);
+    assert.deepEqual(diff.transitive.map(p => p.name), ['follow-redirects']);
+    assert.deepEqual(diff.installScripts.map(p => p.name), ['follow-redirects']);
+    assert.deepEqual(diff.removed, []);
+  });
+
+  it('names workspace packages only from their name field', async () => {
+    const workspace = join(dir, 'workspace');
+    mkdirSync(workspace);
+    writeFileSync(join(workspace, 'package-lock.json'), JSON.stringify({
+      lockfileVersion: 3,
+      packages: {
+        '': { workspaces: ['packages/*'] },
+        'packages/app': { version: '1.0.0' },
+        'packages/ui': { name: '@acme/ui', version: '0.2.0' },
+        'node_modules/@acme/ui': { resolved: 'packages/ui', link: true },
+        'node_modules/ms': { version: '2.1.3' }
+      }
+    }));
+
+    const { packages } = await readLockfile(workspace);
+    assert.deepEqual([...packages.keys()], ['@acme/ui@0.2.0', 'ms@2.1.3']);
+  });
+});
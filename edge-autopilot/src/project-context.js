@@ -0,0 +1,301 @@
+import { readdir, readFile, stat } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, sep, extname } from 'path';
+import { git } from './worktrees.js';
+import { matchesPathPattern } from './safety.js';
+
+/**
+ * Project context for prompts (`context.auto_inject`)
+ *
+ * Builds what a provider would otherwise spend its first turns finding
+ * out: a map of the repository with the symbols each JS/TS module
+ * exports, the recent commits and uncommitted changes, and the files the
+ * task names in `files:`. Ignored files (.gitignore) are left out, and
+ * everything is kept under a token budget.
+ */
+
+// Rough tokens per character, as for routing's context estimate
+const CHARS_PER_TOKEN = 4;
+
+const SOURCE_EXTENSIONS = new Set(['.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx']);
+
+// Never walked outside a git repository
+const SKIP_DIRS = new Set(['.git', 'node_modules']);
+
+// Larger files are listed in the map without their exports
+const MAX_SCANNED_BYTES = 200 * 1024;
+
+// Smallest part of a file or of the map worth including
+const MIN_SECTION_CHARS = 200;
+
+// Files listed in the map, however large the project
+const MAX_MAP_FILES = 2000;
+
+// Other files listed per directory before the rest are counted instead
+// (logs, fixtures); JS/TS modules are always listed
+const MAX_DIR_FILES = 15;
+
+export const DEFAULT_AUTO_INJECT = {
+  enabled: false,
+  max_tokens: 8000,
+  repo_map: true,
+  git_log: 10,
+  git_diff: true
+};
+
+export function estimateTokens(text = '') {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Files in a project, relative and sorted, without ignored ones. Inside a
+ * git repository git decides (every .gitignore, .git/info/exclude and the
+ * global excludes); otherwise the project's top-level .gitignore is read.
+ */
+export async function projectFiles(dir) {
+  try {
+    const output = await git(['ls-files', '--cached', '--others', '--exclude-standard'], dir);
+    const files = output.split('\n').filter(Boolean).filter(file => existsSync(join(dir, file)));
+    return [...new Set(files)].sort();
+  } catch {
+    return walkFiles(dir, await readIgnoreFile(dir));
+  }
+}
+
+async function readIgnoreFile(dir) {
+  const content = await readFile(join(dir, '.gitignore'), 'utf-8').catch(() => '');
+  return content.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#') && !line.startsWith('!'))
+    .map(line => line.replace(/^\//, ''));
+}
+
+async function walkFiles(dir, ignore) {
+  const files = [];
+  const pending = [''];
+  const ignored = (path) => ignore.some(pattern => matchesPathPattern(path, pattern));
+
+  while (pending.length && files.length < MAX_MAP_FILES) {
+    const current = pending.pop();
+    const entries = await readdir(join(dir, current), { withFileTypes: true }).catch(() => []);
+
+    for (const entry of entries) {
+      const path = current ? `${current}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (!SKIP_DIRS.has(entry.name) && !ignored(`${path}/`)) pending.push(path);
+      } else if (entry.isFile() && !ignored(path)) {
+        files.push(path);
+      }
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Names a JS/TS module exports, in the order they appear
+ */
+export function exportedSymbols(source) {
+  const symbols = [];
+  const add = (name) => name && !symbols.includes(name) && symbols.push(name);
+  const declaration = /^export\s+(default\s+)?(?:declare\s+)?(?:abstract\s+)?(?:async\s+)?(?:function\s*\*?|class|const|let|var|interface|type|enum)\s+([\w$]+)/;
+
+  for (const line of source.split('\n')) {
+    const match = declaration.exec(line);
+    if (match) {
+      add(match[2]);
+      continue;
+    }
+
+    const list = /^export\s+(?:type\s+)?\{([^}]*)\}/.exec(line);
+    if (list) {
+      for (const item of list[1].split(',')) {
+        add(item.trim().split(/\s+as\s+/).pop().trim());
+      }
+      continue;
+    }
+
+    if (/^export\s+default\b/.test(line)) add('default');
+  }
+
+  return symbols;
+}
+
+/**
+ * Directory tree of the project, one entry per line, with the exports of
+ * each JS/TS module: "  routing.js: taskKind, scoreTask"
+ */
+export async function repoMap(dir, files) {
+  const lines = [];
+  let parents = [];
+  const listed = files.slice(0, MAX_MAP_FILES);
+
+  const isSource = (file) => SOURCE_EXTENSIONS.has(extname(file));
+  const others = new Map();
+  for (const file of listed.filter(file => !isSource(file))) {
+    const parent = file.split('/').slice(0, -1).join('/');
+    others.set(parent, (others.get(parent) || 0) + 1);
+  }
+  const shown = new Map();
+
+  for (const file of listed) {
+    const parts = file.split('/');
+    const dirs = parts.slice(0, -1);
+    const parent = dirs.join('/');
+    const count = isSource(file) ? 0 : (shown.get(parent) || 0) + 1;
+    if (count) shown.set(parent, count);
+    if (count > MAX_DIR_FILES + 1) continue;
+
+    // Print the directories this file opens that the previous one did not
+    let shared = 0;
+    while (shared < dirs.length && dirs[shared] === parents[shared]) shared++;
+    for (let depth = shared; depth < dirs.length; depth++) {
+      lines.push(`${'  '.repeat(depth)}${dirs[depth]}/`);
+    }
+    parents = dirs;
+
+    if (count > MAX_DIR_FILES) {
+      lines.push(`${'  '.repeat(dirs.length)}... ${others.get(parent) - MAX_DIR_FILES} more files`);
+      continue;
+    }
+
+    let entry = `${'  '.repeat(dirs.length)}${parts.at(-1)}`;
+    if (isSource(file)) {
+      const symbols = await fileExports(join(dir, file));
+      if (symbols.length) entry += `: ${symbols.join(', ')}`;
+    }
+    lines.push(entry);
+  }
+
+  if (files.length > MAX_MAP_FILES) {
+    lines.push(`... ${files.length - MAX_MAP_FILES} more files`);
+  }
+  return lines.join('\n');
+}
+
+async function fileExports(path) {
+  const info = await stat(path).catch(() => null);
+  if (!info?.isFile() || info.size > MAX_SCANNED_BYTES) return [];
+  return exportedSymbols(await readFile(path, 'utf-8').catch(() => ''));
+}
+
+/**
+ * Project files matching a task's `files:` entries: paths, names
+ * (anywhere in the tree) or globs such as src/providers/*.js
+ * @returns {{ matched: string[], missing: string[] }}
+ */
+export function matchFiles(files, patterns = []) {
+  const matched = [];
+  const missing = [];
+
+  for (const pattern of [].concat(patterns)) {
+    const normalized = String(pattern).split(sep).join('/').replace(/^\.\//, '');
+    const hits = files.filter(file => file === normalized || matchesPathPattern(file, normalized));
+    if (!hits.length) missing.push(pattern);
+    for (const file of hits) {
+      if (!matched.includes(file)) matched.push(file);
+    }
+  }
+
+  return { matched, missing };
+}
+
+/**
+ * Recent commits and uncommitted changes, or '' outside a git repository
+ */
+export async function recentChanges(dir, { log = 10, diff = true } = {}) {
+  const parts = [];
+
+  try {
+    if (log > 0) {
+      const commits = await git(['log', '--oneline', '--no-decorate', '-n', String(log)], dir);
+      if (commits) parts.push(`Recent commits:\n${commits}`);
+    }
+    if (diff) {
+      const stat = await git(['diff', '--stat', 'HEAD'], dir);
+      parts.push(stat ? `Uncommitted changes:\n${stat}` : 'No uncommitted changes');
+    }
+  } catch {
+    // Not a repository, or no commits yet
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Cut text to a length, at a line boundary where one is close
+ */
+function truncate(text, maxChars, what) {
+  if (text.length <= maxChars) return text;
+
+  const note = `\n... (${what} cut to fit the context budget)`;
+  const cut = text.slice(0, Math.max(0, maxChars - note.length));
+  const lastLine = cut.lastIndexOf('\n');
+  return (lastLine > cut.length / 2 ? cut.slice(0, lastLine) : cut) + note;
+}
+
+/**
+ * Assemble the project context for a task
+ * @param {string} dir - Working directory the task runs in
+ * @param {object} options - context.auto_inject, plus the task's `files`
+ * @returns {Promise<{ text: string, tokens: number, files: string[], missing: string[], omitted: string[] }>}
+ *   The sections as prompt text, the files included, the `files:` entries that
+ *   matched nothing and the parts left out for lack of budget
+ */
+export async function buildProjectContext(dir, options = {}) {
+  const settings = { ...DEFAULT_AUTO_INJECT, ...options };
+  const files = await projectFiles(dir);
+  const { matched, missing } = matchFiles(files, settings.files);
+  const omitted = [];
+
+  // Budgeted in characters; every section and file also costs a blank line
+  let room = settings.max_tokens * CHARS_PER_TOKEN;
+  const spend = (text) => { room -= text.length + 2; };
+
+  // Spend the budget on what matters most to the task first
+  let changesSection = '';
+  const changes = await recentChanges(dir, { log: settings.git_log, diff: settings.git_diff });
+  if (changes) {
+    const section = `[Recent Changes]\n${changes}`;
+    if (section.length + 2 <= room) {
+      changesSection = section;
+      spend(section);
+    } else {
+      omitted.push('recent changes');
+    }
+  }
+
+  const filesTitle = '[Relevant Files]\n';
+  const included = [];
+  const fileParts = [];
+  for (const file of matched) {
+    const content = await readFile(join(dir, file), 'utf-8').catch(() => null);
+    if (content === null) continue;
+
+    const header = `${included.length ? '' : filesTitle}--- ${file} ---\n`;
+    const available = room - header.length - 2;
+    if (available < MIN_SECTION_CHARS) {
+      omitted.push(file);
+      continue;
+    }
+
+    const part = header + truncate(content, available, file);
+    fileParts.push(part);
+    included.push(file);
+    spend(part);
+  }
+
+  let mapSection = '';
+  if (settings.repo_map && files.length) {
+    const title = '[Repository Map]\n';
+    if (room - title.length - 2 >= MIN_SECTION_CHARS) {
+      mapSection = title + truncate(await repoMap(dir, files), room - title.length - 2, 'repository map');
+      spend(mapSection);
+    } else {
+      omitted.push('repository map');
+    }
+  }
+
+  const text = [mapSection, changesSection, fileParts.join('\n\n')].filter(Boolean).join('\n\n');
+  return { text, tokens: estimateTokens(text), files: included, missing, omitted };
+}
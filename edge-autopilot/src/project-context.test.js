@@ -0,0 +1,105 @@
+/**
+ * Tests for project context injection (context.auto_inject)
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { exportedSymbols, projectFiles, repoMap, matchFiles, recentChanges, buildProjectContext } from './project-context.js';
+
+function writeProject(dir) {
+  mkdirSync(join(dir, 'src', 'lib'), { recursive: true });
+  mkdirSync(join(dir, 'dist'));
+  writeFileSync(join(dir, '.gitignore'), 'dist/\n*.log\n');
+  writeFileSync(join(dir, 'package.json'), '{ "name": "demo" }\n');
+  writeFileSync(join(dir, 'src', 'parser.js'), 'export function parse(text) {}\nexport const VERSION = 1;\n');
+  writeFileSync(join(dir, 'src', 'lib', 'tokens.ts'), 'export interface Token {}\nexport default class Lexer {}\n');
+  writeFileSync(join(dir, 'dist', 'bundle.js'), 'export function parse() {}\n');
+  writeFileSync(join(dir, 'debug.log'), 'noise\n');
+}
+
+describe('project context', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'project-context-test-'));
+  const repo = join(dir, 'repo');
+
+  before(() => {
+    mkdirSync(repo);
+    writeProject(repo);
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: repo, stdio: 'pipe' });
+    git('init', '-q');
+    git('add', '-A');
+    git('commit', '-qm', 'Add the parser');
+    writeFileSync(join(repo, 'src', 'parser.js'), 'export function parse(text) { return text; }\nexport const VERSION = 2;\n');
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('lists the names a module exports', () => {
+    const source = [
+      'export async function load() {}',
+      'export class Queue {}',
+      'export const A = 1, B = 2;',
+      'export type Options = {};',
+      'export { helper, internal as publicName };',
+      'export default function () {}',
+      'const hidden = 1;'
+    ].join('\n');
+    assert.deepEqual(exportedSymbols(source), ['load', 'Queue', 'A', 'Options', 'helper', 'publicName', 'default']);
+  });
+
+  it('leaves out ignored files, with or without git', async () => {
+    const expected = ['.gitignore', 'package.json', 'src/lib/tokens.ts', 'src/parser.js'];
+    assert.deepEqual(await projectFiles(repo), expected);
+
+    const plain = join(dir, 'plain');
+    mkdirSync(plain);
+    writeProject(plain);
+    assert.deepEqual(await projectFiles(plain), expected);
+  });
+
+  it('maps the tree with each module\'s exports', async () => {
+    assert.equal(await repoMap(repo, await projectFiles(repo)), [
+      '.gitignore',
+      'package.json',
+      'src/',
+      '  lib/',
+      '    tokens.ts: Token, Lexer',
+      '  parser.js: parse, VERSION'
+    ].join('\n'));
+  });
+
+  it('matches task files by path, name or glob', () => {
+    const files = ['README.md', 'src/a.js', 'src/b.ts', 'src/lib/a.js'];
+    assert.deepEqual(matchFiles(files, ['./README.md', 'src/*.js', 'b.ts', 'missing.js']), {
+      matched: ['README.md', 'src/a.js', 'src/b.ts'],
+      missing: ['missing.js']
+    });
+    assert.deepEqual(matchFiles(files, ['a.js', 'src/lib/']).matched, ['src/a.js', 'src/lib/a.js']);
+  });
+
+  it('summarizes recent commits and uncommitted changes', async () => {
+    const changes = await recentChanges(repo, { log: 5 });
+    assert.match(changes, /^Recent commits:\n[0-9a-f]+ Add the parser/);
+    assert.match(changes, /Uncommitted changes:\nsrc\/parser\.js \| 4/);
+    assert.equal(await recentChanges(tmpdir() + '/does-not-exist'), '');
+  });
+
+  it('assembles the sections under the token budget', async () => {
+    const context = await buildProjectContext(repo, { files: ['parser.js', 'nothing/*.md'] });
+    assert.match(context.text, /^\[Repository Map\]\n/);
+    assert.match(context.text, /\[Recent Changes\]\nRecent commits:/);
+    assert.match(context.text, /\[Relevant Files\]\n--- src\/parser\.js ---\nexport function parse\(text\) \{ return text; \}/);
+    assert.deepEqual(context.files, ['src/parser.js']);
+    assert.deepEqual(context.missing, ['nothing/*.md']);
+
+    // A small budget goes to the recent changes and the task's files before the map
+    writeFileSync(join(repo, 'src', 'big.js'), 'x'.repeat(2000) + '\n');
+    const tight = await buildProjectContext(repo, { max_tokens: 120, files: ['big.js'], git_log: 1 });
+    assert.ok(tight.tokens <= 120, `${tight.tokens} tokens`);
+    assert.match(tight.text, /src\/big\.js cut to fit the context budget/);
+    assert.deepEqual(tight.omitted, ['repository map']);
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Anthropic Provider - Calls the Messages API directly
+ *
+ * For machines without the Claude Code CLI (CI boxes). The provider runs
+ * the agent loop itself with the local tools in ./tools.js: each tool call
+ * the model makes is reported as a tool_use event, passed to
+ * options.reviewToolUse (SmartDetector and the approval policy in the
+ * supervisor) and only run once approved. A refused call is sent back to
+ * the model as an error result.
+ *
+ * Each turn's token usage and cost is reported as a usage event as soon as
+ * the response arrives, so a budget can stop the loop mid-task.
+ *
+ * Reads ANTHROPIC_API_KEY, and ANTHROPIC_BASE_URL to point at a proxy or
+ * a local stub.
+ */
+
+import { AGENT_TOOLS, DEFAULT_MAX_TURNS, LocalTools, agentSystemPrompt, runToolCall } from './tools.js';
+import { emptyUsage, addUsage, usageCost } from './usage.js';
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const API_VERSION = '2023-06-01';
+const MAX_TOKENS = 8192;
+
+export class AnthropicProvider {
+  /**
+   * @param {object} config
+   * @param {object} options
+   * @param {Function} options.priceOf - Price of a model ID (see ./usage.js); runs cost 0 without it
+   */
+  constructor(config, { priceOf } = {}) {
+    this.config = config;
+    this.priceOf = priceOf || (() => null);
+    this.apiKey = process.env.ANTHROPIC_API_KEY;
+    this.baseUrl = (process.env.ANTHROPIC_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+
+    if (!this.apiKey) {
+      console.warn('Warning: ANTHROPIC_API_KEY not set. Anthropic provider will not work.');
+    }
+  }
+
+  async runTask(prompt, options = {}) {
+    const { model, workDir, onOutput, onError, onEvent, reviewToolUse, signal } = options;
+    const dryRun = options.dryRun ?? Boolean(this.config?.safety?.dry_run);
+    const maxTurns = options.maxTurns || DEFAULT_MAX_TURNS;
+
+    if (!this.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY environment variable is required for Anthropic provider');
+    }
+
+    const tools = new LocalTools({ workDir, dryRun, sandboxed: options.sandboxed, signal });
+    const emit = (event) => {
+      if (onEvent) onEvent(event);
+    };
+    const write = (text, isError = false) => {
+      const output = isError ? onError : onOutput;
+      if (output) output(text);
+      (isError ? process.stderr : process.stdout).write(text);
+    };
+
+    const messages = [{ role: 'user', content: prompt }];
+    const usage = emptyUsage();
+    const price = this.priceOf(model);
+    let costUsd = 0;
+    const startedAt = Date.now();
+    let resultText = '';
+    let turns = 0;
+    let stopReason = null;
+
+    try {
+      while (!stopReason) {
+        if (turns >= maxTurns) {
+          stopReason = 'max_turns';
+          break;
+        }
+        turns++;
+
+        const response = await this.createMessage({
+          model,
+          max_tokens: MAX_TOKENS,
+          system: agentSystemPrompt(tools.workDir),
+          tools: AGENT_TOOLS,
+          messages
+        }, signal);
+
+        const turnUsage = toUsage(response.usage);
+        const turnCost = usageCost(turnUsage, price);
+        addUsage(usage, turnUsage);
+        costUsd += turnCost;
+        emit({ type: 'usage', costUsd: turnCost, usage: turnUsage });
+
+        messages.push({ role: 'assistant', content: response.content });
+
+        const toolCalls = [];
+        for (const block of response.content || []) {
+          if (block.type === 'text' && block.text) {
+            resultText = block.text;
+            emit({ type: 'text', text: block.text });
+            write(`${block.text}\n`);
+          } else if (block.type === 'tool_use') {
+            toolCalls.push(block);
+          }
+        }
+
+        if (response.stop_reason !== 'tool_use' || toolCalls.length === 0) {
+          stopReason = response.stop_reason === 'max_tokens' || response.stop_reason === 'refusal'
+            ? response.stop_reason
+            : 'end_turn';
+          break;
+        }
+
+        const results = [];
+        for (const call of toolCalls) {
+          const { content, isError } = await runToolCall(tools, call, { emit, write, reviewToolUse, signal });
+          results.push({ type: 'tool_result', tool_use_id: call.id, content, ...(isError && { is_error: true }) });
+        }
+        messages.push({ role: 'user', content: results });
+      }
+    } catch (error) {
+      if (onError) onError(error.message);
+      throw error;
+    }
+
+    const isError = stopReason !== 'end_turn';
+    if (stopReason === 'max_turns') write(`Stopped after ${turns} turns (max ${maxTurns})\n`, true);
+
+    emit({ type: 'result', text: resultText, isError, stopReason, durationMs: Date.now() - startedAt, turns });
+
+    return {
+      code: isError ? 1 : 0,
+      provider: 'anthropic',
+      result: resultText,
+      isError,
+      stopReason,
+      costUsd,
+      usage,
+      turns,
+      ...(dryRun && { planned: tools.planned })
+    };
+  }
+
+  /**
+   * POST /v1/messages
+   */
+  async createMessage(body, signal) {
+    const response = await fetch(`${this.baseUrl}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': API_VERSION
+      },
+      signal,
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      // status lets a provider_chain fall back on 429s and 5xx errors
+      const error = new Error(`Anthropic API error: ${body.error?.message || response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.json();
+  }
+}
+
+function toUsage(usage) {
+  // Some servers send `"usage": null`
+  usage = usage ?? {};
+  return {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0,
+    cacheCreationTokens: usage.cache_creation_input_tokens || 0
+  };
+}
@@ -0,0 +1,261 @@
+/**
+ * Tests for the Anthropic Messages API provider
+ *
+ * A local HTTP server stands in for the API: each test scripts the model's
+ * responses and inspects the requests the provider sent back.
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { mkdtempSync, readFileSync, writeFileSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { AnthropicProvider } from './anthropic.js';
+import { createProvider, modelPrice } from './index.js';
+import { SmartDetector } from '../smart-detector.js';
+
+const toolUse = (id, name, input) => ({ type: 'tool_use', id, name, input });
+const text = (value) => ({ type: 'text', text: value });
+const reply = (content, stopReason = 'end_turn', usage = { input_tokens: 10, output_tokens: 5 }) =>
+  ({ status: 200, body: { content, stop_reason: stopReason, usage } });
+
+describe('AnthropicProvider', () => {
+  const root = mkdtempSync(join(tmpdir(), 'anthropic-test-'));
+  let server;
+  let responses = [];
+  let requests = [];
+  const env = {};
+
+  before(async () => {
+    // The provider echoes its output to the console. Drop that text (the
+    // test runner's own reports are buffers) so it stays out of the report.
+    for (const stream of [process.stdout, process.stderr]) {
+      const write = stream.write;
+      mock.method(stream, 'write', function (chunk, ...args) {
+        return typeof chunk === 'string' ? true : write.call(this, chunk, ...args);
+      });
+    }
+
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        const { status, body: response } = responses.shift() || reply([text('done')]);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(response));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    for (const key of ['ANTHROPIC_API_KEY', 'ANTHROPIC_BASE_URL']) env[key] = process.env[key];
+    process.env.ANTHROPIC_API_KEY = 'test-key';
+    process.env.ANTHROPIC_BASE_URL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    mock.restoreAll();
+    server.close();
+    rmSync(root, { recursive: true, force: true });
+    for (const [key, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  const run = (script, options = {}) => {
+    responses = script;
+    requests = [];
+    const events = [];
+    const workDir = options.workDir || mkdtempSync(join(root, 'work-'));
+
+    const result = new AnthropicProvider({}).runTask('Do the task', {
+      model: 'claude-sonnet-4-20250514',
+      workDir,
+      onEvent: event => events.push(event),
+      reviewToolUse: () => true,
+      ...options
+    });
+    return { result, events, workDir };
+  };
+
+  it('only reads and lists when nothing reviews tool calls', async () => {
+    const { result, workDir } = run([
+      reply([
+        toolUse('t1', 'write_file', { path: 'hello.txt', content: 'hi' }),
+        toolUse('t2', 'run_command', { command: 'touch ran.txt' }),
+        toolUse('t3', 'list_dir', {})
+      ], 'tool_use'),
+      reply([text('Stopped')])
+    ], { reviewToolUse: undefined });
+    await result;
+
+    assert.deepEqual(readdirSync(workDir), []);
+    const results = requests[1].body.messages.at(-1).content;
+    assert.deepEqual(results.map(r => Boolean(r.is_error)), [true, true, false]);
+    assert.match(results[0].content, /Nothing reviews tool calls/);
+  });
+
+  it('counts no tokens when the server sends no usage', async () => {
+    const { result } = run([
+      reply([toolUse('t1', 'list_dir', {})], 'tool_use', null),
+      reply([text('Listed')])
+    ]);
+    const summary = await result;
+
+    assert.equal(summary.code, 0);
+    assert.deepEqual(summary.usage, { inputTokens: 10, outputTokens: 5, cacheReadTokens: 0, cacheCreationTokens: 0 });
+  });
+
+  it('runs tool calls until the model ends its turn', async () => {
+    const { result, events, workDir } = run([
+      reply([
+        text('Creating the file'),
+        toolUse('t1', 'write_file', { path: 'src/hello.txt', content: 'hi' }),
+        toolUse('t2', 'run_command', { command: 'cat src/hello.txt' })
+      ], 'tool_use'),
+      reply([text('All done')])
+    ]);
+    const summary = await result;
+
+    assert.equal(readFileSync(join(workDir, 'src/hello.txt'), 'utf-8'), 'hi');
+    assert.equal(summary.code, 0);
+    assert.equal(summary.stopReason, 'end_turn');
+    assert.equal(summary.result, 'All done');
+    assert.equal(summary.turns, 2);
+    assert.deepEqual(summary.usage, { inputTokens: 20, outputTokens: 10, cacheReadTokens: 0, cacheCreationTokens: 0 });
+
+    const [first, second] = requests;
+    assert.equal(first.url, '/v1/messages');
+    assert.equal(first.headers['x-api-key'], 'test-key');
+    assert.ok(first.headers['anthropic-version']);
+    assert.deepEqual(first.body.tools.map(t => t.name), ['read_file', 'write_file', 'edit_file', 'list_dir', 'run_command']);
+
+    const results = second.body.messages.at(-1).content;
+    assert.deepEqual(results.map(r => r.tool_use_id), ['t1', 't2']);
+    assert.match(results[1].content, /^exit code 0\nhi$/);
+
+    assert.deepEqual(
+      events.map(e => e.type === 'tool_use' ? `tool_use:${e.name}` : e.type),
+      ['usage', 'text', 'tool_use:Write', 'tool_result', 'tool_use:Bash', 'tool_result', 'usage', 'text', 'result']
+    );
+  });
+
+  it('routes every tool call through SmartDetector before running it', async () => {
+    const detector = new SmartDetector();
+    const reviewed = [];
+    const { result, workDir } = run([
+      reply([
+        toolUse('t1', 'read_file', { path: 'notes.md' }),
+        toolUse('t2', 'edit_file', { path: 'notes.md', old_string: 'old', new_string: 'new' }),
+        toolUse('t3', 'run_command', { command: 'cd sub && chmod 777 /nonexistent-autopilot-test' })
+      ], 'tool_use'),
+      reply([text('Finished')])
+    ], {
+      workDir: mkdtempSync(join(root, 'work-')),
+      reviewToolUse: async (call) => {
+        const action = detector.classifyToolUse(call, workDir);
+        if (action) reviewed.push(action.type);
+        return action?.type !== 'dangerous_command';
+      }
+    });
+    writeFileSync(join(workDir, 'notes.md'), 'old text');
+    await result;
+
+    assert.deepEqual(reviewed, ['file_edit', 'dangerous_command']);
+    assert.equal(readFileSync(join(workDir, 'notes.md'), 'utf-8'), 'new text');
+
+    const [read, edit, command] = requests[1].body.messages.at(-1).content;
+    assert.equal(read.content, 'old text');
+    assert.equal(edit.is_error, undefined);
+    assert.equal(command.is_error, true);
+    assert.match(command.content, /not approved/);
+  });
+
+  it('keeps tools inside the working directory', async () => {
+    const { result } = run([
+      reply([
+        toolUse('t1', 'read_file', { path: '../../etc/passwd' }),
+        toolUse('t2', 'write_file', { path: '/tmp/escape.txt', content: 'x' }),
+        toolUse('t3', 'edit_file', { path: 'missing.txt', old_string: 'a', new_string: 'b' })
+      ], 'tool_use'),
+      reply([text('ok')])
+    ]);
+    await result;
+
+    const results = requests[1].body.messages.at(-1).content;
+    assert.ok(results.every(r => r.is_error));
+    assert.match(results[0].content, /outside the project directory/);
+    assert.match(results[1].content, /outside the project directory/);
+  });
+
+  it('plans writes and commands in dry-run mode', async () => {
+    const { result, workDir } = run([
+      reply([
+        toolUse('t1', 'write_file', { path: 'out.txt', content: 'data' }),
+        toolUse('t2', 'run_command', { command: 'touch ran.txt' })
+      ], 'tool_use'),
+      reply([text('ok')])
+    ], { dryRun: true });
+    const summary = await result;
+
+    assert.deepEqual(summary.planned, { commands: ['touch ran.txt'], files: [{ path: 'out.txt', bytes: 4 }] });
+    assert.throws(() => readFileSync(join(workDir, 'ran.txt')));
+  });
+
+  it('writes files in a dry-run sandbox and only plans commands', async () => {
+    const { result, workDir } = run([
+      reply([
+        toolUse('t1', 'write_file', { path: 'out.txt', content: 'data' }),
+        toolUse('t2', 'run_command', { command: 'touch ran.txt' })
+      ], 'tool_use'),
+      reply([text('ok')])
+    ], { dryRun: true, sandboxed: true });
+    const summary = await result;
+
+    assert.deepEqual(summary.planned, { commands: ['touch ran.txt'], files: [] });
+    assert.equal(readFileSync(join(workDir, 'out.txt'), 'utf-8'), 'data');
+    assert.throws(() => readFileSync(join(workDir, 'ran.txt')));
+  });
+
+  it('stops after the maximum number of turns', async () => {
+    const loop = () => reply([toolUse('t', 'list_dir', {})], 'tool_use');
+    const { result } = run([loop(), loop(), loop()], { maxTurns: 2 });
+    const summary = await result;
+
+    assert.equal(summary.code, 1);
+    assert.equal(summary.stopReason, 'max_turns');
+    assert.equal(requests.length, 2);
+  });
+
+  it('reports API errors', async () => {
+    const { result } = run([{ status: 401, body: { type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } } }]);
+    await assert.rejects(result, /Anthropic API error: invalid x-api-key/);
+  });
+
+  it('reports the cost of each turn at the model\'s price', async () => {
+    // The install's own prices, keyed by alias, replace the built-in ones
+    const config = { providers: { anthropic: { prices: { sonnet: { input: 2, output: 10 } } } } };
+    assert.deepEqual(modelPrice('anthropic', 'claude-sonnet-4-20250514', config), { input: 2, output: 10 });
+    assert.equal(modelPrice('anthropic', 'opus', config).output, 25);
+    assert.equal(modelPrice('anthropic', 'claude-unknown', config), null);
+
+    responses = [
+      reply([toolUse('t1', 'list_dir', {})], 'tool_use', { input_tokens: 1000, output_tokens: 100, cache_read_input_tokens: 2000 }),
+      reply([text('Listed')], 'end_turn', { input_tokens: 1200, output_tokens: 50 })
+    ];
+    const events = [];
+    const summary = await createProvider('anthropic', config).runTask('List the files', {
+      model: 'claude-sonnet-4-20250514',
+      workDir: mkdtempSync(join(root, 'work-')),
+      onEvent: event => events.push(event)
+    });
+
+    // Cache reads default to the input price
+    const costs = events.filter(e => e.type === 'usage').map(e => e.costUsd.toFixed(4));
+    assert.deepEqual(costs, ['0.0070', '0.0029']);
+    assert.equal(summary.costUsd.toFixed(4), '0.0099');
+    assert.deepEqual(summary.usage, { inputTokens: 2200, outputTokens: 150, cacheReadTokens: 2000, cacheCreationTokens: 0 });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Provider fallback chains
+ *
+ * `provider_chain: [claude:sonnet, claude:opus, openai:gpt-4o]` lists the
+ * providers (and models) a task may run on, in order. An attempt that fails
+ * because of the provider (a 429 or 5xx from an API, the claude CLI exiting
+ * non-zero, no network) moves on to the next entry. With
+ * `escalate_on_failure: true` on a task, any failed or timed-out attempt
+ * does, so a task that is too hard for a cheap model gets a stronger one.
+ */
+
+import { PROVIDERS, resolveModel } from './index.js';
+
+/**
+ * Parse a chain entry: "provider:model", or just "provider" for its default model
+ * @returns {{ provider: string, model: string|null }}
+ */
+export function parseChainEntry(entry) {
+  const text = String(entry).trim();
+  const split = text.indexOf(':');
+  const provider = split === -1 ? text : text.slice(0, split);
+  const model = split === -1 ? null : text.slice(split + 1) || null;
+
+  if (!PROVIDERS[provider]) {
+    throw new Error(`Unknown provider in provider_chain: "${text}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+  return { provider, model };
+}
+
+export function chainLabel({ provider, model }) {
+  return model ? `${provider}:${model}` : provider;
+}
+
+/**
+ * Entries a task runs on: the task's or the config's provider_chain, or
+ * just the configured provider and model. A task with its own `model:`
+ * (or tier, such as best) starts at the first entry using that model, or
+ * runs it on the first entry's provider before the rest of the chain.
+ */
+export function providerChain(config, task = {}) {
+  const entries = task.provider_chain || config.provider_chain;
+  if (!entries?.length) {
+    return [{ provider: config.provider || 'claude', model: task.model || config.model || null }];
+  }
+
+  const chain = entries.map(parseChainEntry);
+  if (!task.model) return chain;
+
+  const start = chain.findIndex(({ provider, model }) =>
+    model && resolveModel(provider, model, config) === resolveModel(provider, task.model, config));
+  return start === -1
+    ? [{ provider: chain[0].provider, model: task.model }, ...chain]
+    : chain.slice(start);
+}
+
+/**
+ * Did the attempt fail because of the provider rather than the task?
+ * @param {Error} error - Thrown by the provider, or the attempt's error
+ * @param {object} result - The provider's result, if it returned one
+ */
+export function isProviderFailure(error, result = null) {
+  if (error?.denied || error?.safetyViolation || error?.timedOut) return false;
+
+  // HTTP status set by the API providers
+  const status = error?.status;
+  if (status === 429 || status >= 500) return true;
+
+  // Unreachable endpoint or missing CLI
+  if (['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'ENOENT'].includes(error?.code || error?.cause?.code)) return true;
+  if (error?.message === 'fetch failed') return true;
+
+  // The claude CLI exits non-zero when its API call fails
+  return result?.provider === 'claude' && result.code !== 0;
+}
+
+/**
+ * The chain entries a task's attempts actually ran on, e.g.
+ * "claude:sonnet → claude:opus"
+ */
+export function chainUsed(attempts = []) {
+  const labels = [];
+  for (const { provider } of attempts) {
+    if (provider && labels.at(-1) !== provider) labels.push(provider);
+  }
+  return labels.join(' → ');
+}
@@ -0,0 +1,54 @@
+/**
+ * Tests for provider_chain parsing and fallback decisions
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseChainEntry, providerChain, isProviderFailure, chainUsed } from './chain.js';
+
+describe('provider chains', () => {
+  const config = { provider: 'claude', model: 'sonnet', provider_chain: ['claude:sonnet', 'claude:opus', 'openai:gpt-4o'] };
+
+  it('parses provider and provider:model entries', () => {
+    assert.deepEqual(parseChainEntry('claude:opus'), { provider: 'claude', model: 'opus' });
+    assert.deepEqual(parseChainEntry('local'), { provider: 'local', model: null });
+    assert.deepEqual(parseChainEntry('local:qwen2.5-coder:32b'), { provider: 'local', model: 'qwen2.5-coder:32b' });
+    assert.throws(() => parseChainEntry('gemini:pro'), /Unknown provider in provider_chain: "gemini:pro"/);
+  });
+
+  it('uses the configured provider without a chain', () => {
+    assert.deepEqual(providerChain({ provider: 'openai' }), [{ provider: 'openai', model: null }]);
+    assert.deepEqual(providerChain({ model: 'sonnet' }, { model: 'opus' }), [{ provider: 'claude', model: 'opus' }]);
+  });
+
+  it('starts a task with its own model at that model', () => {
+    assert.deepEqual(providerChain(config).map(e => e.model), ['sonnet', 'opus', 'gpt-4o']);
+    assert.deepEqual(providerChain(config, { model: 'opus' }).map(e => e.model), ['opus', 'gpt-4o']);
+    assert.deepEqual(providerChain(config, { model: 'haiku' }).map(e => e.model), ['haiku', 'sonnet', 'opus', 'gpt-4o']);
+    assert.deepEqual(providerChain(config, { model: 'best' }).map(e => e.model), ['opus', 'gpt-4o']);
+    assert.deepEqual(providerChain(config, { provider_chain: ['local', 'claude'] }), [
+      { provider: 'local', model: null },
+      { provider: 'claude', model: null }
+    ]);
+  });
+
+  it('falls back on provider failures only', () => {
+    const status = (code) => Object.assign(new Error('API error'), { status: code });
+    assert.equal(isProviderFailure(status(429)), true);
+    assert.equal(isProviderFailure(status(529)), true);
+    assert.equal(isProviderFailure(status(400)), false);
+    assert.equal(isProviderFailure(Object.assign(new Error('fetch failed'), { cause: { code: 'ECONNREFUSED' } })), true);
+    assert.equal(isProviderFailure(new Error('Task exited with code 1'), { provider: 'claude', code: 1 }), true);
+    assert.equal(isProviderFailure(new Error('Task exited with code 1'), { provider: 'openai', code: 1 }), false);
+
+    // Timeouts and decisions are not the provider's fault
+    assert.equal(isProviderFailure(Object.assign(new Error('Timed out'), { timedOut: true, status: 503 })), false);
+    assert.equal(isProviderFailure(Object.assign(new Error('Action denied'), { denied: true }), { provider: 'claude', code: 1 }), false);
+  });
+
+  it('lists the entries attempts ran on', () => {
+    assert.equal(chainUsed([{ provider: 'claude:sonnet' }, { provider: 'claude:sonnet' }, { provider: 'claude:opus' }]), 'claude:sonnet → claude:opus');
+    assert.equal(chainUsed([{ exitCode: 0 }]), '');
+    assert.equal(chainUsed(), '');
+  });
+});
@@ -3,10 +3,41 @@
  *
  * Supports multiple AI providers:
  * - claude: Anthropic Claude (via Claude Code CLI)
- * - openai: OpenAI GPT models (via API)
+ * - anthropic: Anthropic Claude (via the Messages API, with a local tool loop)
+ * - openai: OpenAI GPT models (via the Chat Completions API, with a local tool loop)
+ * - local: A model on the team's own machines (any OpenAI-compatible server)
+ * - mock: Replays recorded transcripts, for offline runs and tests
  */
 
 import { spawn } from 'child_process';
+import { StreamJsonParser, describeToolUse } from './stream-json.js';
+import { AnthropicProvider } from './anthropic.js';
+import { OpenAIProvider } from './openai.js';
+import { LocalProvider } from './local.js';
+import { MockProvider } from './mock.js';
+import { TranscriptRecorder } from './transcripts.js';
+import { usageCost } from './usage.js';
+import { normalizeActionType } from '../detection/index.js';
+
+export { AnthropicProvider, OpenAIProvider, LocalProvider, MockProvider };
+
+// Claude model IDs, shared by the CLI and API providers
+const CLAUDE_MODELS = {
+  opus: 'claude-opus-4-5-20250514',
+  sonnet: 'claude-sonnet-4-20250514',
+  haiku: 'claude-haiku-3-5-20250615',
+  // Aliases
+  default: 'sonnet',
+  fast: 'haiku',
+  best: 'opus'
+};
+
+// USD per million tokens, by model ID (see ./usage.js)
+const CLAUDE_PRICES = {
+  'claude-opus-4-5-20250514': { input: 5, output: 25, cache_read: 0.5, cache_write: 6.25 },
+  'claude-sonnet-4-20250514': { input: 3, output: 15, cache_read: 0.3, cache_write: 3.75 },
+  'claude-haiku-3-5-20250615': { input: 0.8, output: 4, cache_read: 0.08, cache_write: 1 }
+};
 
 /**
  * Available providers and their model mappings
@@ -14,15 +45,15 @@ import { spawn } from 'child_process';
 export const PROVIDERS = {
   claude: {
     name: 'Claude',
-    models: {
-      opus: 'claude-opus-4-5-20250514',
-      sonnet: 'claude-sonnet-4-20250514',
-      haiku: 'claude-haiku-3-5-20250615',
-      // Aliases
-      default: 'sonnet',
-      fast: 'haiku',
-      best: 'opus'
-    },
+    models: CLAUDE_MODELS,
+    // The CLI reports its own cost; these price runs where it doesn't
+    prices: CLAUDE_PRICES,
+    defaultModel: 'sonnet'
+  },
+  anthropic: {
+    name: 'Anthropic API',
+    models: CLAUDE_MODELS,
+    prices: CLAUDE_PRICES,
     defaultModel: 'sonnet'
   },
   openai: {
@@ -42,58 +73,199 @@ export const PROVIDERS = {
       fast: 'gpt-3.5-turbo',
       best: 'gpt-4o'
     },
+    prices: {
+      'gpt-4o': { input: 2.5, output: 10, cache_read: 1.25 },
+      'gpt-4-turbo': { input: 10, output: 30 },
+      'gpt-4': { input: 30, output: 60 },
+      'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+      'o1': { input: 15, output: 60, cache_read: 7.5 },
+      'o1-mini': { input: 1.1, output: 4.4, cache_read: 0.55 }
+    },
     defaultModel: 'gpt-4o'
+  },
+  local: {
+    name: 'Local',
+    // Models differ per install: providers.local.models adds to and overrides these
+    models: {
+      'qwen2.5-coder:7b': 'qwen2.5-coder:7b',
+      'qwen2.5-coder:32b': 'qwen2.5-coder:32b',
+      // Aliases
+      default: 'fast',
+      fast: 'qwen2.5-coder:7b',
+      best: 'qwen2.5-coder:32b',
+      // Aliases for consistency with claude naming
+      opus: 'best',
+      sonnet: 'default',
+      haiku: 'fast'
+    },
+    // Free unless providers.local.prices says otherwise (e.g. GPU hours)
+    prices: {},
+    defaultModel: 'default'
+  },
+  mock: {
+    name: 'Mock (replay)',
+    // Any model name selects <model>.jsonl among the transcripts
+    models: {},
+    // Replays the cost that was recorded
+    prices: {},
+    defaultModel: 'default'
   }
 };
 
 /**
- * Resolve model name to actual model ID
+ * Model mapping of a provider, with the install's own mapping for local
+ * (config.providers.local.models) applied
  */
-export function resolveModel(provider, modelName) {
+export function providerModels(provider, config = {}) {
   const providerConfig = PROVIDERS[provider];
   if (!providerConfig) {
     throw new Error(`Unknown provider: ${provider}`);
   }
 
-  if (!modelName) {
-    return providerConfig.models[providerConfig.defaultModel];
-  }
+  return provider === 'local'
+    ? { ...providerConfig.models, ...config.providers?.local?.models }
+    : providerConfig.models;
+}
 
-  // Check if it's an alias or direct model name
-  const resolved = providerConfig.models[modelName] || modelName;
+/**
+ * Resolve model name to actual model ID
+ * @param {string} provider
+ * @param {string} modelName - Alias (fast, best, opus...) or model ID
+ * @param {object} config - Supplies the local provider's model mapping
+ */
+export function resolveModel(provider, modelName, config = {}) {
+  const models = providerModels(provider, config);
+  let resolved = modelName || PROVIDERS[provider].defaultModel;
+
+  // Follow aliases of aliases (best -> opus -> model ID), guarding against loops
+  const seen = new Set();
+  while (models[resolved] && models[resolved] !== resolved && !seen.has(resolved)) {
+    seen.add(resolved);
+    resolved = models[resolved];
+  }
   return resolved;
 }
 
+/**
+ * Price of a model (USD per million tokens, see ./usage.js), with the
+ * install's own prices (config.providers.<provider>.prices) applied.
+ * Prices may be keyed by model ID or alias. Returns null if unpriced.
+ */
+export function modelPrice(provider, model, config = {}) {
+  const prices = { ...PROVIDERS[provider]?.prices };
+  for (const [name, price] of Object.entries(config.providers?.[provider]?.prices || {})) {
+    prices[resolveModel(provider, name, config)] = price;
+  }
+  return prices[resolveModel(provider, model, config)] || null;
+}
+
 /**
  * Get provider info for display
  */
-export function getProviderInfo(provider, model) {
+export function getProviderInfo(provider, model, config = {}) {
   const providerConfig = PROVIDERS[provider];
   if (!providerConfig) {
     return { provider: 'unknown', model: model || 'default' };
   }
 
-  const resolvedModel = resolveModel(provider, model);
+  const resolvedModel = resolveModel(provider, model, config);
   return {
     provider: providerConfig.name,
     model: resolvedModel
   };
 }
 
+/**
+ * Kill a child process when the abort signal fires (e.g. on task timeout).
+ * Escalates to SIGKILL if the process ignores SIGTERM.
+ */
+function killOnAbort(proc, signal) {
+  if (!signal) return;
+
+  const kill = () => {
+    proc.kill('SIGTERM');
+    const force = setTimeout(() => proc.kill('SIGKILL'), 5000);
+    force.unref();
+    // Grandchildren may still hold stdout/stderr open; release them so 'close' fires
+    proc.once('exit', () => {
+      clearTimeout(force);
+      proc.stdout?.destroy();
+      proc.stderr?.destroy();
+    });
+  };
+
+  if (signal.aborted) {
+    kill();
+    return;
+  }
+
+  signal.addEventListener('abort', kill, { once: true });
+  proc.once('close', () => signal.removeEventListener('abort', kill));
+}
+
+// Claude Code permission rules covering each action type. Bash rules match
+// a command prefix, so `cd app && git push` is not caught by `Bash(git push:*)`.
+const CLAUDE_TOOL_RULES = {
+  file_create: ['Write'],
+  file_edit: ['Edit', 'MultiEdit', 'NotebookEdit'],
+  file_delete: ['Bash(rm:*)', 'Bash(rmdir:*)', 'Bash(unlink:*)', 'Bash(git rm:*)'],
+  terminal_command: ['Bash'],
+  npm_install: ['Bash(npm install:*)', 'Bash(npm i:*)', 'Bash(npm add:*)', 'Bash(yarn add:*)', 'Bash(pnpm add:*)', 'Bash(pnpm install:*)'],
+  package_removal: ['Bash(npm uninstall:*)', 'Bash(npm remove:*)', 'Bash(npm rm:*)', 'Bash(yarn remove:*)', 'Bash(pnpm remove:*)'],
+  git_add: ['Bash(git add:*)'],
+  git_commit: ['Bash(git commit:*)'],
+  git_push: ['Bash(git push:*)'],
+  database_operation: ['Bash(supabase db:*)', 'Bash(supabase migration:*)', 'Bash(prisma migrate:*)', 'Bash(npx prisma migrate:*)', 'Bash(npx prisma db push:*)', 'Bash(psql:*)', 'Bash(mysql:*)'],
+  env_modification: ['Write(.env*)', 'Edit(.env*)', 'Bash(export:*)']
+};
+
+/**
+ * Claude Code `--disallowedTools` rules for a mode's require_approval list.
+ * The CLI runs headless and cannot wait for an answer, so these tools are
+ * refused outright instead of being asked about.
+ */
+export function claudeDisallowedTools(actionTypes = []) {
+  const rules = actionTypes.flatMap(type => CLAUDE_TOOL_RULES[normalizeActionType(type)] || []);
+  return [...new Set(rules)];
+}
+
 /**
  * Claude Provider - Uses Claude Code CLI
+ *
+ * Runs with `--output-format stream-json` and reports typed events
+ * (tool_use, tool_result, text, usage, result) through options.onEvent.
+ * onOutput still receives a readable rendering of the same stream.
+ *
+ * The CLI runs with permission prompts skipped, except for the tools in
+ * options.disallowedTools, which it refuses. Every other tool call is passed
+ * to options.reviewToolUse as it streams, after the CLI has started running
+ * it: a denial stops the task but cannot undo the call. A reviewer that
+ * throws stops the run too, which then rejects.
  */
 export class ClaudeProvider {
-  constructor(config) {
+  /**
+   * @param {object} config
+   * @param {object} options
+   * @param {Function} options.priceOf - Price of a model ID, for runs the CLI reports no cost for
+   */
+  constructor(config, { priceOf } = {}) {
     this.config = config;
+    this.priceOf = priceOf || (() => null);
   }
 
   async runTask(prompt, options = {}) {
-    const { model, workDir, onOutput, onError } = options;
+    const { model, workDir, onOutput, onError, onEvent, onSpawn, reviewToolUse, signal, disallowedTools = [] } = options;
 
     return new Promise((resolve, reject) => {
       const args = ['-p', '--dangerously-skip-permissions'];
 
+      // Deny rules still apply with permission prompts skipped
+      if (disallowedTools.length > 0) {
+        args.push('--disallowedTools', ...disallowedTools);
+      }
+
+      args.push('--output-format', 'stream-json', '--verbose');
+
       if (model) {
         args.push('--model', model);
       }
@@ -103,15 +275,57 @@ export class ClaudeProvider {
       const proc = spawn('claude', args, {
         cwd: workDir || process.cwd(),
         stdio: ['ignore', 'pipe', 'pipe'],
-        env: { ...process.env, FORCE_COLOR: '1' }
+        env: process.env
       });
 
+      killOnAbort(proc, signal);
+      if (onSpawn) onSpawn(proc);
+
       proc.stdout.setEncoding('utf8');
       proc.stderr.setEncoding('utf8');
 
+      const parser = new StreamJsonParser();
+      const summary = { result: null, isError: false, costUsd: 0, usage: null, sessionId: null };
+
+      const handle = (event) => {
+        if (event.type === 'usage') {
+          if (!event.costUsd) {
+            event = { ...event, costUsd: usageCost(event.usage, this.priceOf(model)) };
+          }
+          summary.costUsd = event.costUsd;
+          summary.usage = event.usage;
+        } else if (event.type === 'result') {
+          summary.result = event.text;
+          summary.isError = event.isError;
+          summary.sessionId = event.sessionId;
+        }
+
+        const text = renderEvent(event);
+        if (text) {
+          const write = event.isError ? onError : onOutput;
+          if (write) write(text);
+          (event.isError ? process.stderr : process.stdout).write(text);
+        }
+
+        if (onEvent) onEvent(event);
+        if (event.type === 'tool_use' && reviewToolUse) review(event);
+      };
+
+      // A call that could not be reviewed counts as denied: the run is stopped
+      let reviewError = null;
+      const reviews = [];
+      const review = (toolUse) => {
+        reviews.push(Promise.resolve().then(() => reviewToolUse(toolUse)).catch((error) => {
+          const message = `Could not review ${describeToolUse(toolUse)}: ${error.message}`;
+          if (onError) onError(`${message}\n`);
+          process.stderr.write(`${message}\n`);
+          reviewError = reviewError || new Error(message);
+          if (proc.exitCode === null) proc.kill();
+        }));
+      };
+
       proc.stdout.on('data', (data) => {
-        if (onOutput) onOutput(data);
-        process.stdout.write(data);
+        parser.push(data).forEach(handle);
       });
 
       proc.stderr.on('data', (data) => {
@@ -119,8 +333,14 @@ export class ClaudeProvider {
         process.stderr.write(data);
       });
 
-      proc.on('close', (code) => {
-        resolve({ code, provider: 'claude' });
+      proc.on('close', async (code) => {
+        parser.flush().forEach(handle);
+        await Promise.all(reviews);
+        if (reviewError) {
+          reject(reviewError);
+          return;
+        }
+        resolve({ code, provider: 'claude', ...summary });
       });
 
       proc.on('error', (err) => {
@@ -131,185 +351,18 @@ export class ClaudeProvider {
 }
 
 /**
- * OpenAI Provider - Uses OpenAI API directly
+ * Readable console/dashboard form of a stream-json event
  */
-export class OpenAIProvider {
-  constructor(config) {
-    this.config = config;
-    this.apiKey = process.env.OPENAI_API_KEY;
-
-    if (!this.apiKey) {
-      console.warn('Warning: OPENAI_API_KEY not set. OpenAI provider will not work.');
-    }
-  }
-
-  async runTask(prompt, options = {}) {
-    const { model = 'gpt-4o', workDir, onOutput, onError } = options;
-
-    if (!this.apiKey) {
-      throw new Error('OPENAI_API_KEY environment variable is required for OpenAI provider');
-    }
-
-    try {
-      // Build the system prompt for code tasks
-      const systemPrompt = this.buildSystemPrompt(workDir);
-
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify({
-          model: model,
-          messages: [
-            { role: 'system', content: systemPrompt },
-            { role: 'user', content: prompt }
-          ],
-          max_tokens: 16384,
-          temperature: 0.7
-        })
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(`OpenAI API error: ${error.error?.message || response.statusText}`);
-      }
-
-      const data = await response.json();
-      const content = data.choices[0]?.message?.content || '';
-
-      if (onOutput) onOutput(content);
-      process.stdout.write(content + '\n');
-
-      // Parse any code blocks and execute them if they look like shell commands
-      await this.executeCodeBlocks(content, workDir, onOutput, onError);
-
-      return { code: 0, provider: 'openai', response: content };
-    } catch (error) {
-      if (onError) onError(error.message);
-      throw error;
-    }
-  }
-
-  buildSystemPrompt(workDir) {
-    return `You are an expert software engineer assistant. You help with coding tasks by:
-1. Analyzing code and requirements
-2. Writing high-quality code
-3. Explaining your changes
-
-When you need to make file changes, output them in this format:
-\`\`\`file:path/to/file.ts
-// file contents here
-\`\`\`
-
-When you need to run shell commands, output them in this format:
-\`\`\`bash
-command here
-\`\`\`
-
-Current working directory: ${workDir || process.cwd()}
-
-Be concise and focus on completing the task. Don't ask clarifying questions - make reasonable assumptions and proceed.`;
-  }
-
-  async executeCodeBlocks(content, workDir, onOutput, onError) {
-    // Extract bash code blocks
-    const bashRegex = /```bash\n([\s\S]*?)```/g;
-    let match;
-
-    while ((match = bashRegex.exec(content)) !== null) {
-      const command = match[1].trim();
-
-      // Skip dangerous commands
-      if (this.isDangerousCommand(command)) {
-        const msg = `Skipping potentially dangerous command: ${command}\n`;
-        if (onError) onError(msg);
-        process.stderr.write(msg);
-        continue;
-      }
-
-      try {
-        await this.executeCommand(command, workDir, onOutput, onError);
-      } catch (err) {
-        if (onError) onError(`Command failed: ${err.message}\n`);
-      }
-    }
-
-    // Extract file blocks and write them
-    const fileRegex = /```file:([^\n]+)\n([\s\S]*?)```/g;
-    const fs = await import('fs/promises');
-    const path = await import('path');
-
-    while ((match = fileRegex.exec(content)) !== null) {
-      const filePath = match[1].trim();
-      const fileContent = match[2];
-
-      try {
-        const fullPath = path.default.isAbsolute(filePath)
-          ? filePath
-          : path.default.join(workDir || process.cwd(), filePath);
-
-        // Ensure directory exists
-        await fs.mkdir(path.default.dirname(fullPath), { recursive: true });
-        await fs.writeFile(fullPath, fileContent);
-
-        const msg = `Wrote file: ${filePath}\n`;
-        if (onOutput) onOutput(msg);
-        process.stdout.write(msg);
-      } catch (err) {
-        if (onError) onError(`Failed to write ${filePath}: ${err.message}\n`);
-      }
-    }
-  }
-
-  isDangerousCommand(command) {
-    const dangerous = [
-      /rm\s+-rf\s+[\/~]/,
-      /rm\s+-rf\s+\*/,
-      />\s*\/dev\/sd/,
-      /mkfs\./,
-      /dd\s+if=/,
-      /:(){ :|:& };:/,
-      /chmod\s+-R\s+777\s+\//,
-      /curl.*\|\s*sh/,
-      /wget.*\|\s*sh/
-    ];
-
-    return dangerous.some(pattern => pattern.test(command));
-  }
-
-  async executeCommand(command, workDir, onOutput, onError) {
-    return new Promise((resolve, reject) => {
-      const proc = spawn('sh', ['-c', command], {
-        cwd: workDir || process.cwd(),
-        stdio: ['ignore', 'pipe', 'pipe'],
-        env: process.env
-      });
-
-      proc.stdout.setEncoding('utf8');
-      proc.stderr.setEncoding('utf8');
-
-      proc.stdout.on('data', (data) => {
-        if (onOutput) onOutput(data);
-        process.stdout.write(data);
-      });
-
-      proc.stderr.on('data', (data) => {
-        if (onError) onError(data);
-        process.stderr.write(data);
-      });
-
-      proc.on('close', (code) => {
-        if (code === 0) {
-          resolve({ code });
-        } else {
-          reject(new Error(`Command exited with code ${code}`));
-        }
-      });
-
-      proc.on('error', reject);
-    });
+function renderEvent(event) {
+  switch (event.type) {
+    case 'text':
+      return `${event.text}\n`;
+    case 'tool_use':
+      return `→ ${describeToolUse(event)}\n`;
+    case 'tool_result':
+      return event.isError ? `✗ ${event.content.split('\n')[0]}\n` : '';
+    default:
+      return '';
   }
 }
 
@@ -317,12 +370,30 @@ Be concise and focus on completing the task. Don't ask clarifying questions - ma
  * Create a provider instance based on config
  */
 export function createProvider(provider, config = {}) {
+  const instance = newProvider(provider, config);
+
+  // --record: capture each run as a transcript the mock provider can replay
+  return config.logging?.record_transcripts && provider !== 'mock'
+    ? new TranscriptRecorder(instance, { name: provider, config })
+    : instance;
+}
+
+function newProvider(provider, config) {
+  // Providers price their runs' usage with this
+  const priceOf = (model) => modelPrice(provider, model, config);
+
   switch (provider) {
     case 'claude':
-      return new ClaudeProvider(config);
+      return new ClaudeProvider(config, { priceOf });
+    case 'anthropic':
+      return new AnthropicProvider(config, { priceOf });
     case 'openai':
-      return new OpenAIProvider(config);
+      return new OpenAIProvider(config, { priceOf });
+    case 'local':
+      return new LocalProvider(config, resolveModel('local', null, config), priceOf);
+    case 'mock':
+      return new MockProvider(config);
     default:
-      throw new Error(`Unknown provider: ${provider}. Available: claude, openai`);
+      throw new Error(`Unknown provider: ${provider}. Available: ${Object.keys(PROVIDERS).join(', ')}`);
   }
 }
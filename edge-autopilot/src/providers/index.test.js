@@ -0,0 +1,87 @@
+/**
+ * Tests for the claude CLI provider's permission rules
+ *
+ * A stand-in `claude` on PATH reports the arguments it was started with.
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, chmodSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, delimiter } from 'path';
+import { ClaudeProvider, claudeDisallowedTools } from './index.js';
+
+const FAKE_CLAUDE = `#!/usr/bin/env node
+const line = (message) => process.stdout.write(JSON.stringify(message) + '\\n');
+line({ type: 'assistant', message: { content: [{ type: 'tool_use', id: 't1', name: 'Bash', input: { command: 'git push' } }] } });
+line({ type: 'result', subtype: 'success', result: JSON.stringify(process.argv.slice(2)), is_error: false, total_cost_usd: 0 });
+`;
+
+describe('ClaudeProvider', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'claude-provider-test-'));
+  const path = process.env.PATH;
+
+  before(() => {
+    writeFileSync(join(dir, 'claude'), FAKE_CLAUDE);
+    chmodSync(join(dir, 'claude'), 0o755);
+    process.env.PATH = `${dir}${delimiter}${path}`;
+    // The provider echoes its output to the console. Drop that text (the
+    // test runner's own reports are buffers) so it stays out of the report.
+    for (const stream of [process.stdout, process.stderr]) {
+      const write = stream.write;
+      mock.method(stream, 'write', function (chunk, ...args) {
+        return typeof chunk === 'string' ? true : write.call(this, chunk, ...args);
+      });
+    }
+  });
+
+  after(() => {
+    mock.restoreAll();
+    process.env.PATH = path;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('maps a mode\'s require_approval list to CLI deny rules', () => {
+    assert.deepEqual(claudeDisallowedTools(['git_push', 'file_delete', 'git_push', 'unknown_type']), [
+      'Bash(git push:*)', 'Bash(rm:*)', 'Bash(rmdir:*)', 'Bash(unlink:*)', 'Bash(git rm:*)'
+    ]);
+    assert.deepEqual(claudeDisallowedTools(), []);
+  });
+
+  it('starts the CLI with the deny rules and reviews tool calls as they stream', async () => {
+    const reviewed = [];
+    const result = await new ClaudeProvider({}).runTask('Ship it', {
+      model: 'claude-sonnet-4-20250514',
+      workDir: dir,
+      disallowedTools: ['Bash(git push:*)', 'Bash(rm:*)'],
+      reviewToolUse: (toolUse) => reviewed.push(toolUse.input.command)
+    });
+
+    assert.equal(result.code, 0);
+    assert.deepEqual(JSON.parse(result.result), [
+      '-p', '--dangerously-skip-permissions',
+      '--disallowedTools', 'Bash(git push:*)', 'Bash(rm:*)',
+      '--output-format', 'stream-json', '--verbose',
+      '--model', 'claude-sonnet-4-20250514',
+      'Ship it'
+    ]);
+    assert.deepEqual(reviewed, ['git push']);
+
+    const plain = await new ClaudeProvider({}).runTask('Ship it', { workDir: dir });
+    assert.ok(!JSON.parse(plain.result).includes('--disallowedTools'));
+  });
+
+  it('stops the run when a reviewer throws', async () => {
+    const errors = [];
+    for (const reviewToolUse of [
+      () => { throw new Error('boom'); },
+      async () => { throw new Error('boom'); }
+    ]) {
+      await assert.rejects(
+        new ClaudeProvider({}).runTask('Ship it', { workDir: dir, reviewToolUse, onError: text => errors.push(text) }),
+        /Could not review Bash: git push: boom/
+      );
+    }
+    assert.equal(errors.length, 2);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Local Provider - A model served on the team's own machines
+ *
+ * Talks to any server with an OpenAI-compatible Chat Completions API
+ * (Ollama, llama.cpp server, vLLM, LM Studio) and runs the same tool loop as
+ * the openai provider. The endpoint and the models it serves are set per
+ * install under `providers.local` in config.yaml:
+ *
+ *   providers:
+ *     local:
+ *       base_url: http://gpu-box:11434/v1
+ *       models:
+ *         fast: qwen2.5-coder:7b
+ *         best: qwen2.5-coder:32b
+ *
+ * No API key is needed unless the server asks for one (`api_key`).
+ */
+
+import { OpenAIProvider } from './openai.js';
+
+const DEFAULT_LOCAL_BASE_URL = 'http://localhost:11434/v1';
+
+// Output token limit per turn; local servers often have small context windows
+const DEFAULT_MAX_TOKENS = 4096;
+
+// How long `autopilot status` waits for the endpoint
+const CHECK_TIMEOUT_MS = 3000;
+
+// Model used when neither the task nor providers.local.models names one
+const DEFAULT_LOCAL_MODEL = 'qwen2.5-coder:7b';
+
+export class LocalProvider extends OpenAIProvider {
+  /**
+   * @param {object} config
+   * @param {string} defaultModel - Resolved default model (see resolveModel)
+   * @param {Function} priceOf - Price of a model ID (providers.local.prices)
+   */
+  constructor(config, defaultModel = DEFAULT_LOCAL_MODEL, priceOf = null) {
+    const local = config?.providers?.local || {};
+
+    super(config, {
+      name: 'local',
+      label: 'Local model',
+      baseUrl: local.base_url || DEFAULT_LOCAL_BASE_URL,
+      apiKey: local.api_key || null,
+      keyRequired: false,
+      maxTokens: local.max_tokens || DEFAULT_MAX_TOKENS,
+      defaultModel,
+      priceOf
+    });
+  }
+
+  /**
+   * See whether the endpoint answers, and which models it serves
+   * (GET /models)
+   * @returns {Promise<{ ok: boolean, baseUrl: string, models: string[], error?: string }>}
+   */
+  async checkEndpoint() {
+    try {
+      const response = await fetch(`${this.baseUrl}/models`, {
+        headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+        signal: AbortSignal.timeout(CHECK_TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        return { ok: false, baseUrl: this.baseUrl, models: [], error: `HTTP ${response.status} ${response.statusText}` };
+      }
+
+      const body = await response.json().catch(() => ({}));
+      const models = (body.data || []).map(model => model.id).filter(Boolean);
+      return { ok: true, baseUrl: this.baseUrl, models };
+    } catch (error) {
+      const reason = error.name === 'TimeoutError'
+        ? `no answer after ${CHECK_TIMEOUT_MS / 1000}s`
+        : error.cause?.code || error.cause?.message || error.message;
+      return { ok: false, baseUrl: this.baseUrl, models: [], error: reason };
+    }
+  }
+}
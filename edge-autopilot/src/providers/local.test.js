@@ -0,0 +1,136 @@
+/**
+ * Tests for the local (OpenAI-compatible server) provider and its
+ * per-install model mapping
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { LocalProvider } from './local.js';
+import { createProvider, resolveModel, getProviderInfo } from './index.js';
+
+const reply = (message, finishReason = 'stop') =>
+  ({ choices: [{ message: { role: 'assistant', content: null, ...message }, finish_reason: finishReason }], usage: { prompt_tokens: 10, completion_tokens: 5 } });
+
+describe('local provider models', () => {
+  const config = {
+    providers: {
+      local: {
+        models: { fast: 'llama3.2:3b', best: 'deepseek-coder-v2:16b', coder: 'best' }
+      }
+    }
+  };
+
+  it('maps fast, best and the claude names to the install\'s models', () => {
+    assert.equal(resolveModel('local', 'fast', config), 'llama3.2:3b');
+    assert.equal(resolveModel('local', 'best', config), 'deepseek-coder-v2:16b');
+    assert.equal(resolveModel('local', 'opus', config), 'deepseek-coder-v2:16b');
+    assert.equal(resolveModel('local', 'haiku', config), 'llama3.2:3b');
+    assert.equal(resolveModel('local', 'coder', config), 'deepseek-coder-v2:16b');
+    assert.equal(resolveModel('local', null, config), 'llama3.2:3b');
+    assert.equal(resolveModel('local', 'mistral:7b', config), 'mistral:7b');
+    assert.equal(getProviderInfo('local', 'best', config).model, 'deepseek-coder-v2:16b');
+  });
+
+  it('falls back to the built-in mapping without config', () => {
+    assert.equal(resolveModel('local', 'fast'), 'qwen2.5-coder:7b');
+    assert.equal(createProvider('local', {}).defaultModel, 'qwen2.5-coder:7b');
+  });
+
+  it('stops on alias loops', () => {
+    const loop = { providers: { local: { models: { a: 'b', b: 'a' } } } };
+    assert.ok(['a', 'b'].includes(resolveModel('local', 'a', loop)));
+  });
+
+  it('does not change other providers', () => {
+    assert.equal(resolveModel('claude', 'fast', config), 'claude-haiku-3-5-20250615');
+    assert.equal(resolveModel('openai', 'fast', config), 'gpt-3.5-turbo');
+  });
+});
+
+describe('LocalProvider', () => {
+  const root = mkdtempSync(join(tmpdir(), 'local-test-'));
+  let server;
+  let responses = [];
+  let requests = [];
+  let config;
+
+  before(async () => {
+    // The provider echoes its output to the console. Drop that text (the
+    // test runner's own reports are buffers) so it stays out of the report.
+    for (const stream of [process.stdout, process.stderr]) {
+      const write = stream.write;
+      mock.method(stream, 'write', function (chunk, ...args) {
+        return typeof chunk === 'string' ? true : write.call(this, chunk, ...args);
+      });
+    }
+
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ method: req.method, url: req.url, headers: req.headers, body: body && JSON.parse(body) });
+        const response = req.url === '/v1/models'
+          ? { object: 'list', data: [{ id: 'llama3.2:3b' }, { id: 'qwen2.5-coder:7b' }] }
+          : responses.shift() || reply({ content: 'done' });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(response));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    config = { providers: { local: { base_url: `http://127.0.0.1:${server.address().port}/v1/`, max_tokens: 1024 } } };
+  });
+
+  after(() => {
+    mock.restoreAll();
+    server.close();
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('runs the tool loop without an API key', async () => {
+    responses = [
+      reply({ tool_calls: [{ id: 'c1', type: 'function', function: { name: 'write_file', arguments: '{"path":"a.js","content":"/** A */"}' } }] }, 'tool_calls'),
+      reply({ content: 'Added the JSDoc' })
+    ];
+    requests = [];
+    const workDir = mkdtempSync(join(root, 'work-'));
+    const summary = await createProvider('local', config).runTask('Add JSDoc', { workDir, reviewToolUse: () => true });
+
+    assert.equal(readFileSync(join(workDir, 'a.js'), 'utf-8'), '/** A */');
+    assert.equal(summary.code, 0);
+    assert.equal(summary.provider, 'local');
+    assert.equal(requests[0].url, '/v1/chat/completions');
+    assert.equal(requests[0].headers.authorization, undefined);
+    assert.equal(requests[0].body.model, 'qwen2.5-coder:7b');
+    assert.equal(requests[0].body.max_tokens, 1024);
+  });
+
+  it('sends the configured API key', async () => {
+    requests = [];
+    const provider = new LocalProvider({ providers: { local: { ...config.providers.local, api_key: 'local-key' } } });
+    await provider.runTask('Hi', { model: 'llama3.2:3b', workDir: mkdtempSync(join(root, 'work-')) });
+
+    assert.equal(requests[0].headers.authorization, 'Bearer local-key');
+    assert.equal(requests[0].body.model, 'llama3.2:3b');
+  });
+
+  it('checks that the endpoint is reachable', async () => {
+    const up = await new LocalProvider(config).checkEndpoint();
+    assert.equal(up.ok, true);
+    assert.deepEqual(up.models, ['llama3.2:3b', 'qwen2.5-coder:7b']);
+
+    // A port nothing listens on any more
+    const closed = createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    const down = await new LocalProvider({ providers: { local: { base_url: `http://127.0.0.1:${port}/v1` } } }).checkEndpoint();
+    assert.equal(down.ok, false);
+    assert.equal(down.error, 'ECONNREFUSED');
+  });
+});
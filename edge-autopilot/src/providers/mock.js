@@ -0,0 +1,130 @@
+/**
+ * Mock Provider - Replays recorded or hand-written transcripts
+ *
+ * Runs no model and needs no network, so the supervisor (queue, approval
+ * gate, retries, dashboard) can be exercised offline and in tests. Each run
+ * replays a transcript (see ./transcripts.js) from providers.mock.fixtures
+ * (default: <logging.directory>/transcripts, where `--record` writes them):
+ *
+ * - <task id>.jsonl, then <model>.jsonl, then default.jsonl
+ *
+ * Steps are replayed in order after their delay. tool_use steps go through
+ * options.reviewToolUse and the replay waits for the answer, like the API
+ * providers; the tool_result of a refused call is replaced by an error.
+ * Nothing is run and no files are changed.
+ */
+
+import { existsSync } from 'fs';
+import { join, resolve } from 'path';
+import { readTranscript, transcriptDir, transcriptSession } from './transcripts.js';
+import { emptyUsage, addUsage } from './usage.js';
+
+export class MockProvider {
+  constructor(config = {}) {
+    this.config = config;
+    const mock = config.providers?.mock || {};
+    this.dir = resolve(mock.fixtures || transcriptDir(config));
+    // Delays are divided by this; 0 replays without waiting
+    this.speed = mock.speed ?? 1;
+  }
+
+  /**
+   * Transcript file for a run
+   */
+  findTranscript({ taskId, model } = {}) {
+    const names = [taskId, model, 'default'].filter(Boolean);
+    for (const name of names) {
+      const file = join(this.dir, `${name}.jsonl`);
+      if (existsSync(file)) return file;
+    }
+    throw new Error(`No transcript for this run in ${this.dir} (tried ${names.map(name => `${name}.jsonl`).join(', ')})`);
+  }
+
+  async runTask(prompt, options = {}) {
+    const { onOutput, onError, onEvent, reviewToolUse, signal } = options;
+    const file = this.findTranscript(options);
+    const runs = await readTranscript(file);
+
+    // Each replay of the same file in this session moves on to its next run
+    const { replayed } = transcriptSession(this.config);
+    const count = replayed.get(file) || 0;
+    replayed.set(file, count + 1);
+    const steps = runs[Math.min(count, runs.length - 1)];
+
+    const write = (text, isError = false) => {
+      const output = isError ? onError : onOutput;
+      if (output) output(text);
+      (isError ? process.stderr : process.stdout).write(text);
+    };
+    const refused = new Set();
+    // Totals of the replayed usage events, unless the exit step has its own
+    const usage = emptyUsage();
+    let costUsd = 0;
+
+    for (const step of steps) {
+      const { delay = 0, ...event } = step;
+      await this.wait(delay, signal);
+
+      switch (event.type) {
+        case 'output':
+          write(event.text);
+          break;
+        case 'stderr':
+          write(event.text, true);
+          break;
+        case 'tool_use':
+          if (onEvent) onEvent(event);
+          if (reviewToolUse && !(await reviewToolUse(event))) {
+            refused.add(event.id);
+          }
+          break;
+        case 'tool_result':
+          if (onEvent) {
+            onEvent(refused.has(event.toolUseId)
+              ? { ...event, content: 'This tool call was not approved.', isError: true }
+              : event);
+          }
+          break;
+        case 'throw': {
+          const error = new Error(event.message);
+          if (event.status) error.status = event.status;
+          throw error;
+        }
+        case 'exit': {
+          const { type, ...result } = event;
+          return { costUsd, usage, ...result, code: result.code ?? 0, provider: 'mock', transcript: file };
+        }
+        case 'usage':
+          addUsage(usage, event.usage);
+          costUsd += event.costUsd || 0;
+          if (onEvent) onEvent(event);
+          break;
+        default:
+          if (onEvent) onEvent(event);
+      }
+    }
+  }
+
+  /**
+   * Wait out a step's delay; rejects if the run is aborted
+   */
+  wait(delay, signal) {
+    if (signal?.aborted) {
+      return Promise.reject(new Error('Run was stopped'));
+    }
+    const ms = this.speed > 0 ? delay / this.speed : 0;
+    if (ms <= 0) return Promise.resolve();
+
+    return new Promise((resolvePromise, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new Error('Run was stopped'));
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolvePromise();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * Tests for transcript replay (mock provider) and recording (--record)
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { MockProvider } from './mock.js';
+import { parseTranscript, TranscriptRecorder } from './transcripts.js';
+import { createProvider } from './index.js';
+
+const FIXTURES = fileURLToPath(new URL('../fixtures/transcripts', import.meta.url));
+
+const lines = (...steps) => steps.map(step => JSON.stringify(step)).join('\n') + '\n';
+
+describe('MockProvider', () => {
+  const root = mkdtempSync(join(tmpdir(), 'mock-test-'));
+
+  before(() => {
+    // Replayed output is echoed to the console. Drop that text (the test
+    // runner's own reports are buffers) so it stays out of the report.
+    for (const stream of [process.stdout, process.stderr]) {
+      const write = stream.write;
+      mock.method(stream, 'write', function (chunk, ...args) {
+        return typeof chunk === 'string' ? true : write.call(this, chunk, ...args);
+      });
+    }
+  });
+
+  after(() => {
+    mock.restoreAll();
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  const replay = (config, options = {}) => {
+    const events = [];
+    const output = [];
+    const result = createProvider('mock', config).runTask('Do the task', {
+      onEvent: event => events.push(event),
+      onOutput: text => output.push(text),
+      onError: text => output.push(`stderr: ${text}`),
+      ...options
+    });
+    return { result, events, output };
+  };
+
+  it('replays events and output in order', async () => {
+    const { result, events, output } = replay({ providers: { mock: { fixtures: FIXTURES } } });
+    const summary = await result;
+
+    assert.equal(summary.code, 0);
+    assert.equal(summary.provider, 'mock');
+    assert.deepEqual(events.map(e => e.type), ['init', 'tool_use', 'tool_result', 'text', 'usage', 'result']);
+    assert.deepEqual(output, ['→ Write docs/usage.md\n', 'Added docs/usage.md\n']);
+  });
+
+  it('picks the transcript by task id, then model, then default', () => {
+    const provider = new MockProvider({ providers: { mock: { fixtures: FIXTURES } } });
+    assert.match(provider.findTranscript({ taskId: 'flaky-build', model: 'push-release' }), /flaky-build\.jsonl$/);
+    assert.match(provider.findTranscript({ taskId: 'other', model: 'push-release' }), /push-release\.jsonl$/);
+    assert.match(provider.findTranscript({ taskId: 'other', model: 'sonnet' }), /default\.jsonl$/);
+
+    const empty = new MockProvider({ providers: { mock: { fixtures: mkdtempSync(join(root, 'work-')) } } });
+    assert.throws(() => empty.findTranscript({ taskId: 'a' }), /tried a\.jsonl, default\.jsonl/);
+  });
+
+  it('moves on to the next run on each attempt', async () => {
+    const config = { providers: { mock: { fixtures: FIXTURES } } };
+    const attempts = [];
+    for (let i = 0; i < 3; i++) {
+      attempts.push((await replay(config, { taskId: 'flaky-build' }).result).code);
+    }
+    // The last run repeats once the transcript runs out
+    assert.deepEqual(attempts, [1, 0, 0]);
+
+    // Another session starts from the first run again
+    assert.equal((await replay({ ...config }, { taskId: 'flaky-build' }).result).code, 1);
+  });
+
+  it('waits for the review of each tool call and reports refused ones', async () => {
+    const reviewed = [];
+    const { result, events } = replay({ providers: { mock: { fixtures: FIXTURES } } }, {
+      taskId: 'push-release',
+      reviewToolUse: async (toolUse) => {
+        reviewed.push(toolUse.input.command);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        return !toolUse.input.command.startsWith('git push');
+      }
+    });
+    await result;
+
+    assert.deepEqual(reviewed, ['git tag v1.2.0', 'git push origin main --tags']);
+    const results = events.filter(e => e.type === 'tool_result');
+    assert.equal(results[0].isError, false);
+    assert.equal(results[1].isError, true);
+    assert.match(results[1].content, /not approved/);
+  });
+
+  it('throws scripted errors and stops when aborted', async () => {
+    const fixtures = mkdtempSync(join(root, 'work-'));
+    writeFileSync(join(fixtures, 'api-error.jsonl'), lines({ type: 'throw', message: 'Overloaded' }));
+    writeFileSync(join(fixtures, 'slow.jsonl'), lines({ type: 'text', text: 'hi', delay: 60_000 }, { type: 'exit', code: 0 }));
+    const config = { providers: { mock: { fixtures } } };
+
+    await assert.rejects(replay(config, { taskId: 'api-error' }).result, /Overloaded/);
+
+    const controller = new AbortController();
+    const slow = replay(config, { taskId: 'slow', signal: controller.signal });
+    setTimeout(() => controller.abort(), 10);
+    await assert.rejects(slow.result, /Run was stopped/);
+    assert.deepEqual(slow.events, []);
+  });
+
+  it('parses runs and rejects malformed lines', () => {
+    const runs = parseTranscript(lines({ type: 'text', text: 'a' }, { type: 'exit', code: 2 }, { type: 'text', text: 'b' }));
+    assert.deepEqual(runs, [
+      [{ type: 'text', text: 'a' }, { type: 'exit', code: 2 }],
+      [{ type: 'text', text: 'b' }, { type: 'exit', code: 0 }]
+    ]);
+    assert.throws(() => parseTranscript('{"type":"text"}\nnot json\n', 'x.jsonl'), /x\.jsonl:2: invalid JSON/);
+  });
+
+  it('records runs that replay the same way', async () => {
+    const logs = mkdtempSync(join(root, 'work-'));
+    const recording = { provider: 'mock', logging: { directory: logs, record_transcripts: true }, providers: { mock: { fixtures: FIXTURES } } };
+
+    assert.ok(createProvider('claude', recording) instanceof TranscriptRecorder);
+    assert.ok(createProvider('mock', recording) instanceof MockProvider);
+
+    // Record a replay, standing in for a real provider
+    const recorder = new TranscriptRecorder(new MockProvider(recording), { name: 'claude', config: recording });
+    const original = [];
+    await recorder.runTask('Fix the build', { taskId: 'flaky-build', onEvent: e => original.push(e) });
+    await recorder.runTask('Fix the build', { taskId: 'flaky-build' });
+
+    const file = join(logs, 'transcripts', 'flaky-build.jsonl');
+    const recorded = readFileSync(file, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(recorded.filter(s => s.type === 'start').map(s => s.prompt), ['Fix the build', 'Fix the build']);
+    assert.deepEqual(recorded.filter(s => s.type === 'exit').map(s => s.code), [1, 0]);
+
+    // Replayed from the recording directory, the default for the mock provider
+    const { result, events } = replay({ logging: { directory: logs } }, { taskId: 'flaky-build' });
+    assert.equal((await result).code, 1);
+    assert.deepEqual(events, original);
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * OpenAI Provider - Uses the OpenAI Chat Completions API with function calling
+ *
+ * Runs the same agent loop as the anthropic provider: the model calls the
+ * local tools in ./tools.js, each call is reported as a tool_use event and
+ * passed to options.reviewToolUse before it runs, and the result (command
+ * output, file contents or the error) goes back to the model on the next
+ * turn. The loop ends when the model answers without tool calls, or after
+ * maxTurns. Each turn's token usage and cost is reported as a usage event.
+ *
+ * Reads OPENAI_API_KEY, and OPENAI_BASE_URL to point at a proxy or a local stub.
+ * Other OpenAI-compatible servers pass their own endpoint (see ./local.js).
+ */
+
+import { AGENT_TOOLS, DEFAULT_MAX_TURNS, LocalTools, agentSystemPrompt, runToolCall } from './tools.js';
+import { emptyUsage, addUsage, usageCost } from './usage.js';
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const MAX_TOKENS = 16384;
+
+// Chat Completions finish_reason to provider stop reason (see STOP_REASONS)
+const FINISH_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  content_filter: 'refusal'
+};
+
+// The local tools as Chat Completions function definitions
+const FUNCTION_TOOLS = AGENT_TOOLS.map(tool => ({
+  type: 'function',
+  function: { name: tool.name, description: tool.description, parameters: tool.input_schema }
+}));
+
+export class OpenAIProvider {
+  /**
+   * @param {object} config
+   * @param {object} endpoint - Another OpenAI-compatible server
+   * @param {string} endpoint.name - Provider name reported in results
+   * @param {string} endpoint.label - Used in error messages
+   * @param {string} endpoint.baseUrl - API root, e.g. http://localhost:11434/v1
+   * @param {string} endpoint.apiKey - Sent as a bearer token if set
+   * @param {boolean} endpoint.keyRequired - Refuse to run without apiKey (default true)
+   * @param {number} endpoint.maxTokens - Output token limit per turn
+   * @param {string} endpoint.defaultModel - Model used when the task names none
+   * @param {Function} endpoint.priceOf - Price of a model ID (see ./usage.js); runs cost 0 without it
+   */
+  constructor(config, endpoint = {}) {
+    this.config = config;
+    this.name = endpoint.name || 'openai';
+    this.label = endpoint.label || 'OpenAI';
+    this.apiKey = 'apiKey' in endpoint ? endpoint.apiKey : process.env.OPENAI_API_KEY;
+    this.baseUrl = (endpoint.baseUrl || process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.keyRequired = endpoint.keyRequired ?? true;
+    this.maxTokens = endpoint.maxTokens || MAX_TOKENS;
+    this.defaultModel = endpoint.defaultModel || 'gpt-4o';
+    this.priceOf = endpoint.priceOf || (() => null);
+
+    if (this.keyRequired && !this.apiKey) {
+      console.warn('Warning: OPENAI_API_KEY not set. OpenAI provider will not work.');
+    }
+  }
+
+  async runTask(prompt, options = {}) {
+    const { model = this.defaultModel, workDir, onOutput, onError, onEvent, reviewToolUse, signal } = options;
+    const dryRun = options.dryRun ?? Boolean(this.config?.safety?.dry_run);
+    const maxTurns = options.maxTurns || DEFAULT_MAX_TURNS;
+
+    if (this.keyRequired && !this.apiKey) {
+      throw new Error('OPENAI_API_KEY environment variable is required for OpenAI provider');
+    }
+
+    const tools = new LocalTools({ workDir, dryRun, sandboxed: options.sandboxed, signal });
+    const emit = (event) => {
+      if (onEvent) onEvent(event);
+    };
+    const write = (text, isError = false) => {
+      const output = isError ? onError : onOutput;
+      if (output) output(text);
+      (isError ? process.stderr : process.stdout).write(text);
+    };
+
+    const messages = [
+      { role: 'system', content: agentSystemPrompt(tools.workDir) },
+      { role: 'user', content: prompt }
+    ];
+    const usage = emptyUsage();
+    const price = this.priceOf(model);
+    let costUsd = 0;
+    const startedAt = Date.now();
+    let resultText = '';
+    let turns = 0;
+    let stopReason = null;
+
+    try {
+      while (!stopReason) {
+        if (turns >= maxTurns) {
+          stopReason = 'max_turns';
+          break;
+        }
+        turns++;
+
+        const data = await this.createCompletion({
+          model,
+          messages,
+          tools: FUNCTION_TOOLS,
+          max_tokens: this.maxTokens,
+          temperature: 0.7
+        }, signal);
+
+        const turnUsage = toUsage(data.usage);
+        const turnCost = usageCost(turnUsage, price);
+        addUsage(usage, turnUsage);
+        costUsd += turnCost;
+        emit({ type: 'usage', costUsd: turnCost, usage: turnUsage });
+
+        const choice = data.choices?.[0] || {};
+        const message = choice.message || { role: 'assistant', content: '' };
+        messages.push(message);
+
+        if (message.content) {
+          resultText = message.content;
+          emit({ type: 'text', text: message.content });
+          write(`${message.content}\n`);
+        }
+
+        const toolCalls = message.tool_calls || [];
+        if (toolCalls.length === 0) {
+          stopReason = FINISH_REASONS[choice.finish_reason] || 'end_turn';
+          break;
+        }
+
+        for (const call of toolCalls) {
+          const { content } = await runToolCall(tools, parseToolCall(call), { emit, write, reviewToolUse, signal });
+          messages.push({ role: 'tool', tool_call_id: call.id, content });
+        }
+      }
+    } catch (error) {
+      if (onError) onError(error.message);
+      throw error;
+    }
+
+    const isError = stopReason !== 'end_turn';
+    if (stopReason === 'max_turns') write(`Stopped after ${turns} turns (max ${maxTurns})\n`, true);
+
+    emit({ type: 'result', text: resultText, isError, stopReason, durationMs: Date.now() - startedAt, turns });
+
+    return {
+      code: isError ? 1 : 0,
+      provider: this.name,
+      response: resultText,
+      isError,
+      stopReason,
+      costUsd,
+      usage,
+      turns,
+      ...(dryRun && { planned: tools.planned })
+    };
+  }
+
+  /**
+   * POST /chat/completions
+   */
+  async createCompletion(body, signal) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` })
+      },
+      signal,
+      body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      // status lets a provider_chain fall back on 429s and 5xx errors
+      const error = new Error(`${this.label} API error: ${body.error?.message || response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return response.json();
+  }
+}
+
+/**
+ * A function call with its JSON arguments parsed. Malformed arguments are
+ * passed on as an unknown tool so the model gets the error back.
+ */
+function parseToolCall(call) {
+  const { name, arguments: args } = call.function || {};
+  try {
+    return { id: call.id, name, input: args ? JSON.parse(args) : {} };
+  } catch {
+    return { id: call.id, name: `${name} (invalid JSON arguments)`, input: {} };
+  }
+}
+
+function toUsage(usage) {
+  // Some servers send `"usage": null`
+  usage = usage ?? {};
+  const cached = usage.prompt_tokens_details?.cached_tokens || 0;
+  return {
+    inputTokens: (usage.prompt_tokens || 0) - cached,
+    outputTokens: usage.completion_tokens || 0,
+    cacheReadTokens: cached,
+    cacheCreationTokens: 0
+  };
+}
@@ -0,0 +1,169 @@
+/**
+ * Tests for the OpenAI function-calling provider
+ *
+ * A local HTTP server stands in for the Chat Completions API: each test
+ * scripts the model's replies and inspects the requests sent back.
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { OpenAIProvider } from './openai.js';
+
+const call = (id, name, args) => ({ id, type: 'function', function: { name, arguments: typeof args === 'string' ? args : JSON.stringify(args) } });
+const reply = (message, finishReason = 'stop', usage = { prompt_tokens: 10, completion_tokens: 5 }) =>
+  ({ status: 200, body: { choices: [{ message: { role: 'assistant', content: null, ...message }, finish_reason: finishReason }], usage } });
+
+describe('OpenAIProvider', () => {
+  const root = mkdtempSync(join(tmpdir(), 'openai-test-'));
+  let server;
+  let responses = [];
+  let requests = [];
+  const env = {};
+
+  before(async () => {
+    // The provider echoes its output to the console. Drop that text (the
+    // test runner's own reports are buffers) so it stays out of the report.
+    for (const stream of [process.stdout, process.stderr]) {
+      const write = stream.write;
+      mock.method(stream, 'write', function (chunk, ...args) {
+        return typeof chunk === 'string' ? true : write.call(this, chunk, ...args);
+      });
+    }
+
+    server = createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        const { status, body: response } = responses.shift() || reply({ content: 'done' });
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(response));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    for (const key of ['OPENAI_API_KEY', 'OPENAI_BASE_URL']) env[key] = process.env[key];
+    process.env.OPENAI_API_KEY = 'test-key';
+    process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  after(() => {
+    mock.restoreAll();
+    server.close();
+    rmSync(root, { recursive: true, force: true });
+    for (const [key, value] of Object.entries(env)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  const run = (script, options = {}) => {
+    responses = script;
+    requests = [];
+    const events = [];
+    const workDir = mkdtempSync(join(root, 'work-'));
+    const result = new OpenAIProvider({}).runTask('Do the task', {
+      workDir,
+      onEvent: event => events.push(event),
+      reviewToolUse: () => true,
+      ...options
+    });
+    return { result, events, workDir };
+  };
+
+  it('counts no tokens when the server sends no usage', async () => {
+    const { result } = run([
+      reply({ tool_calls: [call('c1', 'list_dir', {})] }, 'tool_calls', null),
+      reply({ content: 'Listed' })
+    ]);
+    const summary = await result;
+
+    assert.equal(summary.code, 0);
+    assert.deepEqual(summary.usage, { inputTokens: 10, outputTokens: 5, cacheReadTokens: 0, cacheCreationTokens: 0 });
+  });
+
+  it('feeds tool results back to the model until it stops calling tools', async () => {
+    const { result, events, workDir } = run([
+      reply({ tool_calls: [call('c1', 'run_command', { command: 'ls missing-dir' })] }, 'tool_calls'),
+      reply({
+        content: 'That failed, creating it',
+        tool_calls: [call('c2', 'write_file', { path: 'missing-dir/a.txt', content: 'a' })]
+      }, 'tool_calls'),
+      reply({ content: 'Created missing-dir/a.txt' })
+    ]);
+    const summary = await result;
+
+    assert.equal(readFileSync(join(workDir, 'missing-dir/a.txt'), 'utf-8'), 'a');
+    assert.equal(summary.code, 0);
+    assert.equal(summary.stopReason, 'end_turn');
+    assert.equal(summary.turns, 3);
+    assert.equal(summary.usage.inputTokens, 30);
+
+    const [first, second] = requests;
+    assert.equal(first.url, '/v1/chat/completions');
+    assert.equal(first.headers.authorization, 'Bearer test-key');
+    assert.deepEqual(first.body.tools.map(t => t.function.name), ['read_file', 'write_file', 'edit_file', 'list_dir', 'run_command']);
+
+    // The model sees the failed command's exit code and output
+    const toolMessage = second.body.messages.at(-1);
+    assert.equal(toolMessage.role, 'tool');
+    assert.equal(toolMessage.tool_call_id, 'c1');
+    assert.match(toolMessage.content, /^exit code [1-9]/);
+
+    assert.deepEqual(
+      events.filter(e => e.type === 'tool_use').map(e => e.name),
+      ['Bash', 'Write']
+    );
+    assert.equal(events.at(-1).type, 'result');
+    assert.equal(events.at(-1).stopReason, 'end_turn');
+  });
+
+  it('does not run tool calls the review refuses', async () => {
+    const reviewed = [];
+    const { result, workDir } = run([
+      reply({ tool_calls: [call('c1', 'write_file', { path: 'blocked.txt', content: 'x' })] }, 'tool_calls'),
+      reply({ content: 'ok' })
+    ], {
+      reviewToolUse: async (toolUse) => {
+        reviewed.push(toolUse.name);
+        return false;
+      }
+    });
+    await result;
+
+    assert.deepEqual(reviewed, ['Write']);
+    assert.throws(() => readFileSync(join(workDir, 'blocked.txt')));
+    assert.match(requests[1].body.messages.at(-1).content, /not approved/);
+  });
+
+  it('sends malformed arguments back as an error', async () => {
+    const { result } = run([
+      reply({ tool_calls: [call('c1', 'read_file', '{"path": ')] }, 'tool_calls'),
+      reply({ content: 'ok' })
+    ]);
+    await result;
+
+    assert.match(requests[1].body.messages.at(-1).content, /Unknown tool: read_file \(invalid JSON arguments\)/);
+  });
+
+  it('reports why the loop stopped', async () => {
+    const loop = () => reply({ tool_calls: [call('c', 'list_dir', {})] }, 'tool_calls');
+    const maxTurns = await run([loop(), loop(), loop()], { maxTurns: 2 }).result;
+    assert.equal(maxTurns.stopReason, 'max_turns');
+    assert.equal(maxTurns.code, 1);
+    assert.equal(requests.length, 2);
+
+    const truncated = await run([reply({ content: 'partial answ' }, 'length')]).result;
+    assert.equal(truncated.stopReason, 'max_tokens');
+    assert.equal(truncated.code, 1);
+  });
+
+  it('reports API errors', async () => {
+    const { result } = run([{ status: 429, body: { error: { message: 'Rate limit reached' } } }]);
+    await assert.rejects(result, /OpenAI API error: Rate limit reached/);
+  });
+});
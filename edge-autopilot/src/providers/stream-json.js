@@ -0,0 +1,130 @@
+/**
+ * Claude Code `--output-format stream-json` parsing
+ *
+ * The CLI writes one JSON message per line (system init, assistant and user
+ * turns, final result). These are turned into typed provider events:
+ *
+ * - { type: 'init', sessionId, model, tools }
+ * - { type: 'text', text }
+ * - { type: 'tool_use', id, name, input }
+ * - { type: 'tool_result', toolUseId, content, isError }
+ * - { type: 'usage', costUsd, usage: { inputTokens, outputTokens, cacheReadTokens, cacheCreationTokens } }
+ * - { type: 'result', text, isError, subtype, durationMs, turns, sessionId }
+ */
+
+/**
+ * Convert a stream-json message to provider events
+ */
+export function parseStreamMessage(message) {
+  switch (message?.type) {
+    case 'system':
+      return message.subtype === 'init'
+        ? [{ type: 'init', sessionId: message.session_id, model: message.model, tools: message.tools || [] }]
+        : [];
+
+    case 'assistant':
+      return (message.message?.content || []).flatMap((block) => {
+        if (block.type === 'text' && block.text) {
+          return [{ type: 'text', text: block.text }];
+        }
+        if (block.type === 'tool_use') {
+          return [{ type: 'tool_use', id: block.id, name: block.name, input: block.input || {} }];
+        }
+        return [];
+      });
+
+    case 'user':
+      return (Array.isArray(message.message?.content) ? message.message.content : [])
+        .filter(block => block.type === 'tool_result')
+        .map(block => ({
+          type: 'tool_result',
+          toolUseId: block.tool_use_id,
+          content: toolResultText(block.content),
+          isError: Boolean(block.is_error)
+        }));
+
+    case 'result':
+      return [
+        { type: 'usage', costUsd: message.total_cost_usd ?? message.cost_usd ?? 0, usage: normalizeUsage(message.usage) },
+        {
+          type: 'result',
+          text: message.result || '',
+          isError: Boolean(message.is_error),
+          subtype: message.subtype,
+          durationMs: message.duration_ms,
+          turns: message.num_turns,
+          sessionId: message.session_id
+        }
+      ];
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Splits stdout chunks into lines and parses each one.
+ * Lines that are not JSON (e.g. an older CLI) come through as text events.
+ */
+export class StreamJsonParser {
+  constructor() {
+    this.buffer = '';
+  }
+
+  /**
+   * Feed a stdout chunk; returns the events for every complete line
+   */
+  push(chunk) {
+    this.buffer += chunk;
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+    return lines.flatMap(line => this.parseLine(line));
+  }
+
+  /**
+   * Parse whatever is left once the stream has ended
+   */
+  flush() {
+    const rest = this.buffer;
+    this.buffer = '';
+    return this.parseLine(rest);
+  }
+
+  parseLine(line) {
+    if (!line.trim()) return [];
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      return [{ type: 'text', text: line }];
+    }
+    return parseStreamMessage(message);
+  }
+}
+
+/**
+ * Short human-readable form of a tool call, e.g. `Bash: npm test`
+ */
+export function describeToolUse(event) {
+  const input = event.input || {};
+  const detail = input.command || input.file_path || input.path || input.pattern || input.url || input.description || '';
+  return detail ? `${event.name}: ${String(detail).split('\n')[0]}` : event.name;
+}
+
+function toolResultText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content.map(part => part.text ?? '').join('');
+  }
+  return content == null ? '' : JSON.stringify(content);
+}
+
+function normalizeUsage(usage = {}) {
+  return {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0,
+    cacheCreationTokens: usage.cache_creation_input_tokens || 0
+  };
+}
@@ -0,0 +1,57 @@
+/**
+ * Tests for parsing Claude Code's --output-format stream-json
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { StreamJsonParser, parseStreamMessage, describeToolUse } from './stream-json.js';
+
+const line = (message) => JSON.stringify(message) + '\n';
+
+describe('stream-json', () => {
+  it('turns a session\'s messages into provider events', () => {
+    const stream = [
+      line({ type: 'system', subtype: 'init', session_id: 's1', model: 'claude-sonnet-4-20250514', tools: ['Bash', 'Write'] }),
+      line({ type: 'assistant', message: { content: [
+        { type: 'text', text: 'Running the tests' },
+        { type: 'tool_use', id: 'toolu_1', name: 'Bash', input: { command: 'npm test' } }
+      ] } }),
+      line({ type: 'user', message: { content: [
+        { type: 'tool_result', tool_use_id: 'toolu_1', content: [{ type: 'text', text: '1 failing' }], is_error: true }
+      ] } }),
+      line({ type: 'result', subtype: 'success', result: 'Done', is_error: false, duration_ms: 1200, num_turns: 2, session_id: 's1',
+        total_cost_usd: 0.01, usage: { input_tokens: 100, output_tokens: 20, cache_read_input_tokens: 50 } })
+    ].join('');
+
+    // Chunks split lines anywhere
+    const parser = new StreamJsonParser();
+    const events = [];
+    for (let i = 0; i < stream.length; i += 7) events.push(...parser.push(stream.slice(i, i + 7)));
+    events.push(...parser.flush());
+
+    assert.deepEqual(events, [
+      { type: 'init', sessionId: 's1', model: 'claude-sonnet-4-20250514', tools: ['Bash', 'Write'] },
+      { type: 'text', text: 'Running the tests' },
+      { type: 'tool_use', id: 'toolu_1', name: 'Bash', input: { command: 'npm test' } },
+      { type: 'tool_result', toolUseId: 'toolu_1', content: '1 failing', isError: true },
+      { type: 'usage', costUsd: 0.01, usage: { inputTokens: 100, outputTokens: 20, cacheReadTokens: 50, cacheCreationTokens: 0 } },
+      { type: 'result', text: 'Done', isError: false, subtype: 'success', durationMs: 1200, turns: 2, sessionId: 's1' }
+    ]);
+  });
+
+  it('passes plain text lines through and parses a last line without a newline', () => {
+    const parser = new StreamJsonParser();
+    assert.deepEqual(parser.push('Claude CLI 1.0\n\n'), [{ type: 'text', text: 'Claude CLI 1.0' }]);
+    assert.deepEqual(parser.push('{"type":"system","subtype":"other"}\n{"type":"assistant","message":{"content":[{"type":"text","text":"hi"}]}}'), []);
+    assert.deepEqual(parser.flush(), [{ type: 'text', text: 'hi' }]);
+    assert.deepEqual(parser.flush(), []);
+  });
+
+  it('ignores unknown messages and describes tool calls', () => {
+    assert.deepEqual(parseStreamMessage({ type: 'stream_event' }), []);
+    assert.deepEqual(parseStreamMessage(null), []);
+    assert.equal(describeToolUse({ name: 'Bash', input: { command: 'npm test\nnpm run lint' } }), 'Bash: npm test');
+    assert.equal(describeToolUse({ name: 'Write', input: { file_path: 'docs/usage.md', content: '# Usage' } }), 'Write: docs/usage.md');
+    assert.equal(describeToolUse({ name: 'TodoWrite', input: {} }), 'TodoWrite');
+  });
+});
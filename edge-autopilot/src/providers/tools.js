@@ -0,0 +1,337 @@
+/**
+ * Local agent tools for API providers
+ *
+ * API providers (anthropic, and openai with function calling) run the agent
+ * loop themselves: the model asks for a tool, the provider runs it here and
+ * sends back the result. Every path is confined to the task's workDir, and
+ * each call is reported with the name of the matching Claude Code tool
+ * (Read, Write, Edit, LS, Bash) so it is classified and reviewed exactly like
+ * a Claude Code tool call.
+ */
+
+import { readFile, writeFile, readdir, mkdir, realpath } from 'fs/promises';
+import { spawn } from 'child_process';
+import { resolve, relative, isAbsolute, dirname } from 'path';
+import { describeToolUse } from './stream-json.js';
+
+// Longest file or command output sent back to the model
+const MAX_OUTPUT_CHARS = 100_000;
+
+// Commands are killed after this long unless the task sets a shorter timeout
+const COMMAND_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Model turns before a run is stopped (tasks.max_turns / a task's max_turns override it)
+export const DEFAULT_MAX_TURNS = 50;
+
+/**
+ * Why an agent loop stopped. end_turn means the model finished; the others
+ * mean the task was cut short and the run counts as failed.
+ */
+export const STOP_REASONS = {
+  end_turn: 'finished',
+  max_turns: 'ran out of turns',
+  max_tokens: 'hit the output token limit',
+  refusal: 'refused or was filtered'
+};
+
+/**
+ * Tool definitions (JSON Schema input), in the Anthropic Messages API shape
+ */
+export const AGENT_TOOLS = [
+  {
+    name: 'read_file',
+    description: 'Read a text file. Paths are relative to the project root.',
+    input_schema: {
+      type: 'object',
+      properties: { path: { type: 'string', description: 'File path' } },
+      required: ['path']
+    }
+  },
+  {
+    name: 'write_file',
+    description: 'Create or overwrite a file with the given content. Missing directories are created.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path' },
+        content: { type: 'string', description: 'Full file content' }
+      },
+      required: ['path', 'content']
+    }
+  },
+  {
+    name: 'edit_file',
+    description: 'Replace one exact occurrence of old_string with new_string in a file. old_string must appear exactly once.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'File path' },
+        old_string: { type: 'string', description: 'Text to replace' },
+        new_string: { type: 'string', description: 'Replacement text' }
+      },
+      required: ['path', 'old_string', 'new_string']
+    }
+  },
+  {
+    name: 'list_dir',
+    description: 'List a directory. Subdirectories end with /.',
+    input_schema: {
+      type: 'object',
+      properties: { path: { type: 'string', description: 'Directory path (default: project root)' } }
+    }
+  },
+  {
+    name: 'run_command',
+    description: 'Run a shell command in the project root and return its exit code and output.',
+    input_schema: {
+      type: 'object',
+      properties: { command: { type: 'string', description: 'Shell command' } },
+      required: ['command']
+    }
+  }
+];
+
+// Tools that change nothing; the only ones run when no reviewer is given
+const READ_ONLY_TOOLS = new Set(['read_file', 'list_dir']);
+
+/**
+ * System prompt for the agent loop of an API provider
+ */
+export function agentSystemPrompt(workDir) {
+  return `You are an expert software engineer working in a project directory. Complete the task using the tools:
+- read_file, list_dir to look around
+- write_file, edit_file to change files
+- run_command to run shell commands (builds, tests, git)
+
+All paths are relative to the project root: ${workDir}
+
+Some tool calls need a person's approval and may be refused. Don't ask clarifying questions - make reasonable assumptions and proceed. Finish with a short summary of what you changed.`;
+}
+
+/**
+ * Review and run one tool call the model made. Reports the call (tool_use)
+ * and its outcome (tool_result) through hooks.emit, and only runs it if
+ * hooks.reviewToolUse approves. Without a reviewer, tools that write files
+ * or run commands are refused.
+ * @param {LocalTools} tools
+ * @param {{ id: string, name: string, input: object }} call
+ * @param {{ emit: Function, write: Function, reviewToolUse?: Function, signal?: AbortSignal }} hooks
+ * @returns {Promise<{ content: string, isError: boolean }>}
+ */
+export async function runToolCall(tools, call, { emit, write, reviewToolUse, signal }) {
+  const toolUse = tools.toolUse(call.id, call.name, call.input);
+  emit(toolUse);
+  write(`→ ${describeToolUse(toolUse)}\n`);
+
+  let content;
+  let isError = false;
+
+  if (signal?.aborted) {
+    content = 'Run was stopped';
+    isError = true;
+  } else if (!reviewToolUse && !READ_ONLY_TOOLS.has(call.name)) {
+    content = 'Nothing reviews tool calls in this run, so only read_file and list_dir are allowed.';
+    isError = true;
+  } else if (reviewToolUse && !(await reviewToolUse(toolUse))) {
+    content = 'This tool call was not approved. Do not retry it; continue without it or finish.';
+    isError = true;
+  } else {
+    try {
+      content = await tools.run(call.name, call.input);
+    } catch (error) {
+      content = error.message;
+      isError = true;
+    }
+  }
+
+  emit({ type: 'tool_result', toolUseId: call.id, content, isError });
+  if (isError) write(`✗ ${content.split('\n')[0]}\n`, true);
+
+  return { content, isError };
+}
+
+/**
+ * LocalTools - Runs agent tool calls inside a working directory
+ *
+ * With options.dryRun, files are still read and listed but nothing is
+ * written or run; the writes and commands that would have happened are
+ * collected in `planned` (same shape as the openai provider's dry run).
+ * With options.sandboxed as well, workDir is a throwaway copy: files are
+ * written so the dry run can diff them, and only commands are planned.
+ */
+export class LocalTools {
+  constructor(options = {}) {
+    this.workDir = resolve(options.workDir || process.cwd());
+    this.dryRun = Boolean(options.dryRun);
+    this.plansWrites = this.dryRun && !options.sandboxed;
+    this.signal = options.signal;
+    this.planned = { commands: [], files: [] };
+  }
+
+  /**
+   * The Claude Code form of a tool call, used for events and review
+   * @returns {{ type: 'tool_use', id: string, name: string, input: object }}
+   */
+  toolUse(id, name, input = {}) {
+    const event = (toolName, toolInput) => ({ type: 'tool_use', id, name: toolName, input: toolInput });
+
+    switch (name) {
+      case 'read_file':
+        return event('Read', { file_path: input.path });
+      case 'write_file':
+        return event('Write', { file_path: input.path, content: input.content });
+      case 'edit_file':
+        return event('Edit', { file_path: input.path, old_string: input.old_string, new_string: input.new_string });
+      case 'list_dir':
+        return event('LS', { path: input.path || '.' });
+      case 'run_command':
+        return event('Bash', { command: input.command });
+      default:
+        return event(name, input);
+    }
+  }
+
+  /**
+   * Run a tool call; throws with a message for the model when it fails
+   * @returns {Promise<string>} Tool result text
+   */
+  async run(name, input = {}) {
+    switch (name) {
+      case 'read_file':
+        return truncate(await readFile(await this.resolvePath(input.path), 'utf-8'));
+      case 'write_file':
+        return this.writeFile(input.path, input.content);
+      case 'edit_file':
+        return this.editFile(input.path, input.old_string, input.new_string);
+      case 'list_dir':
+        return this.listDir(input.path || '.');
+      case 'run_command':
+        return this.runCommand(input.command);
+      default:
+        throw new Error(`Unknown tool: ${name}`);
+    }
+  }
+
+  /**
+   * Absolute path for a path the model gave, refusing anything outside
+   * workDir (including through symlinks)
+   */
+  async resolvePath(path) {
+    if (typeof path !== 'string' || !path) {
+      throw new Error('path is required');
+    }
+
+    const full = resolve(this.workDir, path);
+    if (!this.contains(full)) {
+      throw new Error(`${path} is outside the project directory`);
+    }
+
+    // The nearest existing ancestor must not be a symlink out of the project
+    let existing = full;
+    while (existing !== this.workDir) {
+      try {
+        const real = await realpath(existing);
+        if (!this.contains(real, await realpath(this.workDir))) {
+          throw new Error(`${path} is outside the project directory`);
+        }
+        break;
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        existing = dirname(existing);
+      }
+    }
+
+    return full;
+  }
+
+  contains(path, root = this.workDir) {
+    const rel = relative(root, path);
+    return rel === '' || (!rel.startsWith('..') && !isAbsolute(rel));
+  }
+
+  async writeFile(path, content = '') {
+    const full = await this.resolvePath(path);
+    if (this.plansWrites) {
+      this.planned.files.push({ path, bytes: Buffer.byteLength(content) });
+      return `[dry run] Would write file: ${path}`;
+    }
+
+    await mkdir(dirname(full), { recursive: true });
+    await writeFile(full, content);
+    return `Wrote ${Buffer.byteLength(content)} bytes to ${path}`;
+  }
+
+  async editFile(path, oldString, newString = '') {
+    const full = await this.resolvePath(path);
+    const content = await readFile(full, 'utf-8');
+
+    if (!oldString) {
+      throw new Error('old_string is required');
+    }
+    const count = content.split(oldString).length - 1;
+    if (count !== 1) {
+      throw new Error(count === 0
+        ? `old_string not found in ${path}`
+        : `old_string appears ${count} times in ${path}; include more context so it is unique`);
+    }
+
+    const updated = content.replace(oldString, () => newString);
+    if (this.plansWrites) {
+      this.planned.files.push({ path, bytes: Buffer.byteLength(updated) });
+      return `[dry run] Would edit file: ${path}`;
+    }
+
+    await writeFile(full, updated);
+    return `Edited ${path}`;
+  }
+
+  async listDir(path) {
+    const entries = await readdir(await this.resolvePath(path), { withFileTypes: true });
+    const names = entries
+      .map(entry => entry.isDirectory() ? `${entry.name}/` : entry.name)
+      .sort();
+    return names.length > 0 ? names.join('\n') : '(empty directory)';
+  }
+
+  /**
+   * Run a shell command in workDir. A non-zero exit is a result, not an error.
+   */
+  runCommand(command) {
+    if (typeof command !== 'string' || !command.trim()) {
+      return Promise.reject(new Error('command is required'));
+    }
+    if (this.dryRun) {
+      this.planned.commands.push(command);
+      return Promise.resolve(`[dry run] Would run: ${command}`);
+    }
+
+    return new Promise((resolvePromise, reject) => {
+      const proc = spawn('sh', ['-c', command], {
+        cwd: this.workDir,
+        stdio: ['ignore', 'pipe', 'pipe'],
+        env: process.env,
+        signal: this.signal,
+        timeout: COMMAND_TIMEOUT_MS
+      });
+
+      let output = '';
+      proc.stdout.setEncoding('utf8');
+      proc.stderr.setEncoding('utf8');
+      proc.stdout.on('data', (data) => { output += data; });
+      proc.stderr.on('data', (data) => { output += data; });
+
+      proc.on('close', (code, signal) => {
+        const status = signal ? `killed by ${signal}` : `exit code ${code}`;
+        resolvePromise(truncate(`${status}\n${output}`.trimEnd()));
+      });
+
+      proc.on('error', reject);
+    });
+  }
+}
+
+function truncate(text) {
+  return text.length > MAX_OUTPUT_CHARS
+    ? `${text.slice(0, MAX_OUTPUT_CHARS)}\n[truncated ${text.length - MAX_OUTPUT_CHARS} characters]`
+    : text;
+}
@@ -0,0 +1,157 @@
+/**
+ * Provider transcripts - recorded runs that the mock provider replays
+ *
+ * A transcript is a JSON Lines file, one step per line. Each step may have a
+ * `delay` (ms to wait before it):
+ *
+ *   {"type":"start","provider":"claude","model":"...","prompt":"..."}
+ *   {"type":"output","text":"Creating the file\n","delay":120}
+ *   {"type":"stderr","text":"warning: ...\n"}
+ *   {"type":"tool_use","id":"t1","name":"Write","input":{"file_path":"a.js","content":"..."}}
+ *   {"type":"tool_result","toolUseId":"t1","content":"ok","isError":false}
+ *   {"type":"exit","code":0,"stopReason":"end_turn"}
+ *
+ * output/stderr are what the provider printed (onOutput/onError); every other
+ * step except start, exit and throw is a provider event (see ./stream-json.js)
+ * passed to onEvent. `exit` ends a run with that result, `throw` ends it
+ * with an error ({"type":"throw","message":"Overloaded","status":529}, the
+ * status being the API's HTTP status, if any). A file can hold several runs
+ * one after the other; the first is replayed for the first attempt at a
+ * task, the second for its retry, and so on.
+ *
+ * With logging.record_transcripts (`--record`) every provider run is
+ * recorded to <logging.directory>/transcripts/<task id>.jsonl.
+ */
+
+import { readFile, appendFile, writeFile, mkdir } from 'fs/promises';
+import { join } from 'path';
+
+/**
+ * Directory transcripts are recorded to, and replayed from by default
+ */
+export function transcriptDir(config = {}) {
+  return join(config.logging?.directory || './logs', 'transcripts');
+}
+
+// Per-config (i.e. per session) replay counters and recorded files
+const sessions = new WeakMap();
+
+export function transcriptSession(config) {
+  if (!sessions.has(config)) {
+    sessions.set(config, { replayed: new Map(), recorded: new Set() });
+  }
+  return sessions.get(config);
+}
+
+/**
+ * Parse a transcript into its runs
+ * @returns {Array<Array<object>>} Steps of each run, each ending in exit or throw
+ */
+export function parseTranscript(text, file = 'transcript') {
+  const runs = [];
+  let steps = [];
+
+  text.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+
+    let step;
+    try {
+      step = JSON.parse(line);
+    } catch (error) {
+      throw new Error(`${file}:${index + 1}: invalid JSON (${error.message})`);
+    }
+    if (typeof step?.type !== 'string') {
+      throw new Error(`${file}:${index + 1}: step has no type`);
+    }
+
+    if (step.type === 'start') return;
+    steps.push(step);
+    if (step.type === 'exit' || step.type === 'throw') {
+      runs.push(steps);
+      steps = [];
+    }
+  });
+
+  // A transcript that stops without an exit step finished cleanly
+  if (steps.length > 0 || runs.length === 0) {
+    runs.push([...steps, { type: 'exit', code: 0 }]);
+  }
+  return runs;
+}
+
+export async function readTranscript(file) {
+  return parseTranscript(await readFile(file, 'utf-8'), file);
+}
+
+/**
+ * TranscriptRecorder - Wraps a provider and records each of its runs
+ */
+export class TranscriptRecorder {
+  /**
+   * @param {object} provider - Any provider (runTask)
+   * @param {object} options
+   * @param {string} options.name - Provider name for the start step
+   * @param {object} options.config - Session config (decides the directory)
+   */
+  constructor(provider, { name, config }) {
+    this.provider = provider;
+    this.name = name;
+    this.config = config;
+    this.dir = transcriptDir(config);
+  }
+
+  async runTask(prompt, options = {}) {
+    const steps = [{ type: 'start', provider: this.name, model: options.model, prompt, recordedAt: new Date().toISOString() }];
+    let last = Date.now();
+    const record = (step) => {
+      const now = Date.now();
+      steps.push(now - last > 0 ? { ...step, delay: now - last } : step);
+      last = now;
+    };
+
+    const wrap = (callback, toStep) => (data) => {
+      record(toStep(data));
+      if (callback) callback(data);
+    };
+
+    try {
+      const result = await this.provider.runTask(prompt, {
+        ...options,
+        onOutput: wrap(options.onOutput, (text) => ({ type: 'output', text: String(text) })),
+        onError: wrap(options.onError, (text) => ({ type: 'stderr', text: String(text) })),
+        onEvent: wrap(options.onEvent, (event) => event)
+      });
+
+      const { code, stopReason, isError, costUsd, usage, turns } = result;
+      record({ type: 'exit', code, stopReason, isError, costUsd, usage, turns });
+      return result;
+    } catch (error) {
+      record({ type: 'throw', message: error.message, status: error.status });
+      throw error;
+    } finally {
+      await this.save(options.taskId, steps);
+    }
+  }
+
+  /**
+   * Write a run to <taskId>.jsonl. The first run of a task in this session
+   * replaces the file; retries are appended after it.
+   */
+  async save(taskId, steps) {
+    const file = join(this.dir, `${(taskId || 'run').replace(/[^\w.-]/g, '_')}.jsonl`);
+    const { recorded } = transcriptSession(this.config);
+    const text = steps.map(step => JSON.stringify(step)).join('\n') + '\n';
+
+    try {
+      await mkdir(this.dir, { recursive: true });
+      if (recorded.has(file)) {
+        await appendFile(file, text);
+      } else {
+        recorded.add(file);
+        await writeFile(file, text);
+      }
+    } catch (error) {
+      console.warn(`Could not record transcript ${file}: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Token usage and what it cost
+ *
+ * Every provider counts usage the same way:
+ * { inputTokens, outputTokens, cacheReadTokens, cacheCreationTokens }.
+ * Prices are USD per million tokens of each kind, per model ID (the
+ * `prices` of each entry in PROVIDERS, overridden per install with
+ * `providers.<name>.prices` in config.yaml):
+ *
+ *   { input: 3, output: 15, cache_read: 0.3, cache_write: 3.75 }
+ *
+ * Cache prices default to the input price.
+ */
+
+export function emptyUsage() {
+  return { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheCreationTokens: 0 };
+}
+
+/**
+ * Add usage to a running total (in place)
+ */
+export function addUsage(total, usage = {}) {
+  for (const key of Object.keys(total)) {
+    total[key] += usage?.[key] || 0;
+  }
+  return total;
+}
+
+/**
+ * Cost in USD of some usage at a model's price (0 without a price)
+ */
+export function usageCost(usage, price) {
+  if (!usage || !price) return 0;
+
+  const input = price.input || 0;
+  return (
+    (usage.inputTokens || 0) * input +
+    (usage.outputTokens || 0) * (price.output || 0) +
+    (usage.cacheReadTokens || 0) * (price.cache_read ?? input) +
+    (usage.cacheCreationTokens || 0) * (price.cache_write ?? input)
+  ) / 1_000_000;
+}
+
+/**
+ * Input tokens, cached or not
+ */
+export function tokensIn(usage) {
+  return (usage?.inputTokens || 0) + (usage?.cacheReadTokens || 0) + (usage?.cacheCreationTokens || 0);
+}
+
+/**
+ * Short form of a token count: 950, 12.3k, 1.2M
+ */
+export function formatTokens(count = 0) {
+  if (count >= 1_000_000) return `${(count / 1_000_000).toFixed(1)}M`;
+  if (count >= 1000) return `${(count / 1000).toFixed(1)}k`;
+  return String(count);
+}
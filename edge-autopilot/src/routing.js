@@ -0,0 +1,238 @@
+import { readdir, readFile, stat } from 'fs/promises';
+import { join, resolve, sep } from 'path';
+import { RunJournal } from './journal.js';
+
+/**
+ * Model routing for tasks with `model: auto`
+ *
+ * Scores a task from a few signals and picks a model tier: fast, default
+ * or best, which every provider maps to one of its models. Each signal
+ * adds to (or takes from) the score and gives a reason, so a decision can
+ * be read back from the run journal (`model_routed` events) and the
+ * thresholds and weights tuned in `routing:` in config.yaml.
+ */
+
+// score <= fast runs on the fast tier, score >= best on the best tier
+const DEFAULT_THRESHOLDS = { fast: 0, best: 4 };
+
+// What each kind of task adds to the score (the Commander's templates, plus docs)
+const DEFAULT_KINDS = {
+  migrate: 2,
+  refactor: 1,
+  feature: 1,
+  audit: 1,
+  fix: 0,
+  test: 0,
+  docs: -1
+};
+
+// Kind from the task's wording, checked in order
+const KIND_PATTERNS = [
+  ['migrate', /\bmigrat/i],
+  ['audit', /\b(audit|review)/i],
+  ['refactor', /\brefactor/i],
+  ['test', /\b(tests?|coverage)\b/i],
+  ['docs', /\b(docs?|documentation|jsdoc|readme)\b/i],
+  ['fix', /\b(fix|bug)/i],
+  ['feature', /\b(add|implement|enhance|build|create)/i]
+];
+
+// Directories that say nothing about the size of the code
+const SKIP_DIRS = new Set(['node_modules', '.git', 'dist', 'build', 'coverage']);
+
+// Files read per referenced directory when estimating its size
+const MAX_SCANNED_FILES = 2000;
+
+// Journals read for the success rates of similar tasks, newest first
+const MAX_JOURNALS = 50;
+
+// Similar tasks needed before their success rate counts
+const MIN_HISTORY = 3;
+
+/**
+ * Kind of task: its `template:`, the "Migrate: ..." prefix the Commander
+ * gives templated tasks, or the first kind its id, description or the
+ * first line of its prompt suggest
+ */
+export function taskKind(task = {}) {
+  if (task.template) return String(task.template).toLowerCase();
+
+  const prefix = /^(\w+):/.exec(task.description || '')?.[1]?.toLowerCase();
+  if (prefix && prefix in DEFAULT_KINDS) return prefix;
+
+  const text = `${task.id || ''} ${task.description || ''} ${(task.prompt || '').split('\n')[0]}`.replace(/[-_]/g, ' ');
+  return KIND_PATTERNS.find(([, pattern]) => pattern.test(text))?.[0] || null;
+}
+
+/**
+ * File and directory paths mentioned in a prompt: anything with a slash
+ * or a file extension, such as src/components/ or ./audit/report.md
+ */
+export function referencedPaths(text = '') {
+  const paths = new Set();
+  for (const [, path] of text.matchAll(/(?<![\w/:.@-])((?:\.{1,2}\/)?[\w@-][\w@.-]*(?:\/[\w@.-]+)*\/?)/g)) {
+    const trimmed = path.replace(/[.]+$/, '');
+    if (trimmed.includes('/') || /\.[a-z][a-z0-9]{1,4}$/i.test(trimmed)) {
+      paths.add(trimmed);
+    }
+  }
+  return [...paths];
+}
+
+/**
+ * Rough size in tokens (4 bytes each) of the referenced paths that exist
+ * under the working directory
+ */
+export async function contextTokens(workDir, paths = []) {
+  let bytes = 0;
+
+  const root = resolve(workDir);
+  for (const path of paths) {
+    const full = resolve(root, path);
+    if (full !== root && !full.startsWith(root + sep)) continue;
+
+    const info = await stat(full).catch(() => null);
+    if (info?.isFile()) {
+      bytes += info.size;
+    } else if (info?.isDirectory()) {
+      bytes += await directorySize(full);
+    }
+  }
+
+  return Math.round(bytes / 4);
+}
+
+async function directorySize(dir) {
+  let bytes = 0;
+  let files = 0;
+  const pending = [dir];
+
+  while (pending.length && files < MAX_SCANNED_FILES) {
+    const current = pending.pop();
+    const entries = await readdir(current, { withFileTypes: true }).catch(() => []);
+
+    for (const entry of entries) {
+      if (entry.isDirectory() && !SKIP_DIRS.has(entry.name)) {
+        pending.push(join(current, entry.name));
+      } else if (entry.isFile() && files++ < MAX_SCANNED_FILES) {
+        bytes += (await stat(join(current, entry.name)).catch(() => null))?.size || 0;
+      }
+    }
+  }
+
+  return bytes;
+}
+
+/**
+ * How earlier routed tasks of each kind ended, from the run journals
+ * @returns {Promise<Object<string, { completed: number, failed: number }>>}
+ */
+export async function kindHistory(logsDir) {
+  const dir = RunJournal.directory(logsDir);
+  const files = (await readdir(dir).catch(() => []))
+    .filter(file => file.endsWith('.jsonl'))
+    .sort()
+    .slice(-MAX_JOURNALS);
+
+  const history = {};
+  for (const file of files) {
+    const kinds = new Map();
+    const content = await readFile(join(dir, file), 'utf-8').catch(() => '');
+
+    for (const line of content.split('\n')) {
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        continue;
+      }
+
+      if (event.type === 'model_routed' && event.kind) {
+        kinds.set(event.taskId, event.kind);
+        continue;
+      }
+
+      const kind = kinds.get(event.taskId);
+      const outcome = { task_completed: 'completed', task_failed: 'failed', task_timed_out: 'failed' }[event.type];
+      if (kind && outcome) {
+        history[kind] ||= { completed: 0, failed: 0 };
+        history[kind][outcome]++;
+        kinds.delete(event.taskId);
+      }
+    }
+  }
+
+  return history;
+}
+
+/**
+ * Score a task's signals and pick a tier
+ * @param {object} signals - { promptLength, files, kind, contextTokens, history }
+ * @param {object} rules - config.routing: { thresholds: { fast, best }, kinds: { [kind]: weight } }
+ * @returns {{ tier: string, score: number, reasons: string[] }}
+ */
+export function scoreTask(signals, rules = {}) {
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...rules.thresholds };
+  const kinds = { ...DEFAULT_KINDS, ...rules.kinds };
+  const reasons = [];
+  let score = 0;
+
+  const add = (points, reason) => {
+    if (!points) return;
+    score += points;
+    reasons.push(`${reason} (${points > 0 ? '+' : ''}${points})`);
+  };
+
+  const { promptLength = 0, files = 0, kind = null, history = null } = signals;
+
+  if (promptLength < 200) add(-1, `short prompt, ${promptLength} chars`);
+  else if (promptLength > 1500) add(2, `long prompt, ${promptLength} chars`);
+  else if (promptLength > 600) add(1, `${promptLength} char prompt`);
+
+  if (files >= 6) add(2, `references ${files} files`);
+  else if (files >= 3) add(1, `references ${files} files`);
+
+  if (kind) add(kinds[kind] || 0, `${kind} task`);
+
+  const tokens = signals.contextTokens || 0;
+  if (tokens > 100_000) add(2, `~${Math.round(tokens / 1000)}k tokens of referenced code`);
+  else if (tokens > 25_000) add(1, `~${Math.round(tokens / 1000)}k tokens of referenced code`);
+
+  const runs = history ? history.completed + history.failed : 0;
+  if (runs >= MIN_HISTORY) {
+    const rate = history.completed / runs;
+    const summary = `${history.completed}/${runs} similar tasks succeeded`;
+    if (rate < 0.5) add(2, summary);
+    else if (rate >= 0.9) add(-1, summary);
+  }
+
+  const tier = score <= thresholds.fast ? 'fast' : score >= thresholds.best ? 'best' : 'default';
+  if (!reasons.length) reasons.push('no signals');
+  return { tier, score, reasons };
+}
+
+/**
+ * Gather a task's signals and route it
+ * @param {object} task - Queue task (prompt, context, description, template, files)
+ * @param {object} options
+ * @param {string} options.workDir - Where referenced paths are looked up
+ * @param {string} options.logsDir - Logs directory holding the run journals
+ * @param {object} options.rules - config.routing
+ * @returns {Promise<{ tier: string, score: number, reasons: string[], kind: string|null, signals: object }>}
+ */
+export async function routeTask(task, { workDir = process.cwd(), logsDir, rules } = {}) {
+  const text = [task.prompt || task.description || '', task.context || ''].join('\n').trim();
+  const paths = [...new Set([...referencedPaths(text), ...[].concat(task.files || [])])];
+  const kind = taskKind(task);
+  const history = kind ? (await kindHistory(logsDir))[kind] || null : null;
+
+  const signals = {
+    promptLength: text.length,
+    files: paths.length,
+    kind,
+    contextTokens: await contextTokens(workDir, paths),
+    history
+  };
+
+  return { ...scoreTask(signals, rules), kind, signals };
+}
@@ -0,0 +1,89 @@
+/**
+ * Tests for `model: auto` routing
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { taskKind, referencedPaths, contextTokens, kindHistory, scoreTask, routeTask } from './routing.js';
+
+describe('model routing', () => {
+  const root = mkdtempSync(join(tmpdir(), 'routing-test-'));
+  after(() => rmSync(root, { recursive: true, force: true }));
+
+  it('tells the kind of task from its template, prefix or wording', () => {
+    assert.equal(taskKind({ template: 'Audit' }), 'audit');
+    assert.equal(taskKind({ description: 'Migrate: Firebase Supabase' }), 'migrate');
+    assert.equal(taskKind({ id: 'component-documentation', description: 'Add JSDoc comments to components' }), 'docs');
+    assert.equal(taskKind({ id: 'dark-mode-fixes' }), 'fix');
+    assert.equal(taskKind({ id: 'x', prompt: 'Refactor the parser\nKeep the API' }), 'refactor');
+    assert.equal(taskKind({ id: 'nightly' }), null);
+  });
+
+  it('finds the paths a prompt mentions', () => {
+    const text = 'Focus on src/components/ and ./audit/perf.md, e.g. package.json. See https://example.com/docs. Tag v1.2.0.';
+    assert.deepEqual(referencedPaths(text), ['src/components/', './audit/perf.md', 'package.json']);
+  });
+
+  it('estimates the tokens in referenced files and directories', async () => {
+    const dir = mkdtempSync(join(root, 'work-'));
+    mkdirSync(join(dir, 'src', 'nested'), { recursive: true });
+    mkdirSync(join(dir, 'src', 'node_modules'));
+    writeFileSync(join(dir, 'src', 'a.js'), 'x'.repeat(4000));
+    writeFileSync(join(dir, 'src', 'nested', 'b.js'), 'x'.repeat(4000));
+    writeFileSync(join(dir, 'src', 'node_modules', 'dep.js'), 'x'.repeat(40000));
+    writeFileSync(join(dir, 'README.md'), 'x'.repeat(400));
+
+    assert.equal(await contextTokens(dir, ['src/', 'README.md', 'missing.js', '../outside.js']), 2100);
+  });
+
+  it('reads how routed tasks of each kind ended from the run journals', async () => {
+    const logs = mkdtempSync(join(root, 'work-'));
+    mkdirSync(join(logs, 'runs'));
+    const events = [
+      { type: 'run_started' },
+      { type: 'model_routed', taskId: 'a', kind: 'fix' },
+      { type: 'task_completed', taskId: 'a' },
+      { type: 'model_routed', taskId: 'b', kind: 'fix' },
+      { type: 'task_timed_out', taskId: 'b' },
+      { type: 'task_failed', taskId: 'c' }
+    ];
+    writeFileSync(join(logs, 'runs', 'run-1.jsonl'), events.map(e => JSON.stringify(e)).join('\n') + '\n{"type":');
+
+    assert.deepEqual(await kindHistory(logs), { fix: { completed: 1, failed: 1 } });
+    assert.deepEqual(await kindHistory(join(logs, 'missing')), {});
+  });
+
+  it('scores signals into a tier with its reasons', () => {
+    assert.deepEqual(scoreTask({ promptLength: 80, kind: 'docs' }), {
+      tier: 'fast',
+      score: -2,
+      reasons: ['short prompt, 80 chars (-1)', 'docs task (-1)']
+    });
+
+    const migration = scoreTask({ promptLength: 900, files: 4, kind: 'migrate', contextTokens: 30_000 });
+    assert.equal(migration.tier, 'best');
+    assert.deepEqual(migration.reasons, ['900 char prompt (+1)', 'references 4 files (+1)', 'migrate task (+2)', '~30k tokens of referenced code (+1)']);
+
+    // Similar tasks that mostly failed push the score up, once there are enough of them
+    assert.equal(scoreTask({ promptLength: 300, kind: 'fix', history: { completed: 1, failed: 3 } }).tier, 'default');
+    assert.equal(scoreTask({ promptLength: 300, kind: 'fix', history: { completed: 0, failed: 2 } }).tier, 'fast');
+    assert.deepEqual(scoreTask({ promptLength: 300 }).reasons, ['no signals']);
+
+    // Thresholds and kind weights come from config.routing
+    assert.equal(scoreTask({ promptLength: 300, kind: 'audit' }, { kinds: { audit: 3 }, thresholds: { best: 3 } }).tier, 'best');
+  });
+
+  it('routes a task from what it references', async () => {
+    const dir = mkdtempSync(join(root, 'work-'));
+    mkdirSync(join(dir, 'legacy'));
+    writeFileSync(join(dir, 'legacy', 'db.js'), 'x'.repeat(500_000));
+
+    const route = await routeTask({ id: 'move-db', prompt: 'Migrate legacy/ to the new client' }, { workDir: dir, logsDir: join(dir, 'logs') });
+    assert.equal(route.tier, 'default');
+    assert.equal(route.kind, 'migrate');
+    assert.deepEqual(route.signals, { promptLength: 33, files: 1, kind: 'migrate', contextTokens: 125_000, history: null });
+  });
+});
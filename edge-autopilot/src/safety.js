@@ -0,0 +1,167 @@
+import { readdir, readFile, writeFile, unlink, lstat, chmod, mkdir } from 'fs/promises';
+import { createHash } from 'crypto';
+import { join, dirname, relative, basename, sep } from 'path';
+
+// Never walked when snapshotting a working tree
+const SKIP_DIRS = new Set(['.git', 'node_modules']);
+
+/**
+ * Convert a glob (`*`, `**`, `?`) to a regex source
+ */
+function globToRegex(glob) {
+  return glob
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*\*/g, '\u0000')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]')
+    .replace(/\u0000/g, '.*');
+}
+
+/**
+ * Check a path (relative to the project root) against a safety pattern:
+ * - `secrets/` matches everything inside any directory named secrets
+ * - `config/*.json` (contains a slash) matches against the full relative path
+ * - `*.pem`, `.env` (no slash) match against the file name
+ */
+export function matchesPathPattern(filePath, pattern) {
+  const path = filePath.split(sep).join('/').replace(/^\.\//, '');
+
+  if (pattern.endsWith('/')) {
+    return new RegExp(`(^|/)${globToRegex(pattern.slice(0, -1))}/`).test(path);
+  }
+
+  if (pattern.includes('/')) {
+    return new RegExp(`^${globToRegex(pattern.replace(/^\.\//, ''))}$`).test(path);
+  }
+
+  return new RegExp(`^${globToRegex(pattern)}$`).test(basename(path));
+}
+
+/**
+ * WorkspaceGuard - Enforces safety.protected_paths and safety.sensitive_paths
+ *
+ * Agents run with permission prompts disabled, so instead of trusting them
+ * the supervisor snapshots every protected or sensitive file before a task
+ * and diffs the tree afterwards. Guarded files are kept in full so a
+ * protected change, or a sensitive one that is denied, can be reverted.
+ */
+export class WorkspaceGuard {
+  constructor(options = {}) {
+    this.protectedPaths = options.protectedPaths || [];
+    this.sensitivePaths = options.sensitivePaths || [];
+  }
+
+  get enabled() {
+    return this.protectedPaths.length > 0 || this.sensitivePaths.length > 0;
+  }
+
+  /**
+   * 'protected', 'sensitive' or null for a relative path (protected wins)
+   */
+  classify(filePath) {
+    if (this.protectedPaths.some(p => matchesPathPattern(filePath, p))) return 'protected';
+    if (this.sensitivePaths.some(p => matchesPathPattern(filePath, p))) return 'sensitive';
+    return null;
+  }
+
+  /**
+   * Record the state of every guarded file under dir
+   */
+  async snapshot(dir) {
+    const files = new Map();
+
+    for (const file of await this.listGuardedFiles(dir)) {
+      const kind = this.classify(file);
+      const absolute = join(dir, file);
+      const [content, stats] = await Promise.all([readFile(absolute), lstat(absolute)]);
+
+      files.set(file, {
+        kind,
+        hash: createHash('sha256').update(content).digest('hex'),
+        mode: stats.mode,
+        // Kept so protected changes, and sensitive ones that are denied, can be reverted
+        content
+      });
+    }
+
+    return { dir, files };
+  }
+
+  /**
+   * List guarded files that were created, modified or deleted since the snapshot
+   * @returns {Array<{ path: string, kind: string, change: string }>}
+   */
+  async diff(snapshot) {
+    const changes = [];
+    const current = new Set(await this.listGuardedFiles(snapshot.dir));
+
+    for (const file of current) {
+      const before = snapshot.files.get(file);
+      if (!before) {
+        changes.push({ path: file, kind: this.classify(file), change: 'created' });
+        continue;
+      }
+
+      const content = await readFile(join(snapshot.dir, file));
+      if (createHash('sha256').update(content).digest('hex') !== before.hash) {
+        changes.push({ path: file, kind: before.kind, change: 'modified' });
+      }
+    }
+
+    for (const [file, before] of snapshot.files) {
+      if (!current.has(file)) {
+        changes.push({ path: file, kind: before.kind, change: 'deleted' });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Put guarded files back the way they were in the snapshot
+   */
+  async revert(snapshot, changes) {
+    for (const { path, change } of changes) {
+      const absolute = join(snapshot.dir, path);
+
+      if (change === 'created') {
+        await unlink(absolute);
+        continue;
+      }
+
+      const before = snapshot.files.get(path);
+      await mkdir(dirname(absolute), { recursive: true });
+      await writeFile(absolute, before.content);
+      await chmod(absolute, before.mode & 0o7777);
+    }
+  }
+
+  /**
+   * Walk dir and return relative paths of files matching a guarded pattern
+   */
+  async listGuardedFiles(dir) {
+    const found = [];
+
+    const walk = async (current) => {
+      let entries;
+      try {
+        entries = await readdir(current, { withFileTypes: true });
+      } catch {
+        return;
+      }
+
+      for (const entry of entries) {
+        const absolute = join(current, entry.name);
+        if (entry.isDirectory()) {
+          if (!SKIP_DIRS.has(entry.name)) await walk(absolute);
+        } else if (entry.isFile()) {
+          const file = relative(dir, absolute).split(sep).join('/');
+          if (this.classify(file)) found.push(file);
+        }
+      }
+    };
+
+    await walk(dir);
+    return found;
+  }
+}
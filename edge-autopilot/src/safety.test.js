@@ -0,0 +1,70 @@
+/**
+ * Tests for safety.protected_paths and safety.sensitive_paths
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, existsSync, rmSync, chmodSync, statSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { matchesPathPattern, WorkspaceGuard } from './safety.js';
+
+describe('matchesPathPattern', () => {
+  it('matches directories, paths and file names', () => {
+    assert.ok(matchesPathPattern('config/secrets/api.key', 'secrets/'));
+    assert.ok(!matchesPathPattern('secrets.md', 'secrets/'));
+    assert.ok(matchesPathPattern('./config/prod.json', 'config/*.json'));
+    assert.ok(!matchesPathPattern('config/env/prod.json', 'config/*.json'));
+    assert.ok(matchesPathPattern('deploy/.env.production', '.env.*'));
+    assert.ok(matchesPathPattern('keys/server.pem', '*.pem'));
+    assert.ok(matchesPathPattern('src/db/migrations/001.sql', 'src/**/*.sql'));
+  });
+});
+
+describe('WorkspaceGuard', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'safety-test-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const guard = new WorkspaceGuard({ protectedPaths: ['.env', 'secrets/'], sensitivePaths: ['package.json', '.env'] });
+
+  it('classifies paths, protected before sensitive', () => {
+    assert.equal(guard.classify('.env'), 'protected');
+    assert.equal(guard.classify('secrets/token'), 'protected');
+    assert.equal(guard.classify('package.json'), 'sensitive');
+    assert.equal(guard.classify('src/index.js'), null);
+    assert.equal(new WorkspaceGuard().enabled, false);
+  });
+
+  it('diffs guarded files against a snapshot and reverts them', async () => {
+    writeFileSync(join(dir, '.env'), 'TOKEN=abc\n');
+    chmodSync(join(dir, '.env'), 0o600);
+    writeFileSync(join(dir, 'package.json'), '{ "version": "1.0.0" }\n');
+    writeFileSync(join(dir, 'README.md'), 'Hello\n');
+    mkdirSync(join(dir, 'node_modules', 'secrets'), { recursive: true });
+    writeFileSync(join(dir, 'node_modules', 'secrets', 'index.js'), '');
+
+    const snapshot = await guard.snapshot(dir);
+    assert.deepEqual([...snapshot.files.keys()].sort(), ['.env', 'package.json']);
+
+    // Unguarded files are ignored
+    writeFileSync(join(dir, 'README.md'), 'Changed\n');
+    rmSync(join(dir, '.env'));
+    writeFileSync(join(dir, 'package.json'), '{ "version": "2.0.0" }\n');
+    mkdirSync(join(dir, 'secrets'));
+    writeFileSync(join(dir, 'secrets', 'new.key'), 'key\n');
+
+    const changes = await guard.diff(snapshot);
+    assert.deepEqual([...changes].sort((a, b) => a.path.localeCompare(b.path)), [
+      { path: '.env', kind: 'protected', change: 'deleted' },
+      { path: 'package.json', kind: 'sensitive', change: 'modified' },
+      { path: 'secrets/new.key', kind: 'protected', change: 'created' }
+    ]);
+
+    await guard.revert(snapshot, changes);
+    assert.equal(readFileSync(join(dir, '.env'), 'utf-8'), 'TOKEN=abc\n');
+    assert.equal(statSync(join(dir, '.env')).mode & 0o777, 0o600);
+    assert.equal(readFileSync(join(dir, 'package.json'), 'utf-8'), '{ "version": "1.0.0" }\n');
+    assert.ok(!existsSync(join(dir, 'secrets', 'new.key')));
+    assert.deepEqual(await guard.diff(snapshot), []);
+  });
+});
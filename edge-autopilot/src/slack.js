@@ -1,4 +1,5 @@
 import https from 'https';
+import { formatTokens, tokensIn } from './providers/usage.js';
 
 /**
  * SlackNotifier - Rich notifications for Autopilot events
@@ -99,7 +100,7 @@ export class SlackNotifier {
           elements: [
             {
               type: 'mrkdwn',
-              text: `Priority: ${this.priorityEmoji(task.priority)} ${task.priority} | ID: \`${task.id}\``
+              text: `Priority: ${this.priorityEmoji(task.priority)} ${task.priority} | ID: \`${task.id}\`${task.branch ? ` | Branch: \`${task.branch}\`` : ''}`
             }
           ]
         }
@@ -148,9 +149,81 @@ export class SlackNotifier {
             {
               type: 'mrkdwn',
               text: `*Errors:*\n${stats.errors || 0}`
+            },
+            ...(stats.costUsd ? [{
+              type: 'mrkdwn',
+              text: `*Cost:*\n$${stats.costUsd.toFixed(2)}`
+            }] : [])
+          ]
+        },
+        ...(stats.branch ? [{
+          type: 'context',
+          elements: [
+            {
+              type: 'mrkdwn',
+              text: `Branch \`${stats.branch}\` merged`
             }
           ]
-        }
+        }] : []),
+        ...this.providersBlock(stats.providers)
+      ]
+    };
+
+    return this.send(message);
+  }
+
+  /**
+   * Send notification for a task that finished but was not merged
+   * (merge conflict or sensitive changes not approved)
+   * @param {string} reason - Why the task needs review
+   * @param {object} stats - duration, filesChanged, branch (kept for review), providers
+   */
+  async taskNeedsReview(task, reason, stats = {}) {
+    if (!this.enabled) return;
+
+    const duration = stats.duration ? `${Math.round(stats.duration / 1000)}s` : 'unknown';
+
+    const message = {
+      text: `⚠️ Task needs review: ${task.description}`,
+      thread_ts: this.sessionThread,
+      blocks: [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `⚠️ *Task Needs Review:* ${task.description}`
+          }
+        },
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `*Reason:* ${reason}`
+          }
+        },
+        {
+          type: 'section',
+          fields: [
+            {
+              type: 'mrkdwn',
+              text: `*Duration:*\n${duration}`
+            },
+            {
+              type: 'mrkdwn',
+              text: `*Files Changed:*\n${stats.filesChanged || 0}`
+            }
+          ]
+        },
+        ...(stats.branch ? [{
+          type: 'context',
+          elements: [
+            {
+              type: 'mrkdwn',
+              text: `Branch \`${stats.branch}\` was not merged and is kept for review`
+            }
+          ]
+        }] : []),
+        ...this.providersBlock(stats.providers)
       ]
     };
 
@@ -159,8 +232,9 @@ export class SlackNotifier {
 
   /**
    * Send task failure notification
+   * @param {object} details.providers - Provider chain the task ran on
    */
-  async taskFailed(task, error) {
+  async taskFailed(task, error, details = {}) {
     if (!this.enabled) return;
 
     const message = {
@@ -181,6 +255,7 @@ export class SlackNotifier {
             text: `\`\`\`${error.message || error}\`\`\``
           }
         },
+        ...this.providersBlock(details.providers),
         {
           type: 'actions',
           elements: [
@@ -248,7 +323,7 @@ export class SlackNotifier {
                 emoji: true
               },
               style: 'primary',
-              value: JSON.stringify({ action: action.type, approve: true }),
+              value: JSON.stringify({ approvalId: details?.approvalId, action: action.type, approve: true }),
               action_id: 'approve_action'
             },
             {
@@ -259,7 +334,7 @@ export class SlackNotifier {
                 emoji: true
               },
               style: 'danger',
-              value: JSON.stringify({ action: action.type, approve: false }),
+              value: JSON.stringify({ approvalId: details?.approvalId, action: action.type, approve: false }),
               action_id: 'deny_action'
             },
             {
@@ -280,6 +355,38 @@ export class SlackNotifier {
     return this.send(message);
   }
 
+  /**
+   * Send session limit notification (max changes/deletes/hours reached)
+   */
+  async limitReached(limit, action) {
+    if (!this.enabled) return;
+
+    const message = {
+      text: `🛑 Session limit reached: ${limit.message}`,
+      thread_ts: this.sessionThread,
+      blocks: [
+        {
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `🛑 *Session Limit Reached:* ${limit.message}`
+          }
+        },
+        {
+          type: 'context',
+          elements: [
+            {
+              type: 'mrkdwn',
+              text: `Limit: \`${limit.setting}\` | ${action === 'pause' ? 'Session paused, resume from the dashboard' : 'Session stopped, remaining tasks left pending'}`
+            }
+          ]
+        }
+      ]
+    };
+
+    return this.send(message);
+  }
+
   /**
    * Send session complete summary
    */
@@ -341,9 +448,24 @@ export class SlackNotifier {
             {
               type: 'mrkdwn',
               text: `*Errors:*\n${stats.errors}`
+            },
+            {
+              type: 'mrkdwn',
+              text: `*Cost:*\n$${(stats.costUsd || 0).toFixed(2)}`
+            },
+            {
+              type: 'mrkdwn',
+              text: `*Tokens:*\n${formatTokens(tokensIn(stats.usage))} in / ${formatTokens(stats.usage?.outputTokens)} out`
             }
           ]
         },
+        ...(stats.limitsReached?.length ? [{
+          type: 'section',
+          text: {
+            type: 'mrkdwn',
+            text: `🛑 *Session limits reached:*\n${stats.limitsReached.map(l => `• ${l.message}`).join('\n')}`
+          }
+        }] : []),
         {
           type: 'divider'
         },
@@ -446,6 +568,17 @@ export class SlackNotifier {
     return `sess_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`;
   }
 
+  /**
+   * Context block naming the providers a task ran on (provider_chain)
+   */
+  providersBlock(providers) {
+    if (!providers) return [];
+    return [{
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `Providers: ${providers}` }]
+    }];
+  }
+
   priorityEmoji(priority) {
     const emojis = { high: '🔴', normal: '🟡', low: '🟢' };
     return emojis[priority] || '⚪';
@@ -1,3 +1,9 @@
+import { Detector, normalizeActionType } from './detection/index.js';
+import { PackageChecker } from './packages.js';
+
+// Used when detection.risk_thresholds leaves a value out (auto_deny is off unless configured)
+const DEFAULT_THRESHOLDS = { auto_deny: null, require_approval: 0.7, warn: 0.5 };
+
 /**
  * SmartDetector - Advanced action detection with context awareness
  * 
@@ -7,288 +13,89 @@
  * - File impact analysis
  * - Command safety scoring
  * - Learning from session history
+ *
+ * Classification comes from the shared Detector (src/detection). On top of
+ * it this adds the `detection` config's risk_thresholds, package reputation
+ * checks and session stats. With a LearningStore attached (enable_learning),
+ * past approvals and denials adjust risk across sessions.
  */
-export class SmartDetector {
-  constructor() {
+export class SmartDetector extends Detector {
+  constructor(options = {}) {
+    super(options);
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...options.risk_thresholds };
+    this.learning = null;
+    this.packages = new PackageChecker(options.packages);
     this.history = [];
-    this.fileStats = new Map();
     this.commandStats = new Map();
-    
-    // Action definitions with patterns and risk factors
-    this.actionDefs = {
-      file_create: {
-        patterns: [
-          { regex: /(?:Creating|Writing|Generating)\s+(?:new\s+)?file[:\s]+['"]?([^\s'"]+)/i, confidence: 0.95 },
-          { regex: /touch\s+([^\s;|&]+)/i, confidence: 0.9 },
-          { regex: />\s*([^\s;|&]+\.\w+)/i, confidence: 0.7 },
-          { regex: /fs\.writeFile(?:Sync)?\s*\(\s*['"]([^'"]+)/i, confidence: 0.95 },
-          { regex: /echo\s+.*>\s*([^\s;|&]+)/i, confidence: 0.8 }
-        ],
-        baseRisk: 0.2,
-        riskFactors: {
-          path_depth: (path) => path.split('/').length > 5 ? 0.1 : 0,
-          extension: (path) => {
-            const dangerous = ['.sh', '.bash', '.env', '.pem', '.key'];
-            return dangerous.some(ext => path.endsWith(ext)) ? 0.4 : 0;
-          },
-          system_path: (path) => path.startsWith('/etc') || path.startsWith('/usr') ? 0.5 : 0
-        }
-      },
-      
-      file_edit: {
-        patterns: [
-          { regex: /(?:Editing|Modifying|Updating)\s+(?:file\s+)?['"]?([^\s'"]+)/i, confidence: 0.95 },
-          { regex: /str_replace.*?(?:in|path)[:\s]+['"]?([^\s'"]+)/i, confidence: 0.95 },
-          { regex: /sed\s+-i.*?\s+([^\s;|&]+)/i, confidence: 0.9 },
-          { regex: /patch\s+([^\s;|&]+)/i, confidence: 0.85 }
-        ],
-        baseRisk: 0.3,
-        riskFactors: {
-          config_file: (path) => /\.(json|yaml|yml|toml|ini|conf)$/.test(path) ? 0.2 : 0,
-          sensitive_file: (path) => /\.(env|pem|key|secret)/.test(path) ? 0.5 : 0,
-          frequency: (path, stats) => {
-            const edits = stats.get(path)?.edits || 0;
-            return edits > 5 ? 0.3 : 0; // Suspicious if editing same file repeatedly
-          }
-        }
-      },
-
-      file_delete: {
-        patterns: [
-          { regex: /(?:Deleting|Removing)\s+(?:file\s+)?['"]?([^\s'"]+)/i, confidence: 0.95 },
-          { regex: /rm\s+(?:-[rf]+\s+)?([^\s;|&]+)/i, confidence: 0.9 },
-          { regex: /unlink\s*\(\s*['"]([^'"]+)/i, confidence: 0.9 },
-          { regex: /fs\.(?:unlink|rm)(?:Sync)?\s*\(\s*['"]([^'"]+)/i, confidence: 0.95 }
-        ],
-        baseRisk: 0.7,
-        riskFactors: {
-          recursive: (_, text) => /rm\s+-r/.test(text) ? 0.3 : 0,
-          force: (_, text) => /rm\s+.*-f/.test(text) ? 0.2 : 0,
-          glob_pattern: (path) => /[*?]/.test(path) ? 0.4 : 0,
-          important_file: (path) => {
-            const important = ['package.json', 'tsconfig.json', '.gitignore', 'Dockerfile'];
-            return important.some(f => path.endsWith(f)) ? 0.3 : 0;
-          }
-        }
-      },
-
-      terminal_command: {
-        patterns: [
-          { regex: /(?:Running|Executing)\s+(?:command)?[:\s]+['"]?(.+?)['"]?\s*$/i, confidence: 0.9 },
-          { regex: /\$\s+(.+)/m, confidence: 0.7 },
-          { regex: /bash[:\s]+(.+)/i, confidence: 0.85 },
-          { regex: /exec(?:Sync)?\s*\(\s*['"]([^'"]+)/i, confidence: 0.9 }
-        ],
-        baseRisk: 0.4,
-        riskFactors: {
-          sudo: (cmd) => /sudo/.test(cmd) ? 0.5 : 0,
-          pipe_to_shell: (cmd) => /\|\s*(?:bash|sh|zsh)/.test(cmd) ? 0.6 : 0,
-          curl_pipe: (cmd) => /curl.*\|/.test(cmd) ? 0.5 : 0,
-          network: (cmd) => /(?:curl|wget|nc|netcat)/.test(cmd) ? 0.3 : 0,
-          destructive: (cmd) => /(?:rm|kill|pkill|shutdown|reboot)/.test(cmd) ? 0.4 : 0
-        }
-      },
 
-      npm_install: {
-        patterns: [
-          { regex: /npm\s+(?:install|i|add)\s+([^\s;|&]+)/i, confidence: 0.95 },
-          { regex: /yarn\s+add\s+([^\s;|&]+)/i, confidence: 0.95 },
-          { regex: /pnpm\s+(?:add|install)\s+([^\s;|&]+)/i, confidence: 0.95 }
-        ],
-        baseRisk: 0.3,
-        riskFactors: {
-          global: (cmd) => /-g|--global/.test(cmd) ? 0.3 : 0,
-          unknown_package: async (pkg) => {
-            // Could integrate with npm registry API to check package reputation
-            const suspicious = ['crypto-', 'wallet-', 'password-'];
-            return suspicious.some(s => pkg.includes(s)) ? 0.4 : 0;
-          },
-          dev_only: (cmd) => /-D|--save-dev/.test(cmd) ? -0.1 : 0
-        }
-      },
-
-      git_commit: {
-        patterns: [
-          { regex: /git\s+commit\s+(?:-[am]+\s+)?['"]?([^'"]+)/i, confidence: 0.95 },
-          { regex: /Commit(?:ting)?[:\s]+['"]?([^'"]+)/i, confidence: 0.8 }
-        ],
-        baseRisk: 0.2,
-        riskFactors: {
-          empty_message: (msg) => !msg || msg.length < 5 ? 0.2 : 0,
-          amend: (_, text) => /--amend/.test(text) ? 0.3 : 0
-        }
-      },
-
-      git_push: {
-        patterns: [
-          { regex: /git\s+push(?:\s+([^\s;|&]+))?/i, confidence: 0.95 },
-          { regex: /Push(?:ing)?\s+to\s+(\w+)/i, confidence: 0.85 }
-        ],
-        baseRisk: 0.6,
-        riskFactors: {
-          force: (_, text) => /-f|--force/.test(text) ? 0.4 : 0,
-          main_branch: (branch) => /^(main|master|prod)$/.test(branch) ? 0.3 : 0,
-          all: (_, text) => /--all/.test(text) ? 0.2 : 0
-        }
-      },
-
-      database_operation: {
-        patterns: [
-          { regex: /(?:migrate|migration)\s+(?:run|up|down)/i, confidence: 0.95 },
-          { regex: /prisma\s+(?:migrate|db\s+push)/i, confidence: 0.95 },
-          { regex: /supabase\s+(?:db|migration)/i, confidence: 0.95 },
-          { regex: /DROP\s+(?:TABLE|DATABASE|INDEX)/i, confidence: 0.99 },
-          { regex: /TRUNCATE\s+/i, confidence: 0.95 },
-          { regex: /DELETE\s+FROM\s+\w+(?!\s+WHERE)/i, confidence: 0.9 }
-        ],
-        baseRisk: 0.8,
-        riskFactors: {
-          drop: (_, text) => /DROP/.test(text) ? 0.5 : 0,
-          truncate: (_, text) => /TRUNCATE/.test(text) ? 0.4 : 0,
-          production: () => process.env.NODE_ENV === 'production' ? 0.5 : 0
-        }
-      },
-
-      env_modification: {
-        patterns: [
-          { regex: /(?:edit|modify|create|update).*\.env/i, confidence: 0.95 },
-          { regex: /export\s+(\w+)=/i, confidence: 0.7 },
-          { regex: /process\.env\.(\w+)\s*=/i, confidence: 0.9 }
-        ],
-        baseRisk: 0.7,
-        riskFactors: {
-          secret_key: (_, text) => /(?:SECRET|KEY|TOKEN|PASSWORD|CREDENTIAL)/i.test(text) ? 0.3 : 0,
-          api_key: (_, text) => /API[_-]?KEY/i.test(text) ? 0.2 : 0
-        }
-      },
-
-      approval_prompt: {
-        patterns: [
-          { regex: /Do you want to (?:proceed|continue)\??/i, confidence: 0.95 },
-          { regex: /\[Y\/n\]/i, confidence: 0.9 },
-          { regex: /Press (?:y|enter) to continue/i, confidence: 0.9 },
-          { regex: /Approve\?/i, confidence: 0.95 },
-          { regex: /Are you sure\?/i, confidence: 0.85 }
-        ],
-        baseRisk: 0.5
-      }
-    };
-
-    // Dangerous command patterns that should always flag
-    this.dangerousPatterns = [
-      { pattern: /rm\s+-rf\s+\/(?!\s|$)/i, severity: 'critical', reason: 'Recursive delete from root' },
-      { pattern: />\s*\/dev\/sd[a-z]/i, severity: 'critical', reason: 'Direct disk write' },
-      { pattern: /mkfs\./i, severity: 'critical', reason: 'Filesystem format' },
-      { pattern: /dd\s+.*of=\/dev/i, severity: 'critical', reason: 'Direct disk write' },
-      { pattern: /:(){ :|:& };:/i, severity: 'critical', reason: 'Fork bomb' },
-      { pattern: /chmod\s+777\s+\//i, severity: 'high', reason: 'Insecure root permissions' },
-      { pattern: /curl.*\|\s*sudo/i, severity: 'high', reason: 'Piping to sudo' },
-      { pattern: /eval\s*\(\s*\$\{?[A-Z_]+/i, severity: 'high', reason: 'Eval with env variable' },
-      { pattern: /base64\s+-d.*\|\s*(?:bash|sh)/i, severity: 'high', reason: 'Base64 decode to shell' }
-    ];
+    // Allow/deny lists, typosquats and non-registry sources (riskiest package counts)
+    this.actionDefs.npm_install.riskFactors.reputation = (_, text) => this.packages.risk(text);
   }
 
   /**
    * Detect and analyze action from text
    */
   detect(text) {
-    const results = [];
-
-    for (const [actionType, def] of Object.entries(this.actionDefs)) {
-      for (const patternDef of def.patterns) {
-        const match = text.match(patternDef.regex);
-        if (match) {
-          const target = match[1] || '';
-          const confidence = patternDef.confidence;
-          
-          // Calculate risk score
-          const riskScore = this.calculateRisk(actionType, target, text, def);
-          
-          results.push({
-            type: actionType,
-            target,
-            confidence,
-            riskScore,
-            riskLevel: this.riskLevel(riskScore),
-            raw: match[0],
-            timestamp: new Date().toISOString()
-          });
-        }
-      }
-    }
-
-    // Check for dangerous patterns
-    const dangers = this.checkDangerous(text);
-    if (dangers.length > 0) {
-      results.push(...dangers.map(d => ({
-        type: 'dangerous_command',
-        target: d.match,
-        confidence: 1.0,
-        riskScore: d.severity === 'critical' ? 1.0 : 0.9,
-        riskLevel: 'critical',
-        reason: d.reason,
-        raw: d.match,
-        timestamp: new Date().toISOString()
-      })));
-    }
-
-    // Sort by confidence and return best match
-    results.sort((a, b) => b.confidence - a.confidence);
-    
-    if (results.length > 0) {
-      this.recordAction(results[0]);
-      return results[0];
-    }
-
-    return null;
+    const action = super.detect(text);
+    if (action) this.recordAction(action);
+    return action;
   }
 
   /**
-   * Calculate risk score for an action
+   * Classify a provider tool call and record it (see Detector.classifyToolUse)
    */
-  calculateRisk(actionType, target, text, def) {
-    let risk = def.baseRisk || 0.5;
+  classifyToolUse(toolUse, workDir = process.cwd()) {
+    const action = super.classifyToolUse(toolUse, workDir);
+    if (!action) return null;
+
+    // Learning is keyed on the full command, known only now
+    if (action.command) this.applyLearning(action);
+    this.recordAction(action);
+    return action;
+  }
 
-    if (def.riskFactors) {
-      for (const [factorName, factorFn] of Object.entries(def.riskFactors)) {
-        try {
-          const factorRisk = factorFn(target, text, this.fileStats);
-          risk += factorRisk;
-        } catch (e) {
-          // Skip failed risk factors
-        }
+  /**
+   * Build a scored action, with package reports and learned risk
+   */
+  buildAction(type, target, text, confidence, raw) {
+    const action = super.buildAction(type, target, text, confidence, raw);
+
+    // Installs carry a reputation report for every package they add
+    if (type === 'npm_install') {
+      const packages = this.packages.checkCommand(text);
+      if (packages.length > 0) {
+        action.target = packages.map(p => p.name).join(' ');
+        action.packages = packages;
+        const flagged = packages.filter(p => p.reason);
+        if (flagged.length > 0) action.reason = flagged.map(p => p.reason).join('; ');
       }
     }
 
-    // Clamp to 0-1
-    return Math.max(0, Math.min(1, risk));
+    return this.applyLearning(action);
   }
 
   /**
-   * Convert risk score to level
+   * Adjust an action's risk from past decisions on the same command, path or package
    */
-  riskLevel(score) {
-    if (score >= 0.8) return 'critical';
-    if (score >= 0.6) return 'high';
-    if (score >= 0.4) return 'medium';
-    if (score >= 0.2) return 'low';
-    return 'minimal';
+  applyLearning(action) {
+    if (!this.learning || action.type === 'dangerous_command') return action;
+
+    const baseRisk = action.baseRiskScore ?? action.riskScore;
+    const learned = this.learning.assess(action);
+    action.baseRiskScore = baseRisk;
+    action.riskScore = Math.max(0, Math.min(1, baseRisk + learned.risk));
+    action.riskLevel = this.riskLevel(action.riskScore);
+    action.learned = learned;
+    return action;
   }
 
   /**
-   * Check for dangerous patterns
+   * Learn from an approval or denial made by a person
    */
-  checkDangerous(text) {
-    const found = [];
-    
-    for (const { pattern, severity, reason } of this.dangerousPatterns) {
-      const match = text.match(pattern);
-      if (match) {
-        found.push({ match: match[0], severity, reason });
-      }
-    }
-
-    return found;
+  recordDecision(action, decision) {
+    if (!this.learning) return;
+    this.learning.recordDecision(action, decision);
+    this.learning.save().catch(() => {});
   }
 
   /**
@@ -319,6 +126,11 @@ export class SmartDetector {
     if (this.history.length > 1000) {
       this.history = this.history.slice(-1000);
     }
+
+    if (this.learning) {
+      this.learning.recordSeen(action);
+      this.learning.save().catch(() => {});
+    }
   }
 
   /**
@@ -354,48 +166,75 @@ export class SmartDetector {
   }
 
   /**
-   * Suggest whether to auto-accept based on history and patterns
+   * Suggest whether to auto-accept based on the mode's action lists and the
+   * configured risk thresholds.
+   * accept is true, false (needs approval), 'quick_confirm' or 'deny' (blocked
+   * outright); warn is set for accepted actions at or above the warn threshold.
    */
   shouldAutoAccept(action, config) {
-    const modeConfig = config[config.mode];
-    
+    const modeConfig = config[config.mode] || {};
+    const listed = (list) => list?.some(type => normalizeActionType(type) === action.type);
+    const { auto_deny, require_approval, warn } = this.thresholds;
+    const score = action.riskScore.toFixed(2);
+
+    if (auto_deny !== null && auto_deny !== undefined && action.riskScore >= auto_deny) {
+      return { accept: 'deny', reason: `Risk score ${score} is at or above auto_deny (${auto_deny})`, confidence: action.riskScore };
+    }
+
+    // Packages on detection.packages.deny are never installed
+    const denied = action.packages?.filter(p => p.status === 'denied') || [];
+    if (denied.length > 0) {
+      return { accept: 'deny', reason: denied.map(p => p.reason).join('; '), confidence: 1.0 };
+    }
+
     // Always require approval for dangerous commands
     if (action.type === 'dangerous_command' || action.riskLevel === 'critical') {
-      return { accept: false, reason: 'Critical risk detected', confidence: 1.0 };
+      const reason = action.type === 'dangerous_command' ? `Dangerous pattern: ${action.reason}` : 'Critical risk detected';
+      return { accept: false, reason, confidence: 1.0 };
     }
 
     // Check explicit require_approval list
-    if (modeConfig.require_approval?.includes(action.type)) {
+    if (listed(modeConfig.require_approval)) {
       return { accept: false, reason: 'Action type requires approval', confidence: 0.9 };
     }
 
+    // Approved many times before and never denied (skips quick confirm, never require_approval)
+    if (action.learned?.trusted && action.riskScore < require_approval) {
+      return { accept: true, reason: `Approved ${action.learned.approved} times before`, confidence: 0.9 };
+    }
+
+    // Listed or not, anything at the approval threshold needs approval
+    if (action.riskScore >= require_approval) {
+      return { 
+        accept: false, 
+        reason: `High risk score: ${score}`,
+        confidence: action.riskScore 
+      };
+    }
+
+    const warning = action.riskScore >= warn;
+
     // Check auto_accept list
-    if (modeConfig.auto_accept?.includes(action.type)) {
-      // But still check risk level
-      if (action.riskScore > 0.7) {
-        return { 
-          accept: false, 
-          reason: `High risk score: ${action.riskScore.toFixed(2)}`,
-          confidence: action.riskScore 
-        };
-      }
-      return { accept: true, reason: 'Action type auto-accepted', confidence: 0.9 };
+    if (listed(modeConfig.auto_accept)) {
+      return { accept: true, reason: 'Action type auto-accepted', confidence: 0.9, warn: warning };
     }
 
     // Check quick_confirm list (copilot mode)
-    if (modeConfig.quick_confirm?.includes(action.type)) {
+    if (listed(modeConfig.quick_confirm)) {
       return { 
         accept: 'quick_confirm', 
         reason: 'Quick confirmation',
-        timeout: modeConfig.timeout_seconds || 2 
+        timeout: modeConfig.timeout_seconds || 2,
+        warn: warning
       };
     }
 
     // Default based on risk
     return {
-      accept: action.riskScore < 0.5,
-      reason: `Risk score: ${action.riskScore.toFixed(2)}`,
-      confidence: 1 - action.riskScore
+      accept: true,
+      reason: `Risk score: ${score}`,
+      confidence: 1 - action.riskScore,
+      warn: warning
     };
   }
 }
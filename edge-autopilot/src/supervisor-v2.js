@@ -4,12 +4,32 @@ import ora from 'ora';
 import notifier from 'node-notifier';
 import { EventEmitter } from 'events';
 import readline from 'readline';
+import { userInfo } from 'os';
+import { resolve as resolvePath } from 'path';
 
 import { Logger } from './logger.js';
 import { SmartDetector } from './smart-detector.js';
+import { LearningStore } from './learning.js';
 import { SlackNotifier } from './slack.js';
 import { Dashboard } from './dashboard.js';
-import { createProvider, resolveModel, getProviderInfo } from './providers/index.js';
+import { WorktreeManager } from './worktrees.js';
+import { DryRunSandbox, writeDryRunReport } from './dry-run.js';
+import { RunJournal } from './journal.js';
+import { WorkspaceGuard } from './safety.js';
+import { snapshotTree, diffTrees } from './changes.js';
+import { readLockfile, diffLockfiles } from './packages.js';
+import { createEmailNotifier } from './email.js';
+import { ApprovalBroker } from './approvals.js';
+import { createProvider, resolveModel, getProviderInfo, claudeDisallowedTools } from './providers/index.js';
+import { STOP_REASONS } from './providers/tools.js';
+import { providerChain, chainLabel, chainUsed, isProviderFailure } from './providers/chain.js';
+import { emptyUsage, addUsage, formatTokens, tokensIn } from './providers/usage.js';
+import { UsageLedger } from './usage-ledger.js';
+import { routeTask } from './routing.js';
+import { buildProjectContext } from './project-context.js';
+
+// Output of a failed attempt passed on to the next provider in the chain
+const MAX_CARRY_OVER_CHARS = 2000;
 
 /**
  * SupervisorV2 - Enhanced supervisor with Slack, Smart Detection, and Dashboard
@@ -26,14 +46,30 @@ export class Supervisor extends EventEmitter {
 
     // Core modules
     this.logger = new Logger(config.logging);
-    this.detector = new SmartDetector();
+    this.detector = new SmartDetector(config.detection);
     this.slack = new SlackNotifier(config.notifications?.slack);
+    this.email = createEmailNotifier(config);
+    this.guard = new WorkspaceGuard({
+      protectedPaths: config.safety?.protected_paths,
+      sensitivePaths: config.safety?.sensitive_paths
+    });
+
+    // Every approval (dashboard, Slack, email link, copilot prompt) goes through the broker
+    this.approvals = new ApprovalBroker({
+      timeoutMinutes: config.approvals?.timeout_minutes,
+      defaultDecision: config.approvals?.default_decision
+    });
+    this.approvals.on('decided', (record) => this.recordApproval(record));
 
     // Dashboard is optional (can be disabled via --no-dashboard flag)
-    this.dashboardEnabled = config.dashboard !== false;
+    const dashboardConfig = typeof config.dashboard === 'object' ? config.dashboard : {};
+    this.dashboardEnabled = config.dashboard !== false && dashboardConfig.enabled !== false;
     this.dashboard = this.dashboardEnabled ? new Dashboard({
-      port: config.dashboardPort || 3847,
-      logsDir: config.logging?.directory || './logs'
+      port: config.dashboardPort || dashboardConfig.port || 3847,
+      host: dashboardConfig.host,
+      logsDir: config.logging?.directory || './logs',
+      approvals: this.approvals,
+      slackSigningSecret: config.notifications?.slack?.signing_secret
     }) : null;
 
     // Session state
@@ -43,14 +79,42 @@ export class Supervisor extends EventEmitter {
       started: new Date(),
       tasksCompleted: 0,
       tasksFailed: 0,
+      tasksBlocked: 0,
+      tasksTimedOut: 0,
+      tasksNeedingReview: 0,
+      safetyViolations: 0,
+      retries: 0,
       actionsApproved: 0,
       actionsDenied: 0,
       errors: 0,
-      filesChanged: 0
+      filesChanged: 0,
+      filesDeleted: 0,
+      toolCalls: 0,
+      costUsd: 0,
+      usage: emptyUsage(),
+      costByTask: {},
+      limitsReached: []
     };
 
-    // Pending approvals
-    this.pendingApprovals = new Map();
+    // Limits the user chose to continue past after a pause
+    this.acknowledgedLimits = new Set();
+
+    // Set by startInteractive, so approvals can be answered at the copilot prompt
+    this.interactive = false;
+
+    // Set by runQueue; approval decisions are recorded in it
+    this.journal = null;
+
+    // Set by runQueue when tasks.concurrency > 1
+    this.worktrees = null;
+
+    // Dry run: tasks run in throwaway sandboxes and only their diffs are kept
+    this.dryRun = Boolean(config.safety?.dry_run);
+    this.sandbox = null;
+    this.dryRunReport = [];
+
+    // Set by runQueue from the run journal
+    this.runId = null;
 
     // Set up dashboard event handlers
     if (this.dashboard) {
@@ -62,21 +126,7 @@ export class Supervisor extends EventEmitter {
    * Set up event handlers for dashboard interactions
    */
   setupDashboardEvents() {
-    this.dashboard?.on('approve', (actionId) => {
-      const pending = this.pendingApprovals.get(actionId);
-      if (pending) {
-        pending.resolve('approve');
-        this.pendingApprovals.delete(actionId);
-      }
-    });
-
-    this.dashboard?.on('deny', (actionId) => {
-      const pending = this.pendingApprovals.get(actionId);
-      if (pending) {
-        pending.resolve('deny');
-        this.pendingApprovals.delete(actionId);
-      }
-    });
+    // approve/deny go straight from the dashboard to the approval broker
 
     this.dashboard?.on('pause', () => {
       this.isPaused = true;
@@ -92,11 +142,32 @@ export class Supervisor extends EventEmitter {
   }
 
   /**
-   * Run a queue of tasks in sequence
+   * Run a queue of tasks in dependency order.
+   * Tasks whose depends_on includes a failed or blocked task are marked blocked and skipped.
    */
   async runQueue(taskQueue) {
     const tasks = await taskQueue.getTasks();
     this.logger.info(`Starting queue with ${tasks.length} tasks`);
+    await this.initLearning();
+
+    // Journal every state change so the run can be resumed after a crash
+    if (!taskQueue.journal) {
+      taskQueue.journal = await RunJournal.create(this.config.logging?.directory, {
+        source: resolvePath(taskQueue.source),
+        tasks: taskQueue.tasks.map(t => t.id),
+        options: {
+          workingDirectory: this.config.workingDirectory,
+          provider: this.config.provider,
+          model: this.config.model,
+          profile: this.config.profile,
+          dryRun: this.dryRun
+        }
+      });
+    }
+    this.runId = taskQueue.journal.runId;
+    this.journal = taskQueue.journal;
+    taskQueue.on('transition', (event) => this.emit('event', event));
+    this.logger.info(`Run ID: ${this.runId} (resume with: autopilot resume ${this.runId})`);
 
     // Start dashboard if enabled
     if (this.dashboard) {
@@ -117,14 +188,284 @@ export class Supervisor extends EventEmitter {
     await this.slack.sessionStart(this.config.mode, tasks.length);
     
     const spinner = ora('Processing task queue...').start();
-    
-    for (const task of tasks) {
+    const concurrency = Math.max(1, this.config.tasks?.concurrency || 1);
+    let stopped = false;
+
+    if (this.dryRun) {
+      this.sandbox = new DryRunSandbox(this.config.workingDirectory || process.cwd(), {
+        baseDir: this.config.tasks?.worktree_dir
+      });
+      await this.sandbox.init();
+      this.logger.info(`Dry run: tasks run in throwaway ${this.sandbox.worktrees ? 'worktrees' : 'copies'}, changes are discarded`);
+    }
+
+    if (concurrency > 1 && !this.dryRun) {
+      this.worktrees = new WorktreeManager(this.config.workingDirectory || process.cwd(), {
+        baseDir: this.config.tasks?.worktree_dir
+      });
+      await this.worktrees.check();
+      this.logger.info(`Running up to ${concurrency} tasks in parallel worktrees`);
+      stopped = await this.runParallel(tasks, taskQueue, concurrency, spinner);
+    } else if (concurrency > 1) {
+      stopped = await this.runParallel(tasks, taskQueue, concurrency, spinner);
+    } else {
+      for (const task of tasks) {
+        if (this.isPaused) {
+          spinner.text = 'Paused - waiting...';
+          await this.waitForResume();
+        }
+
+        if (!(await this.enforceSessionLimits(spinner))) {
+          spinner.fail(`Stopped: ${this.sessionStats.limitsReached.at(-1).message}`);
+          stopped = true;
+          break;
+        }
+
+        const keepGoing = await this.processTask(task, taskQueue, spinner);
+
+        // Update dashboard stats
+        this.dashboard?.updateStats(this.sessionStats);
+        this.dashboard?.updateInsights(this.detector.getInsights());
+
+        if (!keepGoing) {
+          const limit = this.sessionStats.limitsReached.at(-1);
+          spinner.fail(limit?.action === 'stop' ? `Stopped: ${limit.message}` : 'Stopped: Too many consecutive errors');
+          stopped = true;
+          break;
+        }
+      }
+    }
+
+    if (!stopped) {
+      spinner.succeed(`Queue complete: ${this.sessionStats.tasksCompleted} tasks`);
+    }
+    await taskQueue.journal.append('run_finished', { stats: this.sessionStats });
+
+    if (this.dryRun) {
+      this.dryRunReportFile = await writeDryRunReport(this.config.logging?.directory, this.runId, this.dryRunReport);
+    }
+    await this.detector.learning?.save();
+
+    // Add session complete action
+    this.dashboard?.addAction({
+      type: 'session_complete',
+      description: `Session complete: ${this.sessionStats.tasksCompleted} completed, ${this.sessionStats.tasksFailed} failed`,
+      status: 'success'
+    });
+
+    await this.logger.generateSummary(this.sessionStats);
+    await this.recordProjectUsage();
+
+    // Final notifications
+    await this.slack.sessionComplete(this.sessionStats);
+    this.printSummary();
+
+    // Keep dashboard running after completion
+    this.dashboard?.sessionComplete?.();
+  }
+
+  /**
+   * Add this session's token usage and cost to the project's totals
+   * (<logs>/usage.json, shown by `autopilot status`)
+   */
+  async recordProjectUsage() {
+    const { costUsd, usage } = this.sessionStats;
+    if (costUsd === 0 && usage.inputTokens + usage.outputTokens === 0) return;
+
+    try {
+      const ledger = await UsageLedger.open(this.config.logging?.directory);
+      await ledger.record(this.config.workingDirectory || process.cwd(), this.sessionStats);
+    } catch (error) {
+      this.logger.warn(`Could not record project usage: ${error.message}`);
+    }
+  }
+
+  /**
+   * Attach the project's learning store to the detector (detection.enable_learning)
+   */
+  async initLearning() {
+    if (!this.config.detection?.enable_learning || this.detector.learning) return;
+
+    const projectDir = this.config.workingDirectory || process.cwd();
+    this.detector.learning = await LearningStore.open(projectDir, {
+      trustAfter: this.config.detection.trust_after
+    });
+    this.logger.info(`Learning store: ${this.detector.learning.file}`);
+  }
+
+  /**
+   * Run up to `concurrency` tasks at once, each in its own git worktree.
+   * A task starts once all of its dependencies have finished.
+   * Resolves with true if the queue was stopped early.
+   */
+  async runParallel(tasks, taskQueue, concurrency, spinner) {
+    const pending = [...tasks];
+    const running = new Set();
+    let stopped = false;
+
+    while (pending.length > 0 || running.size > 0) {
       if (this.isPaused) {
         spinner.text = 'Paused - waiting...';
         await this.waitForResume();
       }
-      
-      spinner.text = `Task: ${task.description?.slice(0, 50)}...`;
+
+      while (!stopped && running.size < concurrency) {
+        const index = pending.findIndex(t => taskQueue.dependenciesSettled(t));
+        if (index === -1) break;
+
+        if (!(await this.enforceSessionLimits(spinner))) {
+          stopped = true;
+          break;
+        }
+
+        const [task] = pending.splice(index, 1);
+        const run = this.processTask(task, taskQueue, spinner)
+          .then((keepGoing) => {
+            if (!keepGoing) stopped = true;
+            this.dashboard?.updateStats(this.sessionStats);
+            this.dashboard?.updateInsights(this.detector.getInsights());
+          })
+          .finally(() => running.delete(run));
+        running.add(run);
+      }
+
+      if (running.size === 0) break;
+      await Promise.race(running);
+    }
+
+    if (stopped) {
+      const limit = this.sessionStats.limitsReached.at(-1);
+      spinner.fail(limit?.action === 'stop' ? `Stopped: ${limit.message}` : 'Stopped: Too many consecutive errors');
+    }
+    return stopped;
+  }
+
+  /**
+   * Check safety.max_changes_per_session, max_deletes_per_session,
+   * max_autonomous_hours and budget.max_usd_per_session before starting
+   * another task, or act on a limit a task ran into (a budget).
+   * Returns false when the session should stop. With `safety.on_limit: pause`
+   * (and a dashboard to resume from) the session pauses instead, and the
+   * tripped limit is ignored for the rest of the session once resumed.
+   * The spinner is optional (copilot has none).
+   */
+  async enforceSessionLimits(spinner, limit = this.checkSessionLimits()) {
+    if (!limit) return true;
+
+    const action = this.config.safety?.on_limit === 'pause' && this.dashboard ? 'pause' : 'stop';
+    this.sessionStats.limitsReached.push({ ...limit, action, at: new Date().toISOString() });
+    this.logger.warn(`Session limit reached: ${limit.message}`, { limit: limit.name, action });
+
+    this.dashboard?.addAction({
+      type: 'session_limit',
+      description: `${limit.message} (${action === 'pause' ? 'paused' : 'stopped'})`,
+      target: limit.setting,
+      status: 'warning',
+      riskLevel: 'high'
+    });
+    this.dashboard?.updateStats(this.sessionStats);
+
+    await this.slack.limitReached(limit, action);
+    await this.email.sendCriticalAlert({
+      type: 'session_limit',
+      target: limit.setting,
+      riskLevel: 'high',
+      reason: limit.message
+    });
+    this.notify(`Session limit reached: ${limit.message}`, 'warn');
+
+    if (action === 'stop') {
+      return false;
+    }
+
+    this.acknowledgedLimits.add(limit.name);
+    this.isPaused = true;
+    this.dashboard.updateMode('paused');
+    if (spinner) spinner.text = `Paused: ${limit.message} - resume from the dashboard`;
+    await this.waitForResume();
+    return true;
+  }
+
+  /**
+   * Return the first session limit that has been reached, or null
+   */
+  checkSessionLimits() {
+    const safety = this.config.safety || {};
+    const hours = (Date.now() - this.sessionStats.started) / 1000 / 60 / 60;
+
+    const limits = [
+      { name: 'max_changes_per_session', value: this.sessionStats.filesChanged, max: safety.max_changes_per_session, unit: 'files changed' },
+      { name: 'max_deletes_per_session', value: this.sessionStats.filesDeleted, max: safety.max_deletes_per_session, unit: 'files deleted' },
+      { name: 'max_autonomous_hours', value: Math.round(hours * 100) / 100, max: safety.max_autonomous_hours, unit: 'hours elapsed' }
+    ];
+
+    const limit = limits.find(l => l.max > 0 && l.value >= l.max && !this.acknowledgedLimits.has(l.name));
+    return limit
+      ? { ...limit, setting: `safety.${limit.name}`, message: `${limit.value} ${limit.unit} (limit ${limit.max})` }
+      : this.checkBudget();
+  }
+
+  /**
+   * Return the budget (budget.max_usd_per_task, max_usd_per_session) that
+   * has been spent, or null
+   * @param {number} taskCostUsd - What the running task has cost so far
+   */
+  checkBudget(taskCostUsd = 0) {
+    const budget = this.config.budget || {};
+
+    const limits = [
+      { name: 'max_usd_per_task', value: taskCostUsd, max: budget.max_usd_per_task, unit: 'spent on the task' },
+      { name: 'max_usd_per_session', value: this.sessionStats.costUsd, max: budget.max_usd_per_session, unit: 'spent this session' }
+    ];
+
+    const limit = limits.find(l => l.max > 0 && l.value >= l.max && !this.acknowledgedLimits.has(l.name));
+    return limit
+      ? { ...limit, setting: `budget.${limit.name}`, message: `$${limit.value.toFixed(2)} ${limit.unit} (limit $${limit.max})` }
+      : null;
+  }
+
+  /**
+   * Run one queued task end to end: dependency check, execution, merge-back and notifications.
+   * Returns false when the error limit is reached and no further tasks should start.
+   */
+  async processTask(task, taskQueue, spinner) {
+    const failedDependency = taskQueue.getFailedDependency(task);
+    if (failedDependency) {
+      const reason = `Dependency ${failedDependency.id} ${failedDependency.status}`;
+      this.sessionStats.tasksBlocked++;
+      this.logger.warn(`Task blocked: ${task.id}`, { reason });
+      await taskQueue.markBlocked(task.id, reason);
+
+      this.dashboard?.addAction({
+        type: 'task_blocked',
+        description: `${task.description || task.prompt || `Task ${task.id}`}: ${reason}`,
+        target: task.id,
+        status: 'blocked'
+      });
+      this.dashboard?.updateStats(this.sessionStats);
+      return true;
+    }
+
+    spinner.text = `Task: ${task.description?.slice(0, 50)}...`;
+    await taskQueue.markStarted(task.id);
+    const taskStart = Date.now();
+    let worktree = null;
+    let sandbox = null;
+    let snapshot = null;
+    let tree = null;
+    let lockfile = null;
+    let workDir = null;
+    let result = null;
+
+    try {
+      if (this.sandbox) {
+        sandbox = await this.sandbox.create(task.id);
+      } else if (this.worktrees) {
+        worktree = await this.worktrees.create(task.id);
+        task.branch = worktree.branch;
+        task.worktree = worktree.path;
+      }
+
       this.dashboard?.updateTask(task);
 
       // Add task started action
@@ -132,84 +473,506 @@ export class Supervisor extends EventEmitter {
         type: 'task_started',
         description: task.description || task.prompt || `Task ${task.id}`,
         target: task.id,
+        branch: task.branch,
         status: 'running'
       });
 
       await this.slack.taskStart(task);
-      const taskStart = Date.now();
-      
-      try {
-        // Model priority: task-level > config-level > default
-        const taskModel = task.model || this.config.model;
-        await this.runSingle(task.prompt || task.description, task.context, taskModel);
 
-        this.sessionStats.tasksCompleted++;
-        this.sessionStats.filesChanged++; // Assume each task changes at least one file
-        await taskQueue.markComplete(task.id);
+      workDir = sandbox?.path || worktree?.path || this.config.workingDirectory || process.cwd();
+      tree = await snapshotTree(workDir);
+      lockfile = await readLockfile(workDir);
+      if (this.guard.enabled) {
+        snapshot = await this.guard.snapshot(workDir);
+      }
 
-        const taskStats = {
-          duration: Date.now() - taskStart,
-          actionsApproved: this.sessionStats.actionsApproved,
-          filesChanged: this.sessionStats.filesChanged,
-          errors: 0
-        };
+      result = await this.runTaskWithRetry(task, taskQueue, sandbox?.path || worktree?.path);
 
-        this.dashboard?.taskCompleted(task);
+      const sensitiveChanges = snapshot ? await this.checkWorkspace(task, snapshot) : [];
+      await this.recordChanges(task, workDir, tree);
+      await this.recordDependencyChanges(task, workDir, lockfile);
 
-        // Add task completed action
+      if (sandbox) {
+        // Nothing is applied in a dry run, so sensitive changes only need reporting
+        await this.recordDryRun(task, sandbox, result, { sensitive: sensitiveChanges });
+        sandbox = null;
+
+        this.sessionStats.tasksCompleted++;
+        await taskQueue.markComplete(task.id);
+        this.dashboard?.taskCompleted(task);
         this.dashboard?.addAction({
           type: 'task_completed',
-          description: task.description || task.prompt || `Task ${task.id}`,
+          description: `${task.description || task.prompt || `Task ${task.id}`} (dry run, ${task.changes?.changed ?? 0} files would change)`,
           target: task.id,
+          providers: this.providersUsed(task),
           status: 'success'
         });
+        await this.slack.taskComplete(task, { duration: Date.now() - taskStart, filesChanged: task.changes?.changed ?? 0, errors: 0, providers: this.providersUsed(task) });
+        return true;
+      }
+      const approved = sensitiveChanges.length === 0 || await this.approveSensitiveChanges(task, sensitiveChanges);
 
-        await this.slack.taskComplete(task, taskStats);
-        
-      } catch (error) {
-        this.sessionStats.errors++;
-        this.sessionStats.tasksFailed++;
-        
-        this.logger.error(`Task failed: ${task.id}`, error);
-        this.dashboard?.taskFailed(task, error.message);
+      const merge = worktree && approved ? await this.mergeWorktree(task, worktree) : null;
+
+      const taskStats = {
+        duration: Date.now() - taskStart,
+        actionsApproved: this.sessionStats.actionsApproved,
+        filesChanged: task.changes?.changed ?? 0,
+        errors: 0,
+        branch: task.branch,
+        providers: this.providersUsed(task),
+        costUsd: this.sessionStats.costByTask[task.id] || 0
+      };
+
+      if (!approved || (merge && !merge.merged)) {
+        const paths = sensitiveChanges.map(c => c.path).join(', ');
+        let reason = approved
+          ? `merge conflict, review ${task.branch}`
+          : `sensitive changes not approved: ${paths}`;
+
+        if (!approved && worktree) {
+          // Keep the unapproved work on its branch instead of merging it
+          await this.worktrees.commit(worktree, `[autopilot] ${task.id}: unapproved sensitive changes`);
+          await this.worktrees.remove(worktree, { keepBranch: true });
+        } else if (!approved) {
+          // The shared tree has no branch to hold them, so the denied changes are undone
+          await this.guard.revert(snapshot, sensitiveChanges);
+          reason = `sensitive changes not approved, reverted: ${paths}`;
+          this.logger.warn(`Reverted unapproved sensitive changes by ${task.id}`, { paths });
+        }
+
+        this.sessionStats.tasksNeedingReview++;
+        await taskQueue.markNeedsReview(task.id, task.branch, reason);
+        this.logger.warn(`Task needs review: ${task.id}`, { reason });
 
-        // Add task failed action
         this.dashboard?.addAction({
-          type: 'task_failed',
-          description: `${task.description || task.prompt || `Task ${task.id}`}: ${error.message}`,
+          type: 'task_needs_review',
+          description: `${task.description || task.prompt || `Task ${task.id}`}: ${reason}`,
           target: task.id,
-          status: 'error',
-          riskLevel: 'high'
+          branch: task.branch,
+          status: 'warning',
+          riskLevel: 'medium'
         });
 
-        await this.slack.taskFailed(task, error);
-        
-        if (this.sessionStats.errors >= this.config.autopilot.stop_on?.error_count) {
-          spinner.fail('Stopped: Too many consecutive errors');
-          break;
-        }
+        await this.slack.taskNeedsReview(task, reason, taskStats);
+        return true;
+      }
+
+      this.sessionStats.tasksCompleted++;
+      await taskQueue.markComplete(task.id);
+
+      this.dashboard?.taskCompleted(task);
+
+      // Add task completed action
+      this.dashboard?.addAction({
+        type: 'task_completed',
+        description: task.description || task.prompt || `Task ${task.id}`,
+        target: task.id,
+        branch: task.branch,
+        providers: taskStats.providers,
+        status: 'success'
+      });
+
+      await this.slack.taskComplete(task, taskStats);
+      return true;
+
+    } catch (error) {
+      this.sessionStats.errors++;
+      this.sessionStats.tasksFailed++;
+
+      if (sandbox) {
+        await this.recordDryRun(task, sandbox, result, { error }).catch(() => {});
+      }
+
+      // A failed task may still have touched protected files in the shared tree
+      if (snapshot && !worktree && !sandbox && !error.safetyViolation) {
+        await this.checkWorkspace(task, snapshot).catch(() => {});
+      }
+
+      // Whatever a failed task left in the shared tree still counts toward the session limits
+      if (tree && !worktree && !sandbox) {
+        await this.recordChanges(task, workDir, tree).catch(() => {});
+        await this.recordDependencyChanges(task, workDir, lockfile).catch(() => {});
+      }
+
+      if (worktree) {
+        await this.worktrees.remove(worktree);
+      }
+
+      if (error.timedOut) {
+        this.sessionStats.tasksTimedOut++;
+        await taskQueue.markTimedOut(task.id, error.message);
+      } else if (error.safetyViolation) {
+        this.sessionStats.safetyViolations++;
+        await taskQueue.markSafetyViolation(task.id, error.message, error.violations);
+      } else {
+        await taskQueue.markFailed(task.id, error.message);
       }
       
-      // Update dashboard stats
-      this.dashboard?.updateStats(this.sessionStats);
-      this.dashboard?.updateInsights(this.detector.getInsights());
+      this.logger.error(`Task failed: ${task.id}`, error.message);
+      this.dashboard?.taskFailed(task, error.message);
+
+      // Add task failed action
+      this.dashboard?.addAction({
+        type: error.safetyViolation ? 'safety_violation' : 'task_failed',
+        description: `${task.description || task.prompt || `Task ${task.id}`}: ${error.message}`,
+        target: task.id,
+        branch: task.branch,
+        providers: this.providersUsed(task),
+        status: 'error',
+        riskLevel: error.safetyViolation ? 'critical' : 'high'
+      });
+
+      await this.slack.taskFailed(task, error, { providers: this.providersUsed(task) });
+
+      // A spent budget stops the queue (or pauses it, with safety.on_limit: pause)
+      if (error.budgetExceeded) {
+        return this.enforceSessionLimits(spinner, error.budgetExceeded);
+      }
+
+      // autopilot.stop_on.error_count unset (or 0) never stops the queue
+      const limit = this.config.autopilot?.stop_on?.error_count;
+      return !(limit > 0) || this.sessionStats.errors < limit;
     }
+  }
 
-    spinner.succeed(`Queue complete: ${this.sessionStats.tasksCompleted} tasks`);
+  /**
+   * Capture what a dry-run task would have changed, add it to the report and discard the sandbox
+   */
+  async recordDryRun(task, sandbox, result, { sensitive = [], error = null } = {}) {
+    try {
+      const diff = await this.sandbox.capture(sandbox);
+      this.dryRunReport.push({
+        taskId: task.id,
+        description: task.description || task.prompt?.split('\n')[0] || '',
+        status: error ? (error.safetyViolation ? 'safety violation' : 'failed') : 'ok',
+        error: error?.message,
+        sensitive: sensitive.map(c => c.path),
+        planned: result?.planned,
+        ...diff
+      });
+    } finally {
+      await this.sandbox.remove(sandbox);
+    }
+  }
+
+  /**
+   * Count the files a task added, modified and deleted (from git state) toward the session limits
+   */
+  async recordChanges(task, workDir, tree) {
+    if (!tree) return;
+
+    const changes = await diffTrees(workDir, tree, await snapshotTree(workDir));
+    task.changes = { changed: changes.changed, added: changes.added, modified: changes.modified, deleted: changes.deleted };
+    this.sessionStats.filesChanged += changes.changed;
+    this.sessionStats.filesDeleted += changes.deleted;
+
+    if (changes.changed > 0) {
+      this.logger.info(`Task ${task.id} changed ${changes.changed} files`, task.changes);
+    }
+  }
+
+  /**
+   * Report the packages a task added to package-lock.json: which are direct,
+   * which came in transitively, and which run install scripts
+   */
+  async recordDependencyChanges(task, workDir, before) {
+    const after = await readLockfile(workDir);
+    if (!after) return;
+
+    const diff = diffLockfiles(before, after);
+    if (diff.added.length === 0) return;
+
+    const direct = diff.added.filter(p => p.direct);
+    const scripts = diff.installScripts.map(p => `${p.name}@${p.version}`);
+    task.dependencies = {
+      added: diff.added.map(p => `${p.name}@${p.version}`),
+      direct: direct.map(p => `${p.name}@${p.version}`),
+      transitive: diff.transitive.map(p => `${p.name}@${p.version}`),
+      installScripts: scripts
+    };
+
+    const summary = `${direct.length} direct, ${diff.transitive.length} transitive packages added`;
+    if (scripts.length > 0) {
+      this.logger.warn(`Task ${task.id}: ${summary}; install scripts in ${scripts.join(', ')}`, task.dependencies);
+    } else {
+      this.logger.info(`Task ${task.id}: ${summary}`, task.dependencies);
+    }
 
-    // Add session complete action
     this.dashboard?.addAction({
-      type: 'session_complete',
-      description: `Session complete: ${this.sessionStats.tasksCompleted} completed, ${this.sessionStats.tasksFailed} failed`,
-      status: 'success'
+      type: 'dependency_change',
+      reason: scripts.length > 0 ? `${summary}; install scripts: ${scripts.join(', ')}` : summary,
+      target: direct.map(p => p.name).join(' ') || 'package-lock.json',
+      branch: task.branch,
+      status: scripts.length > 0 ? 'warning' : 'success',
+      riskLevel: scripts.length > 0 ? 'high' : 'low',
+      dependencies: task.dependencies
     });
+  }
 
-    // Final notifications
-    await this.slack.sessionComplete(this.sessionStats);
-    this.printSummary();
+  /**
+   * Diff guarded files against the pre-task snapshot.
+   * Protected changes are reverted and thrown as a safety violation;
+   * sensitive changes are returned so they can be approved.
+   */
+  async checkWorkspace(task, snapshot) {
+    const changes = await this.guard.diff(snapshot);
+    const violations = changes.filter(c => c.kind === 'protected');
 
-    // Keep dashboard running after completion
-    this.dashboard?.sessionComplete?.();
+    if (violations.length > 0) {
+      await this.guard.revert(snapshot, violations);
+
+      const paths = violations.map(c => `${c.path} (${c.change})`);
+      this.logger.error(`Protected paths changed by ${task.id}, reverted`, { paths });
+
+      const error = new Error(`Safety violation: changed protected paths ${paths.join(', ')} (reverted)`);
+      error.safetyViolation = true;
+      error.violations = violations;
+      throw error;
+    }
+
+    return changes.filter(c => c.kind === 'sensitive');
+  }
+
+  /**
+   * Ask for approval of changes to sensitive paths before a task counts as complete
+   */
+  async approveSensitiveChanges(task, changes) {
+    const paths = changes.map(c => `${c.path} (${c.change})`);
+    this.logger.warn(`Sensitive paths changed by ${task.id}`, { paths });
+
+    const { decision, by, channel } = await this.requestApproval({
+      type: 'sensitive_change',
+      description: `${task.description || task.prompt || `Task ${task.id}`}: ${paths.join(', ')}`,
+      target: changes.map(c => c.path).join(', '),
+      branch: task.branch,
+      riskLevel: 'high',
+      reason: 'Changes to safety.sensitive_paths require approval'
+    });
+
+    if (decision !== 'approve') {
+      this.logger.warn(`Sensitive changes by ${task.id} not approved (${decision} by ${by} via ${channel})`);
+    }
+    return decision === 'approve';
+  }
+
+  /**
+   * Block until an action is approved or denied through any channel: the
+   * dashboard, a Slack button, an email link or the copilot prompt.
+   * Falls back to approvals.default_decision after approvals.timeout_minutes,
+   * or straight away when no channel can answer.
+   * @param {object} options.signal - Deny the request if this aborts (e.g. task timeout)
+   * @param {boolean} options.quick - Quick confirm: dashboard/copilot only, no Slack or email
+   * @param {number} options.timeoutMs - Overrides approvals.timeout_minutes
+   * @param {string} options.defaultDecision - Overrides approvals.default_decision
+   * @returns {Promise<object>} Decision record ({ decision, by, channel, ... })
+   */
+  async requestApproval(action, { signal, quick = false, timeoutMs, defaultDecision } = {}) {
+    const { id, decided } = this.approvals.request(action, { timeoutMs, defaultDecision });
+    const details = { approvalId: id, target: action.target, risk: action.riskScore, reason: action.reason };
+
+    const abort = () => this.approvals.decide(id, 'deny', { by: 'supervisor', channel: 'aborted' });
+    if (signal?.aborted) abort();
+    signal?.addEventListener('abort', abort, { once: true });
+
+    this.dashboard?.addAction({ ...action, approvalId: id, status: 'pending' });
+
+    if (!quick) {
+      this.logger.warn(`Approval needed [${id}]: ${action.type}`, { target: action.target, reason: action.reason });
+
+      // Slack buttons and email links are answered through the dashboard server
+      await this.slack.requestApproval(action, details);
+      await this.email.sendApprovalRequest(action, details, this.approvalLinks(id));
+      this.notify(`Approval needed: ${action.type}`, 'warn');
+    }
+
+    if (!this.dashboard && !this.interactive) {
+      this.approvals.decide(id, defaultDecision ?? this.approvals.defaultDecision, { by: 'default', channel: 'no channel' });
+    }
+
+    const record = await decided;
+    signal?.removeEventListener('abort', abort);
+    return record;
+  }
+
+  /**
+   * Signed approve/deny links for approval emails
+   */
+  approvalLinks(id) {
+    if (!this.dashboard) return {};
+
+    const base = (this.config.approvals?.base_url || `http://localhost:${this.dashboard.port}`).replace(/\/$/, '');
+    const by = [].concat(this.config.notifications?.email?.to || []).join(', ');
+    const link = (decision) =>
+      `${base}/api/approvals/${id}/${decision}?by=${encodeURIComponent(by)}&token=${this.approvals.sign(id, decision, by)}`;
+
+    return { approve: link('approve'), deny: link('deny') };
+  }
+
+  /**
+   * Record an approval decision: who made it, through which channel
+   */
+  recordApproval(record) {
+    if (record.decision === 'approve') {
+      this.sessionStats.actionsApproved++;
+    } else {
+      this.sessionStats.actionsDenied++;
+    }
+
+    this.logger.info(`Approval ${record.id}: ${record.decision} by ${record.by} via ${record.channel}`, record.action);
+    this.dashboard?.resolveAction(record.id, record.decision, `${record.by} via ${record.channel}`);
+    this.dashboard?.updateStats(this.sessionStats);
+    this.journal?.append('approval', record).catch(() => {});
+  }
+
+  /**
+   * Commit a finished task's worktree and merge its branch back.
+   * Conflicting branches are kept for review; the worktree itself is always removed.
+   */
+  async mergeWorktree(task, worktree) {
+    const summary = task.description || task.prompt?.split('\n')[0] || 'task';
+    const hasChanges = await this.worktrees.commit(worktree, `[autopilot] ${task.id}: ${summary}`);
+
+    if (!hasChanges) {
+      await this.worktrees.remove(worktree);
+      return { merged: true, changes: false };
+    }
+
+    const result = await this.worktrees.merge(worktree, `Merge ${worktree.branch} (${task.id})`);
+    await this.worktrees.remove(worktree, { keepBranch: !result.merged });
+
+    if (result.merged) {
+      this.logger.info(`Merged ${worktree.branch}`, { task: task.id });
+    }
+
+    return { ...result, changes: true };
+  }
+
+  /**
+   * Resolve timeout and retry settings for a task.
+   * Task-level `timeout` (minutes) and `retries` override config `tasks.timeout` and `tasks.retry`.
+   */
+  getTaskPolicy(task) {
+    const taskConfig = this.config.tasks || {};
+    const retry = taskConfig.retry || {};
+
+    const timeoutMinutes = task.timeout ?? taskConfig.timeout;
+    const maxAttempts = task.retries !== undefined
+      ? task.retries + 1
+      : (retry.enabled ? retry.max_attempts || 1 : 1);
+
+    return {
+      timeoutMs: timeoutMinutes ? timeoutMinutes * 60 * 1000 : 0,
+      maxAttempts: Math.max(1, maxAttempts),
+      delayMs: (retry.delay_seconds ?? 5) * 1000,
+      maxTurns: task.max_turns ?? taskConfig.max_turns,
+      escalate: Boolean(task.escalate_on_failure ?? taskConfig.escalate_on_failure)
+    };
+  }
+
+  /**
+   * Run a queued task, retrying with exponential backoff.
+   * Attempts run on the task's provider chain (see providers/chain.js): a
+   * provider failure, or any failure when the task escalates, moves on to
+   * the next entry straight away with a summary of the failed attempt.
+   * A task with `model: auto` is routed to a model tier first (see routing.js).
+   * Every attempt is recorded on the task with its cost; the last error is thrown if all attempts fail.
+   */
+  async runTaskWithRetry(task, taskQueue, workDir = null) {
+    const { timeoutMs, maxAttempts, delayMs, maxTurns, escalate } = this.getTaskPolicy(task);
+    const model = (task.model || this.config.model) === 'auto'
+      ? await this.routeModel(task, workDir)
+      : task.model;
+    const chain = providerChain(this.config, { ...task, model });
+    let index = 0;
+    let entryAttempts = 0;
+    let previousAttempt = '';
+    let lastError;
+    // Attempts before a resume count toward budget.max_usd_per_task too
+    let taskCostUsd = (task.attempts || []).reduce((sum, a) => sum + (a.costUsd || 0), 0);
+
+    for (let attempt = 1; ; attempt++) {
+      const entry = chain[index];
+      const provider = chainLabel(entry);
+      const attemptStart = Date.now();
+      let exitCode = null;
+      let result = null;
+      entryAttempts++;
+
+      if (chain.length > 1) {
+        this.dashboard?.updateTask({ ...task, provider });
+      }
+
+      try {
+        result = await this.runSingle(task.prompt || task.description, task.context, entry.model, {
+          timeoutMs, maxTurns, workDir, taskId: task.id, files: task.files, provider: entry.provider, previousAttempt, taskCostUsd
+        });
+        exitCode = result.code;
+        if (exitCode === 0) {
+          await taskQueue.recordAttempt(task.id, {
+            attempt, provider, exitCode, duration: Date.now() - attemptStart, costUsd: result.costUsd, usage: result.usage
+          });
+          return result;
+        }
+        lastError = new Error(result.stopReason && result.stopReason !== 'end_turn'
+          ? `Provider stopped: ${STOP_REASONS[result.stopReason] || result.stopReason}`
+          : `Provider exited with code ${exitCode}`);
+      } catch (error) {
+        lastError = error;
+      }
+
+      const { costUsd = 0, usage } = result || lastError;
+      taskCostUsd += costUsd;
+      await taskQueue.recordAttempt(task.id, {
+        attempt,
+        provider,
+        exitCode,
+        duration: Date.now() - attemptStart,
+        costUsd,
+        usage,
+        timedOut: Boolean(lastError.timedOut),
+        error: lastError.message
+      });
+
+      // A denied action is a decision, not a flaky failure; a spent budget stops the task
+      if (lastError.denied || lastError.budgetExceeded) break;
+
+      const next = chain[index + 1];
+      if (next && (escalate || isProviderFailure(lastError, result))) {
+        const reason = escalate ? 'escalating' : 'falling back';
+        this.logger.warn(`Attempt ${attempt} for ${task.id} failed on ${provider}, ${reason} to ${chainLabel(next)}`, {
+          error: lastError.message
+        });
+        this.dashboard?.addAction({
+          type: 'task_escalated',
+          description: `${task.description || task.prompt || `Task ${task.id}`}: ${provider} failed (${lastError.message}), ${reason} to ${chainLabel(next)}`,
+          target: task.id,
+          status: 'running'
+        });
+
+        previousAttempt = this.summarizeAttempt(provider, lastError, result?.output ?? lastError.output);
+        index++;
+        entryAttempts = 0;
+        continue;
+      }
+
+      if (entryAttempts >= maxAttempts) break;
+
+      const delay = delayMs * 2 ** (entryAttempts - 1);
+      this.sessionStats.retries++;
+      this.logger.warn(`Attempt ${entryAttempts}/${maxAttempts} failed for ${task.id}, retrying in ${Math.round(delay / 1000)}s`, {
+        error: lastError.message
+      });
+      this.dashboard?.addAction({
+        type: 'task_retry',
+        description: `${task.description || task.prompt || `Task ${task.id}`}: attempt ${entryAttempts} failed (${lastError.message})`,
+        target: task.id,
+        status: 'running'
+      });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    throw lastError;
   }
 
  /**
@@ -217,59 +980,374 @@ export class Supervisor extends EventEmitter {
    * @param {string} prompt - The task prompt
    * @param {string} context - Optional task context
    * @param {string} model - Optional model override (opus, sonnet, haiku, or provider-specific)
+   * @param {object} options - Optional run options
+   * @param {number} options.timeoutMs - Abort the provider after this many ms (0 = no limit)
+   * @param {number} options.maxTurns - Turn limit for providers that run their own tool loop
+   * @param {string} options.workDir - Directory to run in (defaults to config.workingDirectory)
+   * @param {string} options.taskId - Queue task being run (attached to emitted events, names recorded transcripts)
+   * @param {string[]} options.files - The task's `files:` (names or globs) to include in the prompt
+   * @param {string} options.provider - Run on this provider instead of config.provider (provider_chain)
+   * @param {string} options.previousAttempt - Summary of a failed attempt to brief the provider with
+   * @param {number} options.taskCostUsd - What earlier attempts at the task cost (budget.max_usd_per_task)
+   * @returns {Promise<object>} The provider's result, with the end of its output as `output` and
+   *   the run's `costUsd` and `usage`
    */
-  async runSingle(prompt, context = '', model = null) {
-    const fullPrompt = this.buildPrompt(prompt, context);
-    const providerName = this.config.provider || 'claude';
-    const effectiveModel = model || this.config.model;
-    const resolvedModel = resolveModel(providerName, effectiveModel);
-    const providerInfo = getProviderInfo(providerName, effectiveModel);
+  async runSingle(prompt, context = '', model = null, options = {}) {
+    const providerName = options.provider || this.config.provider || 'claude';
+    const workDir = options.workDir || this.config.workingDirectory || process.cwd();
+    const projectContext = await this.projectContext(workDir, options.files);
+    const fullPrompt = this.buildPrompt(prompt, context, options.previousAttempt, projectContext);
+    await this.logger.prompt(options.taskId, fullPrompt);
+
+    // config.model is meant for the configured provider; others use their own default
+    let effectiveModel = model || (providerName === (this.config.provider || 'claude') ? this.config.model : null);
+    if (effectiveModel === 'auto') {
+      effectiveModel = await this.routeModel({ id: options.taskId || 'prompt', prompt, context }, workDir);
+    }
+    const resolvedModel = resolveModel(providerName, effectiveModel, this.config);
+    const providerInfo = getProviderInfo(providerName, effectiveModel, this.config);
 
     this.logger.info(`Running [${providerInfo.provider}/${providerInfo.model}]: ${prompt.slice(0, 100)}...`);
 
-    const workDir = this.config.workingDirectory || process.cwd();
     const provider = createProvider(providerName, this.config);
 
+    // Abort the provider (killing its process) once the timeout elapses
+    const controller = new AbortController();
+    const timer = options.timeoutMs
+      ? setTimeout(() => controller.abort(), options.timeoutMs)
+      : null;
+
+    // Actions that need approval suspend the agent until someone decides;
+    // a denial stops the task
+    let agent = null;
+    let denied = null;
+    let gate = Promise.resolve(true);
+
+    const gateAction = (action) => {
+      gate = gate.then(async () => {
+        if (denied || controller.signal.aborted) return false;
+
+        const suspend = () => agent?.exitCode === null && agent.kill('SIGSTOP');
+        try {
+          const decision = await this.handleAction(action, { onWait: suspend, signal: controller.signal });
+          if (decision === 'deny') {
+            denied = action;
+            controller.abort();
+          }
+          return decision === 'accept';
+        } catch (error) {
+          // Fail closed: an action that could not be reviewed is not allowed
+          this.logger.error(`Could not review ${action.type}:`, error.message);
+          denied = action;
+          controller.abort();
+          return false;
+        } finally {
+          if (agent?.exitCode === null) agent.kill('SIGCONT');
+        }
+      });
+      return gate;
+    };
+
+    // The end of the output, to brief the next provider in the chain if this attempt fails
+    let output = '';
+    const keepOutput = (data) => {
+      output = (output + data).slice(-MAX_CARRY_OVER_CHARS);
+    };
+
+    // What this run costs; a spent budget stops it like a denial
+    const usage = emptyUsage();
+    let costUsd = 0;
+    let overBudget = null;
+    const trackUsage = (event) => {
+      addUsage(usage, event.usage);
+      costUsd += event.costUsd || 0;
+      overBudget = overBudget || this.checkBudget((options.taskCostUsd || 0) + costUsd);
+      if (overBudget) controller.abort();
+    };
+
+    const deniedError = () => {
+      const error = new Error(`Action denied: ${denied.type}${denied.target ? ` (${denied.target})` : ''}`);
+      error.denied = true;
+      return error;
+    };
+
     try {
       const result = await provider.runTask(fullPrompt, {
         model: resolvedModel,
         workDir,
+        dryRun: this.dryRun,
+        // Dry-run tasks run in a throwaway sandbox, so file writes can happen and be diffed
+        sandboxed: this.dryRun,
+        maxTurns: options.maxTurns,
+        taskId: options.taskId,
+        signal: controller.signal,
+        onSpawn: (proc) => {
+          agent = proc;
+        },
+        onEvent: (event) => {
+          this.handleProviderEvent(event, options.taskId);
+          if (event.type === 'usage') trackUsage(event);
+        },
+        // The claude CLI refuses the mode's require_approval tools itself
+        disallowedTools: claudeDisallowedTools(this.config[this.config.mode]?.require_approval),
+        // Every file write, edit and shell command is risk-scored and routed
+        // through the approval policy
+        reviewToolUse: async (toolUse) => {
+          const action = this.detector.classifyToolUse(toolUse, workDir);
+          if (action && providerName === 'claude') {
+            // The CLI does not wait for the answer
+            action.afterTheFact = true;
+          }
+          return !action || gateAction(action);
+        },
         onOutput: (data) => {
+          keepOutput(data);
           this.dashboard?.addOutput(data);
         },
         onError: (data) => {
+          keepOutput(data);
           this.dashboard?.addOutput(data);
         }
       });
 
+      await gate;
+      if (denied) {
+        throw deniedError();
+      }
+
+      if (overBudget) {
+        throw this.budgetError(overBudget);
+      }
+
+      if (controller.signal.aborted) {
+        throw this.timeoutError(options.timeoutMs);
+      }
+
       this.logger.info(`Task completed with code ${result.code}`);
       this.dashboard?.updateStats(this.sessionStats);
-      return result;
+      return { ...result, costUsd: costUsd || result.costUsd || 0, usage, output };
     } catch (err) {
-      this.logger.error('Provider error:', err.message);
-      throw err;
+      let error = err;
+      if (denied) {
+        error = err.denied ? err : deniedError();
+      } else if (overBudget) {
+        error = err.budgetExceeded ? err : this.budgetError(overBudget);
+      } else if (controller.signal.aborted && !err.timedOut) {
+        error = this.timeoutError(options.timeoutMs);
+      }
+      error.output = output;
+      error.costUsd = costUsd;
+      error.usage = usage;
+      this.logger.error('Provider error:', error.message);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Consume a structured provider event: log it, show it on the dashboard,
+   * track usage and re-emit it as a supervisor 'event'
+   */
+  handleProviderEvent(event, taskId = null) {
+    this.logger.event({ ...event, taskId }).catch(() => {});
+
+    switch (event.type) {
+      case 'tool_use':
+        // Classified tool calls reach the action feed through handleAction
+        this.sessionStats.toolCalls++;
+        break;
+      case 'tool_result':
+        if (event.isError) {
+          this.dashboard?.addAction({
+            type: 'tool_error',
+            description: event.content.split('\n')[0].slice(0, 200),
+            status: 'error'
+          });
+        }
+        break;
+      case 'usage':
+        // Usage since the provider's previous usage event (a turn, or the whole run)
+        this.sessionStats.costUsd += event.costUsd || 0;
+        addUsage(this.sessionStats.usage, event.usage);
+        if (taskId) {
+          this.sessionStats.costByTask[taskId] = (this.sessionStats.costByTask[taskId] || 0) + (event.costUsd || 0);
+        }
+        this.dashboard?.updateStats(this.sessionStats);
+        break;
+      case 'result': {
+        const turns = event.turns ? ` after ${event.turns} turns` : '';
+        if (event.stopReason && event.stopReason !== 'end_turn') {
+          // The agent loop was cut short (turn or token limit, refusal)
+          const reason = STOP_REASONS[event.stopReason] || event.stopReason;
+          this.logger.warn(`Provider stopped${turns}: ${reason}`, { stopReason: event.stopReason });
+          this.dashboard?.addAction({
+            type: 'provider_stopped',
+            description: `Provider stopped${turns}: ${reason}`,
+            target: taskId,
+            status: 'error',
+            reason: event.stopReason
+          });
+        } else {
+          this.logger.info(`Provider finished${turns}${event.isError ? ' with an error' : ''}`);
+        }
+        break;
+      }
+    }
+
+    this.emit('event', { ...event, taskId, timestamp: new Date().toISOString() });
+  }
+
+  /**
+   * Providers a task ran on ("claude:sonnet → claude:opus"), when it has a provider_chain
+   */
+  providersUsed(task) {
+    if (!task.provider_chain && !this.config.provider_chain) return undefined;
+    return chainUsed(task.attempts) || undefined;
+  }
+
+  /**
+   * Repository map, recent git history and the task's `files:` for its
+   * prompt (see project-context.js), when context.auto_inject is enabled.
+   * Without it, only the task's `files:` are included.
+   */
+  async projectContext(workDir, files = []) {
+    const settings = this.config.context?.auto_inject || {};
+    if (!settings.enabled && !files?.length) return '';
+
+    const built = await buildProjectContext(workDir, {
+      ...settings,
+      ...(!settings.enabled && { repo_map: false, git_log: 0, git_diff: false }),
+      files
+    });
+
+    if (built.missing.length) {
+      this.logger.warn(`No project files match ${built.missing.join(', ')}`);
+    }
+    this.logger.info(`Project context: ~${built.tokens} tokens, ${built.files.length} files`, {
+      files: built.files,
+      omitted: built.omitted
+    });
+    return built.text;
+  }
+
+  /**
+   * Pick the model tier (fast, default or best) for a `model: auto` task.
+   * The decision and its reasons go to the log, the dashboard and the run
+   * journal, where later routing reads how similar tasks went.
+   */
+  async routeModel(task, workDir = null) {
+    const route = await routeTask(task, {
+      workDir: workDir || this.config.workingDirectory || process.cwd(),
+      logsDir: this.config.logging?.directory,
+      rules: this.config.routing
+    });
+    const reasons = route.reasons.join(', ');
+
+    this.logger.info(`Routed ${task.id} to the ${route.tier} tier (score ${route.score}): ${reasons}`, route);
+    this.dashboard?.addAction({
+      type: 'model_routed',
+      description: `${task.description || task.prompt || `Task ${task.id}`}: ${route.tier} model`,
+      target: task.id,
+      status: 'success',
+      reason: reasons
+    });
+    await this.journal?.append('model_routed', { taskId: task.id, ...route });
+
+    return route.tier;
+  }
+
+  /**
+   * Brief for the next provider in the chain: what failed, and where the
+   * failed attempt got to
+   */
+  summarizeAttempt(provider, error, output = '') {
+    const parts = [`An earlier attempt at this task on ${provider} failed: ${error.message}`];
+    if (output.trim()) {
+      parts.push(`The end of its output:\n${output.trim()}`);
     }
+    parts.push('It may have made some of the changes already. Check the current state before continuing.');
+    return parts.join('\n\n');
+  }
+
+  /**
+   * Build the error thrown when a run is stopped by a budget
+   */
+  budgetError(limit) {
+    const error = new Error(`Budget exceeded: ${limit.message}`);
+    error.budgetExceeded = limit;
+    return error;
+  }
+
+  /**
+   * Build the error thrown when a provider run exceeds its timeout
+   */
+  timeoutError(timeoutMs) {
+    const error = new Error(`Task timed out after ${Math.round(timeoutMs / 1000)}s`);
+    error.timedOut = true;
+    return error;
   }
   
   /**
-   * Handle detected action with smart risk assessment
+   * Handle detected action with smart risk assessment.
+   * Actions that need approval block until a decision is made.
+   * @param {object} hooks.onWait - Called before blocking on an approval (e.g. to suspend the agent)
+   * @param {AbortSignal} hooks.signal - Denies a pending approval when aborted
+   * @returns {Promise<'accept'|'deny'>}
    */
-  async handleAction(action) {
-    // Update dashboard
-    this.dashboard?.addAction(action);
-    
+  async handleAction(action, hooks = {}) {
+    this.dashboard?.updateInsights(this.detector.getInsights());
+
     // Get recommendation from smart detector
     const recommendation = this.detector.shouldAutoAccept(action, this.config);
-    
-    // Handle critical/dangerous actions
-    if (action.riskLevel === 'critical' || action.type === 'dangerous_command') {
-      this.logger.warn(`CRITICAL: ${action.reason || action.type}`, action);
-      await this.slack.requestApproval(action, action);
+
+    // Above detection.risk_thresholds.auto_deny: blocked without asking
+    if (recommendation.accept === 'deny') {
+      this.logger.warn(`Auto-denied: ${action.type}`, { target: action.target, reason: recommendation.reason });
+      this.dashboard?.addAction({ ...action, reason: recommendation.reason, status: 'deny' });
       this.sessionStats.actionsDenied++;
-      
-      // In a real implementation, would pause and wait for approval
       return 'deny';
     }
+
+    if (recommendation.warn) {
+      this.logger.warn(`Risky ${action.type} allowed (risk ${action.riskScore.toFixed(2)})`, { target: action.target });
+    }
+    
+    // Critical/dangerous actions and anything not auto-accepted need approval
+    const critical = action.riskLevel === 'critical' || action.type === 'dangerous_command';
+    if (critical || recommendation.accept === false) {
+      if (critical) {
+        this.logger.warn(`CRITICAL: ${action.reason || action.type}`, action);
+      } else {
+        this.logger.warn(`Requires approval: ${action.type}`, {
+          reason: recommendation.reason,
+          target: action.target
+        });
+      }
+
+      await hooks.onWait?.();
+      const record = await this.requestApproval(
+        { ...action, reason: action.reason || recommendation.reason },
+        { signal: hooks.signal }
+      );
+      this.learnFrom(action, record);
+      return record.decision === 'approve' ? 'accept' : 'deny';
+    }
+
+    // Quick confirm: brief chance to deny, then auto-accept
+    if (recommendation.accept === 'quick_confirm') {
+      this.logger.info(`Quick confirm: ${action.type}`, action.target);
+      await hooks.onWait?.();
+      const record = await this.requestApproval(
+        { ...action, reason: recommendation.reason },
+        { signal: hooks.signal, quick: true, timeoutMs: (recommendation.timeout ?? 2) * 1000, defaultDecision: 'approve' }
+      );
+      this.learnFrom(action, record);
+      return record.decision === 'approve' ? 'accept' : 'deny';
+    }
+
+    // Update dashboard
+    this.dashboard?.addAction(action);
     
     // Auto-accept based on recommendation
     if (recommendation.accept === true) {
@@ -278,51 +1356,39 @@ export class Supervisor extends EventEmitter {
         risk: action.riskScore 
       });
       this.sessionStats.actionsApproved++;
-      
-      if (action.type.startsWith('file_')) {
-        this.sessionStats.filesChanged++;
-      }
-      
       return 'accept';
     }
     
-    // Quick confirm (copilot mode)
-    if (recommendation.accept === 'quick_confirm') {
-      this.logger.info(`Quick confirm: ${action.type}`, action.target);
-      // Would show brief notification then auto-accept after timeout
-      this.sessionStats.actionsApproved++;
-      return 'accept';
-    }
-    
-    // Requires approval
-    if (recommendation.accept === false) {
-      this.logger.warn(`Requires approval: ${action.type}`, {
-        reason: recommendation.reason,
-        target: action.target
-      });
-      
-      // Send Slack notification for approval
-      if (this.config.mode === 'autopilot') {
-        await this.slack.requestApproval(action, {
-          target: action.target,
-          risk: action.riskScore,
-          reason: recommendation.reason
-        });
-      }
-      
-      // System notification
-      this.notify(`Action requires approval: ${action.type}`, 'warn');
-      
-      return 'pause';
-    }
-    
     return 'accept';
   }
 
+  /**
+   * Feed a decision back to the detector. Only decisions made by a person
+   * count; timeouts and aborted tasks teach nothing.
+   */
+  learnFrom(action, record) {
+    if (record.by === 'default' || record.channel === 'aborted') return;
+    this.detector.recordDecision(action, record.decision);
+  }
+
   /**
    * Start interactive copilot mode
    */
   async startInteractive(projectPath) {
+    this.interactive = true;
+    await this.initLearning();
+    this.approvals.on('requested', ({ id, action, expiresAt, defaultDecision }) => {
+      const target = action.target ? ` ${action.target}` : '';
+      if (defaultDecision === 'approve' && expiresAt) {
+        const seconds = Math.max(1, Math.round((new Date(expiresAt) - Date.now()) / 1000));
+        console.log(chalk.gray(`⏱ ${action.type}${target} - accepting in ${seconds}s (/deny ${id} to stop)`));
+        return;
+      }
+      console.log(chalk.yellow(`\n⚠ Approval needed [${id}]: ${action.type}${target}`));
+      if (action.reason) console.log(chalk.gray(`  ${action.reason}`));
+      console.log(chalk.gray('  /approve or /deny to decide\n'));
+    });
+
     // Start dashboard
     await this.dashboard?.start();
     this.dashboard?.updateMode('copilot');
@@ -335,7 +1401,7 @@ export class Supervisor extends EventEmitter {
     });
 
     console.log(chalk.green('\n👥 Copilot mode active\n'));
-    console.log(chalk.gray(`📊 Dashboard: http://localhost:${this.config.dashboard?.port || 3847}`));
+    console.log(chalk.gray(`📊 Dashboard: http://${this.dashboard?.host || 'localhost'}:${this.dashboard?.port || 3847}`));
     if (this.config.workingDirectory) {
       console.log(chalk.gray(`📁 Working directory: ${this.config.workingDirectory}`));
     }
@@ -345,6 +1411,9 @@ export class Supervisor extends EventEmitter {
     console.log(chalk.gray('  /pause               - Pause auto-accept'));
     console.log(chalk.gray('  /resume              - Resume auto-accept'));
     console.log(chalk.gray('  /insights            - Show session insights'));
+    console.log(chalk.gray('  /approvals           - List pending approvals'));
+    console.log(chalk.gray('  /approve [id]        - Approve the oldest (or given) pending action'));
+    console.log(chalk.gray('  /deny [id]           - Deny the oldest (or given) pending action'));
     console.log(chalk.gray('  /quit                - Exit copilot\n'));
 
     const rl = readline.createInterface({
@@ -363,36 +1432,7 @@ export class Supervisor extends EventEmitter {
             if (args.length === 0) {
               console.log(chalk.yellow('Usage: /task <description>'));
             } else {
-              const taskDesc = args.join(' ');
-              console.log(chalk.cyan('\n--- Running Task ---\n'));
-              this.dashboard?.addAction({
-                type: 'task_started',
-                description: taskDesc,
-                status: 'running'
-              });
-              try {
-                await this.runSingle(taskDesc);
-                this.sessionStats.tasksCompleted++;
-                this.sessionStats.filesChanged++;
-                this.dashboard?.updateStats(this.sessionStats);
-                this.dashboard?.addAction({
-                  type: 'task_completed',
-                  description: taskDesc,
-                  status: 'success'
-                });
-                console.log(chalk.green('--- Task Complete ---\n'));
-              } catch (error) {
-                this.sessionStats.errors++;
-                this.sessionStats.tasksFailed++;
-                this.dashboard?.updateStats(this.sessionStats);
-                this.dashboard?.addAction({
-                  type: 'task_failed',
-                  description: `${taskDesc}: ${error.message}`,
-                  status: 'error',
-                  riskLevel: 'high'
-                });
-                console.log(chalk.red(`--- Task Failed: ${error.message} ---\n`));
-              }
+              await this.runCopilotTask(args.join(' '));
             }
             break;
           case 'status':
@@ -411,44 +1451,30 @@ export class Supervisor extends EventEmitter {
           case 'insights':
             this.printInsights();
             break;
+          case 'approvals':
+            this.printApprovals();
+            break;
+          case 'approve':
+          case 'deny': {
+            const id = args[0] || this.approvals.list()[0]?.id;
+            const record = id && this.approvals.decide(id, cmd, { by: userInfo().username, channel: 'cli' });
+            if (record) {
+              console.log(chalk[cmd === 'approve' ? 'green' : 'red'](`${cmd === 'approve' ? '✓ Approved' : '✗ Denied'} ${record.id}: ${record.action.type}`));
+            } else {
+              console.log(chalk.yellow(id ? `No pending approval ${id}` : 'No pending approvals'));
+            }
+            break;
+          }
           case 'quit':
             await this.shutdown();
             process.exit(0);
           default:
             console.log(chalk.red(`Unknown command: ${cmd}`));
-            console.log(chalk.gray('Available: /task, /status, /pause, /resume, /insights, /quit'));
+            console.log(chalk.gray('Available: /task, /status, /pause, /resume, /insights, /approvals, /approve, /deny, /quit'));
         }
       } else if (trimmed) {
         // Treat bare input as a task
-        console.log(chalk.cyan('\n--- Running Task ---\n'));
-        this.dashboard?.addAction({
-          type: 'task_started',
-          description: trimmed,
-          status: 'running'
-        });
-        try {
-          await this.runSingle(trimmed);
-          this.sessionStats.tasksCompleted++;
-          this.sessionStats.filesChanged++;
-          this.dashboard?.updateStats(this.sessionStats);
-          this.dashboard?.addAction({
-            type: 'task_completed',
-            description: trimmed,
-            status: 'success'
-          });
-          console.log(chalk.green('--- Task Complete ---\n'));
-        } catch (error) {
-          this.sessionStats.errors++;
-          this.sessionStats.tasksFailed++;
-          this.dashboard?.updateStats(this.sessionStats);
-          this.dashboard?.addAction({
-            type: 'task_failed',
-            description: `${trimmed}: ${error.message}`,
-            status: 'error',
-            riskLevel: 'high'
-          });
-          console.log(chalk.red(`--- Task Failed: ${error.message} ---\n`));
-        }
+        await this.runCopilotTask(trimmed);
       }
       
       rl.prompt();
@@ -458,6 +1484,60 @@ export class Supervisor extends EventEmitter {
     rl.prompt();
   }
 
+  /**
+   * Run a task typed at the copilot prompt. Session limits are checked
+   * before it starts, as between queued tasks, and the files it changes
+   * (from git state) count toward them.
+   */
+  async runCopilotTask(description) {
+    if (!(await this.enforceSessionLimits())) {
+      console.log(chalk.red(`--- Not started: ${this.sessionStats.limitsReached.at(-1).message} ---\n`));
+      return false;
+    }
+
+    console.log(chalk.cyan('\n--- Running Task ---\n'));
+    this.dashboard?.addAction({
+      type: 'task_started',
+      description,
+      status: 'running'
+    });
+
+    const workDir = this.config.workingDirectory || process.cwd();
+    const task = { id: `copilot-${this.sessionStats.tasksCompleted + this.sessionStats.tasksFailed + 1}`, description };
+    const tree = await snapshotTree(workDir);
+    let failure = null;
+    try {
+      await this.runSingle(description);
+    } catch (error) {
+      failure = error;
+    }
+    await this.recordChanges(task, workDir, tree);
+
+    if (failure) {
+      this.sessionStats.errors++;
+      this.sessionStats.tasksFailed++;
+      this.dashboard?.updateStats(this.sessionStats);
+      this.dashboard?.addAction({
+        type: 'task_failed',
+        description: `${description}: ${failure.message}`,
+        status: 'error',
+        riskLevel: 'high'
+      });
+      console.log(chalk.red(`--- Task Failed: ${failure.message} ---\n`));
+      return false;
+    }
+
+    this.sessionStats.tasksCompleted++;
+    this.dashboard?.updateStats(this.sessionStats);
+    this.dashboard?.addAction({
+      type: 'task_completed',
+      description,
+      status: 'success'
+    });
+    console.log(chalk.green('--- Task Complete ---\n'));
+    return true;
+  }
+
   /**
    * Wait for session to be resumed
    */
@@ -475,7 +1555,7 @@ export class Supervisor extends EventEmitter {
   /**
    * Build the full prompt with context injection
    */
-  buildPrompt(prompt, taskContext = '') {
+  buildPrompt(prompt, taskContext = '', previousAttempt = '', projectContext = '') {
     const parts = [];
     
     if (this.config.context?.project_standards) {
@@ -485,6 +1565,10 @@ export class Supervisor extends EventEmitter {
     if (this.config.context?.current_focus) {
       parts.push(`[Current Focus]\n${this.config.context.current_focus}`);
     }
+
+    if (projectContext) {
+      parts.push(projectContext);
+    }
     
     if (taskContext) {
       parts.push(`[Task Context]\n${taskContext}`);
@@ -494,6 +1578,10 @@ export class Supervisor extends EventEmitter {
       parts.push(`[Error Handling]\n${this.config.context.error_handling}`);
     }
     
+    if (previousAttempt) {
+      parts.push(`[Previous Attempt]\n${previousAttempt}`);
+    }
+    
     parts.push(`[Task]\n${prompt}`);
     
     return parts.join('\n\n');
@@ -529,6 +1617,26 @@ export class Supervisor extends EventEmitter {
     console.log('');
   }
 
+  /**
+   * Print pending approvals and the decisions made so far
+   */
+  printApprovals() {
+    const pending = this.approvals.list();
+
+    console.log(chalk.cyan('\n═══ Approvals ═══'));
+    if (pending.length === 0) {
+      console.log(chalk.gray('No pending approvals'));
+    }
+    for (const { id, action, expiresAt, defaultDecision } of pending) {
+      console.log(`${chalk.yellow(id)}  ${action.type}${action.target ? ` ${action.target}` : ''}${expiresAt ? chalk.gray(` (${defaultDecision} at ${new Date(expiresAt).toLocaleTimeString()})`) : ''}`);
+    }
+    for (const record of this.approvals.decisions.slice(-10)) {
+      const color = record.decision === 'approve' ? 'green' : 'red';
+      console.log(chalk.gray(`${record.id}  ${record.action.type}: `) + chalk[color](record.decision) + chalk.gray(` by ${record.by} via ${record.channel}`));
+    }
+    console.log('');
+  }
+
   /**
    * Print session insights
    */
@@ -565,13 +1673,54 @@ export class Supervisor extends EventEmitter {
     console.log(`Duration: ${duration} minutes`);
     console.log(`Tasks completed: ${chalk.green(this.sessionStats.tasksCompleted)}`);
     console.log(`Tasks failed: ${chalk.red(this.sessionStats.tasksFailed)}`);
+    console.log(`Tasks blocked: ${chalk.yellow(this.sessionStats.tasksBlocked)}`);
+    if (this.sessionStats.tasksNeedingReview > 0) {
+      console.log(`Tasks needing review: ${chalk.yellow(this.sessionStats.tasksNeedingReview)}`);
+    }
+    if (this.sessionStats.safetyViolations > 0) {
+      console.log(`Safety violations (reverted): ${chalk.red(this.sessionStats.safetyViolations)}`);
+    }
     console.log(`Actions approved: ${chalk.green(this.sessionStats.actionsApproved)}`);
     console.log(`Actions denied: ${chalk.yellow(this.sessionStats.actionsDenied)}`);
-    console.log(`Files changed: ${this.sessionStats.filesChanged}`);
+    // Quick confirms that were simply left to auto-accept are not listed
+    for (const record of this.approvals.decisions.filter(r => r.by !== 'default' || r.decision === 'deny')) {
+      console.log(chalk.gray(`  ${record.action.type}${record.action.target ? ` ${record.action.target}` : ''}: ${record.decision} by ${record.by} via ${record.channel}`));
+    }
+    console.log(`Files changed: ${this.sessionStats.filesChanged} (${this.sessionStats.filesDeleted} deleted)`);
+    if (this.sessionStats.toolCalls > 0) {
+      console.log(`Tool calls: ${this.sessionStats.toolCalls}`);
+    }
+    const { usage } = this.sessionStats;
+    if (this.sessionStats.costUsd > 0 || usage.inputTokens + usage.outputTokens > 0) {
+      console.log(`Cost: $${this.sessionStats.costUsd.toFixed(4)} (${formatTokens(tokensIn(usage))} tokens in, ${formatTokens(usage.outputTokens)} out)`);
+    }
     console.log(`Errors: ${chalk.red(this.sessionStats.errors)}`);
+    for (const limit of this.sessionStats.limitsReached) {
+      console.log(chalk.red(`Limit reached: ${limit.setting} - ${limit.message} (${limit.action === 'pause' ? 'paused' : 'stopped'})`));
+    }
     console.log(`Average risk: ${(insights.averageRisk * 100).toFixed(1)}%`);
+    if (this.runId) {
+      console.log(`Run ID: ${this.runId}`);
+    }
+    if (this.dryRun) {
+      console.log(chalk.cyan('\nDry run - nothing was applied. Would have changed:'));
+      for (const entry of this.dryRunReport) {
+        const writes = entry.planned?.files.length ? ` / ${entry.planned.files.length} file writes` : '';
+        const planned = entry.planned ? `, ${entry.planned.commands.length} commands${writes} planned` : '';
+        console.log(`  ${entry.taskId}: ${entry.files.length} files${planned}${entry.status !== 'ok' ? chalk.red(` (${entry.status})`) : ''}`);
+        for (const file of entry.files.slice(0, 10)) {
+          console.log(chalk.gray(`    ${file.status} ${file.path}`));
+        }
+        if (entry.files.length > 10) {
+          console.log(chalk.gray(`    ... ${entry.files.length - 10} more`));
+        }
+      }
+      if (this.dryRunReportFile) {
+        console.log(`Report: ${this.dryRunReportFile}`);
+      }
+    }
     console.log(`\nLogs: ${this.config.logging?.directory || './logs/'}`);
-    console.log(`Dashboard: http://localhost:${this.config.dashboard?.port || 3847}\n`);
+    console.log(`Dashboard: http://${this.dashboard?.host || 'localhost'}:${this.dashboard?.port || 3847}\n`);
   }
 
   /**
@@ -584,7 +1733,9 @@ export class Supervisor extends EventEmitter {
       this.activeProcess.kill();
     }
     
-    await this.logger.generateSummary();
+    await this.logger.generateSummary(this.sessionStats);
+    await this.recordProjectUsage();
+    await this.detector.learning?.save();
     await this.dashboard?.stop();
     
     this.printSummary();
@@ -0,0 +1,487 @@
+/**
+ * End-to-end tests for the supervisor, driven by the mock provider
+ *
+ * Each task replays the transcript named after its id from
+ * src/fixtures/transcripts, so the queue, the approval gate, retries and
+ * dashboard broadcasts run without a model.
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'http';
+import { mkdtempSync, mkdirSync, writeFileSync, readdirSync, readFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { Supervisor } from './supervisor-v2.js';
+import { TaskQueue } from './tasks.js';
+import { UsageLedger } from './usage-ledger.js';
+import { git, AUTOPILOT_GIT_IDENTITY } from './worktrees.js';
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/transcripts', import.meta.url));
+
+const QUEUE = `tasks:
+  - id: add-docs
+    description: Add usage docs
+    prompt: Add docs/usage.md
+  - id: flaky-build
+    description: Fix the build
+    prompt: Fix the build
+    retries: 1
+  - id: push-release
+    description: Push the release
+    prompt: Tag and push v1.2.0
+  - id: announce-release
+    description: Announce the release
+    prompt: Write the release notes
+    depends_on: [push-release]
+`;
+
+function freePort() {
+  const server = createServer();
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  }));
+}
+
+describe('Supervisor with the mock provider', () => {
+  const root = mkdtempSync(join(tmpdir(), 'supervisor-test-'));
+
+  before(() => {
+    // The supervisor logs to the console. Drop that text (the test runner's
+    // own reports are buffers) so it stays out of the report.
+    for (const stream of [process.stdout, process.stderr]) {
+      const write = stream.write;
+      mock.method(stream, 'write', function (chunk, ...args) {
+        return typeof chunk === 'string' ? true : write.call(this, chunk, ...args);
+      });
+    }
+  });
+
+  after(() => {
+    mock.restoreAll();
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  const setup = (overrides = {}) => {
+    const dir = mkdtempSync(join(root, 'work-'));
+    const source = join(dir, 'queue.yaml');
+    writeFileSync(source, QUEUE);
+
+    const supervisor = new Supervisor({
+      mode: 'autopilot',
+      provider: 'mock',
+      model: 'sonnet',
+      dashboard: false,
+      workingDirectory: dir,
+      providers: { mock: { fixtures: FIXTURES, speed: 0 } },
+      logging: { directory: join(dir, 'logs'), level: 'error' },
+      autopilot: {
+        auto_accept: ['file_create', 'file_edit', 'terminal_command'],
+        require_approval: ['git_push'],
+        stop_on: { error_count: 3 }
+      },
+      tasks: { retry: { delay_seconds: 0 } },
+      ...overrides
+    });
+    mock.method(supervisor, 'notify', () => {});
+    mock.method(supervisor, 'printSummary', () => {});
+
+    const events = [];
+    supervisor.on('event', event => events.push(event));
+    return { supervisor, queue: new TaskQueue(source), events };
+  };
+
+  it('runs the queue: retries, denials and blocked dependents', async () => {
+    const { supervisor, queue, events } = setup();
+    await supervisor.runQueue(queue);
+
+    const status = Object.fromEntries(queue.tasks.map(t => [t.id, t.status]));
+    assert.deepEqual(status, {
+      'add-docs': 'complete',
+      'flaky-build': 'complete',
+      'push-release': 'failed',
+      'announce-release': 'blocked'
+    });
+
+    // The first build attempt fails and is retried
+    const build = queue.tasks.find(t => t.id === 'flaky-build');
+    assert.deepEqual(build.attempts.map(a => a.exitCode), [1, 0]);
+    assert.equal(supervisor.sessionStats.retries, 1);
+
+    // With no one to ask, git push falls back to approvals.default_decision (deny)
+    const push = queue.tasks.find(t => t.id === 'push-release');
+    assert.match(push.attempts.at(-1).error, /Action denied: git_push/);
+    assert.equal(supervisor.sessionStats.actionsDenied, 1);
+
+    // Provider events are re-emitted with their task
+    const toolCalls = events.filter(e => e.type === 'tool_use').map(e => `${e.taskId}:${e.name}`);
+    assert.deepEqual(toolCalls, ['add-docs:Write', 'flaky-build:Bash', 'flaky-build:Bash', 'push-release:Bash', 'push-release:Bash']);
+    assert.equal(supervisor.sessionStats.costUsd.toFixed(4), '0.0163');
+  });
+
+  it('reads the dashboard host and port from the dashboard section', () => {
+    const { supervisor } = setup({ dashboard: { host: '0.0.0.0', port: 4100 } });
+    assert.equal(supervisor.dashboard.host, '0.0.0.0');
+    assert.equal(supervisor.dashboard.port, 4100);
+    assert.equal(setup({ dashboard: { enabled: false } }).supervisor.dashboard, null);
+  });
+
+  it('waits for approvals from the dashboard and broadcasts progress', async () => {
+    const { supervisor, queue } = setup({ dashboard: true, dashboardPort: await freePort() });
+    const broadcasts = [];
+    const dashboard = supervisor.dashboard;
+    const broadcast = dashboard.broadcast.bind(dashboard);
+
+    mock.method(dashboard, 'broadcast', (type, data) => {
+      broadcasts.push({ type, data });
+      broadcast(type, data);
+      // Approve each pending action from the dashboard, as a person would
+      if (type === 'action' && data.status === 'pending') {
+        setTimeout(() => dashboard.handleClientMessage({ type: 'approve', actionId: data.approvalId }, 'tester'), 5);
+      }
+    });
+
+    try {
+      await supervisor.runQueue(queue);
+    } finally {
+      await dashboard.stop();
+    }
+
+    assert.deepEqual(queue.tasks.map(t => t.status), ['complete', 'complete', 'complete', 'complete']);
+    // Five auto-accepted tool calls and the push approved on the dashboard
+    assert.equal(supervisor.sessionStats.actionsApproved, 6);
+    assert.equal(supervisor.sessionStats.actionsDenied, 0);
+
+    const types = new Set(broadcasts.map(b => b.type));
+    for (const type of ['mode', 'queue', 'task', 'action', 'actionResolved', 'output', 'stats', 'taskCompleted', 'sessionComplete']) {
+      assert.ok(types.has(type), `broadcasts ${type}`);
+    }
+    const resolved = broadcasts.find(b => b.type === 'actionResolved').data;
+    assert.equal(resolved.status, 'approve');
+    assert.equal(resolved.decidedBy, 'tester via dashboard');
+  });
+
+  it('moves down the provider chain with a brief of the failed attempt', async () => {
+    // Chain entries pick a transcript by model, as the tasks have none of their own
+    const fixtures = mkdtempSync(join(root, 'work-'));
+    const lines = (...steps) => steps.map(step => JSON.stringify(step)).join('\n') + '\n';
+    writeFileSync(join(fixtures, 'overloaded.jsonl'), lines({ type: 'throw', message: 'Overloaded', status: 529 }));
+    writeFileSync(join(fixtures, 'cheap.jsonl'), lines({ type: 'stderr', text: 'Cannot find module ./parser\n' }, { type: 'exit', code: 1 }));
+    writeFileSync(join(fixtures, 'strong.jsonl'), lines({ type: 'output', text: 'Fixed the import\n' }, { type: 'exit', code: 0 }));
+
+    const { supervisor, queue } = setup({
+      providers: { mock: { fixtures, speed: 0 } },
+      provider_chain: ['mock:overloaded', 'mock:cheap', 'mock:strong']
+    });
+    mock.method(supervisor, 'buildPrompt');
+    await queue.load();
+    queue.tasks.splice(0, queue.tasks.length,
+      { id: 'fix-import', status: 'pending', prompt: 'Fix the import', escalate_on_failure: true },
+      { id: 'fix-parser', status: 'pending', prompt: 'Fix the parser', retries: 1 });
+    await supervisor.runQueue(queue);
+
+    // The 529 falls back and the failure escalates
+    const [escalated, failed] = queue.tasks;
+    assert.equal(escalated.status, 'complete');
+    assert.deepEqual(escalated.attempts.map(a => a.provider), ['mock:overloaded', 'mock:cheap', 'mock:strong']);
+    assert.equal(supervisor.providersUsed(escalated), 'mock:overloaded → mock:cheap → mock:strong');
+
+    const prompt = supervisor.buildPrompt.mock.calls[2].result;
+    assert.match(prompt, /\[Previous Attempt\]\nAn earlier attempt at this task on mock:cheap failed: Provider exited with code 1/);
+    assert.match(prompt, /Cannot find module \.\/parser/);
+
+    // Without escalate_on_failure, a task that fails is retried on the same entry
+    assert.equal(failed.status, 'failed');
+    assert.deepEqual(failed.attempts.map(a => a.provider), ['mock:overloaded', 'mock:cheap', 'mock:cheap']);
+  });
+
+  it('stops the queue when a task spends its budget', async () => {
+    const fixtures = mkdtempSync(join(root, 'work-'));
+    const usage = { type: 'usage', costUsd: 0.006, usage: { inputTokens: 1000, outputTokens: 100, cacheReadTokens: 0, cacheCreationTokens: 0 } };
+    writeFileSync(join(fixtures, 'pricey.jsonl'), [usage, { type: 'output', text: 'Working\n' }, usage, { type: 'output', text: 'Done\n' }, { type: 'exit', code: 0 }]
+      .map(step => JSON.stringify(step)).join('\n'));
+
+    const { supervisor, queue } = setup({
+      model: 'pricey',
+      providers: { mock: { fixtures, speed: 0 } },
+      budget: { max_usd_per_task: 0.01 }
+    });
+    await supervisor.runQueue(queue);
+
+    // The second turn goes over and the run is stopped; nothing else starts
+    assert.deepEqual(queue.tasks.map(t => t.status), ['failed', 'pending', 'pending', 'pending']);
+    const [attempt] = queue.tasks[0].attempts;
+    assert.match(attempt.error, /Budget exceeded: \$0\.01 spent on the task \(limit \$0\.01\)/);
+    assert.equal(attempt.costUsd.toFixed(3), '0.012');
+    assert.equal(supervisor.sessionStats.limitsReached[0].setting, 'budget.max_usd_per_task');
+    assert.equal(supervisor.sessionStats.usage.inputTokens, 2000);
+    assert.equal(supervisor.sessionStats.costByTask['add-docs'].toFixed(3), '0.012');
+
+    // Session totals go to the summary JSON and the project's ledger
+    const logs = supervisor.config.logging.directory;
+    const summary = JSON.parse(readFileSync(join(logs, readdirSync(logs).find(f => f.startsWith('summary-'))), 'utf-8'));
+    assert.equal(summary.usage.outputTokens, 200);
+    const project = (await UsageLedger.open(logs)).project(supervisor.config.workingDirectory);
+    assert.equal(project.sessions, 1);
+    assert.equal(project.costUsd.toFixed(3), '0.012');
+
+    supervisor.config.budget = { max_usd_per_session: 0.01 };
+    assert.equal(supervisor.checkSessionLimits().setting, 'budget.max_usd_per_session');
+  });
+
+  it('routes model: auto tasks and journals why', async () => {
+    const fixtures = mkdtempSync(join(root, 'work-'));
+    writeFileSync(join(fixtures, 'fast.jsonl'), JSON.stringify({ type: 'exit', code: 0 }) + '\n');
+
+    const { supervisor, queue } = setup({ model: 'auto', providers: { mock: { fixtures, speed: 0 } } });
+    await queue.load();
+    queue.tasks.splice(1);
+    await supervisor.runQueue(queue);
+
+    // A short docs task runs on the fast tier
+    const [task] = queue.tasks;
+    assert.equal(task.status, 'complete');
+    assert.equal(task.attempts[0].provider, 'mock:fast');
+
+    const routed = supervisor.journal.events.find(e => e.type === 'model_routed');
+    assert.equal(routed.taskId, 'add-docs');
+    assert.equal(routed.tier, 'fast');
+    assert.equal(routed.kind, 'docs');
+    assert.deepEqual(routed.reasons, ['short prompt, 17 chars (-1)', 'docs task (-1)']);
+  });
+
+  it('injects project context and logs the prompt each task was sent', async () => {
+    const { supervisor, queue } = setup({
+      context: { current_focus: 'Release prep', auto_inject: { enabled: true, git_log: 0, git_diff: false } }
+    });
+    const dir = supervisor.config.workingDirectory;
+    writeFileSync(join(dir, 'notes.js'), 'export function releaseNotes() {}\n');
+    mock.method(supervisor, 'buildPrompt');
+    await queue.load();
+    queue.tasks.splice(1);
+    queue.tasks[0].files = ['notes.js'];
+    await supervisor.runQueue(queue);
+
+    const prompt = supervisor.buildPrompt.mock.calls[0].result;
+    assert.match(prompt, /\[Current Focus\]\nRelease prep\n\n\[Repository Map\]\n/);
+    assert.match(prompt, /^notes\.js: releaseNotes$/m);
+    assert.match(prompt, /\[Relevant Files\]\n--- notes\.js ---\nexport function releaseNotes/);
+
+    const log = readFileSync(supervisor.logger.logFile, 'utf-8');
+    assert.ok(log.includes(`[PROMPT] add-docs\n${prompt}\n`));
+  });
+
+  it('retries a failing task as often as its policy allows', async () => {
+    const fixtures = mkdtempSync(join(root, 'work-'));
+    writeFileSync(join(fixtures, 'broken.jsonl'), JSON.stringify({ type: 'exit', code: 1 }) + '\n');
+
+    const { supervisor, queue } = setup({
+      model: 'broken',
+      providers: { mock: { fixtures, speed: 0 } },
+      tasks: { timeout: 30, max_turns: 20, retry: { enabled: true, max_attempts: 2, delay_seconds: 0 } }
+    });
+
+    // Task keys override tasks.timeout, tasks.retry and tasks.max_turns
+    assert.deepEqual(supervisor.getTaskPolicy({}), { timeoutMs: 30 * 60 * 1000, maxAttempts: 2, delayMs: 0, maxTurns: 20, escalate: false });
+    assert.deepEqual(supervisor.getTaskPolicy({ timeout: 1, retries: 0, max_turns: 5 }), { timeoutMs: 60 * 1000, maxAttempts: 1, delayMs: 0, maxTurns: 5, escalate: false });
+
+    await queue.load();
+    queue.tasks.splice(2);
+    queue.tasks[1].retries = 2;
+    await supervisor.runQueue(queue);
+
+    const [docs, build] = queue.tasks;
+    assert.deepEqual(docs.attempts.map(a => a.exitCode), [1, 1]);
+    assert.deepEqual(build.attempts.map(a => a.exitCode), [1, 1, 1]);
+    assert.deepEqual(queue.tasks.map(t => t.status), ['failed', 'failed']);
+    assert.equal(build.error, 'Provider exited with code 1');
+    assert.equal(supervisor.sessionStats.retries, 3);
+  });
+
+  it('stops after stop_on.error_count failures, and never without it', async () => {
+    const fixtures = mkdtempSync(join(root, 'work-'));
+    writeFileSync(join(fixtures, 'broken.jsonl'), JSON.stringify({ type: 'exit', code: 1 }) + '\n');
+    const run = async (stopOn) => {
+      const { supervisor, queue } = setup({
+        model: 'broken',
+        providers: { mock: { fixtures, speed: 0 } },
+        autopilot: { auto_accept: ['file_create', 'file_edit', 'terminal_command'], stop_on: stopOn }
+      });
+      await queue.load();
+      queue.tasks.splice(3);
+      await supervisor.runQueue(queue);
+      return queue.tasks.map(t => t.status);
+    };
+
+    assert.deepEqual(await run({}), ['failed', 'failed', 'failed']);
+    assert.deepEqual(await run({ error_count: 2 }), ['failed', 'failed', 'pending']);
+  });
+
+  // A git repo whose tasks each add two files and delete one
+  const runChangingTasks = async (overrides = {}) => {
+    const dir = mkdtempSync(join(root, 'work-'));
+    for (const name of ['a', 'b', 'c']) writeFileSync(join(dir, `${name}.txt`), `${name}\n`);
+    writeFileSync(join(dir, '.gitignore'), 'logs/\nqueue.yaml\n');
+    await git(['init', '-q', '-b', 'main'], dir);
+    await git(['add', '-A'], dir);
+    await git(['commit', '-qm', 'Initial commit'], dir, AUTOPILOT_GIT_IDENTITY);
+
+    const { supervisor, queue } = setup({ workingDirectory: dir, ...overrides });
+    const runTask = supervisor.runTaskWithRetry;
+    mock.method(supervisor, 'runTaskWithRetry', async function (task, taskQueue, workDir) {
+      writeFileSync(join(dir, `${task.id}-1.md`), 'one\n');
+      writeFileSync(join(dir, `${task.id}-2.md`), 'two\n');
+      rmSync(join(dir, `${task.id}.txt`));
+      return runTask.call(this, task, taskQueue, workDir);
+    });
+
+    await queue.load();
+    queue.tasks.splice(0, queue.tasks.length, ...['a', 'b', 'c'].map(id => ({ id, status: 'pending', prompt: `Task ${id}` })));
+    return { supervisor, queue };
+  };
+
+  it('stops at safety.max_changes_per_session and max_deletes_per_session', async () => {
+    const changes = await runChangingTasks({ safety: { max_changes_per_session: 5 } });
+    await changes.supervisor.runQueue(changes.queue);
+
+    // Each task changes 3 files: the limit is checked before a task starts
+    assert.deepEqual(changes.queue.tasks.map(t => t.status), ['complete', 'complete', 'pending']);
+    assert.equal(changes.supervisor.sessionStats.filesChanged, 6);
+    const [limit] = changes.supervisor.sessionStats.limitsReached;
+    assert.equal(limit.setting, 'safety.max_changes_per_session');
+    assert.equal(limit.action, 'stop');
+    assert.equal(limit.message, '6 files changed (limit 5)');
+
+    const deletes = await runChangingTasks({ safety: { max_deletes_per_session: 1 } });
+    await deletes.supervisor.runQueue(deletes.queue);
+    assert.deepEqual(deletes.queue.tasks.map(t => t.status), ['complete', 'pending', 'pending']);
+    assert.equal(deletes.supervisor.sessionStats.limitsReached[0].message, '1 files deleted (limit 1)');
+
+    const hours = await runChangingTasks({ safety: { max_autonomous_hours: 1 } });
+    hours.supervisor.sessionStats.started -= 2 * 60 * 60 * 1000;
+    assert.equal(hours.supervisor.checkSessionLimits().setting, 'safety.max_autonomous_hours');
+  });
+
+  it('counts the files copilot tasks change toward the same limits', async () => {
+    const { supervisor } = await runChangingTasks({ mode: 'copilot', safety: { max_changes_per_session: 5 } });
+    const dir = supervisor.config.workingDirectory;
+    const runSingle = mock.method(supervisor, 'runSingle', async (prompt) => {
+      writeFileSync(join(dir, `${prompt}-1.md`), 'one\n');
+      writeFileSync(join(dir, `${prompt}-2.md`), 'two\n');
+      rmSync(join(dir, `${prompt}.txt`));
+    });
+
+    assert.equal(await supervisor.runCopilotTask('a'), true);
+    assert.equal(await supervisor.runCopilotTask('b'), true);
+    assert.equal(await supervisor.runCopilotTask('c'), false);
+    assert.equal(runSingle.mock.callCount(), 2);
+    assert.equal(supervisor.sessionStats.filesChanged, 6);
+    assert.equal(supervisor.sessionStats.filesDeleted, 2);
+    assert.equal(supervisor.sessionStats.limitsReached[0].message, '6 files changed (limit 5)');
+  });
+
+  it('pauses at a limit with safety.on_limit: pause until resumed from the dashboard', async () => {
+    const { supervisor, queue } = await runChangingTasks({
+      dashboard: true,
+      dashboardPort: await freePort(),
+      safety: { max_changes_per_session: 3, on_limit: 'pause' }
+    });
+    const dashboard = supervisor.dashboard;
+    const updateMode = dashboard.updateMode.bind(dashboard);
+    mock.method(dashboard, 'updateMode', (mode) => {
+      updateMode(mode);
+      if (mode === 'paused') setTimeout(() => dashboard.emit('resume'), 5);
+    });
+
+    try {
+      await supervisor.runQueue(queue);
+    } finally {
+      await dashboard.stop();
+    }
+
+    // Once resumed, the tripped limit is ignored for the rest of the session
+    assert.deepEqual(queue.tasks.map(t => t.status), ['complete', 'complete', 'complete']);
+    assert.deepEqual(supervisor.sessionStats.limitsReached.map(l => [l.setting, l.action]), [['safety.max_changes_per_session', 'pause']]);
+  });
+
+  // Run add-docs with a provider that bumps package.json and adds a migration
+  const runSensitiveTask = async (overrides = {}) => {
+    const { supervisor, queue } = setup({ safety: { sensitive_paths: ['package.json', 'supabase/'] }, ...overrides });
+    const runTask = supervisor.runTaskWithRetry;
+    mock.method(supervisor, 'runTaskWithRetry', async function (task, taskQueue, dir) {
+      const workDir = dir || supervisor.config.workingDirectory;
+      writeFileSync(join(workDir, 'package.json'), '{ "version": "2.0.0" }\n');
+      mkdirSync(join(workDir, 'supabase'));
+      writeFileSync(join(workDir, 'supabase', 'drop-users.sql'), 'DROP TABLE users;\n');
+      return runTask.call(this, task, taskQueue, dir);
+    });
+    mock.method(supervisor.slack, 'taskComplete', async () => {});
+    mock.method(supervisor.slack, 'taskNeedsReview', async () => {});
+
+    await queue.load();
+    queue.tasks.splice(1);
+    return { supervisor, queue };
+  };
+
+  it('reverts denied sensitive changes in the shared tree and asks for review', async () => {
+    const dir = mkdtempSync(join(root, 'work-'));
+    writeFileSync(join(dir, 'package.json'), '{ "version": "1.0.0" }\n');
+    const { supervisor, queue } = await runSensitiveTask({ workingDirectory: dir });
+    await supervisor.runQueue(queue);
+
+    // No one is there to approve, so approvals.default_decision (deny) applies
+    const [task] = queue.tasks;
+    assert.equal(task.status, 'needs_review');
+    assert.equal(task.reviewReason, 'sensitive changes not approved, reverted: package.json, supabase/drop-users.sql');
+    assert.equal(readFileSync(join(dir, 'package.json'), 'utf-8'), '{ "version": "1.0.0" }\n');
+    assert.ok(!existsSync(join(dir, 'supabase', 'drop-users.sql')));
+
+    assert.equal(supervisor.slack.taskComplete.mock.callCount(), 0);
+    const [call] = supervisor.slack.taskNeedsReview.mock.calls;
+    assert.equal(call.arguments[1], task.reviewReason);
+  });
+
+  it('keeps denied sensitive changes on the task\'s branch in worktree mode', async () => {
+    const dir = mkdtempSync(join(root, 'work-'));
+    writeFileSync(join(dir, 'package.json'), '{ "version": "1.0.0" }\n');
+    writeFileSync(join(dir, '.gitignore'), 'logs/\nqueue.yaml\n');
+    await git(['init', '-q', '-b', 'main'], dir);
+    await git(['add', '-A'], dir);
+    await git(['commit', '-qm', 'Initial commit'], dir, AUTOPILOT_GIT_IDENTITY);
+
+    const { supervisor, queue } = await runSensitiveTask({
+      workingDirectory: dir,
+      tasks: { concurrency: 2, worktree_dir: join(dir, 'logs', 'worktrees'), retry: { delay_seconds: 0 } }
+    });
+    await supervisor.runQueue(queue);
+
+    const [task] = queue.tasks;
+    assert.equal(task.status, 'needs_review');
+    assert.match(task.branch, /^autopilot\/\w+\/add-docs$/);
+    assert.equal(task.reviewReason, 'sensitive changes not approved: package.json, supabase/drop-users.sql');
+
+    // Nothing was merged; the work waits on its branch
+    assert.equal(readFileSync(join(dir, 'package.json'), 'utf-8'), '{ "version": "1.0.0" }\n');
+    assert.equal(await git(['show', `${task.branch}:package.json`], dir), '{ "version": "2.0.0" }');
+
+    assert.equal(supervisor.slack.taskComplete.mock.callCount(), 0);
+    const [call] = supervisor.slack.taskNeedsReview.mock.calls;
+    assert.equal(call.arguments[1], task.reviewReason);
+    assert.equal(call.arguments[2].branch, task.branch);
+  });
+
+  it('times out a replay that takes too long', async () => {
+    const { supervisor, queue } = setup({
+      providers: { mock: { fixtures: FIXTURES, speed: 0.0001 } },
+      tasks: { timeout: 0.001 }
+    });
+    await queue.load();
+    queue.tasks.splice(1);
+    await supervisor.runQueue(queue);
+
+    assert.equal(queue.tasks[0].status, 'timed_out');
+    assert.equal(queue.tasks[0].attempts[0].timedOut, true);
+  });
+});
@@ -5,6 +5,7 @@ import notifier from 'node-notifier';
 import { EventEmitter } from 'events';
 import { Logger } from './logger.js';
 import { ActionClassifier } from './classifier.js';
+import { normalizeActionType } from './detection/index.js';
 import readline from 'readline';
 
 /**
@@ -196,16 +197,17 @@ export class Supervisor extends EventEmitter {
    */
   handleAction(action) {
     const modeConfig = this.config[this.config.mode];
+    const listed = (list) => list?.some(type => normalizeActionType(type) === action.type);
     
     // Check if action is auto-accepted
-    if (modeConfig.auto_accept?.includes(action.type)) {
+    if (listed(modeConfig.auto_accept)) {
       this.logger.info(`Auto-accepted: ${action.type}`, action.details);
       this.sessionStats.actionsApproved++;
       return 'accept';
     }
     
     // Check if action requires approval
-    if (modeConfig.require_approval?.includes(action.type)) {
+    if (listed(modeConfig.require_approval)) {
       this.logger.warn(`Requires approval: ${action.type}`, action.details);
       this.notify(`Action requires approval: ${action.type}`, 'warn');
       // In a full implementation, this would pause and wait for input
@@ -213,7 +215,7 @@ export class Supervisor extends EventEmitter {
     }
     
     // Check quick confirm (copilot mode)
-    if (modeConfig.quick_confirm?.includes(action.type)) {
+    if (listed(modeConfig.quick_confirm)) {
       this.logger.info(`Quick confirm: ${action.type}`, action.details);
       // Would show brief notification then auto-accept
       this.sessionStats.actionsApproved++;
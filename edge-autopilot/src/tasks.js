@@ -1,16 +1,74 @@
 import { readFile, writeFile, readdir } from 'fs/promises';
+import { EventEmitter } from 'events';
 import { existsSync } from 'fs';
 import { join, extname } from 'path';
-import { parse, stringify } from 'yaml';
+import { parse, parseDocument, isMap, isSeq } from 'yaml';
+
+/**
+ * How each journal event changes a task. Used both when the event happens
+ * and when a run is rebuilt from its journal.
+ */
+const EVENT_CHANGES = {
+  task_started: (task, e) => {
+    task.status = 'running';
+    task.startedAt = e.timestamp;
+  },
+  attempt: (task, e) => {
+    task.attempts = [...(task.attempts || []), { ...e.attempt, finishedAt: e.timestamp }];
+  },
+  task_completed: (task, e) => {
+    task.status = 'complete';
+    task.completedAt = e.timestamp;
+  },
+  task_failed: (task, e) => {
+    task.status = 'failed';
+    task.error = e.error;
+    task.failedAt = e.timestamp;
+  },
+  task_timed_out: (task, e) => {
+    task.status = 'timed_out';
+    task.error = e.error;
+    task.failedAt = e.timestamp;
+  },
+  task_blocked: (task, e) => {
+    task.status = 'blocked';
+    task.blockedBy = e.reason;
+    task.blockedAt = e.timestamp;
+  },
+  task_needs_review: (task, e) => {
+    task.status = 'needs_review';
+    task.branch = e.branch;
+    task.reviewReason = e.reason;
+    task.completedAt = e.timestamp;
+  },
+  task_safety_violation: (task, e) => {
+    task.status = 'safety_violation';
+    task.error = e.error;
+    task.violations = e.violations;
+    task.failedAt = e.timestamp;
+  }
+};
 
 /**
  * TaskQueue - Manages tasks for the supervisor
+ *
+ * Task state lives in memory and in the run journal (if one is attached).
+ * Task source files are only rewritten when `writeBack` is enabled.
+ * Every state change is also emitted as a 'transition' event.
  */
-export class TaskQueue {
-  constructor(source) {
+export class TaskQueue extends EventEmitter {
+  constructor(source, options = {}) {
+    super();
     this.source = source;
     this.tasks = [];
     this.loaded = false;
+    this.journal = options.journal || null;
+    this.writeBack = options.writeBack || false;
+
+    // Task ID -> file it was loaded from (for writing back directory sources)
+    this.taskFiles = new Map();
+    // Task ID -> index in that file's task list (for updating it in place)
+    this.taskPositions = new Map();
   }
 
   /**
@@ -30,6 +88,8 @@ export class TaskQueue {
       new Promise(resolve => fs.stat(this.source, (_, s) => resolve(s)))
     );
     
+    const sources = new Map();
+
     if (stat?.isDirectory()) {
       // Load all YAML/JSON files from directory
       const files = await readdir(this.source);
@@ -40,30 +100,135 @@ export class TaskQueue {
       for (const file of taskFiles) {
         const content = await readFile(join(this.source, file), 'utf-8');
         const tasks = this.parseTaskFile(content, file);
+        tasks.forEach((task, position) => sources.set(task, { file: join(this.source, file), position }));
         this.tasks.push(...tasks);
       }
     } else {
       // Single file
       const content = await readFile(this.source, 'utf-8');
       this.tasks = this.parseTaskFile(content, this.source);
+      this.tasks.forEach((task, position) => sources.set(task, { file: this.source, position }));
     }
     
     // Sort by priority
     const priorityOrder = { high: 0, normal: 1, low: 2 };
     this.tasks.sort((a, b) => 
-      (priorityOrder[a.priority] || 1) - (priorityOrder[b.priority] || 1)
+      (priorityOrder[a.priority] ?? 1) - (priorityOrder[b.priority] ?? 1)
     );
     
-    // Assign IDs if not present
-    this.tasks = this.tasks.map((task, i) => ({
-      id: task.id || `task-${i + 1}`,
-      status: 'pending',
-      ...task
-    }));
+    // Assign IDs if not present, skipping numbers taken by explicit IDs;
+    // an ID used twice would make depends_on ambiguous
+    const explicitIds = new Set(this.tasks.map(task => task.id).filter(Boolean));
+    this.tasks = this.tasks.map((task, i) => {
+      let id = task.id;
+      for (let n = i + 1; !id; n++) {
+        const candidate = `task-${n}`;
+        if (!explicitIds.has(candidate) && !this.taskFiles.has(candidate)) id = candidate;
+      }
+      const { file, position } = sources.get(task);
+      if (this.taskFiles.has(id)) {
+        throw new Error(`Duplicate task ID "${id}" in ${this.taskFiles.get(id)} and ${file}`);
+      }
+      this.taskFiles.set(id, file);
+      this.taskPositions.set(id, position);
+      return { id, status: 'pending', ...task };
+    });
+
+    // Order by dependencies (priority order is kept among independent tasks)
+    this.tasks = this.sortByDependencies(this.tasks);
     
     this.loaded = true;
   }
 
+  /**
+   * Normalize a task's depends_on key to an array of task IDs
+   */
+  getDependencies(task) {
+    if (!task.depends_on) return [];
+    return Array.isArray(task.depends_on) ? task.depends_on : [task.depends_on];
+  }
+
+  /**
+   * Topologically sort tasks by depends_on.
+   * Throws on unknown dependency IDs and dependency cycles.
+   */
+  sortByDependencies(tasks) {
+    const byId = new Map(tasks.map(t => [t.id, t]));
+
+    for (const task of tasks) {
+      for (const dep of this.getDependencies(task)) {
+        if (!byId.has(dep)) {
+          throw new Error(`Task "${task.id}" depends on unknown task "${dep}" (${this.source})`);
+        }
+        if (dep === task.id) {
+          throw new Error(`Task "${task.id}" depends on itself (${this.source})`);
+        }
+      }
+    }
+
+    const sorted = [];
+    const done = new Set();
+    const remaining = [...tasks];
+
+    // Repeatedly take the first task (in priority order) whose dependencies are all placed
+    while (remaining.length > 0) {
+      const index = remaining.findIndex(t =>
+        this.getDependencies(t).every(dep => done.has(dep))
+      );
+
+      if (index === -1) {
+        const cycle = this.findCycle(remaining);
+        throw new Error(`Dependency cycle detected: ${cycle.join(' -> ')} (${this.source})`);
+      }
+
+      const [task] = remaining.splice(index, 1);
+      sorted.push(task);
+      done.add(task.id);
+    }
+
+    return sorted;
+  }
+
+  /**
+   * Find one dependency cycle among tasks that could not be ordered
+   */
+  findCycle(tasks) {
+    const byId = new Map(tasks.map(t => [t.id, t]));
+    const path = [];
+    let current = tasks[0];
+
+    // Every remaining task has at least one remaining dependency, so walking them must loop
+    while (!path.includes(current.id)) {
+      path.push(current.id);
+      const next = this.getDependencies(current).find(dep => byId.has(dep));
+      current = byId.get(next);
+    }
+
+    return [...path.slice(path.indexOf(current.id)), current.id];
+  }
+
+  /**
+   * Check whether every dependency of a task has finished (successfully or not)
+   */
+  dependenciesSettled(task) {
+    return this.getDependencies(task).every(dep =>
+      !['pending', 'running'].includes(this.tasks.find(t => t.id === dep)?.status)
+    );
+  }
+
+  /**
+   * Get the first dependency of a task that failed or was blocked, if any
+   */
+  getFailedDependency(task) {
+    for (const dep of this.getDependencies(task)) {
+      const depTask = this.tasks.find(t => t.id === dep);
+      if (depTask && ['failed', 'timed_out', 'blocked', 'needs_review', 'safety_violation'].includes(depTask.status)) {
+        return depTask;
+      }
+    }
+    return null;
+  }
+
   /**
    * Parse a task file
    */
@@ -71,7 +236,9 @@ export class TaskQueue {
     try {
       if (filename.endsWith('.json')) {
         const data = JSON.parse(content);
-        return Array.isArray(data) ? data : [data];
+        if (Array.isArray(data)) return data;
+        if (Array.isArray(data?.tasks)) return data.tasks;
+        return [data];
       } else {
         const data = parse(content);
         if (Array.isArray(data)) return data;
@@ -107,54 +274,192 @@ export class TaskQueue {
     };
     
     this.tasks.push(newTask);
-    await this.save();
+    // Adding a task is an explicit edit of the queue, so it is always written
+    await this.writeTaskFiles();
     
     return newTask;
   }
 
   /**
-   * Mark a task as complete
+   * Apply a state change to a task, journal it, and write back if enabled
    */
-  async markComplete(taskId) {
+  async transition(taskId, type, data = {}) {
     await this.load();
     
     const task = this.tasks.find(t => t.id === taskId);
-    if (task) {
-      task.status = 'complete';
-      task.completedAt = new Date().toISOString();
-      await this.save();
+    if (!task) return;
+
+    const event = { type, taskId, timestamp: new Date().toISOString(), ...data };
+    EVENT_CHANGES[type](task, event);
+
+    await this.journal?.append(type, { timestamp: event.timestamp, taskId, ...data });
+    await this.save();
+    this.emit('transition', event);
+  }
+
+  /**
+   * Rebuild task state from journal events.
+   * Tasks that were mid-run when the journal ends are reset to pending.
+   */
+  restore(events) {
+    for (const event of events) {
+      const task = this.tasks.find(t => t.id === event.taskId);
+      const apply = EVENT_CHANGES[event.type];
+      if (task && apply) apply(task, event);
+    }
+
+    for (const task of this.tasks) {
+      if (task.status === 'running') task.status = 'pending';
     }
   }
 
+  /**
+   * Mark a task as started
+   */
+  async markStarted(taskId) {
+    return this.transition(taskId, 'task_started');
+  }
+
+  /**
+   * Mark a task as complete
+   */
+  async markComplete(taskId) {
+    return this.transition(taskId, 'task_completed');
+  }
+
   /**
    * Mark a task as failed
    */
   async markFailed(taskId, error) {
-    await this.load();
-    
-    const task = this.tasks.find(t => t.id === taskId);
-    if (task) {
-      task.status = 'failed';
-      task.error = error;
-      task.failedAt = new Date().toISOString();
-      await this.save();
-    }
+    return this.transition(taskId, 'task_failed', { error });
+  }
+
+  /**
+   * Mark a task as timed out
+   */
+  async markTimedOut(taskId, error) {
+    return this.transition(taskId, 'task_timed_out', { error });
+  }
+
+  /**
+   * Mark a task as needing review (merge conflict or unapproved sensitive changes)
+   */
+  async markNeedsReview(taskId, branch, reason) {
+    return this.transition(taskId, 'task_needs_review', { branch, reason });
+  }
+
+  /**
+   * Mark a task that changed protected paths (the changes have been reverted)
+   */
+  async markSafetyViolation(taskId, error, violations = []) {
+    return this.transition(taskId, 'task_safety_violation', { error, violations });
+  }
+
+  /**
+   * Record one execution attempt (attempt number, exit code, duration) on a task
+   */
+  async recordAttempt(taskId, attempt) {
+    return this.transition(taskId, 'attempt', { attempt });
+  }
+
+  /**
+   * Mark a task as blocked by a failed dependency
+   */
+  async markBlocked(taskId, reason) {
+    return this.transition(taskId, 'task_blocked', { reason });
   }
 
   /**
-   * Save tasks back to file
+   * Save task state back to the source file(s), if write-back is enabled
    */
   async save() {
-    const content = stringify({ tasks: this.tasks });
-    
-    if (this.source.endsWith('.json')) {
-      await writeFile(this.source, JSON.stringify({ tasks: this.tasks }, null, 2));
-    } else {
-      await writeFile(
-        this.source.replace(/\.(yaml|yml)$/, '') + '.yaml',
-        content
-      );
+    if (!this.writeBack) return;
+    await this.writeTaskFiles();
+  }
+
+  /**
+   * Write tasks to the file each was loaded from.
+   * Tasks added at runtime go to the source file, or queue.yaml in a source directory.
+   * Only the tasks are updated: other keys (name, config) and YAML comments are kept.
+   */
+  async writeTaskFiles() {
+    const defaultFile = /\.(ya?ml|json)$/i.test(this.source)
+      ? this.source
+      : join(this.source, 'queue.yaml');
+
+    const byFile = new Map();
+    for (const task of this.tasks) {
+      const file = this.taskFiles.get(task.id) || defaultFile;
+      byFile.set(file, [...(byFile.get(file) || []), task]);
+    }
+
+    for (const [file, tasks] of byFile) {
+      const content = existsSync(file) ? await readFile(file, 'utf-8') : '';
+      if (file.endsWith('.json')) {
+        await writeFile(file, this.updateJsonTasks(content, tasks, file));
+      } else {
+        await writeFile(file, this.updateYamlTasks(content, tasks, file));
+      }
+    }
+  }
+
+  /**
+   * A task file's YAML with its tasks updated in place and new tasks appended
+   */
+  updateYamlTasks(content, tasks, file) {
+    const doc = parseDocument(content);
+    let list = isMap(doc.contents) && doc.contents.has('tasks') ? doc.get('tasks') : doc.contents;
+
+    if (!isSeq(list)) {
+      // An empty file, `tasks:` with no entries, or a file holding a single task
+      const single = isMap(doc.contents) && !doc.contents.has('tasks') ? doc.contents : null;
+      if (!isMap(doc.contents) || single) doc.contents = doc.createNode({});
+      doc.set('tasks', doc.createNode(single ? [single] : []));
+      list = doc.get('tasks');
+    }
+
+    for (const task of tasks) {
+      const item = list.items[this.taskPositions.get(task.id)];
+      if (isMap(item)) {
+        const current = item.toJSON();
+        for (const [key, value] of Object.entries(task)) {
+          if (value !== undefined && JSON.stringify(current[key]) !== JSON.stringify(value)) {
+            item.set(key, doc.createNode(value));
+          }
+        }
+      } else {
+        list.items.push(doc.createNode(task));
+        this.taskPositions.set(task.id, list.items.length - 1);
+        this.taskFiles.set(task.id, file);
+      }
+    }
+
+    return doc.toString();
+  }
+
+  /**
+   * A task file's JSON with its tasks replaced in place and new tasks appended
+   */
+  updateJsonTasks(content, tasks, file) {
+    let data = content.trim() ? JSON.parse(content) : {};
+    if (!Array.isArray(data) && !Array.isArray(data.tasks)) {
+      // An empty file or a file holding a single task
+      data = { tasks: Object.keys(data).length ? [data] : [] };
+    }
+
+    const list = Array.isArray(data) ? data : data.tasks;
+    for (const task of tasks) {
+      const position = this.taskPositions.get(task.id);
+      if (list[position]) {
+        list[position] = task;
+      } else {
+        list.push(task);
+        this.taskPositions.set(task.id, list.length - 1);
+        this.taskFiles.set(task.id, file);
+      }
     }
+
+    return JSON.stringify(data, null, 2);
   }
 
   /**
@@ -166,8 +471,13 @@ export class TaskQueue {
     return {
       total: this.tasks.length,
       pending: this.tasks.filter(t => t.status === 'pending').length,
+      running: this.tasks.filter(t => t.status === 'running').length,
       complete: this.tasks.filter(t => t.status === 'complete').length,
-      failed: this.tasks.filter(t => t.status === 'failed').length
+      failed: this.tasks.filter(t => t.status === 'failed').length,
+      timedOut: this.tasks.filter(t => t.status === 'timed_out').length,
+      blocked: this.tasks.filter(t => t.status === 'blocked').length,
+      needsReview: this.tasks.filter(t => t.status === 'needs_review').length,
+      safetyViolations: this.tasks.filter(t => t.status === 'safety_violation').length
     };
   }
 }
@@ -0,0 +1,167 @@
+/**
+ * Tests for loading and ordering the task queue
+ */
+
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parse } from 'yaml';
+import { TaskQueue } from './tasks.js';
+import { RunJournal } from './journal.js';
+
+describe('TaskQueue', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'tasks-test-'));
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const queueFile = (name, content) => {
+    const file = join(dir, name);
+    writeFileSync(file, content);
+    return new TaskQueue(file);
+  };
+
+  it('orders tasks by depends_on, keeping priority among independent tasks', async () => {
+    const queue = queueFile('order.yaml', `tasks:
+  - id: docs
+    priority: low
+  - id: deploy
+    priority: high
+    depends_on: [build, test]
+  - id: build
+  - id: test
+    depends_on: build
+  - id: hotfix
+    priority: high
+`);
+    await queue.load();
+    assert.deepEqual(queue.tasks.map(t => t.id), ['hotfix', 'build', 'test', 'deploy', 'docs']);
+    assert.ok(queue.tasks.every(t => t.status === 'pending'));
+  });
+
+  it('rejects unknown dependencies and cycles', async () => {
+    await assert.rejects(
+      queueFile('unknown.yaml', 'tasks:\n  - id: a\n    depends_on: [missing]\n').load(),
+      /Task "a" depends on unknown task "missing"/
+    );
+    await assert.rejects(
+      queueFile('self.yaml', 'tasks:\n  - id: a\n    depends_on: a\n').load(),
+      /Task "a" depends on itself/
+    );
+    await assert.rejects(
+      queueFile('cycle.yaml', `tasks:
+  - id: a
+    depends_on: [c]
+  - id: b
+    depends_on: [a]
+  - id: c
+    depends_on: [b]
+  - id: d
+`).load(),
+      /Dependency cycle detected: a -> c -> b -> a/
+    );
+  });
+
+  it('rejects a task ID used in two files of a directory', async () => {
+    const source = join(dir, 'queue');
+    mkdirSync(source);
+    writeFileSync(join(source, 'one.yaml'), 'tasks:\n  - id: build\n  - id: lint\n');
+    writeFileSync(join(source, 'two.yaml'), 'tasks:\n  - id: build\n');
+
+    await assert.rejects(new TaskQueue(source).load(), (error) => {
+      assert.match(error.message, /Duplicate task ID "build"/);
+      assert.ok(error.message.includes(join(source, 'one.yaml')) && error.message.includes(join(source, 'two.yaml')));
+      return true;
+    });
+  });
+
+  it('skips auto-assigned IDs that a task uses explicitly', async () => {
+    const queue = queueFile('ids.yaml', 'tasks:\n  - prompt: one\n  - prompt: two\n  - id: task-2\n  - id: task-4\n  - prompt: five\n');
+    await queue.load();
+    assert.deepEqual(queue.tasks.map(t => t.id), ['task-1', 'task-3', 'task-2', 'task-4', 'task-5']);
+  });
+
+  it('tracks which dependencies are settled or failed', async () => {
+    const queue = queueFile('deps.yaml', 'tasks:\n  - id: a\n  - id: b\n  - id: c\n    depends_on: [a, b]\n');
+    await queue.load();
+    const c = queue.tasks.find(t => t.id === 'c');
+
+    assert.equal(queue.dependenciesSettled(c), false);
+    await queue.markComplete('a');
+    await queue.markFailed('b', 'boom');
+    assert.equal(queue.dependenciesSettled(c), true);
+    assert.equal(queue.getFailedDependency(c).id, 'b');
+  });
+
+  it('writes task state back without losing the rest of the file', async () => {
+    const file = join(dir, 'writeback.yaml');
+    writeFileSync(file, `# Release queue
+name: release
+config:
+  autopilot:
+    mode: cautious
+
+tasks:
+  # Build before anything else
+  - id: build
+    prompt: Build it
+  - prompt: Publish it # no id
+`);
+    const queue = new TaskQueue(file, { writeBack: true });
+    await queue.load();
+    await queue.markComplete('build');
+    await queue.markFailed('task-2', 'npm publish failed');
+    await queue.addTask({ id: 'announce', prompt: 'Announce it' });
+    await queue.markComplete('announce');
+
+    const content = readFileSync(file, 'utf-8');
+    assert.match(content, /^# Release queue\nname: release\nconfig:\n {2}autopilot:\n {4}mode: cautious\n/);
+    assert.match(content, /# Build before anything else\n {2}- id: build\n/);
+    assert.match(content, /# no id/);
+
+    const data = parse(content);
+    assert.deepEqual(data.tasks.map(t => [t.id, t.status]), [['build', 'complete'], ['task-2', 'failed'], ['announce', 'complete']]);
+    assert.equal(data.tasks[1].error, 'npm publish failed');
+
+    // The written file loads back as the same queue
+    const reloaded = new TaskQueue(file);
+    await reloaded.load();
+    assert.deepEqual(reloaded.tasks.map(t => t.id), ['build', 'task-2', 'announce']);
+  });
+
+  it('keeps other keys of a JSON task file', async () => {
+    const file = join(dir, 'writeback.json');
+    writeFileSync(file, JSON.stringify({ name: 'json queue', tasks: [{ id: 'a' }, { id: 'b' }] }));
+    const queue = new TaskQueue(file, { writeBack: true });
+    await queue.load();
+    assert.deepEqual(queue.tasks.map(t => t.id), ['a', 'b']);
+    await queue.markComplete('b');
+
+    const data = JSON.parse(readFileSync(file, 'utf-8'));
+    assert.equal(data.name, 'json queue');
+    assert.deepEqual(data.tasks.map(t => t.status), ['pending', 'complete']);
+  });
+
+  it('rebuilds task state from a journal for resume', async () => {
+    const file = join(dir, 'resume.yaml');
+    writeFileSync(file, 'tasks:\n  - id: a\n  - id: b\n  - id: c\n');
+    const logsDir = join(dir, 'logs');
+    const journal = await RunJournal.create(logsDir, { source: file });
+
+    const queue = new TaskQueue(file, { journal });
+    await queue.load();
+    await queue.markStarted('a');
+    await queue.recordAttempt('a', { attempt: 1, exitCode: 0 });
+    await queue.markComplete('a');
+    await queue.markStarted('b');
+
+    const resumed = new TaskQueue(file);
+    await resumed.load();
+    resumed.restore((await RunJournal.open(logsDir, journal.runId)).events);
+    const a = resumed.tasks.find(t => t.id === 'a');
+    assert.equal(a.status, 'complete');
+    assert.equal(a.attempts.length, 1);
+    // A task that was running when the run died is run again
+    assert.deepEqual((await resumed.getTasks()).map(t => t.id), ['b', 'c']);
+  });
+});
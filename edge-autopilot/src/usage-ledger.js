@@ -0,0 +1,81 @@
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { existsSync } from 'fs';
+import { join, resolve, dirname } from 'path';
+import { emptyUsage, addUsage } from './providers/usage.js';
+
+/**
+ * UsageLedger - Token usage and cost of every session, per project
+ *
+ * Kept in <logging.directory>/usage.json and keyed by the project's
+ * working directory, so `autopilot status` can show what a project has
+ * cost so far. Each session adds its totals once it finishes.
+ */
+export class UsageLedger {
+  constructor(file) {
+    this.file = file;
+    this.data = { projects: {} };
+  }
+
+  /**
+   * Ledger file for a logs directory
+   */
+  static fileFor(logsDir) {
+    return join(logsDir || './logs/', 'usage.json');
+  }
+
+  static async open(logsDir) {
+    const ledger = new UsageLedger(UsageLedger.fileFor(logsDir));
+    await ledger.load();
+    return ledger;
+  }
+
+  async load() {
+    if (!existsSync(this.file)) return;
+
+    try {
+      this.data = { projects: {}, ...JSON.parse(await readFile(this.file, 'utf-8')) };
+    } catch (error) {
+      console.warn(`Ignoring unreadable usage ledger ${this.file}: ${error.message}`);
+      this.data = { projects: {} };
+    }
+  }
+
+  /**
+   * Totals for a project, or null if no session has been recorded for it
+   */
+  project(projectDir) {
+    return this.data.projects[resolve(projectDir)] || null;
+  }
+
+  /**
+   * Add a session's totals (sessionStats) to its project and save
+   */
+  async record(projectDir, stats) {
+    // Another session may have finished since this one started
+    await this.load();
+
+    const key = resolve(projectDir);
+    const now = new Date().toISOString();
+    const project = this.data.projects[key] || {
+      sessions: 0,
+      tasksCompleted: 0,
+      tasksFailed: 0,
+      costUsd: 0,
+      usage: emptyUsage(),
+      firstSession: now
+    };
+
+    project.sessions++;
+    project.tasksCompleted += stats.tasksCompleted || 0;
+    project.tasksFailed += stats.tasksFailed || 0;
+    project.costUsd += stats.costUsd || 0;
+    addUsage(project.usage, stats.usage);
+    project.lastSession = now;
+    this.data.projects[key] = project;
+
+    await mkdir(dirname(this.file), { recursive: true });
+    await writeFile(`${this.file}.tmp`, JSON.stringify(this.data, null, 2));
+    await rename(`${this.file}.tmp`, this.file);
+    return project;
+  }
+}
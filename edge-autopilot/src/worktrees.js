@@ -0,0 +1,121 @@
+import { execFile } from 'child_process';
+import { mkdir } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+/**
+ * Run a git command and resolve with its trimmed stdout
+ * @param {object} env - Extra environment variables (e.g. GIT_INDEX_FILE)
+ */
+export function git(args, cwd, env = null) {
+  const options = { cwd, maxBuffer: 10 * 1024 * 1024, env: env ? { ...process.env, ...env } : undefined };
+  return new Promise((resolve, reject) => {
+    execFile('git', args, options, (error, stdout, stderr) => {
+      if (error) {
+        error.message = `git ${args[0]} failed: ${(stderr || error.message).trim()}`;
+        reject(error);
+      } else {
+        resolve(stdout.trim());
+      }
+    });
+  });
+}
+
+/**
+ * Identity for commits the supervisor makes itself, so they work on
+ * machines (CI) with no git user configured
+ */
+export const AUTOPILOT_GIT_IDENTITY = {
+  GIT_AUTHOR_NAME: 'edge-autopilot',
+  GIT_AUTHOR_EMAIL: 'autopilot@localhost',
+  GIT_COMMITTER_NAME: 'edge-autopilot',
+  GIT_COMMITTER_EMAIL: 'autopilot@localhost'
+};
+
+/**
+ * WorktreeManager - Isolated git worktrees for concurrently running tasks
+ *
+ * Each task gets its own worktree on a throwaway branch created from the
+ * current HEAD of the project. Finished branches are merged back one at a
+ * time; branches that conflict are left in place for manual review.
+ */
+export class WorktreeManager {
+  constructor(repoDir, options = {}) {
+    this.repoDir = repoDir;
+    this.runId = options.runId || Date.now().toString(36);
+    this.baseDir = options.baseDir || join(tmpdir(), 'edge-autopilot-worktrees');
+    this.branchPrefix = options.branchPrefix || 'autopilot';
+
+    // Merges touch the main working tree, so they run one at a time
+    this.mergeChain = Promise.resolve();
+  }
+
+  /**
+   * Verify the project is a git repository
+   */
+  async check() {
+    try {
+      await git(['rev-parse', '--is-inside-work-tree'], this.repoDir);
+    } catch {
+      throw new Error(`tasks.concurrency requires a git repository: ${this.repoDir}`);
+    }
+  }
+
+  /**
+   * Create a worktree and branch for a task
+   */
+  async create(taskId) {
+    const name = String(taskId).replace(/[^\w.-]+/g, '-');
+    const branch = `${this.branchPrefix}/${this.runId}/${name}`;
+    const path = join(this.baseDir, this.runId, name);
+
+    await mkdir(join(this.baseDir, this.runId), { recursive: true });
+    await git(['worktree', 'add', '-b', branch, path, 'HEAD'], this.repoDir);
+
+    return { taskId, branch, path };
+  }
+
+  /**
+   * Commit whatever the task left uncommitted in its worktree.
+   * Returns true if the branch has commits that are not on the main HEAD.
+   */
+  async commit(worktree, message) {
+    const status = await git(['status', '--porcelain'], worktree.path);
+    if (status) {
+      await git(['add', '-A'], worktree.path);
+      await git(['commit', '-m', message, '--no-verify'], worktree.path, AUTOPILOT_GIT_IDENTITY);
+    }
+
+    const ahead = await git(['rev-list', '--count', `HEAD..${worktree.branch}`], this.repoDir);
+    return Number(ahead) > 0;
+  }
+
+  /**
+   * Merge a task branch into the project's checked-out branch.
+   * Resolves with { merged: true } or { merged: false, conflict: true } after aborting the merge.
+   */
+  merge(worktree, message) {
+    const run = this.mergeChain.then(async () => {
+      try {
+        await git(['merge', '--no-ff', '-m', message, worktree.branch], this.repoDir, AUTOPILOT_GIT_IDENTITY);
+        return { merged: true };
+      } catch (error) {
+        await git(['merge', '--abort'], this.repoDir).catch(() => {});
+        return { merged: false, conflict: true, error: error.message };
+      }
+    });
+
+    this.mergeChain = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Remove a task's worktree, optionally keeping its branch for review
+   */
+  async remove(worktree, { keepBranch = false } = {}) {
+    await git(['worktree', 'remove', '--force', worktree.path], this.repoDir).catch(() => {});
+    if (!keepBranch) {
+      await git(['branch', '-D', worktree.branch], this.repoDir).catch(() => {});
+    }
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * Tests for per-task git worktrees
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { git, WorktreeManager, AUTOPILOT_GIT_IDENTITY } from './worktrees.js';
+
+describe('WorktreeManager', () => {
+  const dir = mkdtempSync(join(tmpdir(), 'worktrees-test-'));
+  const repo = join(dir, 'repo');
+  let manager;
+
+  before(async () => {
+    // No git identity, as on a fresh CI box
+    process.env.GIT_CONFIG_GLOBAL = join(dir, 'no-gitconfig');
+    process.env.GIT_CONFIG_NOSYSTEM = '1';
+
+    await git(['init', '-q', '-b', 'main', repo], dir);
+    writeFileSync(join(repo, 'README.md'), 'Hello\n');
+    await git(['add', '-A'], repo);
+    await git(['commit', '-qm', 'Initial commit'], repo, AUTOPILOT_GIT_IDENTITY);
+
+    manager = new WorktreeManager(repo, { baseDir: join(dir, 'worktrees'), runId: 'run1' });
+  });
+
+  after(() => rmSync(dir, { recursive: true, force: true }));
+
+  it('rejects a directory that is not a repository', async () => {
+    await assert.rejects(new WorktreeManager(dir).check(), /tasks.concurrency requires a git repository/);
+    await manager.check();
+  });
+
+  it('commits a task\'s work on its branch and merges it back', async () => {
+    const worktree = await manager.create('add docs!');
+    assert.equal(worktree.branch, 'autopilot/run1/add-docs-');
+    assert.ok(existsSync(join(worktree.path, 'README.md')));
+
+    writeFileSync(join(worktree.path, 'USAGE.md'), 'Usage\n');
+    assert.equal(await manager.commit(worktree, 'Add usage'), true);
+    assert.deepEqual(await manager.merge(worktree, 'Merge add docs'), { merged: true });
+    assert.equal(readFileSync(join(repo, 'USAGE.md'), 'utf-8'), 'Usage\n');
+    assert.equal(await git(['log', '-1', '--format=%an %s'], repo), 'edge-autopilot Merge add docs');
+
+    await manager.remove(worktree);
+    assert.ok(!existsSync(worktree.path));
+    assert.equal(await git(['branch', '--list', worktree.branch], repo), '');
+  });
+
+  it('reports a task with nothing to merge', async () => {
+    const worktree = await manager.create('no-op');
+    assert.equal(await manager.commit(worktree, 'Nothing'), false);
+    await manager.remove(worktree);
+  });
+
+  it('aborts a conflicting merge and keeps the branch for review', async () => {
+    const first = await manager.create('first');
+    const second = await manager.create('second');
+    writeFileSync(join(first.path, 'README.md'), 'Hello from first\n');
+    writeFileSync(join(second.path, 'README.md'), 'Hello from second\n');
+    await manager.commit(first, 'First edit');
+    await manager.commit(second, 'Second edit');
+
+    // Merges are serialized; the second one conflicts with the first
+    const [a, b] = await Promise.all([manager.merge(first, 'Merge first'), manager.merge(second, 'Merge second')]);
+    assert.equal(a.merged, true);
+    assert.equal(b.merged, false);
+    assert.equal(b.conflict, true);
+    assert.equal(await git(['status', '--porcelain'], repo), '');
+    assert.equal(readFileSync(join(repo, 'README.md'), 'utf-8'), 'Hello from first\n');
+
+    await manager.remove(second, { keepBranch: true });
+    assert.match(await git(['branch', '--list', second.branch], repo), /second/);
+  });
+});